@@ -8,6 +8,15 @@ const __dirname = path.dirname(__filename);
 
 let db = null;
 
+// Add a column to an existing table if an older database doesn't have it yet
+const addColumnIfMissing = async (table, column, definition) => {
+    const tableInfo = await db.all(`PRAGMA table_info(${table})`);
+    if (!tableInfo.some(col => col.name === column)) {
+        console.log(`Migrating ${table} table: adding ${column} column...`);
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
 // Initialize database connection
 export const initializeDatabase = async () => {
     if (db) return db;
@@ -95,6 +104,17 @@ export const initializeDatabase = async () => {
         )
     `);
 
+    // Output encoding of the generated file (NULL for rows created before encodings were selectable)
+    await addColumnIfMissing('audio_history', 'audio_encoding', 'TEXT');
+
+    // Subtitle sidecar files (NULL when the generation did not request timepoints)
+    await addColumnIfMissing('audio_history', 'srt_url', 'TEXT');
+    await addColumnIfMissing('audio_history', 'vtt_url', 'TEXT');
+    await addColumnIfMissing('audio_history', 'timepoints_url', 'TEXT');
+
+    // Title written into the file's ID3 tag (NULL when none was given)
+    await addColumnIfMissing('audio_history', 'title', 'TEXT');
+
     // Create index on user_id for faster queries
     await db.exec(`
         CREATE INDEX IF NOT EXISTS idx_audio_history_user_id 
@@ -124,6 +144,16 @@ export const initializeDatabase = async () => {
         )
     `);
 
+    // Versions: a regeneration or rollback is a new row linked to the version it was made from.
+    // root_id is the first version of the conversation (NULL on that first version itself)
+    await addColumnIfMissing('conversation_history', 'parent_id', 'INTEGER');
+    await addColumnIfMissing('conversation_history', 'root_id', 'INTEGER');
+    await addColumnIfMissing('conversation_history', 'version', 'INTEGER NOT NULL DEFAULT 1');
+
+    // Render options (JSON) a regeneration reuses: album, pauses, audio config, normalization,
+    // post-processing and background music (NULL for rows created before versions)
+    await addColumnIfMissing('conversation_history', 'settings', 'TEXT');
+
     // Create index on conversation_history user_id for faster queries
     await db.exec(`
         CREATE INDEX IF NOT EXISTS idx_conversation_history_user_id 
@@ -136,6 +166,89 @@ export const initializeDatabase = async () => {
         ON conversation_history(created_at DESC)
     `);
 
+    // Create tts_jobs table (background synthesis jobs, user_id is NULL for anonymous jobs)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS tts_jobs (
+            id TEXT PRIMARY KEY,
+            user_id INTEGER,
+            status TEXT NOT NULL DEFAULT 'queued', -- queued, processing, completed, failed, cancelled
+            request_data TEXT NOT NULL, -- JSON string of the generation request
+            chunk_count INTEGER,
+            completed_chunks INTEGER NOT NULL DEFAULT 0,
+            audio_url TEXT,
+            result_data TEXT, -- JSON string of the generation result
+            error TEXT,
+            failed_chunks TEXT, -- JSON string of per-chunk failures
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Create index on tts_jobs status for resuming unfinished jobs
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tts_jobs_status 
+        ON tts_jobs(status)
+    `);
+
+    // Create lexicon_entries table (per-user pronunciation fixes applied before synthesis)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS lexicon_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            word TEXT NOT NULL,
+            type TEXT NOT NULL, -- alias (read as other text) or phoneme (pronunciation)
+            value TEXT NOT NULL, -- alias text or phoneme string
+            alphabet TEXT, -- ipa or x-sampa (phoneme entries only)
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, word),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Create audio_assets table (uploaded background music and sound effects, files in audio-assets/<user id>/)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS audio_assets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            kind TEXT NOT NULL, -- music (background bed) or effect (sound effect)
+            filename TEXT NOT NULL, -- stored file name
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL, -- bytes
+            duration REAL NOT NULL, -- seconds
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_audio_assets_user_id 
+        ON audio_assets(user_id)
+    `);
+
+    // Create voice_presets table (saved voice and voice settings per user, at most one default)
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS voice_presets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            voice_name TEXT NOT NULL, -- alias or catalog voice
+            language_code TEXT NOT NULL,
+            speaking_rate REAL NOT NULL DEFAULT 1.0,
+            pitch REAL NOT NULL DEFAULT 0.0,
+            volume_gain_db REAL NOT NULL DEFAULT 0.0,
+            is_default INTEGER NOT NULL DEFAULT 0, -- used when a request names no voice
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (user_id, name),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
     console.log('Database initialized successfully');
     return db;
 };
@@ -186,20 +299,58 @@ export const audioHistoryModel = {
             audioFilename,
             characterCount,
             estimatedCostUSD,
-            duration
+            duration,
+            audioEncoding = null,
+            srtUrl = null,
+            vttUrl = null,
+            timepointsUrl = null,
+            title = null
         } = audioData;
 
         const result = await db.run(
             `INSERT INTO audio_history 
             (user_id, text, voice_name, speaking_rate, audio_url, audio_filename, 
-             character_count, estimated_cost_usd, duration) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+             character_count, estimated_cost_usd, duration, audio_encoding,
+             srt_url, vtt_url, timepoints_url, title) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [userId, text, voiceName, speakingRate, audioUrl, audioFilename, 
-             characterCount, estimatedCostUSD, duration]
+             characterCount, estimatedCostUSD, duration, audioEncoding,
+             srtUrl, vttUrl, timepointsUrl, title]
         );
         return result.lastID;
     },
 
+    // Create a history entry from a generateTTS() result
+    async createFromResult(userId, text, result, speakingRate = 1.0, title = null) {
+        return await this.create({
+            userId,
+            text: text.substring(0, 500), // Store first 500 chars to save space
+            voiceName: result.voiceUsed,
+            speakingRate,
+            audioUrl: result.audioUrl,
+            audioFilename: result.audioUrl.split('/').pop(),
+            characterCount: result.characterCount,
+            estimatedCostUSD: result.cacheHit ? 0 : result.estimatedCostUSD, // No cost for cached content
+            duration: result.duration,
+            audioEncoding: result.audioEncoding,
+            srtUrl: result.subtitles?.srtUrl,
+            vttUrl: result.subtitles?.vttUrl,
+            timepointsUrl: result.subtitles?.timepointsUrl,
+            title
+        });
+    },
+
+    // Rename an entry; audio is set when the file was re-tagged under a new name
+    async updateTitle(id, userId, title, audio = null) {
+        await db.run(
+            `UPDATE audio_history
+             SET title = ?, audio_url = COALESCE(?, audio_url), audio_filename = COALESCE(?, audio_filename)
+             WHERE id = ? AND user_id = ?`,
+            [title, audio?.audioUrl ?? null, audio?.audioFilename ?? null, id, userId]
+        );
+        return this.findById(id);
+    },
+
     async findByUserId(userId, limit = 50, offset = 0) {
         return await db.all(
             `SELECT * FROM audio_history 
@@ -258,6 +409,13 @@ export const audioHistoryModel = {
     }
 };
 
+// Parse the JSON columns of a conversation row
+const parseConversationRow = (row) => row && {
+    ...row,
+    conversation_data: JSON.parse(row.conversation_data),
+    settings: row.settings ? JSON.parse(row.settings) : null
+};
+
 // Conversation history model functions
 export const conversationHistoryModel = {
     async create(conversationData) {
@@ -269,42 +427,89 @@ export const conversationHistoryModel = {
             estimatedCostUSD,
             totalDuration,
             audioUrl,
-            audioFilename
+            audioFilename,
+            settings = null,
+            parentId = null,
+            rootId = null,
+            version = 1
         } = conversationData;
 
         const result = await db.run(
             `INSERT INTO conversation_history 
             (user_id, title, conversation_data, total_character_count, 
-             estimated_cost_usd, total_duration, audio_url, audio_filename) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+             estimated_cost_usd, total_duration, audio_url, audio_filename,
+             settings, parent_id, root_id, version) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [userId, title, JSON.stringify(conversationSegments), totalCharacterCount, 
-             estimatedCostUSD, totalDuration, audioUrl, audioFilename]
+             estimatedCostUSD, totalDuration, audioUrl, audioFilename,
+             settings && JSON.stringify(settings), parentId, rootId, version]
         );
         return result.lastID;
     },
 
+    // Latest version of each conversation, with the number of versions it has
     async findByUserId(userId, limit = 50, offset = 0) {
         const results = await db.all(
-            `SELECT * FROM conversation_history 
-             WHERE user_id = ? 
-             ORDER BY created_at DESC 
+            `SELECT c.*,
+                (SELECT COUNT(*) FROM conversation_history v
+                 WHERE COALESCE(v.root_id, v.id) = COALESCE(c.root_id, c.id)) as version_count
+             FROM conversation_history c
+             WHERE c.user_id = ? AND NOT EXISTS (
+                SELECT 1 FROM conversation_history newer
+                WHERE COALESCE(newer.root_id, newer.id) = COALESCE(c.root_id, c.id) AND newer.version > c.version
+             )
+             ORDER BY c.created_at DESC 
              LIMIT ? OFFSET ?`,
             [userId, limit, offset]
         );
         
-        // Parse conversation data JSON
-        return results.map(row => ({
-            ...row,
-            conversation_data: JSON.parse(row.conversation_data)
-        }));
+        return results.map(parseConversationRow);
     },
 
     async findById(id) {
-        const result = await db.get('SELECT * FROM conversation_history WHERE id = ?', [id]);
-        if (result) {
-            result.conversation_data = JSON.parse(result.conversation_data);
-        }
-        return result;
+        return parseConversationRow(await db.get('SELECT * FROM conversation_history WHERE id = ?', [id]));
+    },
+
+    // Every version of a conversation (rootId: id of its first version), oldest first
+    async findVersions(rootId) {
+        const results = await db.all(
+            `SELECT * FROM conversation_history
+             WHERE COALESCE(root_id, id) = ?
+             ORDER BY version ASC`,
+            [rootId]
+        );
+        return results.map(parseConversationRow);
+    },
+
+    // Version number the next regeneration or rollback of a conversation gets
+    async getNextVersion(rootId) {
+        const result = await db.get(
+            `SELECT COALESCE(MAX(version), 0) + 1 as next_version
+             FROM conversation_history
+             WHERE COALESCE(root_id, id) = ?`,
+            [rootId]
+        );
+        return result.next_version;
+    },
+
+    // Rename an entry; audio is set when the file was re-tagged under a new name
+    async updateTitle(id, userId, title, audio = null) {
+        await db.run(
+            `UPDATE conversation_history
+             SET title = ?, audio_url = COALESCE(?, audio_url), audio_filename = COALESCE(?, audio_filename)
+             WHERE id = ? AND user_id = ?`,
+            [title, audio?.audioUrl ?? null, audio?.audioFilename ?? null, id, userId]
+        );
+        return this.findById(id);
+    },
+
+    // Number of entries using an audio file (rollbacks share the file of the version they restore)
+    async countByAudioFilename(audioFilename) {
+        const result = await db.get(
+            'SELECT COUNT(*) as count FROM conversation_history WHERE audio_filename = ?',
+            [audioFilename]
+        );
+        return result.count;
     },
 
     async deleteById(id, userId) {
@@ -351,11 +556,272 @@ export const conversationHistoryModel = {
     }
 };
 
+// Parse the JSON columns of a job row
+const parseJobRow = (row) => row && {
+    ...row,
+    request_data: JSON.parse(row.request_data),
+    result_data: row.result_data ? JSON.parse(row.result_data) : null,
+    failed_chunks: row.failed_chunks ? JSON.parse(row.failed_chunks) : null
+};
+
+// Columns a job update may change (camelCase field -> column)
+const JOB_UPDATE_COLUMNS = {
+    status: 'status',
+    chunkCount: 'chunk_count',
+    completedChunks: 'completed_chunks',
+    audioUrl: 'audio_url',
+    resultData: 'result_data',
+    error: 'error',
+    failedChunks: 'failed_chunks'
+};
+
+// TTS job model functions
+export const ttsJobModel = {
+    async create(jobData) {
+        const { id, userId = null, requestData } = jobData;
+
+        await db.run(
+            'INSERT INTO tts_jobs (id, user_id, request_data) VALUES (?, ?, ?)',
+            [id, userId, JSON.stringify(requestData)]
+        );
+        return id;
+    },
+
+    async findById(id) {
+        return parseJobRow(await db.get('SELECT * FROM tts_jobs WHERE id = ?', [id]));
+    },
+
+    async findByUserId(userId, limit = 20, offset = 0) {
+        const results = await db.all(
+            `SELECT * FROM tts_jobs 
+             WHERE user_id = ? 
+             ORDER BY created_at DESC 
+             LIMIT ? OFFSET ?`,
+            [userId, limit, offset]
+        );
+        return results.map(parseJobRow);
+    },
+
+    // Jobs interrupted by a restart (oldest first)
+    async findUnfinished() {
+        const results = await db.all(
+            `SELECT * FROM tts_jobs 
+             WHERE status IN ('queued', 'processing') 
+             ORDER BY created_at ASC`
+        );
+        return results.map(parseJobRow);
+    },
+
+    // Update a job; with expectedStatus only while the job still has that status.
+    // Returns whether the job was updated.
+    async update(id, fields, { expectedStatus = null } = {}) {
+        const assignments = [];
+        const values = [];
+
+        for (const [field, column] of Object.entries(JOB_UPDATE_COLUMNS)) {
+            if (fields[field] === undefined) continue;
+            const value = fields[field];
+            assignments.push(`${column} = ?`);
+            values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+        }
+
+        if (['completed', 'failed', 'cancelled'].includes(fields.status)) {
+            assignments.push('completed_at = CURRENT_TIMESTAMP');
+        }
+
+        const result = await db.run(
+            `UPDATE tts_jobs SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?${expectedStatus ? ' AND status = ?' : ''}`,
+            [...values, id, ...(expectedStatus ? [expectedStatus] : [])]
+        );
+        return result.changes > 0;
+    },
+
+    // Increment progress atomically (chunks finish concurrently)
+    async incrementCompletedChunks(id) {
+        await db.run(
+            'UPDATE tts_jobs SET completed_chunks = completed_chunks + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+    }
+};
+
+// Lexicon entry model functions
+export const lexiconModel = {
+    async create(userId, { word, type, value, alphabet = null }) {
+        const result = await db.run(
+            'INSERT INTO lexicon_entries (user_id, word, type, value, alphabet) VALUES (?, ?, ?, ?, ?)',
+            [userId, word, type, value, alphabet]
+        );
+        return result.lastID;
+    },
+
+    async findByUserId(userId) {
+        return await db.all(
+            'SELECT * FROM lexicon_entries WHERE user_id = ? ORDER BY word COLLATE NOCASE',
+            [userId]
+        );
+    },
+
+    async findById(id) {
+        return await db.get('SELECT * FROM lexicon_entries WHERE id = ?', [id]);
+    },
+
+    async findByWord(userId, word) {
+        return await db.get('SELECT * FROM lexicon_entries WHERE user_id = ? AND word = ?', [userId, word]);
+    },
+
+    async update(id, userId, { word, type, value, alphabet = null }) {
+        await db.run(
+            `UPDATE lexicon_entries 
+             SET word = ?, type = ?, value = ?, alphabet = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ? AND user_id = ?`,
+            [word, type, value, alphabet, id, userId]
+        );
+    },
+
+    async deleteById(id, userId) {
+        await db.run('DELETE FROM lexicon_entries WHERE id = ? AND user_id = ?', [id, userId]);
+    },
+
+    // Import entries in one transaction; existing words are overwritten, replace clears the lexicon first
+    async importEntries(userId, entries, { replace = false } = {}) {
+        await db.exec('BEGIN TRANSACTION');
+        try {
+            if (replace) {
+                await db.run('DELETE FROM lexicon_entries WHERE user_id = ?', [userId]);
+            }
+            for (const { word, type, value, alphabet = null } of entries) {
+                await db.run(
+                    `INSERT INTO lexicon_entries (user_id, word, type, value, alphabet) VALUES (?, ?, ?, ?, ?)
+                     ON CONFLICT (user_id, word) DO UPDATE SET 
+                        type = excluded.type, value = excluded.value, alphabet = excluded.alphabet,
+                        updated_at = CURRENT_TIMESTAMP`,
+                    [userId, word, type, value, alphabet]
+                );
+            }
+            await db.exec('COMMIT');
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+};
+
+// Audio asset model functions
+export const audioAssetModel = {
+    async create(userId, { name, kind, filename, mimeType, size, duration }) {
+        const result = await db.run(
+            'INSERT INTO audio_assets (user_id, name, kind, filename, mime_type, size, duration) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, name, kind, filename, mimeType, size, duration]
+        );
+        return result.lastID;
+    },
+
+    async findByUserId(userId) {
+        return await db.all(
+            'SELECT * FROM audio_assets WHERE user_id = ? ORDER BY kind, name COLLATE NOCASE',
+            [userId]
+        );
+    },
+
+    async findById(id) {
+        return await db.get('SELECT * FROM audio_assets WHERE id = ?', [id]);
+    },
+
+    async countByUserId(userId) {
+        const row = await db.get('SELECT COUNT(*) AS count FROM audio_assets WHERE user_id = ?', [userId]);
+        return row.count;
+    },
+
+    async update(id, userId, { name, kind }) {
+        await db.run(
+            `UPDATE audio_assets 
+             SET name = ?, kind = ?, updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ? AND user_id = ?`,
+            [name, kind, id, userId]
+        );
+    },
+
+    async deleteById(id, userId) {
+        await db.run('DELETE FROM audio_assets WHERE id = ? AND user_id = ?', [id, userId]);
+    }
+};
+
+// Voice preset model functions
+export const voicePresetModel = {
+    async create(userId, { name, voiceName, languageCode, speakingRate, pitch, volumeGainDb }) {
+        const result = await db.run(
+            `INSERT INTO voice_presets (user_id, name, voice_name, language_code, speaking_rate, pitch, volume_gain_db)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, name, voiceName, languageCode, speakingRate, pitch, volumeGainDb]
+        );
+        return result.lastID;
+    },
+
+    async findByUserId(userId) {
+        return await db.all(
+            'SELECT * FROM voice_presets WHERE user_id = ? ORDER BY name COLLATE NOCASE',
+            [userId]
+        );
+    },
+
+    async findById(id) {
+        return await db.get('SELECT * FROM voice_presets WHERE id = ?', [id]);
+    },
+
+    async findByName(userId, name) {
+        return await db.get('SELECT * FROM voice_presets WHERE user_id = ? AND name = ?', [userId, name]);
+    },
+
+    async findDefault(userId) {
+        return await db.get('SELECT * FROM voice_presets WHERE user_id = ? AND is_default = 1', [userId]);
+    },
+
+    async countByUserId(userId) {
+        const row = await db.get('SELECT COUNT(*) AS count FROM voice_presets WHERE user_id = ?', [userId]);
+        return row.count;
+    },
+
+    async update(id, userId, { name, voiceName, languageCode, speakingRate, pitch, volumeGainDb }) {
+        await db.run(
+            `UPDATE voice_presets 
+             SET name = ?, voice_name = ?, language_code = ?, speaking_rate = ?, pitch = ?, volume_gain_db = ?,
+                 updated_at = CURRENT_TIMESTAMP 
+             WHERE id = ? AND user_id = ?`,
+            [name, voiceName, languageCode, speakingRate, pitch, volumeGainDb, id, userId]
+        );
+    },
+
+    // Make a preset the user's default (id null: no default); the previous default is cleared
+    async setDefault(userId, id) {
+        await db.exec('BEGIN TRANSACTION');
+        try {
+            await db.run('UPDATE voice_presets SET is_default = 0 WHERE user_id = ? AND is_default = 1', [userId]);
+            if (id !== null) {
+                await db.run('UPDATE voice_presets SET is_default = 1 WHERE id = ? AND user_id = ?', [id, userId]);
+            }
+            await db.exec('COMMIT');
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw error;
+        }
+    },
+
+    async deleteById(id, userId) {
+        await db.run('DELETE FROM voice_presets WHERE id = ? AND user_id = ?', [id, userId]);
+    }
+};
+
 export default {
     initializeDatabase,
     getDatabase,
     userModel,
     audioHistoryModel,
-    conversationHistoryModel
+    conversationHistoryModel,
+    ttsJobModel,
+    lexiconModel,
+    audioAssetModel,
+    voicePresetModel
 };
 
@@ -0,0 +1,105 @@
+import path from 'path';
+import multer from 'multer';
+import {
+    DOCUMENT_FORMATS,
+    MAX_DOCUMENT_SIZE,
+    SCRIPT_EXTENSIONS,
+    MAX_SCRIPT_SIZE,
+    DocumentFormatError,
+    detectDocumentFormat
+} from '../services/documents/index.js';
+import {
+    ASSET_EXTENSIONS,
+    MAX_ASSET_SIZE,
+    AudioAssetError,
+    getAssetExtension
+} from '../services/audioAssets.js';
+
+export const SUPPORTED_DOCUMENT_EXTENSIONS = DOCUMENT_FORMATS.map(format => `.${format}`).join(', ');
+export const SUPPORTED_AUDIO_EXTENSIONS = ASSET_EXTENSIONS.join(', ');
+export const SUPPORTED_SCRIPT_EXTENSIONS = SCRIPT_EXTENSIONS.join(', ');
+
+// Uploads are kept in memory: documents are read once and not stored,
+// audio is decoded before it is written to disk
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_DOCUMENT_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (detectDocumentFormat(file.originalname, file.mimetype)) {
+            return callback(null, true);
+        }
+        callback(new DocumentFormatError(`Unsupported document type (supported: ${SUPPORTED_DOCUMENT_EXTENSIONS})`));
+    }
+});
+
+const audioUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ASSET_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (getAssetExtension(file.originalname, file.mimetype)) {
+            return callback(null, true);
+        }
+        callback(new AudioAssetError(`Unsupported audio type (supported: ${SUPPORTED_AUDIO_EXTENSIONS})`));
+    }
+});
+
+const scriptUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SCRIPT_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (SCRIPT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            return callback(null, true);
+        }
+        callback(new DocumentFormatError(`Unsupported script type (supported: ${SUPPORTED_SCRIPT_EXTENSIONS})`));
+    }
+});
+
+// Accept a single "file" field, turning upload errors into JSON responses.
+// Other multipart fields end up in req.body; JSON requests pass through untouched.
+const acceptSingleFile = (upload, { FormatError, label, maxSize }) => (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof FormatError) {
+            return res.status(415).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            message: tooLarge
+                ? `${label} is too large (max ${maxSize / (1024 * 1024)} MB)`
+                : `Upload failed: ${error.message}`
+        });
+    });
+};
+
+export const uploadDocument = acceptSingleFile(documentUpload, {
+    FormatError: DocumentFormatError,
+    label: 'Document',
+    maxSize: MAX_DOCUMENT_SIZE
+});
+
+export const uploadAudio = acceptSingleFile(audioUpload, {
+    FormatError: AudioAssetError,
+    label: 'Audio file',
+    maxSize: MAX_ASSET_SIZE
+});
+
+export const uploadScript = acceptSingleFile(scriptUpload, {
+    FormatError: DocumentFormatError,
+    label: 'Script',
+    maxSize: MAX_SCRIPT_SIZE
+});
+
+export default {
+    SUPPORTED_DOCUMENT_EXTENSIONS,
+    SUPPORTED_AUDIO_EXTENSIONS,
+    SUPPORTED_SCRIPT_EXTENSIONS,
+    uploadDocument,
+    uploadAudio,
+    uploadScript
+};
@@ -0,0 +1,29 @@
+import { validationResult } from 'express-validator';
+
+// Send express-validator errors, returns true when the request was rejected
+export const rejectInvalid = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+// Sanitizer for multipart form fields, which are strings: objects, arrays and booleans are sent as JSON
+export const parseFormJson = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+export default {
+    rejectInvalid,
+    parseFormJson
+};
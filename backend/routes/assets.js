@@ -0,0 +1,199 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { audioAssetModel } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { rejectInvalid } from '../middleware/validation.js';
+import { uploadAudio, SUPPORTED_AUDIO_EXTENSIONS } from '../middleware/upload.js';
+import {
+    ASSET_KINDS,
+    MAX_ASSETS_PER_USER,
+    MAX_ASSET_NAME_LENGTH,
+    AudioAssetError,
+    formatAsset,
+    saveAsset,
+    findUserAsset,
+    getAssetPath,
+    deleteAsset
+} from '../services/audioAssets.js';
+
+const router = express.Router();
+
+// Validation rules for asset metadata (multipart fields on upload, JSON on update)
+const assetValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: MAX_ASSET_NAME_LENGTH })
+        .withMessage(`Name must be between 1 and ${MAX_ASSET_NAME_LENGTH} characters`),
+    body('kind')
+        .optional()
+        .isIn(ASSET_KINDS)
+        .withMessage(`Kind must be one of: ${ASSET_KINDS.join(', ')}`)
+];
+
+// Send 404 for assets that do not exist or belong to someone else, returns the asset otherwise
+const findOwnAsset = async (req, res) => {
+    const asset = await findUserAsset(req.user.id, Number(req.params.id));
+    if (!asset) {
+        res.status(404).json({
+            success: false,
+            message: 'Audio asset not found'
+        });
+    }
+    return asset;
+};
+
+/**
+ * @route GET /api/assets
+ * @desc Get the current user's music beds and sound effects
+ * @access Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const assets = await audioAssetModel.findByUserId(req.user.id);
+
+        res.json({
+            success: true,
+            assets: assets.map(formatAsset),
+            count: assets.length
+        });
+    } catch (error) {
+        console.error('Audio assets fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audio assets'
+        });
+    }
+});
+
+/**
+ * @route POST /api/assets
+ * @desc Upload a music bed or sound effect (multipart/form-data: file, name?, kind?)
+ * @access Private
+ */
+router.post('/', authenticateToken, uploadAudio, assetValidation, async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: `Upload an audio file in the "file" field (supported: ${SUPPORTED_AUDIO_EXTENSIONS})`
+            });
+        }
+
+        if (await audioAssetModel.countByUserId(req.user.id) >= MAX_ASSETS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can store at most ${MAX_ASSETS_PER_USER} audio assets`
+            });
+        }
+
+        const asset = await saveAsset(req.user.id, req.file, { name: req.body.name, kind: req.body.kind });
+
+        res.status(201).json({
+            success: true,
+            message: 'Audio asset uploaded',
+            asset: formatAsset(asset)
+        });
+    } catch (error) {
+        if (error instanceof AudioAssetError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Audio asset upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload audio asset'
+        });
+    }
+});
+
+/**
+ * @route GET /api/assets/:id/audio
+ * @desc Download an asset's audio file
+ * @access Private
+ */
+router.get('/:id/audio', authenticateToken, async (req, res) => {
+    try {
+        const asset = await findOwnAsset(req, res);
+        if (!asset) return;
+
+        res.type(asset.mime_type);
+        res.sendFile(getAssetPath(asset), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Audio file not found'
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Audio asset download error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audio file'
+        });
+    }
+});
+
+/**
+ * @route PATCH /api/assets/:id
+ * @desc Rename an asset or change its kind ({ name?, kind? })
+ * @access Private
+ */
+router.patch('/:id', authenticateToken, assetValidation, async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const asset = await findOwnAsset(req, res);
+        if (!asset) return;
+
+        await audioAssetModel.update(asset.id, req.user.id, {
+            name: req.body.name ?? asset.name,
+            kind: req.body.kind ?? asset.kind
+        });
+
+        res.json({
+            success: true,
+            message: 'Audio asset updated',
+            asset: formatAsset(await audioAssetModel.findById(asset.id))
+        });
+    } catch (error) {
+        console.error('Audio asset update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update audio asset'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/assets/:id
+ * @desc Delete an asset and its file
+ * @access Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const asset = await findOwnAsset(req, res);
+        if (!asset) return;
+
+        await deleteAsset(asset);
+
+        res.json({
+            success: true,
+            message: 'Audio asset deleted'
+        });
+    } catch (error) {
+        console.error('Audio asset delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete audio asset'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { optionalAuth } from '../middleware/auth.js';
+import { parseFormJson } from '../middleware/validation.js';
+import { uploadDocument, uploadScript, SUPPORTED_DOCUMENT_EXTENSIONS, SUPPORTED_SCRIPT_EXTENSIONS } from '../middleware/upload.js';
+import { DocumentFormatError, SCRIPT_FORMATS, MAX_SCRIPT_SIZE, extractDocument, extractScript, parseScript } from '../services/documents/index.js';
+import { isSupportedLanguage, isKnownVoice, assignVoices } from '../services/voiceCatalog.js';
+import { PresetNotFoundError, loadPresets, applyPreset } from '../services/voicePresets.js';
+
+const router = express.Router();
+
+// Longest text a single TTS request accepts (see validateTTSRequest)
+const MAX_SYNTHESIS_CHARACTERS = 100000;
+
+/**
+ * @route POST /api/documents/extract
+ * @desc Extract readable text from an uploaded .txt, .md, .html or .epub file
+ *       (multipart/form-data, field "file"). Returns heading/paragraph blocks,
+ *       plain text for the editor and SSML ready for /api/tts/generate or /api/tts/jobs.
+ * @access Public
+ */
+router.post('/extract', optionalAuth, uploadDocument, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: `Upload a document in the "file" field (supported: ${SUPPORTED_DOCUMENT_EXTENSIONS})`
+            });
+        }
+
+        const document = extractDocument(req.file.buffer, {
+            filename: req.file.originalname,
+            mimeType: req.file.mimetype
+        });
+
+        res.json({
+            success: true,
+            document: {
+                filename: req.file.originalname,
+                ...document,
+                synthesizable: document.characterCount <= MAX_SYNTHESIS_CHARACTERS
+            }
+        });
+    } catch (error) {
+        if (error instanceof DocumentFormatError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Document extraction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read document'
+        });
+    }
+});
+
+// Script source (JSON "content" or an uploaded file), format, language and speaker roster
+const validateScriptRequest = [
+    body('content')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: MAX_SCRIPT_SIZE })
+        .withMessage('Script content must be between 1 character and 2 MB'),
+    body('format')
+        .optional()
+        .isIn(['auto', ...SCRIPT_FORMATS])
+        .withMessage(`Format must be one of: auto, ${SCRIPT_FORMATS.join(', ')}`),
+    body('languageCode')
+        .optional()
+        .custom(isSupportedLanguage)
+        .withMessage('Language is not supported by the TTS engine (see GET /api/tts/voices)'),
+    body('roster')
+        .optional()
+        .customSanitizer(parseFormJson)
+        .custom(roster => {
+            if (!roster || typeof roster !== 'object' || Array.isArray(roster)) {
+                throw new Error('Roster must map speaker names to { voiceName } or { presetId } entries');
+            }
+            for (const [speaker, entry] of Object.entries(roster)) {
+                // A voice preset is checked when it is saved; a voice named next to it wins
+                if (entry?.voiceName === undefined && Number.isInteger(entry?.presetId) && entry.presetId >= 1) continue;
+                if (!isKnownVoice(entry?.voiceName)) {
+                    throw new Error(`Unknown voice for speaker "${speaker}" (see GET /api/tts/voices)`);
+                }
+            }
+            return true;
+        })
+];
+
+// Roster entries that name a saved voice preset, completed with the preset's voice
+const resolveRosterPresets = async (roster, userId) => {
+    const presetIds = Object.values(roster).map(entry => entry.presetId).filter(Number.isInteger);
+    const presets = await loadPresets(userId, presetIds);
+    return Object.fromEntries(Object.entries(roster).map(([speaker, entry]) => [
+        speaker,
+        Number.isInteger(entry.presetId) ? { ...entry, ...applyPreset(presets.get(entry.presetId), entry) } : entry
+    ]));
+};
+
+/**
+ * @route POST /api/documents/script
+ * @desc Parse a screenplay or dialogue script into conversation lines ("SPEAKER: line",
+ *       Fountain, JSON or CSV). Send { content } as JSON or upload a file in the "file"
+ *       field. Speakers missing from the roster are assigned voices of languageCode;
+ *       roster entries are { voiceName } or a saved voice preset { presetId } (logged in).
+ * @access Public
+ */
+router.post('/script', optionalAuth, uploadScript, validateScriptRequest, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { content, format = 'auto', languageCode = 'en-US' } = req.body;
+        if (!req.file && !content) {
+            return res.status(400).json({
+                success: false,
+                message: `Send the script as "content" or upload it in the "file" field (supported: ${SUPPORTED_SCRIPT_EXTENSIONS})`
+            });
+        }
+
+        const requestRoster = req.body.roster || {};
+        if (!req.user && Object.values(requestRoster).some(entry => entry.presetId !== undefined)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Log in to use voice presets'
+            });
+        }
+        const roster = await resolveRosterPresets(requestRoster, req.user?.id);
+
+        const script = req.file
+            ? extractScript(req.file.buffer, { filename: req.file.originalname, format })
+            : parseScript(content, { format });
+
+        const speakers = script.speakers.map(speaker => speaker.name);
+        const completedRoster = assignVoices(speakers, roster, languageCode);
+
+        res.json({
+            success: true,
+            script: {
+                filename: req.file?.originalname || null,
+                ...script
+            },
+            roster: completedRoster,
+            assignedSpeakers: speakers.filter(speaker => !Object.keys(roster).some(name => name.toLowerCase() === speaker.toLowerCase()))
+        });
+    } catch (error) {
+        if (error instanceof DocumentFormatError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error instanceof PresetNotFoundError) {
+            return res.status(404).json({
+                success: false,
+                message: error.message,
+                error: 'PRESET_NOT_FOUND'
+            });
+        }
+
+        console.error('Script import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read script'
+        });
+    }
+});
+
+export default router;
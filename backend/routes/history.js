@@ -1,6 +1,8 @@
 import express from 'express';
 import { audioHistoryModel, conversationHistoryModel } from '../db/database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { retagAudioFile } from '../services/ttsService.js';
+import { body, validationResult } from 'express-validator';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -144,6 +146,172 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route PATCH /api/history/:id
+ * @desc Rename a history item (?type=conversation for conversations). MP3 files
+ *       get a copy with the new ID3 title, other tags and chapters are kept.
+ * @access Private
+ */
+router.patch('/:id', authenticateToken, [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Title must be between 1 and 100 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const userId = req.user.id;
+        const type = req.query.type === 'conversation' ? 'conversation' : 'standard';
+        const model = type === 'conversation' ? conversationHistoryModel : audioHistoryModel;
+
+        const item = await model.findById(id);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audio history not found'
+            });
+        }
+
+        // Ensure user owns this history item
+        if (item.user_id !== userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        // The tagged copy belongs to this item only, so an earlier copy can go unless
+        // a rolled-back conversation version still plays it
+        const copyPrefix = `history-${type}-${item.id}-`;
+        const removeSource = item.audio_filename.startsWith(copyPrefix)
+            && (type !== 'conversation' || await conversationHistoryModel.countByAudioFilename(item.audio_filename) === 1);
+        const audio = await retagAudioFile(
+            item.audio_filename,
+            { title: req.body.title },
+            `${copyPrefix}${Date.now()}.mp3`,
+            { removeSource }
+        );
+
+        const updated = await model.updateTitle(item.id, userId, req.body.title, audio);
+
+        res.json({
+            success: true,
+            item: { ...updated, type },
+            retagged: Boolean(audio)
+        });
+    } catch (error) {
+        console.error('History rename error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rename history item'
+        });
+    }
+});
+
+// Send 404/403 for conversations that do not exist or belong to someone else, returns the conversation otherwise
+const findOwnConversation = async (req, res) => {
+    const conversation = await conversationHistoryModel.findById(req.params.id);
+
+    if (!conversation) {
+        res.status(404).json({
+            success: false,
+            message: 'Conversation not found'
+        });
+        return null;
+    }
+
+    // Ensure user owns this conversation
+    if (conversation.user_id !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied'
+        });
+        return null;
+    }
+
+    return conversation;
+};
+
+/**
+ * @route GET /api/history/conversations/:id/versions
+ * @desc Get every version of a saved conversation (oldest first) to compare them
+ * @access Private
+ */
+router.get('/conversations/:id/versions', authenticateToken, async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req, res);
+        if (!conversation) return;
+
+        const versions = await conversationHistoryModel.findVersions(conversation.root_id ?? conversation.id);
+
+        res.json({
+            success: true,
+            versions: versions.map(version => ({ ...version, type: 'conversation' })),
+            count: versions.length
+        });
+    } catch (error) {
+        console.error('Conversation versions fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch conversation versions'
+        });
+    }
+});
+
+/**
+ * @route POST /api/history/conversations/:id/rollback
+ * @desc Roll a conversation back to this version: its segments, settings and audio are
+ *       saved as the newest version (nothing is synthesized or billed again)
+ * @access Private
+ */
+router.post('/conversations/:id/rollback', authenticateToken, async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req, res);
+        if (!conversation) return;
+
+        const rootId = conversation.root_id ?? conversation.id;
+        const version = await conversationHistoryModel.getNextVersion(rootId);
+
+        const id = await conversationHistoryModel.create({
+            userId: req.user.id,
+            title: conversation.title,
+            conversationSegments: conversation.conversation_data,
+            totalCharacterCount: 0, // Nothing is synthesized, so nothing adds to usage
+            estimatedCostUSD: 0,
+            totalDuration: conversation.total_duration,
+            audioUrl: conversation.audio_url,
+            audioFilename: conversation.audio_filename,
+            settings: conversation.settings,
+            parentId: conversation.id,
+            rootId,
+            version
+        });
+        const item = await conversationHistoryModel.findById(id);
+
+        res.status(201).json({
+            success: true,
+            message: `Restored version ${conversation.version} as version ${version}`,
+            item: { ...item, type: 'conversation' }
+        });
+    } catch (error) {
+        console.error('Conversation rollback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to roll back conversation'
+        });
+    }
+});
+
 /**
  * @route DELETE /api/history/:id
  * @desc Delete specific audio history item
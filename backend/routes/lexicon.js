@@ -0,0 +1,297 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { lexiconModel } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { rejectInvalid } from '../middleware/validation.js';
+import {
+    LEXICON_TYPES,
+    PHONETIC_ALPHABETS,
+    MAX_WORD_LENGTH,
+    MAX_VALUE_LENGTH,
+    MAX_LEXICON_ENTRIES,
+    LexiconFormatError,
+    normalizeEntry,
+    parsePLS,
+    parseCSV,
+    toPLS,
+    toCSV
+} from '../services/lexicon.js';
+
+const router = express.Router();
+
+const LEXICON_FORMATS = ['pls', 'csv'];
+
+// Validation rules for a single entry
+const entryValidation = [
+    body('word')
+        .trim()
+        .isLength({ min: 1, max: MAX_WORD_LENGTH })
+        .withMessage(`Word must be between 1 and ${MAX_WORD_LENGTH} characters`),
+    body('type')
+        .isIn(LEXICON_TYPES)
+        .withMessage(`Type must be one of: ${LEXICON_TYPES.join(', ')}`),
+    body('value')
+        .trim()
+        .isLength({ min: 1, max: MAX_VALUE_LENGTH })
+        .withMessage(`Value must be between 1 and ${MAX_VALUE_LENGTH} characters`),
+    body('alphabet')
+        .optional({ values: 'falsy' })
+        .isIn(PHONETIC_ALPHABETS)
+        .withMessage(`Alphabet must be one of: ${PHONETIC_ALPHABETS.join(', ')}`)
+];
+
+const importValidation = [
+    body('content')
+        .isString()
+        .bail()
+        .isLength({ min: 1, max: 2 * 1024 * 1024 })
+        .withMessage('Lexicon file must be between 1 byte and 2 MB'),
+    body('format')
+        .optional()
+        .isIn(LEXICON_FORMATS)
+        .withMessage(`Format must be one of: ${LEXICON_FORMATS.join(', ')}`),
+    body('mode')
+        .optional()
+        .isIn(['merge', 'replace'])
+        .withMessage('Mode must be "merge" or "replace"')
+];
+
+// Find an entry of the current user (null when missing or owned by someone else)
+const findOwnEntry = async (req) => {
+    const entry = await lexiconModel.findById(req.params.id);
+    return entry && entry.user_id === req.user.id ? entry : null;
+};
+
+/**
+ * @route GET /api/lexicon
+ * @desc Get the current user's pronunciation lexicon
+ * @access Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const entries = await lexiconModel.findByUserId(req.user.id);
+
+        res.json({
+            success: true,
+            entries,
+            count: entries.length
+        });
+    } catch (error) {
+        console.error('Lexicon fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch lexicon'
+        });
+    }
+});
+
+/**
+ * @route POST /api/lexicon
+ * @desc Add a lexicon entry (word -> alias, or word -> phoneme)
+ * @access Private
+ */
+router.post('/', authenticateToken, entryValidation, async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const entry = normalizeEntry(req.body);
+        const userId = req.user.id;
+
+        if (await lexiconModel.findByWord(userId, entry.word)) {
+            return res.status(409).json({
+                success: false,
+                message: `"${entry.word}" is already in your lexicon`
+            });
+        }
+
+        const existing = await lexiconModel.findByUserId(userId);
+        if (existing.length >= MAX_LEXICON_ENTRIES) {
+            return res.status(400).json({
+                success: false,
+                message: `A lexicon can have at most ${MAX_LEXICON_ENTRIES} entries`
+            });
+        }
+
+        const id = await lexiconModel.create(userId, entry);
+
+        res.status(201).json({
+            success: true,
+            message: 'Lexicon entry added',
+            entry: await lexiconModel.findById(id)
+        });
+    } catch (error) {
+        console.error('Lexicon create error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add lexicon entry'
+        });
+    }
+});
+
+/**
+ * @route GET /api/lexicon/export
+ * @desc Download the current user's lexicon as a PLS or CSV file
+ * @access Private
+ */
+router.get('/export', authenticateToken, [
+    query('format')
+        .optional()
+        .isIn(LEXICON_FORMATS)
+        .withMessage(`Format must be one of: ${LEXICON_FORMATS.join(', ')}`),
+    query('languageCode')
+        .optional()
+        .matches(/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+        .withMessage('Language code must be a BCP-47 tag such as en-US')
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const { format = 'pls', languageCode = 'en-US' } = req.query;
+        const entries = await lexiconModel.findByUserId(req.user.id);
+
+        const isPls = format === 'pls';
+        res.setHeader('Content-Type', isPls ? 'application/pls+xml; charset=utf-8' : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="lexicon.${format}"`);
+        res.send(isPls ? toPLS(entries, { languageCode }) : toCSV(entries));
+    } catch (error) {
+        console.error('Lexicon export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export lexicon'
+        });
+    }
+});
+
+/**
+ * @route POST /api/lexicon/import
+ * @desc Import entries from a PLS or CSV file ({ content, format?, mode? })
+ *       mode "merge" (default) overwrites matching words, "replace" clears the lexicon first
+ * @access Private
+ */
+router.post('/import', authenticateToken, importValidation, async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const { content, mode = 'merge' } = req.body;
+        const format = req.body.format || (content.trimStart().startsWith('<') ? 'pls' : 'csv');
+        const userId = req.user.id;
+
+        const { entries, errors } = format === 'pls' ? parsePLS(content) : parseCSV(content);
+        if (entries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The file contains no valid lexicon entries',
+                errors
+            });
+        }
+
+        // Words in the file count once, existing words are overwritten in merge mode
+        const existing = mode === 'replace' ? [] : await lexiconModel.findByUserId(userId);
+        const words = new Set([...existing.map(entry => entry.word), ...entries.map(entry => entry.word)]);
+        if (words.size > MAX_LEXICON_ENTRIES) {
+            return res.status(400).json({
+                success: false,
+                message: `A lexicon can have at most ${MAX_LEXICON_ENTRIES} entries (the import would make ${words.size})`
+            });
+        }
+
+        await lexiconModel.importEntries(userId, entries, { replace: mode === 'replace' });
+
+        res.json({
+            success: true,
+            message: `Imported ${entries.length} lexicon entries`,
+            format,
+            imported: entries.length,
+            skipped: errors.length,
+            errors,
+            entries: await lexiconModel.findByUserId(userId)
+        });
+    } catch (error) {
+        if (error instanceof LexiconFormatError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Lexicon import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import lexicon'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/lexicon/:id
+ * @desc Update a lexicon entry
+ * @access Private
+ */
+router.put('/:id', authenticateToken, entryValidation, async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const current = await findOwnEntry(req);
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lexicon entry not found'
+            });
+        }
+
+        const entry = normalizeEntry(req.body);
+        const duplicate = await lexiconModel.findByWord(req.user.id, entry.word);
+        if (duplicate && duplicate.id !== current.id) {
+            return res.status(409).json({
+                success: false,
+                message: `"${entry.word}" is already in your lexicon`
+            });
+        }
+
+        await lexiconModel.update(current.id, req.user.id, entry);
+
+        res.json({
+            success: true,
+            message: 'Lexicon entry updated',
+            entry: await lexiconModel.findById(current.id)
+        });
+    } catch (error) {
+        console.error('Lexicon update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update lexicon entry'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/lexicon/:id
+ * @desc Delete a lexicon entry
+ * @access Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const entry = await findOwnEntry(req);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lexicon entry not found'
+            });
+        }
+
+        await lexiconModel.deleteById(entry.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Lexicon entry deleted'
+        });
+    } catch (error) {
+        console.error('Lexicon delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete lexicon entry'
+        });
+    }
+});
+
+export default router;
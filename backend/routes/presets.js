@@ -0,0 +1,218 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { voicePresetModel } from '../db/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { rejectInvalid } from '../middleware/validation.js';
+import { isSupportedLanguage, isKnownVoice, voiceSupportsLanguage } from '../services/voiceCatalog.js';
+import {
+    MAX_PRESETS_PER_USER,
+    MAX_PRESET_NAME_LENGTH,
+    formatPreset,
+    findUserPreset
+} from '../services/voicePresets.js';
+
+const router = express.Router();
+
+// Validation rules for preset fields; creating a preset needs a name, voice and language
+const presetValidation = ({ create }) => {
+    const field = (name) => create ? body(name) : body(name).optional();
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: MAX_PRESET_NAME_LENGTH })
+            .withMessage(`Name must be between 1 and ${MAX_PRESET_NAME_LENGTH} characters`),
+        field('languageCode')
+            .custom(isSupportedLanguage)
+            .withMessage('Language is not supported by the TTS engine (see GET /api/tts/voices)'),
+        field('voiceName')
+            .custom(isKnownVoice)
+            .withMessage('Unknown voice (see GET /api/tts/voices)'),
+        body('speakingRate')
+            .optional()
+            .isFloat({ min: 0.25, max: 4.0 })
+            .withMessage('Speaking rate must be between 0.25 and 4.0')
+            .toFloat(),
+        body('pitch')
+            .optional()
+            .isFloat({ min: -20.0, max: 20.0 })
+            .withMessage('Pitch must be between -20.0 and 20.0')
+            .toFloat(),
+        body('volumeGainDb')
+            .optional()
+            .isFloat({ min: -96.0, max: 16.0 })
+            .withMessage('Volume gain must be between -96.0 and 16.0 dB')
+            .toFloat(),
+        body('isDefault')
+            .optional()
+            .isBoolean()
+            .withMessage('isDefault must be true or false')
+            .toBoolean()
+    ];
+};
+
+// Send 400 when the voice does not speak the preset's language, returns true when rejected
+const rejectVoiceLanguage = (res, { voiceName, languageCode }) => {
+    if (voiceSupportsLanguage(voiceName, languageCode)) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ msg: `Voice "${voiceName}" does not support language ${languageCode}`, path: 'voiceName' }]
+    });
+    return true;
+};
+
+// Send 409 when the user already has another preset with this name, returns true when rejected
+const rejectDuplicateName = async (req, res, name, presetId = null) => {
+    const existing = await voicePresetModel.findByName(req.user.id, name);
+    if (!existing || existing.id === presetId) return false;
+
+    res.status(409).json({
+        success: false,
+        message: `You already have a preset named "${name}"`
+    });
+    return true;
+};
+
+// Send 404 for presets that do not exist or belong to someone else, returns the preset otherwise
+const findOwnPreset = async (req, res) => {
+    const preset = await findUserPreset(req.user.id, Number(req.params.id));
+    if (!preset) {
+        res.status(404).json({
+            success: false,
+            message: 'Voice preset not found'
+        });
+    }
+    return preset;
+};
+
+/**
+ * @route GET /api/presets
+ * @desc Get the current user's voice presets
+ * @access Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const presets = (await voicePresetModel.findByUserId(req.user.id)).map(formatPreset);
+
+        res.json({
+            success: true,
+            presets,
+            count: presets.length,
+            defaultPresetId: presets.find(preset => preset.isDefault)?.id ?? null
+        });
+    } catch (error) {
+        console.error('Voice presets fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch voice presets'
+        });
+    }
+});
+
+/**
+ * @route POST /api/presets
+ * @desc Save a voice preset ({ name, voiceName, languageCode, speakingRate?, pitch?, volumeGainDb?, isDefault? })
+ * @access Private
+ */
+router.post('/', authenticateToken, presetValidation({ create: true }), async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+        if (rejectVoiceLanguage(res, req.body)) return;
+
+        const userId = req.user.id;
+        const { name, voiceName, languageCode, speakingRate = 1.0, pitch = 0.0, volumeGainDb = 0.0, isDefault = false } = req.body;
+
+        if (await rejectDuplicateName(req, res, name)) return;
+
+        if (await voicePresetModel.countByUserId(userId) >= MAX_PRESETS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can save at most ${MAX_PRESETS_PER_USER} voice presets`
+            });
+        }
+
+        const id = await voicePresetModel.create(userId, { name, voiceName, languageCode, speakingRate, pitch, volumeGainDb });
+        if (isDefault) {
+            await voicePresetModel.setDefault(userId, id);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Voice preset saved',
+            preset: formatPreset(await voicePresetModel.findById(id))
+        });
+    } catch (error) {
+        console.error('Voice preset create error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save voice preset'
+        });
+    }
+});
+
+/**
+ * @route PATCH /api/presets/:id
+ * @desc Update a voice preset (any preset field); isDefault true makes it the default,
+ *       false stops it from being the default
+ * @access Private
+ */
+router.patch('/:id', authenticateToken, presetValidation({ create: false }), async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) return;
+
+        const preset = await findOwnPreset(req, res);
+        if (!preset) return;
+
+        const current = formatPreset(preset);
+        const fields = ['name', 'voiceName', 'languageCode', 'speakingRate', 'pitch', 'volumeGainDb'];
+        const updated = Object.fromEntries(fields.map(field => [field, req.body[field] ?? current[field]]));
+
+        if (rejectVoiceLanguage(res, updated)) return;
+        if (await rejectDuplicateName(req, res, updated.name, preset.id)) return;
+
+        await voicePresetModel.update(preset.id, req.user.id, updated);
+        if (req.body.isDefault !== undefined && req.body.isDefault !== current.isDefault) {
+            await voicePresetModel.setDefault(req.user.id, req.body.isDefault ? preset.id : null);
+        }
+
+        res.json({
+            success: true,
+            message: 'Voice preset updated',
+            preset: formatPreset(await voicePresetModel.findById(preset.id))
+        });
+    } catch (error) {
+        console.error('Voice preset update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update voice preset'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/presets/:id
+ * @desc Delete a voice preset
+ * @access Private
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const preset = await findOwnPreset(req, res);
+        if (!preset) return;
+
+        await voicePresetModel.deleteById(preset.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Voice preset deleted'
+        });
+    } catch (error) {
+        console.error('Voice preset delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete voice preset'
+        });
+    }
+});
+
+export default router;
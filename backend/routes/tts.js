@@ -1,35 +1,166 @@
 import express from 'express';
-import { generateTTS, generateConversationTTS, getTTSUsage, getTTSPricing } from '../services/ttsService.js';
-import { body, validationResult } from 'express-validator';
-import { optionalAuth } from '../middleware/auth.js';
+import { generateTTS, streamTTS, generateConversationTTS, previewTTSInput, getTTSUsage, getTTSPricing } from '../services/ttsService.js';
+import { validateSSML, countBillableCharacters } from '../services/ssml.js';
+import { getVoices, getLanguages, getCatalogInfo, isSupportedLanguage, isKnownVoice, voiceSupportsLanguage } from '../services/voiceCatalog.js';
+import { SUPPORTED_ENCODINGS, SUPPORTED_SAMPLE_RATES, DEFAULT_SAMPLE_RATE } from '../services/audio/formats.js';
+import { TIMEPOINT_GRANULARITIES } from '../services/timepoints.js';
+import { NORMALIZATION_RULES } from '../services/normalization/index.js';
+import {
+    TARGET_LUFS_RANGE,
+    SILENCE_THRESHOLD_RANGE,
+    LIMITER_CEILING_RANGE,
+    MAX_FADE_SECONDS,
+    resolveProcessingOptions
+} from '../services/audio/processing.js';
+import { body, query, validationResult } from 'express-validator';
+import { optionalAuth, authenticateToken } from '../middleware/auth.js';
+import { rejectInvalid, parseFormJson } from '../middleware/validation.js';
 import { audioHistoryModel, conversationHistoryModel } from '../db/database.js';
+import { createJob, getJob, listJobs, cancelJob, formatJob } from '../services/ttsJobs.js';
+import {
+    CHAPTER_SOURCES,
+    DocumentFormatError,
+    extractDocument,
+    detectChapters,
+    compileChapterPattern,
+    blocksToSSML
+} from '../services/documents/index.js';
+import { uploadDocument, SUPPORTED_DOCUMENT_EXTENSIONS } from '../middleware/upload.js';
+import { BED_PLACEMENTS } from '../services/audio/mixing.js';
+import { AssetNotFoundError } from '../services/audioAssets.js';
+import { PresetNotFoundError, loadPresets, getDefaultPreset, applyPreset } from '../services/voicePresets.js';
 
 const router = express.Router();
 
+// Longest book an audiobook job accepts, and the formats of pasted book text
+const MAX_AUDIOBOOK_CHARACTERS = 1000000;
+const AUDIOBOOK_TEXT_FORMATS = ['md', 'txt', 'html'];
+
+// Conversation segments speak text, or play an uploaded sound effect
+const CONVERSATION_SEGMENT_TYPES = ['speech', 'sound'];
+
 // TTS routes middleware
 router.use((req, res, next) => {
     next();
 });
 
-// Validation middleware for TTS generation
-const validateTTSRequest = [
-    body('text')
-        .trim()
-        .isLength({ min: 1, max: 100000 })
-        .withMessage('Text must be between 1 and 100,000 characters'),
+// Validation for the output encoding and sample rate (shared by standard and conversation requests)
+const audioOutputValidators = [
+    body('audioConfig.audioEncoding')
+        .optional()
+        .customSanitizer(value => String(value).toUpperCase())
+        .isIn(SUPPORTED_ENCODINGS)
+        .withMessage(`Audio encoding must be one of: ${SUPPORTED_ENCODINGS.join(', ')}`),
+    body('audioConfig.sampleRateHertz')
+        .optional()
+        .toInt()
+        .isIn(SUPPORTED_SAMPLE_RATES)
+        .withMessage(`Sample rate must be one of: ${SUPPORTED_SAMPLE_RATES.join(', ')} Hz`)
+];
+
+// Per-request normalization toggle: false, true, or { [rule]: boolean } to switch single rules
+const normalizationValidator = body('normalization')
+    .optional()
+    .custom((value) => {
+        if (typeof value === 'boolean') return true;
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Normalization must be true, false or an object of rule toggles');
+        }
+        for (const [rule, enabled] of Object.entries(value)) {
+            if (!NORMALIZATION_RULES.includes(rule)) {
+                throw new Error(`Unknown normalization rule "${rule}" (rules: ${NORMALIZATION_RULES.join(', ')})`);
+            }
+            if (typeof enabled !== 'boolean') {
+                throw new Error(`Normalization rule "${rule}" must be true or false`);
+            }
+        }
+        return true;
+    });
+
+// Post-processing stage that is switched on with true (default level) or a level in range
+const processingLevelValidator = (stage, label, { min, max }, unit) => body(`postProcessing.${stage}`)
+    .optional()
+    .custom((value) => {
+        if (typeof value === 'boolean') return true;
+        if (typeof value !== 'number' || value < min || value > max) {
+            throw new Error(`${label} must be true, false or between ${min} and ${max} ${unit}`);
+        }
+        return true;
+    });
+
+// Optional post-processing of the decoded audio (shared by all generating requests)
+const postProcessingValidators = [
+    body('postProcessing')
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage('Post-processing must be an object of processing stages'),
+    processingLevelValidator('loudness', 'Loudness target', TARGET_LUFS_RANGE, 'LUFS'),
+    processingLevelValidator('trimSilence', 'Silence threshold', SILENCE_THRESHOLD_RANGE, 'dBFS'),
+    processingLevelValidator('limiter', 'Limiter ceiling', LIMITER_CEILING_RANGE, 'dBFS'),
+    body(['postProcessing.fadeIn', 'postProcessing.fadeOut'])
+        .optional()
+        .isFloat({ min: 0, max: MAX_FADE_SECONDS })
+        .withMessage(`Fades must be between 0 and ${MAX_FADE_SECONDS} seconds`)
+        .toFloat()
+];
+
+// Music bed under a conversation (an uploaded asset)
+const backgroundValidators = [
+    body('background')
+        .optional({ values: 'null' })
+        .isObject()
+        .withMessage('Background must be an object with the assetId of an uploaded music bed'),
+    body('background.assetId')
+        .if(body('background').exists({ values: 'null' }))
+        .isInt({ min: 1 })
+        .withMessage('Background needs the assetId of an uploaded music bed')
+        .toInt(),
+    body('background.volumeDb')
+        .optional()
+        .isFloat({ min: -40, max: 6 })
+        .withMessage('Background volume must be between -40 and 6 dB')
+        .toFloat(),
+    body('background.duckingDb')
+        .optional()
+        .isFloat({ min: -40, max: 0 })
+        .withMessage('Ducking must be between -40 and 0 dB')
+        .toFloat(),
+    body('background.placement')
+        .optional()
+        .isIn(BED_PLACEMENTS)
+        .withMessage(`Background placement must be one of: ${BED_PLACEMENTS.join(', ')}`),
+    body(['background.introSeconds', 'background.outroSeconds'])
+        .optional()
+        .isFloat({ min: 0, max: 30 })
+        .withMessage('Intro and outro must be between 0 and 30 seconds')
+        .toFloat(),
+    body('background.fadeSeconds')
+        .optional()
+        .isFloat({ min: 0, max: 10 })
+        .withMessage('Background fades must be between 0 and 10 seconds')
+        .toFloat()
+];
+
+// Voice must be an alias or a catalog voice that speaks the requested language
+const validateVoiceName = (languageCode) => (value) => {
+    if (!isKnownVoice(value)) {
+        throw new Error(`Unknown voice "${value}" (see GET /api/tts/voices)`);
+    }
+    if (!voiceSupportsLanguage(value, languageCode)) {
+        throw new Error(`Voice "${value}" does not support language ${languageCode}`);
+    }
+    return true;
+};
+
+// Validation for the voice and its settings (shared by standard requests and audiobooks)
+const voiceValidators = [
     body('languageCode')
         .optional()
-        .isIn(['en-US', 'en'])
-        .withMessage('Language code must be en-US or en'),
+        .custom(isSupportedLanguage)
+        .withMessage('Language is not supported by the TTS engine (see GET /api/tts/voices)'),
     body('voiceName')
         .optional()
-        .custom((value) => {
-            // Accept new simplified names or legacy Google Cloud format
-            const validVoices = ['female', 'male', 'neural-female', 'neural-male'];
-            const legacyPattern = /^en-US-(Standard|Wavenet|Neural2)-(A|B|C|D|F)$/;
-            return validVoices.includes(value) || legacyPattern.test(value);
-        })
-        .withMessage('Invalid English voice name (use "female", "male", "neural-female", or "neural-male")'),
+        .custom((value, { req }) => validateVoiceName(req.body.languageCode)(value)),
     body('audioConfig.speakingRate')
         .optional()
         .isFloat({ min: 0.25, max: 4.0 })
@@ -44,39 +175,281 @@ const validateTTSRequest = [
         .withMessage('Volume gain must be between -96.0 and 16.0 dB')
 ];
 
+// ID3 title and album (project) of generated MP3 files
+const metadataValidators = [
+    body('title')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Title must be less than 100 characters'),
+    body('album')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Album must be less than 100 characters')
+];
+
+// Fill voice fields from voice presets before validation: the presetId of a standard request or
+// of conversation segments, else the user's default preset when no voice is named
+const applyVoicePresets = [
+    body('presetId')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Preset id must be a positive integer')
+        .toInt(),
+    body('conversationSegments.*.presetId')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('Segment preset id must be a positive integer')
+        .toInt(),
+    async (req, res, next) => {
+        try {
+            if (rejectInvalid(req, res)) return;
+
+            const userId = req.user ? req.user.id : null;
+            const { conversationSegments } = req.body;
+            const segments = Array.isArray(conversationSegments)
+                ? conversationSegments.filter(segment => segment && typeof segment === 'object' && segment.type !== 'sound')
+                : null;
+            const requests = segments || [req.body];
+
+            const presetIds = requests.map(request => request.presetId).filter(presetId => presetId !== undefined && presetId !== null);
+            if (presetIds.length > 0 && !userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Log in to use voice presets'
+                });
+            }
+            const presets = await loadPresets(userId, presetIds);
+            const defaultPreset = requests.some(request => request.presetId == null && request.voiceName === undefined)
+                ? await getDefaultPreset(userId)
+                : null;
+            const presetFor = (request) => request.presetId != null
+                ? presets.get(request.presetId)
+                : request.voiceName === undefined ? defaultPreset : null;
+
+            if (segments) {
+                req.body.conversationSegments = conversationSegments.map(segment => {
+                    const preset = segments.includes(segment) && presetFor(segment);
+                    return preset ? { ...segment, ...applyPreset(preset, segment) } : segment;
+                });
+            } else {
+                const preset = presetFor(req.body);
+                // Audiobook forms send the audio config as a JSON string
+                const audioConfig = parseFormJson(req.body.audioConfig) ?? {};
+                if (preset && typeof audioConfig === 'object') {
+                    const { voiceName, languageCode, ...voiceSettings } = applyPreset(preset, {
+                        ...audioConfig,
+                        voiceName: req.body.voiceName,
+                        languageCode: req.body.languageCode
+                    });
+                    req.body = { ...req.body, voiceName, languageCode, audioConfig: { ...audioConfig, ...voiceSettings } };
+                }
+            }
+            next();
+        } catch (error) {
+            if (error instanceof PresetNotFoundError) {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    error: 'PRESET_NOT_FOUND'
+                });
+            }
+            console.error('Voice preset error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to apply voice presets'
+            });
+        }
+    }
+];
+
+// Validation middleware for TTS generation
+const validateTTSRequest = [
+    body('text')
+        .trim()
+        .isLength({ min: 1, max: 100000 })
+        .withMessage('Text must be between 1 and 100,000 characters')
+        .bail()
+        .custom((value, { req }) => {
+            if (req.body.inputType !== 'ssml') return true;
+            
+            // Long SSML is split into complete <speak> documents by the chunker
+            const result = validateSSML(value);
+            if (!result.valid) {
+                throw new Error(`Invalid SSML: ${result.errors[0].message}`);
+            }
+            return true;
+        }),
+    body('inputType')
+        .optional()
+        .isIn(['text', 'ssml'])
+        .withMessage('Input type must be "text" or "ssml"'),
+    body('timepoints')
+        .optional()
+        .isIn(TIMEPOINT_GRANULARITIES)
+        .withMessage(`Timepoints must be one of: ${TIMEPOINT_GRANULARITIES.join(', ')}`),
+    ...voiceValidators,
+    ...metadataValidators,
+    normalizationValidator,
+    ...postProcessingValidators,
+    ...audioOutputValidators
+];
+
+// Conversation segment a field path (conversationSegments[3].text) belongs to
+const getPathSegment = (req, path) => req.body.conversationSegments?.[Number(path.match(/\[(\d+)\]/)[1])];
+const isSpokenField = (value, { req, path }) => getPathSegment(req, path)?.type !== 'sound';
+const isSoundField = (value, { req, path }) => getPathSegment(req, path)?.type === 'sound';
+
 // Validation middleware for conversation TTS generation
 const validateConversationRequest = [
     body('conversationSegments')
         .isArray({ min: 1, max: 50 })
-        .withMessage('Conversation must have between 1 and 50 segments'),
+        .withMessage('Conversation must have between 1 and 50 segments')
+        .bail()
+        .custom(segments => segments.some(segment => segment?.type !== 'sound'))
+        .withMessage('Conversation must have at least one spoken segment'),
+    body('conversationSegments.*.type')
+        .optional()
+        .isIn(CONVERSATION_SEGMENT_TYPES)
+        .withMessage(`Segment type must be one of: ${CONVERSATION_SEGMENT_TYPES.join(', ')}`),
     body('conversationSegments.*.text')
+        .if(isSpokenField)
         .trim()
         .isLength({ min: 1, max: 1000 })
         .withMessage('Each segment text must be between 1 and 1,000 characters'),
+    body('conversationSegments.*.speaker')
+        .if(isSpokenField)
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Segment speaker must be at most 50 characters'),
+    body('conversationSegments.*.languageCode')
+        .optional()
+        .custom(isSupportedLanguage)
+        .withMessage('Segment language is not supported by the TTS engine'),
     body('conversationSegments.*.voiceName')
-        .custom((value) => {
-            const validVoices = ['female', 'male', 'neural-female', 'neural-male'];
-            const legacyPattern = /^en-US-(Standard|Wavenet|Neural2)-(A|B|C|D|F)$/;
-            return validVoices.includes(value) || legacyPattern.test(value);
-        })
-        .withMessage('Invalid voice name for segment'),
+        .if(isSpokenField)
+        .custom((value, { req, path }) => validateVoiceName(getPathSegment(req, path).languageCode)(value)),
+    body('conversationSegments.*.speakingRate')
+        .if(isSpokenField)
+        .optional()
+        .isFloat({ min: 0.25, max: 4.0 })
+        .withMessage('Segment speaking rate must be between 0.25 and 4.0')
+        .toFloat(),
+    body('conversationSegments.*.pitch')
+        .if(isSpokenField)
+        .optional()
+        .isFloat({ min: -20.0, max: 20.0 })
+        .withMessage('Segment pitch must be between -20.0 and 20.0')
+        .toFloat(),
+    body('conversationSegments.*.volumeGainDb')
+        .if(isSpokenField)
+        .optional()
+        .isFloat({ min: -96.0, max: 16.0 })
+        .withMessage('Segment volume gain must be between -96.0 and 16.0 dB')
+        .toFloat(),
+    body('conversationSegments.*.pauseAfter')
+        .optional()
+        .isFloat({ min: 0, max: 10 })
+        .withMessage('Pause after a segment must be between 0 and 10 seconds')
+        .toFloat(),
+    body('conversationSegments.*.assetId')
+        .if(isSoundField)
+        .isInt({ min: 1 })
+        .withMessage('Sound segments need the assetId of an uploaded sound effect')
+        .toInt(),
+    body('conversationSegments.*.volumeDb')
+        .if(isSoundField)
+        .optional()
+        .isFloat({ min: -40, max: 12 })
+        .withMessage('Sound effect volume must be between -40 and 12 dB')
+        .toFloat(),
+    ...backgroundValidators,
+    ...metadataValidators,
+    body('speakerPauseDuration')
+        .optional()
+        .isFloat({ min: 0.1, max: 3.0 })
+        .withMessage('Speaker pause duration must be between 0.1 and 3.0 seconds'),
+    normalizationValidator,
+    ...postProcessingValidators,
+    ...audioOutputValidators
+];
+
+// Validation middleware for audiobooks (JSON body or multipart form fields next to the document)
+const validateAudiobookRequest = [
+    body('text')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: MAX_AUDIOBOOK_CHARACTERS })
+        .withMessage(`Text must be between 1 and ${MAX_AUDIOBOOK_CHARACTERS.toLocaleString('en-US')} characters`),
+    body('format')
+        .optional()
+        .isIn(AUDIOBOOK_TEXT_FORMATS)
+        .withMessage(`Format must be one of: ${AUDIOBOOK_TEXT_FORMATS.join(', ')}`),
     body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Title must be less than 200 characters'),
+    body('album')
         .optional()
         .trim()
         .isLength({ max: 100 })
-        .withMessage('Title must be less than 100 characters'),
-    body('speakerPauseDuration')
+        .withMessage('Album must be less than 100 characters'),
+    body('chapterSource')
         .optional()
-        .isFloat({ min: 0.1, max: 3.0 })
-        .withMessage('Speaker pause duration must be between 0.1 and 3.0 seconds')
+        .isIn(CHAPTER_SOURCES)
+        .withMessage(`Chapter source must be one of: ${CHAPTER_SOURCES.join(', ')}`),
+    body('chapterPattern')
+        .if(body('chapterSource').equals('pattern'))
+        .isString()
+        .withMessage('A chapter pattern is required when chapters are split by pattern')
+        .bail()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Chapter pattern must be between 1 and 200 characters')
+        .bail()
+        .custom((value) => {
+            compileChapterPattern(value);
+            return true;
+        }),
+    body('headingLevel')
+        .optional()
+        .isInt({ min: 1, max: 6 })
+        .withMessage('Heading level must be between 1 and 6')
+        .toInt(),
+    body('chapterPause')
+        .optional()
+        .isFloat({ min: 0, max: 10 })
+        .withMessage('Chapter pause must be between 0 and 10 seconds')
+        .toFloat(),
+    body('audioConfig').optional().customSanitizer(parseFormJson),
+    body('normalization').optional().customSanitizer(parseFormJson),
+    body('postProcessing').optional().customSanitizer(parseFormJson),
+    ...voiceValidators,
+    normalizationValidator,
+    ...postProcessingValidators,
+    ...audioOutputValidators
 ];
 
+// Save a standard generation to the user's history (failures are logged, not returned)
+const saveAudioHistory = async (userId, text, result, speakingRate, title = null) => {
+    try {
+        await audioHistoryModel.createFromResult(userId, text, result, speakingRate, title);
+    } catch (historyError) {
+        console.error('Failed to save audio history:', historyError);
+        // Don't fail the request if history save fails
+    }
+};
+
 /**
  * @route POST /api/tts/generate
  * @desc Generate TTS audio from text using Google Cloud TTS
  * @access Public (supports both authenticated and anonymous users)
  */
-router.post('/generate', optionalAuth, validateTTSRequest, async (req, res) => {
+router.post('/generate', optionalAuth, applyVoicePresets, validateTTSRequest, async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
@@ -92,14 +465,22 @@ router.post('/generate', optionalAuth, validateTTSRequest, async (req, res) => {
             text,
             languageCode = 'en-US',
             voiceName = 'female', // Default to female voice
-            audioConfig = {}
+            audioConfig = {},
+            inputType = 'text',
+            timepoints = null, // 'word' | 'sentence' to also write SRT/WebVTT subtitles
+            normalization = true, // false, or { [rule]: false } to switch normalization rules off
+            title = null, // ID3 tags of MP3 files
+            album = null,
+            postProcessing = null // { loudness, trimSilence, fadeIn, fadeOut, limiter }
         } = req.body;
 
-        const characterCount = text.length;
+        // SSML is billed on the full markup (except <mark> tags)
+        const characterCount = countBillableCharacters(text, inputType);
 
         // Default audio configuration
         const defaultAudioConfig = {
             audioEncoding: 'MP3',
+            sampleRateHertz: DEFAULT_SAMPLE_RATE,
             speakingRate: 1.0,
             pitch: 0.0,
             volumeGainDb: 0.0,
@@ -115,31 +496,19 @@ router.post('/generate', optionalAuth, validateTTSRequest, async (req, res) => {
             languageCode,
             voiceName,
             audioConfig: defaultAudioConfig,
+            inputType,
             userId: userId,
-            characterCount
+            characterCount,
+            timepoints,
+            normalization,
+            title,
+            album,
+            postProcessing
         });
 
         // Save to history if user is authenticated (save even for cache hits)
         if (req.user) {
-            try {
-                // Extract filename from audioUrl
-                const audioFilename = result.audioUrl.split('/').pop();
-                
-                await audioHistoryModel.create({
-                    userId: req.user.id,
-                    text: text.substring(0, 500), // Store first 500 chars to save space
-                    voiceName: result.voiceUsed,
-                    speakingRate: defaultAudioConfig.speakingRate,
-                    audioUrl: result.audioUrl,
-                    audioFilename: audioFilename,
-                    characterCount: result.characterCount,
-                    estimatedCostUSD: result.cacheHit ? 0 : result.estimatedCostUSD, // No cost for cached content
-                    duration: result.duration
-                });
-            } catch (historyError) {
-                console.error('Failed to save audio history:', historyError);
-                // Don't fail the request if history save fails
-            }
+            await saveAudioHistory(req.user.id, text, result, defaultAudioConfig.speakingRate, title);
         }
 
         // TTS generation completed successfully
@@ -150,6 +519,10 @@ router.post('/generate', optionalAuth, validateTTSRequest, async (req, res) => {
             estimatedCostUSD: result.estimatedCostUSD,
             duration: result.duration,
             voiceUsed: result.voiceUsed,
+            inputType,
+            audioEncoding: result.audioEncoding,
+            sampleRateHertz: result.sampleRateHertz,
+            subtitles: result.subtitles || null,
             cacheHit: result.cacheHit || false
         });
 
@@ -181,6 +554,16 @@ router.post('/generate', optionalAuth, validateTTSRequest, async (req, res) => {
             });
         }
 
+        // Some chunks failed even after retries
+        if (error.name === 'SynthesisError') {
+            return res.status(502).json({
+                success: false,
+                message: `TTS provider failed to synthesize part of the text: ${error.message}`,
+                error: 'CHUNK_SYNTHESIS_FAILED',
+                failedChunks: error.failures
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to generate TTS audio. Please try again.',
@@ -190,11 +573,519 @@ router.post('/generate', optionalAuth, validateTTSRequest, async (req, res) => {
 });
 
 /**
- * @route POST /api/tts/generate-conversation
- * @desc Generate TTS audio from conversation segments using Google Cloud TTS
+ * @route POST /api/tts/stream
+ * @desc Stream MP3 audio (chunked HTTP) while long texts are still being synthesized
+ * @access Public (supports both authenticated and anonymous users)
+ */
+router.post('/stream', optionalAuth, applyVoicePresets, validateTTSRequest, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    // Loudness and trimming are measured on the complete audio, which a stream never has
+    if (resolveProcessingOptions(req.body.postProcessing)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Post-processing is not available for streamed audio; use POST /api/tts/generate'
+        });
+    }
+
+    const {
+        text,
+        languageCode = 'en-US',
+        voiceName = 'female',
+        audioConfig = {},
+        inputType = 'text',
+        normalization = true,
+        title = null,
+        album = null
+    } = req.body;
+
+    // Same defaults (and key order) as /generate so both endpoints share cached MP3 files
+    const streamAudioConfig = {
+        audioEncoding: 'MP3',
+        sampleRateHertz: DEFAULT_SAMPLE_RATE,
+        speakingRate: 1.0,
+        pitch: 0.0,
+        volumeGainDb: 0.0,
+        ...audioConfig
+    };
+
+    // Stop synthesizing when the listener goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) abortController.abort();
+    });
+
+    try {
+        const result = await streamTTS({
+            text,
+            languageCode,
+            voiceName,
+            audioConfig: streamAudioConfig,
+            inputType,
+            userId: req.user ? req.user.id : 'anonymous',
+            characterCount: countBillableCharacters(text, inputType),
+            normalization,
+            title,
+            album
+        }, {
+            signal: abortController.signal,
+            onStart: ({ audioUrl, cacheHit, chunkCount }) => {
+                res.status(200);
+                res.set({
+                    'Content-Type': 'audio/mpeg',
+                    'Cache-Control': 'no-store',
+                    'X-Audio-Url': audioUrl,
+                    'X-Cache-Hit': String(cacheHit),
+                    'X-Chunk-Count': String(chunkCount)
+                });
+                res.flushHeaders();
+            },
+            onAudio: (audio) => new Promise(resolve => {
+                // Respect backpressure so slow clients don't buffer the whole file in memory
+                if (res.write(audio) || abortController.signal.aborted) {
+                    resolve();
+                } else {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
+                }
+            })
+        });
+
+        if (!result) return; // Client disconnected
+
+        if (req.user) {
+            await saveAudioHistory(req.user.id, text, result, streamAudioConfig.speakingRate, title);
+        }
+        res.end();
+    } catch (error) {
+        console.error('TTS streaming error:', error.message);
+
+        if (!res.headersSent) {
+            return res.status(error.name === 'SynthesisError' ? 502 : 500).json({
+                success: false,
+                message: 'Failed to stream TTS audio. Please try again.',
+                error: error.name === 'SynthesisError' ? 'CHUNK_SYNTHESIS_FAILED' : 'GENERATION_FAILED',
+                failedChunks: error.failures
+            });
+        }
+
+        // Audio already started: abort the response so the client sees an incomplete stream
+        res.destroy(error);
+    }
+});
+
+/**
+ * @route POST /api/tts/normalize
+ * @desc Preview the input sent to the provider: the text after the user's lexicon
+ *       and normalization (numbers, dates, currency, URLs) were applied
+ * @access Public (the lexicon is only applied for authenticated users)
+ */
+router.post('/normalize', optionalAuth, applyVoicePresets, validateTTSRequest, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            text,
+            languageCode = 'en-US',
+            voiceName = 'female',
+            inputType = 'text',
+            timepoints = null,
+            normalization = true
+        } = req.body;
+
+        const preview = await previewTTSInput({
+            text,
+            languageCode,
+            voiceName,
+            inputType,
+            userId: req.user ? req.user.id : 'anonymous',
+            timepoints,
+            normalization
+        });
+
+        res.json({
+            success: true,
+            text: preview.text,
+            inputType: preview.inputType,
+            characterCount: preview.characterCount,
+            lexiconReplacements: preview.lexiconReplacements,
+            changes: preview.normalizationChanges
+        });
+    } catch (error) {
+        console.error('TTS normalization preview error:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to normalize text'
+        });
+    }
+});
+
+// Jobs are visible to their owner only; anonymous jobs to anyone with the id
+const canAccessJob = (job, req) => !job.user_id || (req.user && req.user.id === job.user_id);
+
+/**
+ * @route POST /api/tts/jobs
+ * @desc Queue a background TTS job (returns immediately with the job id)
  * @access Public (supports both authenticated and anonymous users)
  */
-router.post('/generate-conversation', optionalAuth, validateConversationRequest, async (req, res) => {
+router.post('/jobs', optionalAuth, applyVoicePresets, validateTTSRequest, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            text,
+            languageCode = 'en-US',
+            voiceName = 'female',
+            audioConfig = {},
+            inputType = 'text',
+            timepoints = null,
+            normalization = true,
+            title = null,
+            album = null,
+            postProcessing = null
+        } = req.body;
+
+        // Same defaults (and key order) as /generate so jobs share cached files
+        const jobAudioConfig = {
+            audioEncoding: 'MP3',
+            sampleRateHertz: DEFAULT_SAMPLE_RATE,
+            speakingRate: 1.0,
+            pitch: 0.0,
+            volumeGainDb: 0.0,
+            ...audioConfig
+        };
+
+        const job = await createJob({
+            text,
+            languageCode,
+            voiceName,
+            audioConfig: jobAudioConfig,
+            inputType,
+            characterCount: countBillableCharacters(text, inputType),
+            timepoints,
+            normalization,
+            title,
+            album,
+            postProcessing
+        }, req.user ? req.user.id : null);
+
+        res.status(202).json({
+            success: true,
+            job: formatJob(job),
+            statusUrl: `/api/tts/jobs/${job.id}`
+        });
+
+    } catch (error) {
+        console.error('TTS job creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create TTS job'
+        });
+    }
+});
+
+/**
+ * @route GET /api/tts/jobs
+ * @desc List the current user's TTS jobs
+ * @access Private
+ */
+router.get('/jobs', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const jobs = await listJobs(req.user.id, limit, offset);
+
+        res.json({
+            success: true,
+            jobs: jobs.map(formatJob)
+        });
+
+    } catch (error) {
+        console.error('TTS job list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch TTS jobs'
+        });
+    }
+});
+
+/**
+ * @route GET /api/tts/jobs/:id
+ * @desc Get the status, progress and result of a TTS job
+ * @access Public (jobs created by a signed-in user are only visible to that user)
+ */
+router.get('/jobs/:id', optionalAuth, async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job || !canAccessJob(job, req)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: formatJob(job)
+        });
+
+    } catch (error) {
+        console.error('TTS job status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch TTS job'
+        });
+    }
+});
+
+/**
+ * @route POST /api/tts/jobs/:id/cancel
+ * @desc Cancel a queued or running TTS job
+ * @access Public (jobs created by a signed-in user can only be cancelled by that user)
+ */
+router.post('/jobs/:id/cancel', optionalAuth, async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job || !canAccessJob(job, req)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const cancelledJob = await cancelJob(job.id);
+        if (!cancelledJob) {
+            const finishedJob = await getJob(job.id);
+            return res.status(409).json({
+                success: false,
+                message: `Job is already ${finishedJob.status}`
+            });
+        }
+
+        res.json({
+            success: true,
+            job: formatJob(cancelledJob)
+        });
+
+    } catch (error) {
+        console.error('TTS job cancel error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel TTS job'
+        });
+    }
+});
+
+/**
+ * @route POST /api/tts/audiobooks
+ * @desc Queue an audiobook job: split a document into chapters (EPUB table of contents,
+ *       headings or a custom pattern), synthesize one file per chapter and a combined
+ *       MP3 with ID3 chapter markers. Send the document as multipart/form-data (field
+ *       "file") or its text as JSON { text, format }.
+ * @access Public (supports both authenticated and anonymous users)
+ */
+router.post('/audiobooks', optionalAuth, uploadDocument, applyVoicePresets, validateAudiobookRequest, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            text,
+            format = 'md',
+            title,
+            album = null,
+            chapterSource = 'auto',
+            chapterPattern = null,
+            headingLevel = null,
+            chapterPause = 2,
+            languageCode = 'en-US',
+            voiceName = 'female',
+            audioConfig = {},
+            normalization = true,
+            postProcessing = null
+        } = req.body;
+
+        if (!req.file && !text) {
+            return res.status(400).json({
+                success: false,
+                message: `Upload a document in the "file" field (supported: ${SUPPORTED_DOCUMENT_EXTENSIONS}) or send its text`
+            });
+        }
+
+        const document = req.file
+            ? extractDocument(req.file.buffer, { filename: req.file.originalname, mimeType: req.file.mimetype })
+            : extractDocument(Buffer.from(text, 'utf8'), { format });
+
+        if (document.characterCount > MAX_AUDIOBOOK_CHARACTERS) {
+            return res.status(400).json({
+                success: false,
+                message: `The book has ${document.characterCount.toLocaleString('en-US')} characters; at most ${MAX_AUDIOBOOK_CHARACTERS.toLocaleString('en-US')} are supported`
+            });
+        }
+
+        const chapters = detectChapters(document, { source: chapterSource, pattern: chapterPattern, headingLevel });
+        const bookTitle = title || document.title || 'Audiobook';
+
+        // Characters are counted as billed: the chapter SSML after the lexicon and normalization
+        const userId = req.user ? req.user.id : 'anonymous';
+        const bookChapters = await Promise.all(chapters.map(async chapter => {
+            const text = blocksToSSML(chapter.blocks);
+            const preview = await previewTTSInput({ text, inputType: 'ssml', languageCode, voiceName, userId, normalization });
+            return { title: chapter.title, text, characterCount: preview.characterCount };
+        }));
+        const characterCount = bookChapters.reduce((sum, chapter) => sum + chapter.characterCount, 0);
+
+        const job = await createJob({
+            type: 'audiobook',
+            title: bookTitle,
+            album,
+            chapters: bookChapters.map(chapter => ({ title: chapter.title, text: chapter.text, inputType: 'ssml' })),
+            languageCode,
+            voiceName,
+            audioConfig: {
+                audioEncoding: 'MP3',
+                sampleRateHertz: DEFAULT_SAMPLE_RATE,
+                speakingRate: 1.0,
+                pitch: 0.0,
+                volumeGainDb: 0.0,
+                ...audioConfig
+            },
+            normalization,
+            postProcessing,
+            chapterPause,
+            characterCount
+        }, req.user ? req.user.id : null);
+
+        res.status(202).json({
+            success: true,
+            job: formatJob(job),
+            statusUrl: `/api/tts/jobs/${job.id}`,
+            audiobook: {
+                title: bookTitle,
+                format: document.format,
+                characterCount,
+                chapterCount: bookChapters.length,
+                chapters: bookChapters.map((chapter, index) => ({
+                    index: index + 1,
+                    title: chapter.title,
+                    characterCount: chapter.characterCount
+                }))
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof DocumentFormatError) {
+            return res.status(422).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Audiobook job creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create audiobook job'
+        });
+    }
+});
+
+// Saved segments as a request sends them (start/end are results of the render)
+const toRequestSegment = ({ start, end, ...segment }) => segment;
+
+// Load the saved conversation a regeneration starts from: the request body only needs the
+// fields that change, everything else (segments, title, render settings) comes from the saved version
+const loadSavedConversation = async (req, res, next) => {
+    try {
+        const saved = await conversationHistoryModel.findById(req.params.id);
+
+        if (!saved) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        // Ensure user owns this conversation
+        if (saved.user_id !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        req.savedConversation = saved;
+        req.body = {
+            ...saved.settings,
+            title: saved.title,
+            conversationSegments: saved.conversation_data.map(toRequestSegment),
+            ...req.body
+        };
+        next();
+    } catch (error) {
+        console.error('Saved conversation fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load saved conversation'
+        });
+    }
+};
+
+// Save a rendered conversation to history; a regeneration becomes the next version
+// of the conversation it was made from
+const saveConversationHistory = async (req, result, settings) => {
+    const saved = req.savedConversation;
+    const parentId = saved ? saved.id : null;
+    const rootId = saved ? saved.root_id ?? saved.id : null;
+    const version = saved ? await conversationHistoryModel.getNextVersion(rootId) : 1;
+
+    const id = await conversationHistoryModel.create({
+        userId: req.user.id,
+        title: req.body.title || `Conversation - ${new Date().toLocaleDateString()}`,
+        conversationSegments: result.conversationSegments, // With start/end of every segment
+        // Lines from the segment cache (e.g. unchanged lines of a regeneration) are not billed again
+        totalCharacterCount: result.billedCharacterCount,
+        estimatedCostUSD: result.estimatedCostUSD,
+        totalDuration: result.duration,
+        audioUrl: result.audioUrl,
+        audioFilename: result.audioUrl.split('/').pop(),
+        settings,
+        parentId,
+        rootId,
+        version
+    });
+    return { id, version, parentId };
+};
+
+// Generate a conversation (new, or a regeneration of req.savedConversation)
+const handleConversationRequest = async (req, res) => {
     try {
         // Check for validation errors
         const errors = validationResult(req);
@@ -209,11 +1100,25 @@ router.post('/generate-conversation', optionalAuth, validateConversationRequest,
         const {
             conversationSegments,
             title = null,
-            speakerPauseDuration = 0.5
+            album = null,
+            speakerPauseDuration = 0.5,
+            audioConfig = {},
+            normalization = true,
+            postProcessing = null,
+            background = null // { assetId, volumeDb, duckingDb, placement, introSeconds, outroSeconds, fadeSeconds }
         } = req.body;
 
+        // Music and sound effects are uploads of the user
+        const spokenSegments = conversationSegments.filter(segment => segment.type !== 'sound');
+        if (!req.user && (background || spokenSegments.length < conversationSegments.length)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Log in to use background music and sound effects'
+            });
+        }
+
         // Calculate total character count
-        const totalCharacterCount = conversationSegments.reduce((sum, segment) => sum + segment.text.length, 0);
+        const totalCharacterCount = spokenSegments.reduce((sum, segment) => sum + segment.text.length, 0);
 
         // Validate total character limit
         if (totalCharacterCount > 10000) {
@@ -230,24 +1135,27 @@ router.post('/generate-conversation', optionalAuth, validateConversationRequest,
         const result = await generateConversationTTS({
             conversationSegments,
             userId: userId,
-            speakerPauseDuration
+            title,
+            album,
+            speakerPauseDuration,
+            audioConfig,
+            normalization,
+            postProcessing,
+            background
         });
 
         // Save to conversation history if user is authenticated and it's not a cache hit
+        // (an unchanged regeneration comes from cache too)
+        let conversation = null;
         if (req.user && !result.cacheHit) {
             try {
-                // Extract filename from audioUrl
-                const audioFilename = result.audioUrl.split('/').pop();
-                
-                await conversationHistoryModel.create({
-                    userId: req.user.id,
-                    title: title || `Conversation - ${new Date().toLocaleDateString()}`,
-                    conversationSegments: conversationSegments,
-                    totalCharacterCount: result.totalCharacterCount,
-                    estimatedCostUSD: result.estimatedCostUSD,
-                    totalDuration: result.duration,
-                    audioUrl: result.audioUrl,
-                    audioFilename: audioFilename
+                conversation = await saveConversationHistory(req, result, {
+                    album,
+                    speakerPauseDuration,
+                    audioConfig,
+                    normalization,
+                    postProcessing,
+                    background
                 });
             } catch (historyError) {
                 console.error('Failed to save conversation history:', historyError);
@@ -260,11 +1168,17 @@ router.post('/generate-conversation', optionalAuth, validateConversationRequest,
             success: true,
             audioUrl: result.audioUrl,
             totalCharacterCount: result.totalCharacterCount,
+            billedCharacterCount: result.billedCharacterCount,
             estimatedCostUSD: result.estimatedCostUSD,
             duration: result.duration,
             conversationSegments: result.conversationSegments,
-            speakerCount: conversationSegments.length,
-            cacheHit: result.cacheHit || false
+            speakerCount: spokenSegments.length,
+            audioEncoding: result.audioEncoding,
+            sampleRateHertz: result.sampleRateHertz,
+            cacheHit: result.cacheHit || false,
+            segments: result.segments, // Per line: { index, cacheHit, characterCount, estimatedCostUSD }
+            cachedSegmentCount: result.segments.filter(segment => segment.cacheHit).length,
+            conversation // History entry { id, version, parentId }, null when nothing was saved
         });
 
     } catch (error) {
@@ -295,13 +1209,48 @@ router.post('/generate-conversation', optionalAuth, validateConversationRequest,
             });
         }
 
+        if (error instanceof AssetNotFoundError) {
+            return res.status(404).json({
+                success: false,
+                message: error.message,
+                error: 'ASSET_NOT_FOUND'
+            });
+        }
+
+        // Some segments failed even after retries (index is the segment position)
+        if (error.name === 'SynthesisError') {
+            return res.status(502).json({
+                success: false,
+                message: `TTS provider failed to synthesize ${error.failures.length} segment(s)`,
+                error: 'SEGMENT_SYNTHESIS_FAILED',
+                failedSegments: error.failures
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to generate conversation TTS audio. Please try again.',
             error: 'CONVERSATION_GENERATION_FAILED'
         });
     }
-});
+};
+
+/**
+ * @route POST /api/tts/generate-conversation
+ * @desc Generate TTS audio from conversation segments using Google Cloud TTS
+ * @access Public (supports both authenticated and anonymous users)
+ */
+router.post('/generate-conversation', optionalAuth, applyVoicePresets, validateConversationRequest, handleConversationRequest);
+
+/**
+ * @route POST /api/tts/conversations/:id/regenerate
+ * @desc Regenerate a saved conversation, optionally with edited segments or settings
+ *       (same fields as generate-conversation, missing ones are taken from the saved
+ *       version). The result is saved as a new version linked to the saved one unless
+ *       it comes from cache entirely.
+ * @access Private
+ */
+router.post('/conversations/:id/regenerate', authenticateToken, loadSavedConversation, applyVoicePresets, validateConversationRequest, handleConversationRequest);
 
 /**
  * @route GET /api/tts/usage
@@ -432,54 +1381,54 @@ router.get('/pricing', async (req, res) => {
 });
 
 
+// Label for a catalog voice ("de-DE-Neural2-B" -> "Neural2 B (Male)")
+const getVoiceLabel = (voice) => {
+    const [, , ...rest] = voice.name.split('-');
+    const gender = voice.gender.charAt(0) + voice.gender.slice(1).toLowerCase();
+    return `${rest.join(' ')} (${gender})`;
+};
+
 /**
  * @route GET /api/tts/voices
- * @desc Get available English voices
+ * @desc Get voices from the provider catalog, filterable by languageCode, gender and tier
  * @access Public
  */
-router.get('/voices', async (req, res) => {
+router.get('/voices', [
+    query('gender').optional().isIn(['female', 'male', 'neutral', 'FEMALE', 'MALE', 'NEUTRAL'])
+        .withMessage('Gender must be female, male or neutral'),
+    query('tier').optional().isString().trim(),
+    query('languageCode').optional().isString().trim()
+], async (req, res) => {
     try {
-        const voices = [
-            {
-                value: 'female',
-                label: 'Female (Standard)',
-                gender: 'FEMALE',
-                description: 'English female voice (Standard quality)',
-                googleVoice: 'en-US-Standard-C',
-                sampleRate: 24000
-            },
-            {
-                value: 'male',
-                label: 'Male (Standard)',
-                gender: 'MALE',
-                description: 'English male voice (Standard quality)',
-                googleVoice: 'en-US-Standard-B',
-                sampleRate: 24000
-            },
-            {
-                value: 'neural-female',
-                label: 'Female (Neural2)',
-                gender: 'FEMALE',
-                description: 'English female voice (Neural2 quality)',
-                googleVoice: 'en-US-Neural2-F',
-                sampleRate: 24000
-            },
-            {
-                value: 'neural-male',
-                label: 'Male (Neural2)',
-                gender: 'MALE',
-                description: 'English male voice (Neural2 quality)',
-                googleVoice: 'en-US-Neural2-D',
-                sampleRate: 24000
-            }
-        ];
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { languageCode, gender, tier } = req.query;
+
+        const voices = getVoices({ languageCode, gender, tier }).map(voice => ({
+            value: voice.name,
+            name: voice.name,
+            label: getVoiceLabel(voice),
+            gender: voice.gender,
+            tier: voice.tier,
+            languageCodes: voice.languageCodes,
+            description: `${voice.languageCodes.join(', ')} ${voice.gender.toLowerCase()} voice (${voice.tier})`,
+            sampleRate: voice.naturalSampleRateHertz
+        }));
 
         res.json({
             success: true,
             voices,
-            recommendedVoice: 'female',
+            languages: getLanguages(),
+            recommendedVoice: (voices.find(voice => voice.tier === 'standard' && voice.gender === 'FEMALE') || voices[0])?.value || null,
             totalVoices: voices.length,
-            quality: 'Standard & Neural2'
+            catalog: getCatalogInfo()
         });
     } catch (error) {
         console.error('TTS voices retrieval error:', error);
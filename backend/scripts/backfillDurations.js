@@ -0,0 +1,58 @@
+import path from 'path';
+import { initializeDatabase, getDatabase } from '../db/database.js';
+import { getAudioFileDuration } from '../services/audio/duration.js';
+
+/*
+ * One-time backfill of history durations
+ *
+ * Rows created before durations were measured store an estimate based on the
+ * character count. This script measures every history file that is still in
+ * the TTS cache and stores its real duration. Rows whose files have expired
+ * keep their estimate. Safe to run more than once.
+ *
+ * Usage: npm run backfill:durations (from the backend directory)
+ */
+
+const CACHE_DIRECTORY = path.join(process.cwd(), 'public', 'tts-cache');
+
+// Measure the files of one history table and update changed rows
+const backfillTable = async (db, table, durationColumn) => {
+    const rows = await db.all(`SELECT id, audio_filename, ${durationColumn} AS duration FROM ${table}`);
+    const summary = { table, total: rows.length, updated: 0, missing: 0 };
+
+    for (const row of rows) {
+        const duration = getAudioFileDuration(path.join(CACHE_DIRECTORY, row.audio_filename));
+        if (duration === null) {
+            summary.missing++;
+            continue;
+        }
+
+        if (duration !== row.duration) {
+            await db.run(`UPDATE ${table} SET ${durationColumn} = ? WHERE id = ?`, [duration, row.id]);
+            summary.updated++;
+        }
+    }
+
+    return summary;
+};
+
+const run = async () => {
+    await initializeDatabase();
+    const db = getDatabase();
+
+    const summaries = [
+        await backfillTable(db, 'audio_history', 'duration'),
+        await backfillTable(db, 'conversation_history', 'total_duration')
+    ];
+
+    for (const { table, total, updated, missing } of summaries) {
+        console.log(`${table}: ${updated} of ${total} rows updated, ${missing} audio file(s) no longer cached`);
+    }
+
+    await db.close();
+};
+
+run().catch(error => {
+    console.error('Duration backfill failed:', error);
+    process.exit(1);
+});
@@ -6,8 +6,14 @@ import { fileURLToPath } from 'url';
 import ttsRoutes from './routes/tts.js';
 import authRoutes from './routes/auth.js';
 import historyRoutes from './routes/history.js';
+import lexiconRoutes from './routes/lexicon.js';
+import documentRoutes from './routes/documents.js';
+import assetRoutes from './routes/assets.js';
+import presetRoutes from './routes/presets.js';
 import { initializeTTSService } from './services/ttsService.js';
 import { initializeDatabase } from './db/database.js';
+import { resumeJobs } from './services/ttsJobs.js';
+import { getMimeTypeForFile } from './services/audio/formats.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,14 +28,23 @@ const app = express();
 // Middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173', // Vite default port
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['X-Audio-Url', 'X-Cache-Hit', 'X-Chunk-Count'] // Read by the streaming player
 }));
 
 app.use(express.json({ limit: '50mb' })); // Increase limit for large text inputs
 app.use(express.urlencoded({ extended: true }));
 
+// Content-Type for generated audio follows the output encoding (mp3, ogg, wav, flac)
+const setAudioContentType = (res, filePath) => {
+    const mimeType = getMimeTypeForFile(filePath);
+    if (mimeType) {
+        res.setHeader('Content-Type', mimeType);
+    }
+};
+
 // Serve static files from public directory
-app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.static(path.join(__dirname, 'public'), { setHeaders: setAudioContentType }));
 
 // Serve TTS cache files with proper headers
 app.use('/tts-cache', (req, res, next) => {
@@ -38,12 +53,16 @@ app.use('/tts-cache', (req, res, next) => {
     res.header('Access-Control-Allow-Headers', 'Content-Type');
     res.header('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
     next();
-}, express.static(path.join(__dirname, 'public', 'tts-cache')));
+}, express.static(path.join(__dirname, 'public', 'tts-cache'), { setHeaders: setAudioContentType }));
 
 // API routes
 app.use('/api/tts', ttsRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/history', historyRoutes);
+app.use('/api/lexicon', lexiconRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/presets', presetRoutes);
 
 
 // 404 handler
@@ -77,13 +96,18 @@ app.listen(PORT, async () => {
         console.error('Database initialization failed:', error.message);
     }
     
-    // Initialize TTS service
-    if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-        try {
-            await initializeTTSService();
-        } catch (error) {
-            console.error('TTS initialization failed:', error.message);
-        }
+    // Initialize TTS service (provider is selected by TTS_PROVIDER, see services/providers)
+    try {
+        await initializeTTSService();
+    } catch (error) {
+        console.error('TTS initialization failed:', error.message);
+    }
+
+    // Pick up background jobs interrupted by the last shutdown
+    try {
+        await resumeJobs();
+    } catch (error) {
+        console.error('Resuming TTS jobs failed:', error.message);
     }
 });
 
@@ -0,0 +1,217 @@
+import fs from 'fs';
+import { isWav } from './wav.js';
+import { getId3TagLength } from './id3.js';
+
+/*
+ * Audio duration
+ *
+ * Reads the playback length of an encoded file from its container instead of
+ * decoding it: MP3 frame headers (or the Xing/Info frame count), the WAV data
+ * chunk size, the last Ogg granule position and the FLAC STREAMINFO block.
+ */
+
+// MPEG audio header tables, indexed by version id (3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5)
+const MPEG_SAMPLE_RATES = {
+    3: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    0: [11025, 12000, 8000]
+};
+
+// Bitrates in kbps by [MPEG-1 | MPEG-2/2.5][layer]
+const MPEG_BITRATES = {
+    v1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    v2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+
+const roundDuration = (seconds) => Math.round(seconds * 100) / 100;
+
+// Parse an MPEG audio frame header, or null if there is no valid frame at offset
+const parseMpegFrameHeader = (buffer, offset) => {
+    if (offset + 4 > buffer.length) return null;
+    if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+    const versionId = (buffer[offset + 1] >> 3) & 0x03;
+    const layer = 4 - ((buffer[offset + 1] >> 1) & 0x03); // 1, 2 or 3
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    const channelMode = buffer[offset + 3] >> 6;
+
+    if (versionId === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null; // Reserved values or free-format bitrate
+    }
+
+    const isMpeg1 = versionId === 3;
+    const bitrate = MPEG_BITRATES[isMpeg1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[versionId][sampleRateIndex];
+
+    let samplesPerFrame;
+    let frameLength;
+    if (layer === 1) {
+        samplesPerFrame = 384;
+        frameLength = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    } else {
+        samplesPerFrame = layer === 3 && !isMpeg1 ? 576 : 1152;
+        frameLength = Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+    }
+
+    return { isMpeg1, layer, sampleRate, samplesPerFrame, frameLength, isMono: channelMode === 3 };
+};
+
+// Frame count from a Xing/Info (VBR) header in the first frame, if present
+const readXingFrameCount = (buffer, offset, header) => {
+    if (header.layer !== 3) return null;
+
+    // Side information size depends on MPEG version and channel count
+    const sideInfoSize = header.isMpeg1 ? (header.isMono ? 17 : 32) : (header.isMono ? 9 : 17);
+    const tagOffset = offset + 4 + sideInfoSize;
+    if (tagOffset + 12 > buffer.length) return null;
+
+    const tag = buffer.toString('ascii', tagOffset, tagOffset + 4);
+    if (tag !== 'Xing' && tag !== 'Info') return null;
+
+    const flags = buffer.readUInt32BE(tagOffset + 4);
+    return flags & 0x01 ? buffer.readUInt32BE(tagOffset + 8) : null;
+};
+
+// MP3 duration: Xing frame count when available, otherwise sum every frame
+const getMp3Duration = (buffer) => {
+    let offset = getId3TagLength(buffer);
+
+    // Find the first frame (tolerates junk between the tag and the audio)
+    while (offset < buffer.length && !parseMpegFrameHeader(buffer, offset)) {
+        offset++;
+    }
+
+    const firstFrame = parseMpegFrameHeader(buffer, offset);
+    if (!firstFrame) return null;
+
+    const xingFrames = readXingFrameCount(buffer, offset, firstFrame);
+    if (xingFrames) {
+        return xingFrames * firstFrame.samplesPerFrame / firstFrame.sampleRate;
+    }
+
+    let seconds = 0;
+    while (offset < buffer.length) {
+        if (buffer.length - offset === 128 && buffer.toString('ascii', offset, offset + 3) === 'TAG') {
+            break; // ID3v1 tag
+        }
+        const header = parseMpegFrameHeader(buffer, offset);
+        if (!header || header.frameLength <= 0) {
+            offset++; // Resynchronize after a corrupt byte
+            continue;
+        }
+        seconds += header.samplesPerFrame / header.sampleRate;
+        offset += header.frameLength;
+    }
+    return seconds;
+};
+
+// WAV duration from the data chunk size and the fmt byte rate
+const getWavDuration = (buffer) => {
+    let byteRate = null;
+    let dataSize = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            byteRate = buffer.readUInt32LE(chunkStart + 8);
+        } else if (chunkId === 'data') {
+            // Streamed WAVs may carry a placeholder size, clamp to what is present
+            dataSize = Math.min(chunkSize, buffer.length - chunkStart);
+        }
+
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    return byteRate && dataSize !== null ? dataSize / byteRate : null;
+};
+
+// Ogg duration from the last granule position of the first logical stream (Opus or Vorbis)
+const getOggDuration = (buffer) => {
+    const serial = buffer.readUInt32LE(14);
+    const firstPacketOffset = 27 + buffer[26];
+    const codecId = buffer.toString('ascii', firstPacketOffset, firstPacketOffset + 8);
+
+    let granuleRate;
+    let preSkip = 0;
+    if (codecId === 'OpusHead') {
+        granuleRate = 48000; // Opus granule positions are always 48kHz
+        preSkip = buffer.readUInt16LE(firstPacketOffset + 10);
+    } else if (codecId.slice(1, 7) === 'vorbis') {
+        granuleRate = buffer.readUInt32LE(firstPacketOffset + 12);
+    } else {
+        return null;
+    }
+
+    // Walk backwards to the last page of this stream with a granule position
+    let offset = buffer.lastIndexOf('OggS');
+    while (offset >= 0) {
+        if (offset + 27 <= buffer.length && buffer.readUInt32LE(offset + 14) === serial) {
+            const granulePosition = buffer.readBigInt64LE(offset + 6);
+            if (granulePosition >= 0n) {
+                return Math.max(0, Number(granulePosition) - preSkip) / granuleRate;
+            }
+        }
+        offset = offset > 0 ? buffer.lastIndexOf('OggS', offset - 1) : -1;
+    }
+    return null;
+};
+
+// FLAC duration from STREAMINFO (always the first metadata block)
+const getFlacDuration = (buffer) => {
+    if (buffer.length < 26) return null;
+
+    const info = buffer.subarray(8); // After "fLaC" and the block header
+    const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+    const totalSamples = (info[13] & 0x0F) * 2 ** 32 + info.readUInt32BE(14);
+
+    return sampleRate && totalSamples ? totalSamples / sampleRate : null;
+};
+
+/**
+ * Playback duration of an encoded audio file in seconds (two decimals).
+ * Returns null when the format is not recognized or the file is malformed.
+ */
+export const getAudioDuration = (buffer) => {
+    const audio = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+
+    try {
+        let seconds = null;
+        if (isWav(audio)) {
+            seconds = getWavDuration(audio);
+        } else if (audio.toString('ascii', 0, 4) === 'OggS') {
+            seconds = getOggDuration(audio);
+        } else if (audio.toString('ascii', 0, 4) === 'fLaC') {
+            seconds = getFlacDuration(audio);
+        } else {
+            seconds = getMp3Duration(audio);
+        }
+        return seconds === null ? null : roundDuration(seconds);
+    } catch {
+        return null; // Truncated headers
+    }
+};
+
+// Duration of an audio file on disk (null if it is missing or unreadable)
+export const getAudioFileDuration = (filePath) => {
+    if (!fs.existsSync(filePath)) return null;
+    return getAudioDuration(fs.readFileSync(filePath));
+};
+
+export default {
+    getAudioDuration,
+    getAudioFileDuration
+};
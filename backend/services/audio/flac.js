@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import { toInt16 } from './pcm.js';
+
+// FLAC encoder for mono 16-bit PCM using FIXED predictors and Rice coding.
+// Compression is modest but the output is a standard stream any decoder reads.
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const MAX_RICE_PARAMETER = 14; // 15 is the escape code
+
+// Big-endian bit writer
+class BitWriter {
+    constructor(initialSize = 1024) {
+        this.buffer = Buffer.alloc(initialSize);
+        this.byteOffset = 0;
+        this.bitOffset = 0; // Bits used in the current byte
+    }
+
+    ensure(bytes) {
+        if (this.byteOffset + bytes + 1 < this.buffer.length) return;
+        const next = Buffer.alloc(Math.max(this.buffer.length * 2, this.byteOffset + bytes + 16));
+        this.buffer.copy(next);
+        this.buffer = next;
+    }
+
+    write(value, bits) {
+        this.ensure(Math.ceil(bits / 8) + 1);
+        for (let i = bits - 1; i >= 0; i--) {
+            const bit = Math.floor(value / 2 ** i) & 1;
+            if (bit) {
+                this.buffer[this.byteOffset] |= 0x80 >> this.bitOffset;
+            }
+            this.bitOffset++;
+            if (this.bitOffset === 8) {
+                this.bitOffset = 0;
+                this.byteOffset++;
+            }
+        }
+    }
+
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + 2 ** bits : value, bits);
+    }
+
+    writeUnary(zeros) {
+        this.ensure(Math.ceil((zeros + 1) / 8) + 1);
+        // Zero bits are already zero in the buffer, only advance the position
+        const total = this.bitOffset + zeros;
+        this.byteOffset += Math.floor(total / 8);
+        this.bitOffset = total % 8;
+        this.write(1, 1);
+    }
+
+    alignToByte() {
+        if (this.bitOffset > 0) {
+            this.bitOffset = 0;
+            this.byteOffset++;
+        }
+    }
+
+    toBuffer() {
+        return this.buffer.subarray(0, this.byteOffset + (this.bitOffset > 0 ? 1 : 0));
+    }
+}
+
+const crc8 = (buffer) => {
+    let crc = 0;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+};
+
+const crc16 = (buffer) => {
+    let crc = 0;
+    for (const byte of buffer) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+};
+
+// Frame header sample rate codes (streams stay decodable without STREAMINFO)
+const SAMPLE_RATE_CODES = {
+    88200: 0b0001, 176400: 0b0010, 192000: 0b0011, 8000: 0b0100, 16000: 0b0101,
+    22050: 0b0110, 24000: 0b0111, 32000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011
+};
+
+// UTF-8 style coding of the frame number
+const encodeFrameNumber = (value) => {
+    if (value < 0x80) return [value];
+    const bytes = [];
+    let remaining = value;
+    while (remaining >= 0x40 >> bytes.length || bytes.length === 0) {
+        bytes.unshift(0x80 | (remaining & 0x3F));
+        remaining = Math.floor(remaining / 64);
+    }
+    const leading = (0xFF00 >> (bytes.length + 1)) & 0xFF;
+    return [leading | remaining, ...bytes];
+};
+
+// Residuals for FIXED predictor orders 0-4
+const computeResiduals = (block, order) => {
+    const residuals = new Int32Array(block.length - order);
+    for (let i = order; i < block.length; i++) {
+        let prediction;
+        switch (order) {
+            case 0: prediction = 0; break;
+            case 1: prediction = block[i - 1]; break;
+            case 2: prediction = 2 * block[i - 1] - block[i - 2]; break;
+            case 3: prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+            default: prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4]; break;
+        }
+        residuals[i - order] = block[i] - prediction;
+    }
+    return residuals;
+};
+
+// Pick the Rice parameter from the mean zig-zag value
+const chooseRiceParameter = (residuals) => {
+    if (residuals.length === 0) return 0;
+    let sum = 0;
+    for (const residual of residuals) {
+        sum += residual >= 0 ? residual * 2 : -residual * 2 - 1;
+    }
+    const mean = sum / residuals.length;
+    return Math.min(MAX_RICE_PARAMETER, Math.max(0, Math.floor(Math.log2(mean + 1))));
+};
+
+const writeSubframe = (writer, block) => {
+    // CONSTANT subframe for silence and DC blocks
+    if (block.every(sample => sample === block[0])) {
+        writer.write(0, 1);
+        writer.write(0b000000, 6);
+        writer.write(0, 1);
+        writer.writeSigned(block[0], BITS_PER_SAMPLE);
+        return;
+    }
+
+    // Choose the FIXED order with the smallest absolute residual sum
+    let best = null;
+    for (let order = 0; order <= Math.min(4, block.length - 1); order++) {
+        const residuals = computeResiduals(block, order);
+        let cost = 0;
+        for (const residual of residuals) cost += Math.abs(residual);
+        if (!best || cost < best.cost) {
+            best = { order, residuals, cost };
+        }
+    }
+
+    writer.write(0, 1);
+    writer.write(0b001000 | best.order, 6);
+    writer.write(0, 1);
+
+    // Warm-up samples
+    for (let i = 0; i < best.order; i++) {
+        writer.writeSigned(block[i], BITS_PER_SAMPLE);
+    }
+
+    // Residual: 4-bit Rice, partition order 0
+    const parameter = chooseRiceParameter(best.residuals);
+    writer.write(0b00, 2);
+    writer.write(0, 4);
+    writer.write(parameter, 4);
+
+    for (const residual of best.residuals) {
+        const folded = residual >= 0 ? residual * 2 : -residual * 2 - 1;
+        writer.writeUnary(Math.floor(folded / 2 ** parameter));
+        if (parameter > 0) {
+            writer.write(folded % 2 ** parameter, parameter);
+        }
+    }
+};
+
+const encodeFrame = (block, frameNumber, sampleRate) => {
+    const writer = new BitWriter(block.length * 2 + 32);
+    const sampleRateCode = SAMPLE_RATE_CODES[sampleRate] ?? (sampleRate <= 0xFFFF ? 0b1101 : 0b0000);
+
+    writer.write(0b11111111111110, 14); // Sync code
+    writer.write(0, 1); // Reserved
+    writer.write(0, 1); // Fixed block size stream
+    writer.write(0b0111, 4); // Block size: 16 bit (size - 1) at end of header
+    writer.write(sampleRateCode, 4);
+    writer.write(0b0000, 4); // Channels: mono
+    writer.write(0b100, 3); // Sample size: 16 bits
+    writer.write(0, 1); // Reserved
+    for (const byte of encodeFrameNumber(frameNumber)) {
+        writer.write(byte, 8);
+    }
+    writer.write(block.length - 1, 16);
+    if (sampleRateCode === 0b1101) {
+        writer.write(sampleRate, 16); // Sample rate in Hz
+    }
+    writer.write(crc8(writer.toBuffer()), 8);
+
+    writeSubframe(writer, block);
+    writer.alignToByte();
+    writer.write(crc16(writer.toBuffer()), 16);
+
+    return Buffer.from(writer.toBuffer());
+};
+
+// STREAMINFO metadata block (always the last and only metadata block here)
+const createStreamInfo = (sampleRate, totalSamples, md5) => {
+    const writer = new BitWriter(42);
+    writer.write(1, 1); // Last metadata block
+    writer.write(0, 7); // Type: STREAMINFO
+    writer.write(34, 24); // Length
+    writer.write(BLOCK_SIZE, 16); // Minimum block size
+    writer.write(BLOCK_SIZE, 16); // Maximum block size
+    writer.write(0, 24); // Minimum frame size (unknown)
+    writer.write(0, 24); // Maximum frame size (unknown)
+    writer.write(sampleRate, 20);
+    writer.write(0, 3); // Channels - 1
+    writer.write(BITS_PER_SAMPLE - 1, 5);
+    writer.write(totalSamples, 36);
+    const header = writer.toBuffer();
+    return Buffer.concat([header, md5]);
+};
+
+/**
+ * Encode mono PCM as a FLAC stream (16-bit).
+ */
+export const encodeFlac = (pcm) => {
+    const samples = toInt16(pcm.samples);
+    const md5 = crypto.createHash('md5')
+        .update(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength))
+        .digest();
+
+    const frames = [];
+    for (let offset = 0, frameNumber = 0; offset < samples.length; offset += BLOCK_SIZE, frameNumber++) {
+        frames.push(encodeFrame(samples.subarray(offset, offset + BLOCK_SIZE), frameNumber, pcm.sampleRate));
+    }
+
+    return Buffer.concat([
+        Buffer.from('fLaC', 'ascii'),
+        createStreamInfo(pcm.sampleRate, samples.length, md5),
+        ...frames
+    ]);
+};
+
+export default {
+    encodeFlac
+};
@@ -0,0 +1,46 @@
+// Output encodings with their file extensions and MIME types
+
+export const AUDIO_FORMATS = {
+    MP3: { extension: 'mp3', mimeType: 'audio/mpeg' },
+    OGG_OPUS: { extension: 'ogg', mimeType: 'audio/ogg' },
+    LINEAR16: { extension: 'wav', mimeType: 'audio/wav' },
+    FLAC: { extension: 'flac', mimeType: 'audio/flac' }
+};
+
+// Encodings accepted in audioConfig.audioEncoding (WAV is an alias of LINEAR16)
+export const SUPPORTED_ENCODINGS = [...Object.keys(AUDIO_FORMATS), 'WAV'];
+
+// Sample rates accepted in audioConfig.sampleRateHertz
+export const SUPPORTED_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+
+export const DEFAULT_ENCODING = 'MP3';
+export const DEFAULT_SAMPLE_RATE = 24000;
+
+// Normalize a requested encoding to its canonical name
+export const normalizeEncoding = (encoding = DEFAULT_ENCODING) => {
+    const normalized = String(encoding).toUpperCase();
+    return normalized === 'WAV' ? 'LINEAR16' : normalized;
+};
+
+// File extension for an encoding
+export const getExtension = (encoding) => {
+    return (AUDIO_FORMATS[normalizeEncoding(encoding)] || AUDIO_FORMATS[DEFAULT_ENCODING]).extension;
+};
+
+// MIME type for a cached file, based on its extension
+export const getMimeTypeForFile = (filename) => {
+    const extension = filename.split('.').pop().toLowerCase();
+    const format = Object.values(AUDIO_FORMATS).find(entry => entry.extension === extension);
+    return format ? format.mimeType : null;
+};
+
+export default {
+    AUDIO_FORMATS,
+    SUPPORTED_ENCODINGS,
+    SUPPORTED_SAMPLE_RATES,
+    DEFAULT_ENCODING,
+    DEFAULT_SAMPLE_RATE,
+    normalizeEncoding,
+    getExtension,
+    getMimeTypeForFile
+};
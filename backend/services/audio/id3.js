@@ -0,0 +1,192 @@
+/*
+ * ID3v2.3 tags for MP3 files
+ *
+ * Writes the library metadata of a generated file (title, artist, album,
+ * year, track, comment) and a chapter table of contents (ID3v2 Chapter Frame
+ * Addendum): one CTOC frame listing every CHAP frame in order, each chapter
+ * with its start/end time and a TIT2 title sub-frame. Existing tags can be
+ * read back so single fields are replaced without losing the others.
+ */
+
+const NO_BYTE_OFFSET = 0xFFFFFFFF; // CHAP byte offsets are optional, times are used instead
+
+// Text frames written for the metadata fields of createId3Tag()
+const TEXT_FRAMES = {
+    title: 'TIT2',
+    artist: 'TPE1',
+    album: 'TALB',
+    year: 'TYER',
+    track: 'TRCK' // "3/12": track 3 of 12
+};
+
+// Text encodings: ISO-8859-1 when every character fits, otherwise UTF-16 with BOM
+const isLatin1 = (value) => /^[\x00-\xFF]*$/.test(value);
+
+const encodeString = (value, unicode) => (
+    unicode
+        ? Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(value, 'utf16le')])
+        : Buffer.from(value, 'latin1')
+);
+
+const encodeText = (text) => {
+    const value = String(text);
+    const unicode = !isLatin1(value);
+    return Buffer.concat([Buffer.from([unicode ? 0x01 : 0x00]), encodeString(value, unicode)]);
+};
+
+// Synchsafe integer (7 bits per byte) used for the tag size
+const synchsafe = (value) => Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+
+const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0);
+    return buffer;
+};
+
+// ID3v2.3 frame: 4-char id, 32-bit size, 16-bit flags, payload
+const createFrame = (id, payload) => Buffer.concat([
+    Buffer.from(id, 'latin1'),
+    uint32(payload.length),
+    Buffer.alloc(2),
+    payload
+]);
+
+const nullTerminated = (value) => Buffer.from(`${value}\0`, 'latin1');
+
+export const createTextFrame = (id, text) => createFrame(id, encodeText(text));
+
+/**
+ * COMM frame: free text with a language and a (usually empty) description.
+ */
+export const createCommentFrame = (text, { language = 'eng', description = '' } = {}) => {
+    const value = String(text);
+    const unicode = !isLatin1(description + value);
+    return createFrame('COMM', Buffer.concat([
+        Buffer.from([unicode ? 0x01 : 0x00]),
+        Buffer.from(language.padEnd(3).slice(0, 3), 'latin1'),
+        encodeString(description, unicode),
+        Buffer.from(unicode ? [0x00, 0x00] : [0x00]),
+        encodeString(value, unicode)
+    ]));
+};
+
+/**
+ * CHAP frame for one chapter.
+ * chapter: { elementId, title, startMs, endMs }
+ */
+export const createChapterFrame = ({ elementId, title, startMs, endMs }) => createFrame('CHAP', Buffer.concat([
+    nullTerminated(elementId),
+    uint32(Math.round(startMs)),
+    uint32(Math.round(endMs)),
+    uint32(NO_BYTE_OFFSET),
+    uint32(NO_BYTE_OFFSET),
+    ...(title ? [createTextFrame('TIT2', title)] : [])
+]));
+
+/**
+ * Top-level, ordered CTOC frame listing chapter element ids.
+ * At most 255 entries fit in a table of contents.
+ */
+export const createTableOfContentsFrame = (elementIds, { elementId = 'toc', title = null } = {}) => {
+    if (elementIds.length > 255) {
+        throw new Error('An ID3 table of contents holds at most 255 chapters');
+    }
+    return createFrame('CTOC', Buffer.concat([
+        nullTerminated(elementId),
+        Buffer.from([0x03, elementIds.length]), // Flags: top-level, ordered
+        ...elementIds.map(nullTerminated),
+        ...(title ? [createTextFrame('TIT2', title)] : [])
+    ]));
+};
+
+// Metadata frames for the fields that are set (empty values are left out)
+const createMetadataFrames = (metadata) => [
+    ...Object.entries(TEXT_FRAMES)
+        .filter(([field]) => metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== '')
+        .map(([field, id]) => createTextFrame(id, metadata[field])),
+    ...(metadata.comment ? [createCommentFrame(metadata.comment)] : [])
+];
+
+// Complete tag from encoded frames
+const createTag = (frames) => {
+    const body = Buffer.concat(frames);
+    return Buffer.concat([
+        Buffer.from('ID3', 'latin1'),
+        Buffer.from([0x03, 0x00, 0x00]), // Version 2.3.0, no flags
+        synchsafe(body.length),
+        body
+    ]);
+};
+
+/**
+ * Build an ID3v2.3 tag to put in front of MP3 data.
+ * options: { title, artist, album, year, track, comment, chapters: [{ title, startMs, endMs }] }
+ */
+export const createId3Tag = ({ chapters = [], ...metadata } = {}) => {
+    const chapterFrames = chapters.map((chapter, index) => createChapterFrame({
+        ...chapter,
+        elementId: `chp${index}`
+    }));
+
+    return createTag([
+        ...createMetadataFrames(metadata),
+        ...(chapters.length > 0 ? [createTableOfContentsFrame(chapters.map((chapter, index) => `chp${index}`))] : []),
+        ...chapterFrames
+    ]);
+};
+
+/**
+ * Length in bytes of the ID3v2 tag at the start of a file (0 without one).
+ * Only the first 10 bytes are needed.
+ */
+export const getId3TagLength = (buffer) => {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+    // Tag size is a 28-bit syncsafe integer, plus a 10-byte footer when flagged
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Frames ({ id, payload }) of an ID3v2.3 tag as written by createId3Tag.
+ * Other versions, and tags using unsynchronisation or extended headers, return [].
+ */
+export const readId3Frames = (tag) => {
+    if (getId3TagLength(tag) === 0 || tag[3] !== 3 || (tag[5] & 0xC0) !== 0) return [];
+
+    const end = Math.min(getId3TagLength(tag), tag.length);
+    const frames = [];
+    let offset = 10;
+    while (offset + 10 <= end && tag[offset] !== 0) { // Zero bytes are padding
+        const size = tag.readUInt32BE(offset + 4);
+        frames.push({ id: tag.toString('latin1', offset, offset + 4), payload: tag.subarray(offset + 10, offset + 10 + size) });
+        offset += 10 + size;
+    }
+    return frames;
+};
+
+/**
+ * Rebuild a tag with some metadata fields replaced ({ title, artist, album, year, track, comment };
+ * null removes a field). Chapters and other frames are kept.
+ */
+export const updateId3Tag = (tag, metadata) => {
+    const replaced = new Set(Object.keys(metadata).map(field => (field === 'comment' ? 'COMM' : TEXT_FRAMES[field])));
+    const kept = readId3Frames(tag).filter(frame => !replaced.has(frame.id));
+
+    return createTag([
+        ...createMetadataFrames(metadata),
+        ...kept.map(frame => createFrame(frame.id, frame.payload))
+    ]);
+};
+
+export default {
+    createTextFrame,
+    createCommentFrame,
+    createChapterFrame,
+    createTableOfContentsFrame,
+    createId3Tag,
+    getId3TagLength,
+    readId3Frames,
+    updateId3Tag
+};
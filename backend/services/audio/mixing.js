@@ -0,0 +1,127 @@
+import { resample } from './pcm.js';
+
+/*
+ * Background beds
+ *
+ * Mixes a music bed under speech PCM. The bed is looped as needed and
+ * placed under the whole program or only at its start and/or end, where
+ * music-only intro and outro sections are added around the speech. While
+ * someone speaks the bed is ducked (turned down), starting slightly before
+ * the voice and recovering after a short hold so pauses between words do
+ * not make it pump.
+ */
+
+export const BED_PLACEMENTS = ['full', 'intro', 'outro', 'intro-outro'];
+
+export const DEFAULT_BACKGROUND = {
+    volumeDb: -12, // Bed level relative to its file
+    duckingDb: -12, // Extra reduction under speech (0 turns ducking off)
+    placement: 'full',
+    introSeconds: 3, // Music before the first line
+    outroSeconds: 3, // Music after the last line
+    fadeSeconds: 1
+};
+
+const DETECTION_WINDOW_SECONDS = 0.02;
+const SPEECH_THRESHOLD_DB = -45;
+const DUCK_LOOKAHEAD_SECONDS = 0.2;
+const DUCK_HOLD_SECONDS = 0.3;
+const DUCK_SMOOTHING_SECONDS = 0.08;
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// Per-sample bed gain: duckGain where speech is present, 1 elsewhere, smoothed
+const getDuckingGains = (samples, sampleRate, duckingDb) => {
+    const gains = new Float32Array(samples.length).fill(1);
+    if (duckingDb >= 0 || samples.length === 0) return gains;
+
+    const windowLength = Math.max(1, Math.round(DETECTION_WINDOW_SECONDS * sampleRate));
+    const windowCount = Math.ceil(samples.length / windowLength);
+    const threshold = dbToGain(SPEECH_THRESHOLD_DB) ** 2;
+    const before = Math.ceil(DUCK_LOOKAHEAD_SECONDS / DETECTION_WINDOW_SECONDS);
+    const after = Math.ceil(DUCK_HOLD_SECONDS / DETECTION_WINDOW_SECONDS);
+
+    // Windows with speech, widened by the lookahead and hold
+    const ducked = new Uint8Array(windowCount);
+    for (let window = 0; window < windowCount; window++) {
+        const start = window * windowLength;
+        const end = Math.min(start + windowLength, samples.length);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+        if (sum / (end - start) > threshold) {
+            ducked.fill(1, Math.max(0, window - before), Math.min(windowCount, window + after + 1));
+        }
+    }
+
+    const duckGain = dbToGain(duckingDb);
+    const smoothing = 1 - Math.exp(-1 / (DUCK_SMOOTHING_SECONDS * sampleRate));
+    let gain = 1;
+    for (let i = 0; i < samples.length; i++) {
+        const target = ducked[Math.floor(i / windowLength)] ? duckGain : 1;
+        gain += (target - gain) * smoothing;
+        gains[i] = gain;
+    }
+    return gains;
+};
+
+// Sample ranges [start, end) covered by the bed; overlapping intro and outro are joined
+const getBedRegions = (placement, length, leadIn, tail, fade) => {
+    if (placement === 'full') return [[0, length]];
+
+    const regions = [];
+    if (placement !== 'outro') regions.push([0, Math.min(length, leadIn + fade)]);
+    if (placement !== 'intro') {
+        const start = Math.max(0, length - tail - fade);
+        if (regions.length && start <= regions[0][1]) {
+            regions[0][1] = length;
+        } else {
+            regions.push([start, length]);
+        }
+    }
+    return regions;
+};
+
+/**
+ * Mix a music bed under speech.
+ * options: { volumeDb, duckingDb, placement ('full' | 'intro' | 'outro' | 'intro-outro'),
+ *            introSeconds, outroSeconds, fadeSeconds } (see DEFAULT_BACKGROUND)
+ * Returns { pcm, leadIn } where leadIn is the music-only time (seconds) added before the speech.
+ */
+export const mixBackground = (speech, bed, options = {}) => {
+    const { volumeDb, duckingDb, placement, introSeconds, outroSeconds, fadeSeconds } = { ...DEFAULT_BACKGROUND, ...options };
+    const { sampleRate } = speech;
+
+    const leadIn = placement === 'outro' ? 0 : Math.round(introSeconds * sampleRate);
+    const tail = placement === 'intro' ? 0 : Math.round(outroSeconds * sampleRate);
+    const length = leadIn + speech.samples.length + tail;
+
+    const samples = new Float32Array(length);
+    samples.set(speech.samples, leadIn);
+
+    const bedSamples = resample(bed, sampleRate).samples;
+    if (bedSamples.length === 0) {
+        return { pcm: { sampleRate, samples }, leadIn: leadIn / sampleRate };
+    }
+
+    const ducking = getDuckingGains(samples, sampleRate, duckingDb);
+    const volume = dbToGain(volumeDb);
+    const fade = Math.round(fadeSeconds * sampleRate);
+
+    for (const [start, end] of getBedRegions(placement, length, leadIn, tail, fade)) {
+        const regionFade = Math.min(fade, Math.floor((end - start) / 2));
+        for (let i = start; i < end; i++) {
+            const position = i - start;
+            const fromEnd = end - 1 - i;
+            const envelope = regionFade > 0 ? Math.min(1, position / regionFade, fromEnd / regionFade) : 1;
+            samples[i] += bedSamples[position % bedSamples.length] * volume * envelope * ducking[i];
+        }
+    }
+
+    return { pcm: { sampleRate, samples }, leadIn: leadIn / sampleRate };
+};
+
+export default {
+    BED_PLACEMENTS,
+    DEFAULT_BACKGROUND,
+    mixBackground
+};
@@ -0,0 +1,52 @@
+import { Mp3Encoder } from '@breezystack/lamejs';
+import { resample, toInt16 } from './pcm.js';
+
+// Sample rates an MPEG-1/2/2.5 Layer III stream can carry
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+const FRAME_SAMPLES = 1152;
+
+// Pick the MP3 sample rate for a PCM source
+const getMp3SampleRate = (sampleRate) => MP3_SAMPLE_RATES.find(rate => rate >= sampleRate) || 48000;
+
+// Copy lamejs output (Int8Array views) into a Buffer
+const toBuffer = (frame) => Buffer.from(frame.buffer, frame.byteOffset, frame.length);
+
+/**
+ * Incremental MP3 encoder for streaming: PCM is fed part by part and each call
+ * returns the MP3 frames that are complete so far. One encoder keeps the
+ * stream gapless across parts (no per-part padding).
+ */
+export const createMp3Encoder = (sampleRate, { bitrateKbps = 64 } = {}) => {
+    const outputSampleRate = getMp3SampleRate(sampleRate);
+    const encoder = new Mp3Encoder(1, outputSampleRate, bitrateKbps);
+
+    return {
+        sampleRate: outputSampleRate,
+        encode: (pcm) => {
+            const samples = toInt16(resample(pcm, outputSampleRate).samples);
+            const frames = [];
+            for (let offset = 0; offset < samples.length; offset += FRAME_SAMPLES) {
+                const frame = encoder.encodeBuffer(samples.subarray(offset, offset + FRAME_SAMPLES));
+                if (frame.length > 0) {
+                    frames.push(toBuffer(frame));
+                }
+            }
+            return Buffer.concat(frames);
+        },
+        flush: () => toBuffer(encoder.flush())
+    };
+};
+
+/**
+ * Encode mono PCM as MP3 (LAME, CBR).
+ * Unsupported sample rates are resampled to the next rate MP3 allows.
+ */
+export const encodeMp3 = (pcm, options = {}) => {
+    const encoder = createMp3Encoder(pcm.sampleRate, options);
+    return Buffer.concat([encoder.encode(pcm), encoder.flush()]);
+};
+
+export default {
+    createMp3Encoder,
+    encodeMp3
+};
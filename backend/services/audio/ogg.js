@@ -0,0 +1,145 @@
+import OpusScript from 'opusscript';
+import { resample, toInt16 } from './pcm.js';
+
+// Sample rates the Opus encoder accepts
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const FRAME_DURATION_MS = 20;
+const PRE_SKIP = 312; // libopus encoder lookahead at 48kHz
+const GRANULE_RATE = 48000; // Ogg Opus granule positions are always 48kHz
+
+// CRC-32 lookup table for Ogg pages (polynomial 0x04C11DB7, no reflection)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+const oggCrc = (buffer) => {
+    let crc = 0;
+    for (const byte of buffer) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+    }
+    return crc;
+};
+
+/**
+ * Build a single Ogg page containing whole packets.
+ * flags: 0x02 beginning of stream, 0x04 end of stream
+ */
+const createPage = (packets, { serial, sequence, granulePosition, flags = 0 }) => {
+    const segments = [];
+    for (const packet of packets) {
+        let remaining = packet.length;
+        while (remaining >= 255) {
+            segments.push(255);
+            remaining -= 255;
+        }
+        segments.push(remaining);
+    }
+
+    const header = Buffer.alloc(27 + segments.length);
+    header.write('OggS', 0, 'ascii');
+    header.writeUInt8(0, 4); // Version
+    header.writeUInt8(flags, 5);
+    header.writeBigInt64LE(BigInt(granulePosition), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence, 18);
+    header.writeUInt32LE(0, 22); // CRC placeholder
+    header.writeUInt8(segments.length, 26);
+    Buffer.from(segments).copy(header, 27);
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+};
+
+// OpusHead identification header (RFC 7845)
+const createOpusHead = (inputSampleRate) => {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head.writeUInt8(1, 8); // Version
+    head.writeUInt8(1, 9); // Channels
+    head.writeUInt16LE(PRE_SKIP, 10);
+    head.writeUInt32LE(inputSampleRate, 12);
+    head.writeInt16LE(0, 16); // Output gain
+    head.writeUInt8(0, 18); // Channel mapping family
+    return head;
+};
+
+// OpusTags comment header with no user comments
+const createOpusTags = () => {
+    const vendor = Buffer.from('tts-standalone', 'utf8');
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write('OpusTags', 0, 'ascii');
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendor.length);
+    return tags;
+};
+
+/**
+ * Encode mono PCM as Ogg Opus.
+ * Unsupported sample rates are resampled to the next rate Opus allows.
+ */
+export const encodeOggOpus = (pcm, { bitrateBps = 32000 } = {}) => {
+    const sampleRate = OPUS_SAMPLE_RATES.find(rate => rate >= pcm.sampleRate) || 48000;
+    const samples = toInt16(resample(pcm, sampleRate).samples);
+    const frameSize = sampleRate * FRAME_DURATION_MS / 1000;
+    const granulePerFrame = GRANULE_RATE * FRAME_DURATION_MS / 1000;
+
+    const encoder = new OpusScript(sampleRate, 1, OpusScript.Application.AUDIO);
+    encoder.setBitrate(bitrateBps);
+
+    const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+    let sequence = 0;
+    const pages = [
+        createPage([createOpusHead(pcm.sampleRate)], { serial, sequence: sequence++, granulePosition: 0, flags: 0x02 }),
+        createPage([createOpusTags()], { serial, sequence: sequence++, granulePosition: 0 })
+    ];
+
+    try {
+        const frameCount = Math.max(1, Math.ceil(samples.length / frameSize));
+        const framesPerPage = 50; // One second of audio per page
+        let pagePackets = [];
+        let granulePosition = PRE_SKIP;
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            // Pad the final frame with silence
+            const frameSamples = new Int16Array(frameSize);
+            frameSamples.set(samples.subarray(frame * frameSize, (frame + 1) * frameSize));
+
+            const packet = encoder.encode(Buffer.from(frameSamples.buffer), frameSize);
+            pagePackets.push(Buffer.from(packet));
+            granulePosition += granulePerFrame;
+
+            const isLast = frame === frameCount - 1;
+            if (pagePackets.length === framesPerPage || isLast) {
+                // The last granule position trims the padding of the final frame
+                const endGranule = isLast
+                    ? PRE_SKIP + Math.round(samples.length * GRANULE_RATE / sampleRate)
+                    : granulePosition;
+                pages.push(createPage(pagePackets, {
+                    serial,
+                    sequence: sequence++,
+                    granulePosition: endGranule,
+                    flags: isLast ? 0x04 : 0
+                }));
+                pagePackets = [];
+            }
+        }
+    } finally {
+        encoder.delete();
+    }
+
+    return Buffer.concat(pages);
+};
+
+export default {
+    encodeOggOpus
+};
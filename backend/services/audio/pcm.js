@@ -0,0 +1,62 @@
+// PCM helpers shared by the audio pipeline, encoders and processors.
+// PCM objects have the shape { sampleRate, samples: Float32Array } (mono).
+
+// Create silent PCM of the given duration
+export const createSilence = (durationSeconds, sampleRate) => {
+    const length = Math.max(0, Math.round(durationSeconds * sampleRate));
+    return { sampleRate, samples: new Float32Array(length) };
+};
+
+// Resample PCM with linear interpolation (speech output rarely needs better)
+export const resample = (pcm, targetSampleRate) => {
+    if (pcm.sampleRate === targetSampleRate) {
+        return pcm;
+    }
+
+    const ratio = pcm.sampleRate / targetSampleRate;
+    const length = Math.floor(pcm.samples.length / ratio);
+    const samples = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const current = pcm.samples[index] ?? 0;
+        const next = pcm.samples[index + 1] ?? current;
+        samples[i] = current + (next - current) * fraction;
+    }
+
+    return { sampleRate: targetSampleRate, samples };
+};
+
+// Concatenate PCM parts, resampling each to the target rate
+export const concatenatePcm = (parts, sampleRate) => {
+    const resampled = parts.map(part => resample(part, sampleRate));
+    const length = resampled.reduce((sum, part) => sum + part.samples.length, 0);
+    const samples = new Float32Array(length);
+
+    let offset = 0;
+    for (const part of resampled) {
+        samples.set(part.samples, offset);
+        offset += part.samples.length;
+    }
+
+    return { sampleRate, samples };
+};
+
+// Convert float PCM to 16-bit integers for the encoder
+export const toInt16 = (samples) => {
+    const output = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        output[i] = Math.round(clamped < 0 ? clamped * 32768 : clamped * 32767);
+    }
+    return output;
+};
+
+export default {
+    createSilence,
+    resample,
+    concatenatePcm,
+    toInt16
+};
@@ -0,0 +1,145 @@
+import { MPEGDecoder } from 'mpg123-decoder';
+import { isWav, decodeWav, encodeWav } from './wav.js';
+import { createSilence, concatenatePcm } from './pcm.js';
+import { encodeMp3 } from './mp3.js';
+import { encodeOggOpus } from './ogg.js';
+import { encodeFlac } from './flac.js';
+import { processAudio, normalizeLoudness } from './processing.js';
+import { mixBackground } from './mixing.js';
+import { normalizeEncoding, DEFAULT_SAMPLE_RATE } from './formats.js';
+
+/*
+ * Audio pipeline
+ *
+ * Provider output is decoded to mono Float32 PCM, resampled to a common rate,
+ * concatenated with real silence and encoded once into a single container.
+ * PCM objects have the shape { sampleRate, samples: Float32Array }.
+ */
+
+// Check for an ID3 tag or an MPEG audio frame sync at the start of a buffer
+const isMp3 = (buffer) => {
+    if (buffer.length < 3) return false;
+    if (buffer.toString('ascii', 0, 3) === 'ID3') return true;
+    return buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0;
+};
+
+// Decode MP3 with mpg123 (WebAssembly) and mix down to mono
+const decodeMp3 = async (buffer) => {
+    const decoder = new MPEGDecoder();
+    await decoder.ready;
+
+    try {
+        const { channelData, samplesDecoded, sampleRate, errors } = decoder.decode(new Uint8Array(buffer));
+        if (!samplesDecoded) {
+            throw new Error(errors?.[0]?.message || 'No MP3 frames could be decoded');
+        }
+
+        const samples = new Float32Array(samplesDecoded);
+        for (let i = 0; i < samplesDecoded; i++) {
+            let sum = 0;
+            for (const channel of channelData) {
+                sum += channel[i];
+            }
+            samples[i] = sum / channelData.length;
+        }
+        return { sampleRate, samples };
+    } finally {
+        decoder.free();
+    }
+};
+
+// Decode provider output (WAV/LINEAR16 or MP3) to mono PCM
+export const decodeAudio = async (buffer) => {
+    const audio = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+
+    if (isWav(audio)) {
+        return decodeWav(audio);
+    }
+    if (isMp3(audio)) {
+        return decodeMp3(audio);
+    }
+    throw new Error('Unsupported audio format returned by TTS provider');
+};
+
+// Encode PCM into the output container
+export const encodeAudio = async (pcm, audioEncoding = 'LINEAR16') => {
+    switch (normalizeEncoding(audioEncoding)) {
+        case 'LINEAR16':
+            return encodeWav(pcm);
+        case 'MP3':
+            return encodeMp3(pcm);
+        case 'OGG_OPUS':
+            return encodeOggOpus(pcm);
+        case 'FLAC':
+            return encodeFlac(pcm);
+        default:
+            throw new Error(`Unsupported output encoding: ${audioEncoding}`);
+    }
+};
+
+/**
+ * Assemble provider audio and silence into one file.
+ * parts: Array of { audioContent: Buffer, gainDb?, level? } or { silenceSeconds: number }
+ * options.background: { pcm, ...mixBackground() options } music bed mixed under the parts.
+ * options.postProcessing: resolved processing stages (see processing.js) run on
+ * the combined audio; with options.levelParts every audio part (except those with
+ * level: false) is first brought to the target loudness on its own (voices of a conversation).
+ * Returns { audioContent, pcm, duration, offsets, ends } where offsets[i] and
+ * ends[i] are the start and end of parts[i] in seconds.
+ */
+export const assembleAudio = async (parts, {
+    sampleRate = DEFAULT_SAMPLE_RATE,
+    audioEncoding = 'LINEAR16',
+    background = null,
+    postProcessing = null,
+    levelParts = false
+} = {}) => {
+    const pcmParts = [];
+    const offsets = [];
+    const ends = [];
+    let position = 0;
+
+    for (const part of parts) {
+        let pcm = part.silenceSeconds !== undefined
+            ? createSilence(part.silenceSeconds, sampleRate)
+            : await decodeAudio(part.audioContent);
+        if (levelParts && postProcessing?.loudness != null && part.silenceSeconds === undefined && part.level !== false) {
+            pcm = normalizeLoudness(pcm, postProcessing.loudness);
+        }
+        if (part.gainDb) {
+            const gain = 10 ** (part.gainDb / 20);
+            pcm = { sampleRate: pcm.sampleRate, samples: pcm.samples.map(sample => sample * gain) };
+        }
+
+        pcmParts.push(pcm);
+        offsets.push(position);
+        position += pcm.samples.length / pcm.sampleRate;
+        ends.push(position);
+    }
+
+    // A music intro moves every part later, trimmed leading silence moves it earlier
+    let combined = concatenatePcm(pcmParts, sampleRate);
+    let leadIn = 0;
+    if (background) {
+        const { pcm: bed, ...mixOptions } = background;
+        ({ pcm: combined, leadIn } = mixBackground(combined, bed, mixOptions));
+    }
+    const { pcm, trimmedStart } = processAudio(combined, postProcessing);
+    const audioContent = await encodeAudio(pcm, audioEncoding);
+
+    const duration = pcm.samples.length / sampleRate;
+    const place = (time) => Math.min(duration, Math.max(0, time + leadIn - trimmedStart));
+    return {
+        audioContent,
+        pcm,
+        duration,
+        offsets: offsets.map(place),
+        ends: ends.map(place)
+    };
+};
+
+export default {
+    decodeAudio,
+    encodeAudio,
+    assembleAudio
+};
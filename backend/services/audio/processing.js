@@ -0,0 +1,295 @@
+/*
+ * Audio post-processing
+ *
+ * Optional stages applied to decoded PCM before it is encoded, in this order:
+ * leading/trailing silence trimming, loudness normalization to a target
+ * integrated loudness (ITU-R BS.1770 / EBU R128, mono), a lookahead peak
+ * limiter and fade in/out. Everything runs on { sampleRate, samples } PCM.
+ */
+
+export const DEFAULT_TARGET_LUFS = -16; // Common target for spoken word and podcasts
+export const DEFAULT_SILENCE_THRESHOLD_DB = -50;
+export const DEFAULT_LIMITER_CEILING_DB = -1;
+
+// Ranges accepted in request options
+export const TARGET_LUFS_RANGE = { min: -40, max: -5 };
+export const SILENCE_THRESHOLD_RANGE = { min: -90, max: -20 };
+export const LIMITER_CEILING_RANGE = { min: -20, max: 0 };
+export const MAX_FADE_SECONDS = 10;
+
+const BLOCK_SECONDS = 0.4; // BS.1770 gating block, 75% overlap
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const MAX_GAIN_DB = 30; // Never boost quiet (noisy) input further than this
+
+const TRIM_PADDING_SECONDS = 0.05; // Kept around trimmed speech so word edges are not cut
+const LIMITER_LOOKAHEAD_SECONDS = 0.005;
+const LIMITER_RELEASE_SECONDS = 0.05;
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+// Biquad filter (direct form I) applied to a copy of the samples
+const biquad = (samples, { b0, b1, b2, a1, a2 }) => {
+    const output = new Float32Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        output[i] = y;
+    }
+    return output;
+};
+
+// K-weighting filter coefficients for any sample rate (high shelf, then high pass)
+const getKWeightingFilters = (sampleRate) => {
+    const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const shelfQ = 0.7071752369554196;
+    const vh = dbToGain(3.999843853973347);
+    const vb = vh ** 0.4996667741545416;
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+    const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const passQ = 0.5003270373238773;
+    const passA0 = 1 + passK / passQ + passK * passK;
+
+    return [
+        {
+            b0: (vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+            b1: 2 * (shelfK * shelfK - vh) / shelfA0,
+            b2: (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0,
+            a1: 2 * (shelfK * shelfK - 1) / shelfA0,
+            a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+        },
+        {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (passK * passK - 1) / passA0,
+            a2: (1 - passK / passQ + passK * passK) / passA0
+        }
+    ];
+};
+
+const blockLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Integrated loudness of mono PCM in LUFS (gated, BS.1770-4).
+ * Returns -Infinity for silence. Audio shorter than one block is measured as a single block.
+ */
+export const measureLoudness = (pcm) => {
+    const { sampleRate } = pcm;
+    const weighted = getKWeightingFilters(sampleRate).reduce(biquad, pcm.samples);
+    if (weighted.length === 0) return -Infinity;
+
+    const blockLength = Math.min(Math.round(BLOCK_SECONDS * sampleRate), weighted.length);
+    const step = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+
+    // Running sum of squares so every block costs O(1)
+    const squares = new Float64Array(weighted.length + 1);
+    for (let i = 0; i < weighted.length; i++) {
+        squares[i + 1] = squares[i] + weighted[i] * weighted[i];
+    }
+    const blocks = [];
+    for (let start = 0; start + blockLength <= weighted.length; start += step) {
+        blocks.push((squares[start + blockLength] - squares[start]) / blockLength);
+    }
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const audible = blocks.filter(meanSquare => blockLoudness(meanSquare) > ABSOLUTE_GATE_LUFS);
+    if (audible.length === 0) return -Infinity;
+
+    const relativeGate = blockLoudness(mean(audible)) + RELATIVE_GATE_LU;
+    const gated = audible.filter(meanSquare => blockLoudness(meanSquare) > relativeGate);
+    return blockLoudness(mean(gated));
+};
+
+// Multiply every sample by a linear gain
+const applyGain = (pcm, gain) => ({
+    sampleRate: pcm.sampleRate,
+    samples: pcm.samples.map(sample => sample * gain)
+});
+
+/**
+ * Bring PCM to a target integrated loudness (LUFS). Silence is returned unchanged.
+ * Peaks may exceed full scale afterwards; run limitPeaks() to catch them.
+ */
+export const normalizeLoudness = (pcm, targetLufs = DEFAULT_TARGET_LUFS) => {
+    const loudness = measureLoudness(pcm);
+    if (!Number.isFinite(loudness)) return pcm;
+
+    const gainDb = Math.min(targetLufs - loudness, MAX_GAIN_DB);
+    return applyGain(pcm, dbToGain(gainDb));
+};
+
+/**
+ * Remove leading and trailing audio quieter than thresholdDb (dBFS), keeping a short pad.
+ * Returns { pcm, trimmedStart, trimmedEnd } with the removed durations in seconds.
+ */
+export const trimSilence = (pcm, thresholdDb = DEFAULT_SILENCE_THRESHOLD_DB) => {
+    const { sampleRate, samples } = pcm;
+    const threshold = dbToGain(thresholdDb);
+
+    let first = 0;
+    while (first < samples.length && Math.abs(samples[first]) < threshold) first++;
+    if (first === samples.length) {
+        return { pcm, trimmedStart: 0, trimmedEnd: 0 }; // All silence: nothing to keep
+    }
+    let last = samples.length - 1;
+    while (last > first && Math.abs(samples[last]) < threshold) last--;
+
+    const padding = Math.round(TRIM_PADDING_SECONDS * sampleRate);
+    const start = Math.max(0, first - padding);
+    const end = Math.min(samples.length, last + 1 + padding);
+
+    return {
+        pcm: { sampleRate, samples: samples.slice(start, end) },
+        trimmedStart: start / sampleRate,
+        trimmedEnd: (samples.length - end) / sampleRate
+    };
+};
+
+/**
+ * Lookahead peak limiter: keeps every sample at or below ceilingDb (dBFS).
+ * The gain drops ahead of a peak and recovers over the release time, so
+ * loud passages are turned down smoothly instead of being clipped.
+ */
+export const limitPeaks = (pcm, ceilingDb = DEFAULT_LIMITER_CEILING_DB) => {
+    const { sampleRate, samples } = pcm;
+    const ceiling = dbToGain(ceilingDb);
+    const lookahead = Math.max(1, Math.round(LIMITER_LOOKAHEAD_SECONDS * sampleRate));
+    const release = 1 - Math.exp(-1 / (LIMITER_RELEASE_SECONDS * sampleRate));
+
+    // Gain each sample needs on its own
+    const required = new Float32Array(samples.length);
+    let needsLimiting = false;
+    for (let i = 0; i < samples.length; i++) {
+        const peak = Math.abs(samples[i]);
+        required[i] = peak > ceiling ? ceiling / peak : 1;
+        if (peak > ceiling) needsLimiting = true;
+    }
+    if (!needsLimiting) return pcm;
+
+    // Lowest required gain within the next lookahead samples (sliding minimum),
+    // released gradually once the peak has passed
+    const envelope = new Float32Array(samples.length);
+    const window = new Int32Array(samples.length); // Indexes with increasing required gain
+    let head = 0;
+    let tail = 0;
+    let gain = 1;
+    for (let j = 0; j < samples.length + lookahead; j++) {
+        if (j < samples.length) {
+            while (tail > head && required[window[tail - 1]] >= required[j]) tail--;
+            window[tail++] = j;
+        }
+        const i = j - lookahead;
+        if (i < 0) continue;
+        while (window[head] < i) head++;
+
+        const target = required[window[head]];
+        gain = target < gain ? target : gain + (target - gain) * release;
+        envelope[i] = gain;
+    }
+
+    // Averaging the envelope over the lookahead turns gain steps into ramps; every
+    // averaged value comes from windows that contain the peak, so the ceiling holds
+    const output = new Float32Array(samples.length);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += envelope[i];
+        if (i > lookahead) sum -= envelope[i - lookahead - 1];
+        output[i] = samples[i] * (sum / Math.min(i + 1, lookahead + 1));
+    }
+
+    return { sampleRate, samples: output };
+};
+
+/**
+ * Fade in from and fade out to silence (durations in seconds, equal-power curves).
+ */
+export const applyFades = (pcm, { fadeIn = 0, fadeOut = 0 } = {}) => {
+    const { sampleRate } = pcm;
+    const samples = Float32Array.from(pcm.samples);
+    const fadeInLength = Math.min(Math.round(fadeIn * sampleRate), samples.length);
+    const fadeOutLength = Math.min(Math.round(fadeOut * sampleRate), samples.length);
+
+    for (let i = 0; i < fadeInLength; i++) {
+        samples[i] *= Math.sin((i / fadeInLength) * Math.PI / 2);
+    }
+    for (let i = 0; i < fadeOutLength; i++) {
+        samples[samples.length - 1 - i] *= Math.sin((i / fadeOutLength) * Math.PI / 2);
+    }
+
+    return { sampleRate, samples };
+};
+
+/**
+ * Resolve request options to the stages to run, or null when none is enabled.
+ * options: { loudness: true | target LUFS, trimSilence: true | threshold dBFS,
+ *            fadeIn: seconds, fadeOut: seconds, limiter: true | ceiling dBFS }
+ * The resolved form is stable, so it can be part of a cache key.
+ */
+export const resolveProcessingOptions = (options) => {
+    if (!options || typeof options !== 'object') return null;
+
+    const level = (value, defaultValue) => {
+        if (value === true) return defaultValue;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    };
+    const resolved = {
+        trimSilence: level(options.trimSilence, DEFAULT_SILENCE_THRESHOLD_DB),
+        loudness: level(options.loudness, DEFAULT_TARGET_LUFS),
+        limiter: level(options.limiter, DEFAULT_LIMITER_CEILING_DB),
+        fadeIn: Math.max(0, Number(options.fadeIn) || 0),
+        fadeOut: Math.max(0, Number(options.fadeOut) || 0)
+    };
+
+    const enabled = resolved.trimSilence !== null || resolved.loudness !== null || resolved.limiter !== null
+        || resolved.fadeIn > 0 || resolved.fadeOut > 0;
+    return enabled ? resolved : null;
+};
+
+/**
+ * Run the enabled stages on PCM. options: the output of resolveProcessingOptions().
+ * Returns { pcm, trimmedStart } (seconds removed from the start, to shift timings).
+ */
+export const processAudio = (pcm, options) => {
+    if (!options) return { pcm, trimmedStart: 0 };
+
+    let processed = pcm;
+    let trimmedStart = 0;
+
+    if (options.trimSilence !== null) {
+        ({ pcm: processed, trimmedStart } = trimSilence(processed, options.trimSilence));
+    }
+    if (options.loudness !== null) {
+        processed = normalizeLoudness(processed, options.loudness);
+    }
+    if (options.limiter !== null) {
+        processed = limitPeaks(processed, options.limiter);
+    }
+    if (options.fadeIn > 0 || options.fadeOut > 0) {
+        processed = applyFades(processed, options);
+    }
+
+    return { pcm: processed, trimmedStart };
+};
+
+export default {
+    DEFAULT_TARGET_LUFS,
+    DEFAULT_SILENCE_THRESHOLD_DB,
+    DEFAULT_LIMITER_CEILING_DB,
+    TARGET_LUFS_RANGE,
+    SILENCE_THRESHOLD_RANGE,
+    LIMITER_CEILING_RANGE,
+    MAX_FADE_SECONDS,
+    measureLoudness,
+    normalizeLoudness,
+    trimSilence,
+    limitPeaks,
+    applyFades,
+    resolveProcessingOptions,
+    processAudio
+};
@@ -0,0 +1,138 @@
+// WAV (RIFF) container reading and writing for the audio pipeline
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Check whether a buffer starts with a RIFF/WAVE header
+export const isWav = (buffer) => {
+    return buffer.length >= 12 &&
+        buffer.toString('ascii', 0, 4) === 'RIFF' &&
+        buffer.toString('ascii', 8, 12) === 'WAVE';
+};
+
+// Read a single sample as a float in [-1, 1]
+const readSample = (buffer, offset, bitsPerSample, isFloat) => {
+    if (isFloat) {
+        return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+    }
+
+    switch (bitsPerSample) {
+        case 8:
+            return (buffer.readUInt8(offset) - 128) / 128;
+        case 16:
+            return buffer.readInt16LE(offset) / 32768;
+        case 24:
+            return buffer.readIntLE(offset, 3) / 8388608;
+        case 32:
+            return buffer.readInt32LE(offset) / 2147483648;
+        default:
+            throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+    }
+};
+
+/**
+ * Decode a WAV file to mono PCM.
+ * Returns { sampleRate, samples } with samples as a Float32Array in [-1, 1].
+ * Multi-channel audio is mixed down to mono.
+ */
+export const decodeWav = (buffer) => {
+    if (!isWav(buffer)) {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = buffer.readUInt16LE(chunkStart);
+            if (audioFormat === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+                // Sub-format GUID starts with the actual format tag
+                audioFormat = buffer.readUInt16LE(chunkStart + 24);
+            }
+            format = {
+                audioFormat,
+                channels: buffer.readUInt16LE(chunkStart + 2),
+                sampleRate: buffer.readUInt32LE(chunkStart + 4),
+                bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+            };
+        } else if (chunkId === 'data') {
+            // Streamed WAVs may carry a placeholder size, clamp to what is present
+            const end = Math.min(buffer.length, chunkStart + chunkSize);
+            data = buffer.subarray(chunkStart, end);
+        }
+
+        // Chunks are word aligned
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format || !data) {
+        throw new Error('WAV file is missing fmt or data chunk');
+    }
+    if (format.audioFormat !== WAVE_FORMAT_PCM && format.audioFormat !== WAVE_FORMAT_IEEE_FLOAT) {
+        throw new Error(`Unsupported WAV encoding: ${format.audioFormat}`);
+    }
+
+    const { channels, sampleRate, bitsPerSample } = format;
+    const isFloat = format.audioFormat === WAVE_FORMAT_IEEE_FLOAT;
+    const bytesPerSample = bitsPerSample / 8;
+    const frameSize = bytesPerSample * channels;
+    const frameCount = Math.floor(data.length / frameSize);
+    const samples = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += readSample(data, frame * frameSize + channel * bytesPerSample, bitsPerSample, isFloat);
+        }
+        samples[frame] = sum / channels;
+    }
+
+    return { sampleRate, samples };
+};
+
+/**
+ * Encode mono PCM as a 16-bit WAV file with a correct RIFF header.
+ */
+export const encodeWav = ({ sampleRate, samples }) => {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    // RIFF chunk
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+
+    // fmt chunk
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16); // Chunk size
+    buffer.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+    buffer.writeUInt16LE(1, 22); // Mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    buffer.writeUInt16LE(2, 32); // Block align
+    buffer.writeUInt16LE(16, 34); // Bits per sample
+
+    // data chunk
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.round(clamped < 0 ? clamped * 32768 : clamped * 32767), 44 + i * 2);
+    }
+
+    return buffer;
+};
+
+export default {
+    isWav,
+    decodeWav,
+    encodeWav
+};
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { audioAssetModel } from '../db/database.js';
+import { decodeAudio } from './audio/pipeline.js';
+
+/*
+ * Audio assets
+ *
+ * Music beds and sound effects uploaded by a user for conversations. Files
+ * are kept as uploaded in audio-assets/<user id>/ (not under public/) and
+ * decoded when a conversation is mixed; the audio_assets table holds their
+ * name, kind and duration.
+ */
+
+const ASSETS_DIRECTORY = path.join(process.cwd(), 'audio-assets');
+
+export const ASSET_KINDS = ['music', 'effect'];
+export const ASSET_EXTENSIONS = ['.mp3', '.wav'];
+export const MAX_ASSET_SIZE = 20 * 1024 * 1024;
+export const MAX_ASSET_DURATION = 10 * 60; // Seconds
+export const MAX_ASSETS_PER_USER = 100;
+export const MAX_ASSET_NAME_LENGTH = 100;
+
+const MIME_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
+
+// Error for uploads that are not usable audio
+export class AudioAssetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AudioAssetError';
+    }
+}
+
+// Error for asset ids that do not exist or belong to another user
+export class AssetNotFoundError extends Error {
+    constructor(assetIds) {
+        super(`Audio asset${assetIds.length === 1 ? '' : 's'} not found: ${assetIds.join(', ')}`);
+        this.name = 'AssetNotFoundError';
+        this.assetIds = assetIds;
+    }
+}
+
+// File extension of an upload, from its name or MIME type (null when unsupported)
+export const getAssetExtension = (filename = '', mimeType = '') => {
+    const extension = path.extname(filename).toLowerCase();
+    if (ASSET_EXTENSIONS.includes(extension)) return extension;
+    return Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === mimeType.split(';')[0].trim()) || null;
+};
+
+// Path of an asset's file
+export const getAssetPath = (asset) => path.join(ASSETS_DIRECTORY, String(asset.user_id), asset.filename);
+
+// Public representation of an asset row
+export const formatAsset = (asset) => ({
+    id: asset.id,
+    name: asset.name,
+    kind: asset.kind,
+    mimeType: asset.mime_type,
+    size: asset.size,
+    duration: asset.duration,
+    audioUrl: `/api/assets/${asset.id}/audio`,
+    createdAt: asset.created_at,
+    updatedAt: asset.updated_at
+});
+
+/**
+ * Store an uploaded file ({ buffer, originalname, mimetype }) as an asset of the user.
+ * The file is decoded first, so only playable audio is kept.
+ * Returns the new asset row. Throws AudioAssetError for unusable files.
+ */
+export const saveAsset = async (userId, file, { name, kind = 'music' } = {}) => {
+    const extension = getAssetExtension(file.originalname, file.mimetype);
+    if (!extension) {
+        throw new AudioAssetError(`Unsupported audio type (supported: ${ASSET_EXTENSIONS.join(', ')})`);
+    }
+
+    let pcm;
+    try {
+        pcm = await decodeAudio(file.buffer);
+    } catch {
+        throw new AudioAssetError('The file could not be decoded as MP3 or WAV audio');
+    }
+    const duration = pcm.samples.length / pcm.sampleRate;
+    if (duration === 0) {
+        throw new AudioAssetError('The file contains no audio');
+    }
+    if (duration > MAX_ASSET_DURATION) {
+        throw new AudioAssetError(`Assets can be at most ${MAX_ASSET_DURATION / 60} minutes long`);
+    }
+
+    const directory = path.join(ASSETS_DIRECTORY, String(userId));
+    const filename = `${uuidv4()}${extension}`;
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, filename), file.buffer);
+
+    try {
+        const id = await audioAssetModel.create(userId, {
+            name: name || path.basename(file.originalname, path.extname(file.originalname)) || 'Untitled',
+            kind,
+            filename,
+            mimeType: MIME_TYPES[extension],
+            size: file.buffer.length,
+            duration: Math.round(duration * 1000) / 1000
+        });
+        return audioAssetModel.findById(id);
+    } catch (error) {
+        fs.rmSync(path.join(directory, filename), { force: true });
+        throw error;
+    }
+};
+
+// Asset of the user, or null when it does not exist or belongs to someone else
+export const findUserAsset = async (userId, assetId) => {
+    const asset = await audioAssetModel.findById(assetId);
+    return asset && asset.user_id === userId ? asset : null;
+};
+
+// Delete an asset and its file
+export const deleteAsset = async (asset) => {
+    await audioAssetModel.deleteById(asset.id, asset.user_id);
+    fs.rmSync(getAssetPath(asset), { force: true });
+};
+
+/**
+ * Load the files of several assets of one user.
+ * Returns Map<assetId, { asset, audioContent }>; throws AssetNotFoundError listing missing ids.
+ */
+export const loadAssets = async (userId, assetIds) => {
+    const uniqueIds = [...new Set(assetIds.map(Number))];
+    const loaded = new Map();
+    const missing = [];
+
+    for (const assetId of uniqueIds) {
+        const asset = userId && userId !== 'anonymous' ? await findUserAsset(userId, assetId) : null;
+        if (!asset || !fs.existsSync(getAssetPath(asset))) {
+            missing.push(assetId);
+            continue;
+        }
+        loaded.set(assetId, { asset, audioContent: fs.readFileSync(getAssetPath(asset)) });
+    }
+
+    if (missing.length > 0) {
+        throw new AssetNotFoundError(missing);
+    }
+    return loaded;
+};
+
+export default {
+    ASSET_KINDS,
+    ASSET_EXTENSIONS,
+    MAX_ASSET_SIZE,
+    MAX_ASSET_DURATION,
+    MAX_ASSETS_PER_USER,
+    MAX_ASSET_NAME_LENGTH,
+    AudioAssetError,
+    AssetNotFoundError,
+    getAssetExtension,
+    formatAsset,
+    saveAsset,
+    findUserAsset,
+    getAssetPath,
+    deleteAsset,
+    loadAssets
+};
@@ -0,0 +1,114 @@
+import { DocumentFormatError } from './structure.js';
+
+/*
+ * Chapter detection
+ *
+ * Splits the blocks of an extracted document into chapters. Chapter starts
+ * come from the EPUB table of contents, from headings of one level, or from
+ * blocks matching a custom pattern. Text before the first chapter start
+ * becomes an opening chapter named after the document.
+ */
+
+export const CHAPTER_SOURCES = ['auto', 'toc', 'headings', 'pattern'];
+
+// ID3 tables of contents count their entries in a single byte
+export const MAX_CHAPTERS = 255;
+
+// Blocks longer than this are not used whole as a chapter title
+const MAX_TITLE_LENGTH = 120;
+
+// Heading level that splits the document: the highest level used more than once
+// (a single top heading is usually the book title), else the highest level used
+const getChapterHeadingLevel = (blocks) => {
+    const counts = new Map();
+    for (const block of blocks) {
+        if (block.type === 'heading') counts.set(block.level, (counts.get(block.level) || 0) + 1);
+    }
+    const levels = [...counts.keys()].sort((a, b) => a - b);
+    return levels.find(level => counts.get(level) > 1) ?? levels[0] ?? null;
+};
+
+// Whether blocks [start, end) hold more than headings
+const hasBody = (blocks, start, end) => blocks.slice(start, end).some(block => block.type !== 'heading');
+
+// A heading followed by nothing but headings up to the next one of its level (a book title) starts no chapter
+const startsFromHeadings = (blocks, level) => {
+    const headings = blocks
+        .map((block, blockIndex) => ({ block, blockIndex }))
+        .filter(({ block }) => block.type === 'heading' && block.level === level);
+    return headings
+        .filter(({ blockIndex }, index) => hasBody(blocks, blockIndex + 1, headings[index + 1]?.blockIndex ?? blocks.length))
+        .map(({ block, blockIndex }) => ({ title: block.text, blockIndex }));
+};
+
+const startsFromPattern = (blocks, pattern) => blocks
+    .map((block, blockIndex) => ({ match: block.text.match(pattern), block, blockIndex }))
+    .filter(({ match }) => match)
+    .map(({ match, block, blockIndex }) => ({
+        title: block.text.length <= MAX_TITLE_LENGTH ? block.text : match[0].trim() || block.text.slice(0, MAX_TITLE_LENGTH),
+        blockIndex
+    }));
+
+// Compile a user supplied chapter pattern (case-insensitive), or throw
+export const compileChapterPattern = (source) => {
+    try {
+        return new RegExp(source, 'iu');
+    } catch (error) {
+        throw new DocumentFormatError(`Invalid chapter pattern: ${error.message}`);
+    }
+};
+
+/**
+ * Split a document ({ title, blocks, toc? }) into chapters.
+ * options.source: 'auto' (TOC, then headings), 'toc', 'headings' or 'pattern'
+ * options.pattern: RegExp or string for 'pattern'; options.headingLevel overrides the detected level.
+ * Returns [{ title, blocks }]. Throws DocumentFormatError when nothing can be split.
+ */
+export const detectChapters = (document, { source = 'auto', pattern = null, headingLevel = null } = {}) => {
+    const { blocks } = document;
+    const toc = document.toc || [];
+
+    let starts;
+    if (source === 'pattern') {
+        if (!pattern) throw new DocumentFormatError('A chapter pattern is required');
+        starts = startsFromPattern(blocks, pattern instanceof RegExp ? pattern : compileChapterPattern(pattern));
+    } else if (source === 'toc' || (source === 'auto' && toc.length > 1)) {
+        if (toc.length === 0) throw new DocumentFormatError('The document has no table of contents');
+        starts = toc;
+    } else {
+        const level = headingLevel || getChapterHeadingLevel(blocks);
+        starts = level ? startsFromHeadings(blocks, level) : [];
+        if (starts.length === 0 && source === 'headings') {
+            throw new DocumentFormatError('The document has no headings to split chapters on');
+        }
+    }
+
+    // First entry wins when several point at the same block (a part and its first chapter)
+    const uniqueStarts = [...new Map([...starts].reverse().map(start => [start.blockIndex, start])).values()]
+        .sort((a, b) => a.blockIndex - b.blockIndex);
+
+    if (uniqueStarts.length === 0 && source === 'pattern') {
+        throw new DocumentFormatError('No block matches the chapter pattern');
+    }
+    // Leading headings without text (the title page) are read at the start of the first chapter
+    if (uniqueStarts.length > 0 && !hasBody(blocks, 0, uniqueStarts[0].blockIndex)) {
+        uniqueStarts[0] = { ...uniqueStarts[0], blockIndex: 0 };
+    } else if (uniqueStarts[0]?.blockIndex !== 0) {
+        uniqueStarts.unshift({ title: document.title || 'Introduction', blockIndex: 0 });
+    }
+    if (uniqueStarts.length > MAX_CHAPTERS) {
+        throw new DocumentFormatError(`Found ${uniqueStarts.length} chapters; at most ${MAX_CHAPTERS} are supported`);
+    }
+
+    return uniqueStarts.map((start, index) => ({
+        title: start.title,
+        blocks: blocks.slice(start.blockIndex, uniqueStarts[index + 1]?.blockIndex ?? blocks.length)
+    }));
+};
+
+export default {
+    CHAPTER_SOURCES,
+    MAX_CHAPTERS,
+    compileChapterPattern,
+    detectChapters
+};
@@ -0,0 +1,117 @@
+import path from 'path';
+import { DocumentFormatError, collapseWhitespace } from './structure.js';
+import { readZipEntries, readZipFile } from './zip.js';
+import { extractHtml, decodeHtmlEntities } from './html.js';
+
+/*
+ * EPUB importer
+ *
+ * Reads the package document (OPF) named by META-INF/container.xml and
+ * extracts the XHTML documents of the spine in reading order. The
+ * navigation document and non-linear items (notes, covers) are skipped.
+ * The table of contents (EPUB 3 nav or EPUB 2 NCX) is mapped onto blocks.
+ */
+
+const CONTENT_TYPES = new Set(['application/xhtml+xml', 'text/html']);
+const NCX_TYPE = 'application/x-dtbncx+xml';
+
+const getAttribute = (attributes, name) => (
+    attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`))?.slice(1).find(value => value !== undefined) ?? null
+);
+
+const stripTags = (value) => collapseWhitespace(decodeHtmlEntities(value.replace(/<[^>]*>/g, ' ')));
+
+// TOC entries ({ title, href }) in reading order, from the EPUB 3 navigation document
+const readNavToc = (source) => {
+    const toc = source.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/)?.[1];
+    if (!toc) return [];
+    return [...toc.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/g)]
+        .map(([, attributes, label]) => ({ title: stripTags(label), href: getAttribute(attributes, 'href') }));
+};
+
+// TOC entries ({ title, href }) in reading order, from an EPUB 2 NCX file
+const readNcxToc = (source) => [...source.matchAll(/<navLabel\b[^>]*>\s*<text\b[^>]*>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b([^>]*?)\/?>/g)]
+    .map(([, label, attributes]) => ({ title: stripTags(label), href: getAttribute(attributes, 'src') }));
+
+/**
+ * Extract blocks from an EPUB (2 or 3) file.
+ * Returns { title, blocks, toc } (title from <dc:title>, or null); toc lists
+ * { title, blockIndex } for every table of contents entry found in the spine.
+ */
+export const extractEpub = (buffer) => {
+    const entries = readZipEntries(buffer);
+    const readText = (name) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw new DocumentFormatError(`Invalid EPUB: ${name} is missing`);
+        }
+        return readZipFile(buffer, entry).toString('utf8');
+    };
+
+    const container = readText('META-INF/container.xml');
+    const packagePath = container.match(/<rootfile\b[^>]*\bfull-path\s*=\s*["']([^"']+)["']/)?.[1];
+    if (!packagePath) {
+        throw new DocumentFormatError('Invalid EPUB: no package document in META-INF/container.xml');
+    }
+
+    const opf = readText(decodeURIComponent(packagePath));
+    const baseDirectory = path.posix.dirname(decodeURIComponent(packagePath));
+
+    const titleMatch = opf.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/);
+    const title = titleMatch ? collapseWhitespace(decodeHtmlEntities(titleMatch[1])) || null : null;
+
+    const manifest = new Map();
+    for (const [, attributes] of opf.matchAll(/<(?:opf:)?item\b([^>]*?)\/?>/g)) {
+        manifest.set(getAttribute(attributes, 'id'), {
+            href: getAttribute(attributes, 'href'),
+            mediaType: getAttribute(attributes, 'media-type'),
+            properties: (getAttribute(attributes, 'properties') || '').split(/\s+/)
+        });
+    }
+
+    const resolve = (directory, href) => path.posix.normalize(path.posix.join(directory, decodeURIComponent(href)));
+
+    // Where each spine document starts, and the blocks its ids point to
+    const blocks = [];
+    const positions = new Map(); // Document path -> { start, anchors }
+    for (const [, attributes] of opf.matchAll(/<(?:opf:)?itemref\b([^>]*?)\/?>/g)) {
+        const item = manifest.get(getAttribute(attributes, 'idref'));
+        if (!item?.href || !CONTENT_TYPES.has(item.mediaType)) continue;
+        if (getAttribute(attributes, 'linear') === 'no' || item.properties.includes('nav')) continue;
+
+        const documentPath = resolve(baseDirectory, item.href.split('#')[0]);
+        const document = extractHtml(readText(documentPath));
+        positions.set(documentPath, { start: blocks.length, anchors: document.anchors });
+        blocks.push(...document.blocks);
+    }
+
+    // EPUB 3 navigation document, or the NCX named by the spine
+    const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+    const ncxItem = manifest.get(getAttribute(opf.match(/<(?:opf:)?spine\b([^>]*)>/)?.[1] || '', 'toc'))
+        || [...manifest.values()].find(item => item.mediaType === NCX_TYPE);
+    const tocItem = navItem || ncxItem;
+
+    const toc = [];
+    if (tocItem?.href) {
+        const tocPath = resolve(baseDirectory, tocItem.href);
+        const tocEntries = entries.has(tocPath)
+            ? (tocItem === navItem ? readNavToc : readNcxToc)(readText(tocPath))
+            : [];
+
+        for (const entry of tocEntries) {
+            if (!entry.title || !entry.href) continue;
+            const [target, fragment] = entry.href.split('#');
+            const position = positions.get(resolve(path.posix.dirname(tocPath), target));
+            if (!position) continue;
+
+            const offset = fragment ? position.anchors.get(decodeURIComponent(fragment)) ?? 0 : 0;
+            toc.push({ title: entry.title, blockIndex: Math.min(position.start + offset, blocks.length - 1) });
+        }
+    }
+
+    return { title, blocks, toc };
+};
+
+export default {
+    extractEpub
+};
@@ -0,0 +1,160 @@
+import { createBlockList, collapseWhitespace } from './structure.js';
+
+/*
+ * HTML / XHTML importer
+ *
+ * Keeps the readable text of a page: headings and block elements become
+ * blocks, inline markup is dropped. Scripts, styles, navigation, forms and
+ * code blocks are removed. When the page has a <main> or <article>, only
+ * that part is read (site headers and footers stay out).
+ */
+
+// Elements whose content is never read
+const SKIPPED_ELEMENTS = new Set([
+    'head', 'nav', 'aside', 'footer', 'pre', 'form', 'button', 'select', 'option',
+    'svg', 'math', 'iframe', 'object', 'embed', 'audio', 'video', 'canvas', 'map', 'rp', 'rt'
+]);
+
+// Raw text elements (their content is not markup, so they are cut before tokenizing)
+const RAW_TEXT_PATTERN = /<(script|style|noscript|template|textarea)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Elements that end the current block
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'body', 'blockquote', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'figure', 'figcaption', 'address', 'details', 'summary', 'hr', 'center'
+]);
+
+// Elements that separate words without ending a block
+const SEPARATOR_ELEMENTS = new Set(['br', 'td', 'th', 'img', 'wbr']);
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|<(\/?)([A-Za-z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)|</g;
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ', shy: '',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·', lsquo: '‘', rsquo: '’', sbquo: '‚',
+    ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»', copy: '©', reg: '®', trade: '™', deg: '°',
+    euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', times: '×', divide: '÷', plusmn: '±',
+    frac12: '½', frac14: '¼', frac34: '¾', iexcl: '¡', iquest: '¿', szlig: 'ß', aelig: 'æ', AElig: 'Æ', oelig: 'œ', OElig: 'Œ'
+};
+
+// Accented letters: &eacute; &Uuml; &ccedil; &ntilde; ...
+const ACCENT_MARKS = { acute: '\u0301', grave: '\u0300', circ: '\u0302', uml: '\u0308', tilde: '\u0303', cedil: '\u0327', ring: '\u030A' };
+const ACCENT_PATTERN = /^([A-Za-z])(acute|grave|circ|uml|tilde|cedil|ring)$/;
+
+/**
+ * Decode HTML character references (named, decimal and hexadecimal).
+ * Unknown names are kept as written.
+ */
+export const decodeHtmlEntities = (value) => value.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*);/g, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    if (entity in HTML_ENTITIES) return HTML_ENTITIES[entity];
+
+    const accented = entity.match(ACCENT_PATTERN);
+    return accented ? (accented[1] + ACCENT_MARKS[accented[2]]).normalize('NFC') : match;
+});
+
+const getAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+};
+
+// Hidden parts and navigation marked up with attributes instead of elements
+const isHiddenByAttributes = (attributes) => (
+    /(?:^|\s)hidden(?:\s|=|$)/i.test(attributes)
+    || getAttribute(attributes, 'aria-hidden') === 'true'
+    || ['navigation', 'banner', 'contentinfo', 'search'].includes(getAttribute(attributes, 'role'))
+    || /\b(?:toc|landmarks|page-list|pagebreak|noteref|footnote|endnotes?)\b/.test(getAttribute(attributes, 'epub:type') || '')
+);
+
+// Limit a page to its main content when it marks it up
+const selectContent = (source) => {
+    for (const name of ['main', 'article']) {
+        const start = source.search(new RegExp(`<${name}\\b`, 'i'));
+        const end = source.toLowerCase().lastIndexOf(`</${name}>`);
+        if (start !== -1 && end > start) return source.slice(start, end + name.length + 3);
+    }
+    return source;
+};
+
+/**
+ * Extract blocks from an HTML or XHTML document.
+ * Returns { title, blocks, anchors } (title from <title>, or null);
+ * anchors maps element ids to the index of the block they start in.
+ */
+export const extractHtml = (source) => {
+    const titleMatch = source.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+    const title = titleMatch ? collapseWhitespace(decodeHtmlEntities(titleMatch[1].replace(/<[^>]*>/g, ''))) || null : null;
+
+    const content = selectContent(source.replace(RAW_TEXT_PATTERN, ' '));
+    const { blocks, add } = createBlockList();
+    const anchors = new Map();
+
+    let buffer = '';
+    let headingLevel = null;
+    let skipped = null; // { name, depth } of the element being skipped
+
+    const flush = () => {
+        add(headingLevel ? 'heading' : 'paragraph', buffer, headingLevel);
+        buffer = '';
+        headingLevel = null;
+    };
+
+    for (const match of content.matchAll(TOKEN_PATTERN)) {
+        const [raw, cdata, closing, rawName, attributes = '', text] = match;
+
+        if (text !== undefined || cdata !== undefined) {
+            if (!skipped) buffer += decodeHtmlEntities(text ?? cdata);
+            continue;
+        }
+        if (!rawName) {
+            // Comments, doctype and processing instructions; a stray "<" is text
+            if (raw === '<' && !skipped) buffer += '<';
+            continue;
+        }
+
+        const name = rawName.toLowerCase().split(':').pop();
+        const selfClosing = VOID_ELEMENTS.has(name) || /\/\s*$/.test(attributes);
+
+        if (skipped) {
+            if (name === skipped.name && !selfClosing) {
+                skipped.depth += closing ? -1 : 1;
+                if (skipped.depth === 0) skipped = null;
+            }
+            continue;
+        }
+
+        if (!closing && !selfClosing && (SKIPPED_ELEMENTS.has(name) || isHiddenByAttributes(attributes))) {
+            skipped = { name, depth: 1 };
+            continue;
+        }
+
+        const heading = name.match(HEADING_PATTERN);
+        const endsBlock = Boolean(heading) || BLOCK_ELEMENTS.has(name);
+        if (endsBlock) {
+            flush();
+        } else if (SEPARATOR_ELEMENTS.has(name)) {
+            buffer += ' ';
+        }
+
+        // Ids are recorded once the block before them is closed
+        const id = closing ? null : getAttribute(attributes, 'id');
+        if (id && !anchors.has(id)) anchors.set(id, blocks.length);
+
+        if (heading && !closing) headingLevel = Number(heading[1]);
+    }
+    flush();
+
+    return { title, blocks, anchors };
+};
+
+export default {
+    decodeHtmlEntities,
+    extractHtml
+};
@@ -0,0 +1,116 @@
+import path from 'path';
+import { DocumentFormatError, createBlockList, blocksToText, blocksToSSML } from './structure.js';
+import { extractMarkdown } from './markdown.js';
+import { extractHtml } from './html.js';
+import { extractEpub } from './epub.js';
+import { CHAPTER_SOURCES, MAX_CHAPTERS, detectChapters, compileChapterPattern } from './chapters.js';
+import { SCRIPT_FORMATS, SCRIPT_EXTENSIONS, MAX_SCRIPT_SIZE, parseScript } from './script.js';
+
+/*
+ * Document import
+ *
+ * Turns uploaded .txt, .md, .html and .epub files into readable text:
+ * a list of heading/paragraph blocks, the plain text for the editor and an
+ * SSML document (one <p> per block) that can be synthesized as is.
+ */
+
+export const DOCUMENT_FORMATS = ['txt', 'md', 'html', 'epub'];
+export const MAX_DOCUMENT_SIZE = 20 * 1024 * 1024; // Upload limit (EPUBs carry images)
+
+export { DocumentFormatError, CHAPTER_SOURCES, MAX_CHAPTERS, detectChapters, compileChapterPattern, blocksToSSML, blocksToText };
+export { SCRIPT_FORMATS, SCRIPT_EXTENSIONS, MAX_SCRIPT_SIZE, parseScript };
+
+const FORMAT_BY_EXTENSION = {
+    '.txt': 'txt', '.text': 'txt',
+    '.md': 'md', '.markdown': 'md', '.mdown': 'md',
+    '.html': 'html', '.htm': 'html', '.xhtml': 'html',
+    '.epub': 'epub'
+};
+
+const FORMAT_BY_MIME_TYPE = {
+    'text/plain': 'txt',
+    'text/markdown': 'md',
+    'text/x-markdown': 'md',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'application/epub+zip': 'epub'
+};
+
+/**
+ * Detect a document format from the file name, falling back to the MIME type.
+ * Returns null for unsupported files.
+ */
+export const detectDocumentFormat = (filename = '', mimeType = '') => (
+    FORMAT_BY_EXTENSION[path.extname(filename).toLowerCase()] || FORMAT_BY_MIME_TYPE[mimeType.split(';')[0].trim()] || null
+);
+
+// Text files are usually UTF-8; older ones are often Windows-1252
+const decodeText = (buffer) => {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer); // Drops a BOM
+    } catch {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+};
+
+// Plain text: paragraphs are separated by blank lines, single line breaks are wrapping
+const extractPlainText = (source) => {
+    const { blocks, add } = createBlockList();
+    source.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).forEach(paragraph => add('paragraph', paragraph));
+    return { title: null, blocks };
+};
+
+// File name without extension, as a fallback title
+const titleFromFilename = (filename) => path.basename(filename, path.extname(filename)).replace(/[-_]+/g, ' ').trim() || null;
+
+/**
+ * Extract readable text from a document.
+ * Returns { title, format, blocks, toc, text, ssml, characterCount }
+ * (toc is the EPUB table of contents, null for other formats).
+ * Throws DocumentFormatError for unsupported or unreadable files.
+ */
+export const extractDocument = (buffer, { filename = '', mimeType = '', format = detectDocumentFormat(filename, mimeType) } = {}) => {
+    if (!DOCUMENT_FORMATS.includes(format)) {
+        throw new DocumentFormatError(`Unsupported document type (supported: ${DOCUMENT_FORMATS.map(type => `.${type}`).join(', ')})`);
+    }
+
+    const { title, blocks, toc = null } = {
+        txt: () => extractPlainText(decodeText(buffer)),
+        md: () => extractMarkdown(decodeText(buffer)),
+        html: () => extractHtml(decodeText(buffer)),
+        epub: () => extractEpub(buffer)
+    }[format]();
+
+    if (blocks.length === 0) {
+        throw new DocumentFormatError('The document contains no readable text');
+    }
+
+    const text = blocksToText(blocks);
+    return {
+        title: title || blocks.find(block => block.type === 'heading')?.text || titleFromFilename(filename),
+        format,
+        blocks,
+        toc,
+        text,
+        ssml: blocksToSSML(blocks),
+        characterCount: text.length
+    };
+};
+
+/**
+ * Read an uploaded script (see script.js) into conversation lines.
+ * Throws DocumentFormatError when it contains no dialogue.
+ */
+export const extractScript = (buffer, { filename = '', format = 'auto' } = {}) => parseScript(decodeText(buffer), { format, filename });
+
+export default {
+    DOCUMENT_FORMATS,
+    MAX_DOCUMENT_SIZE,
+    DocumentFormatError,
+    CHAPTER_SOURCES,
+    MAX_CHAPTERS,
+    detectDocumentFormat,
+    extractDocument,
+    extractScript,
+    detectChapters
+};
@@ -0,0 +1,145 @@
+import { createBlockList, collapseWhitespace } from './structure.js';
+import { decodeHtmlEntities } from './html.js';
+
+/*
+ * Markdown importer
+ *
+ * Headings (ATX and setext), paragraphs, list items, quotes and table rows
+ * become blocks. Code blocks, front matter, images, link targets, HTML tags
+ * and emphasis markers are dropped; inline code keeps its text.
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const LIST_ITEM_PATTERN = /^[ \t]*(?:[-*+]|\d{1,9}[.)])(?:[ \t]+(?:\[[ xX]\][ \t]+)?(.*))?$/;
+const INDENTED_CODE_PATTERN = /^(?: {4}|\t)/;
+const TABLE_DELIMITER_PATTERN = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)+\|?[ \t]*$/;
+const LINK_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:[ \t]*\S+/;
+
+// Characters a backslash can escape, swapped for private-use characters while inline markup is removed
+const ESCAPABLE = '\\`*_{}[]()#+-.!|>~<';
+const protectEscapes = (text) => text.replace(/\\([\\`*_{}[\]()#+\-.!|>~<])/g, (match, char) => String.fromCharCode(0xE000 + ESCAPABLE.indexOf(char)));
+const restoreEscapes = (text) => text.replace(/[\uE000-\uE012]/g, (char) => ESCAPABLE[char.charCodeAt(0) - 0xE000]);
+
+// Remove inline markup, keeping the text a reader would see
+const stripInline = (text) => restoreEscapes(decodeHtmlEntities(protectEscapes(text)
+    .replace(/!\[[^\]]*\]\([^)]*\)|!\[[^\]]*\]\[[^\]]*\]/g, '')
+    .replace(/\[\^[^\]]+\]/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+    .replace(/(`+)([\s\S]+?)\1/g, (match, ticks, code) => code.trim())
+    .replace(/<\/?[A-Za-z][^>]*>/g, '')
+    .replace(/(\*\*|__)(?=\S)([\s\S]+?)(?<=\S)\1/g, '$2')
+    .replace(/\*(?=\S)([\s\S]+?)(?<=\S)\*/g, '$1')
+    .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]+?)(?<=\S)_(?![\p{L}\p{N}_])/gu, '$1$2')
+    .replace(/~~(?=\S)([\s\S]+?)(?<=\S)~~/g, '$1')));
+
+// YAML front matter; its title (if any) is the document title
+const splitFrontMatter = (lines) => {
+    if (lines[0]?.trim() !== '---') return { title: null, body: lines };
+
+    const end = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)\s*$/.test(line));
+    if (end === -1) return { title: null, body: lines };
+
+    const titleLine = lines.slice(1, end).find(line => /^title\s*:/i.test(line));
+    const title = titleLine ? titleLine.replace(/^title\s*:\s*/i, '').replace(/^(["'])(.*)\1$/, '$2').trim() : null;
+    return { title: title || null, body: lines.slice(end + 1) };
+};
+
+/**
+ * Extract blocks from a Markdown document.
+ * Returns { title, blocks } (title from the front matter, or null).
+ */
+export const extractMarkdown = (source) => {
+    const normalized = source.replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '');
+    const { title, body } = splitFrontMatter(normalized.split('\n'));
+    const { blocks, add } = createBlockList();
+
+    let paragraph = [];
+    let fence = null; // Opening fence while inside a fenced code block
+    let inList = false;
+
+    const flush = () => {
+        add('paragraph', stripInline(paragraph.join(' ')));
+        paragraph = [];
+    };
+
+    for (const rawLine of body) {
+        if (fence) {
+            const closing = rawLine.match(FENCE_PATTERN);
+            if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !rawLine.trim().slice(closing[1].length).trim()) {
+                fence = null;
+            }
+            continue;
+        }
+
+        const opening = rawLine.match(FENCE_PATTERN);
+        if (opening) {
+            flush();
+            fence = opening[1];
+            continue;
+        }
+
+        if (!rawLine.trim()) {
+            flush();
+            continue;
+        }
+
+        // Indented code starts after a blank line, outside lists
+        if (paragraph.length === 0 && !inList && INDENTED_CODE_PATTERN.test(rawLine)) {
+            continue;
+        }
+
+        // Quotes are read like the text they contain
+        const line = rawLine.replace(/^ {0,3}(?:>[ \t]?)+/, '');
+
+        const setext = line.match(SETEXT_UNDERLINE_PATTERN);
+        if (setext && paragraph.length > 0 && !inList) {
+            add('heading', stripInline(paragraph.join(' ')), setext[1][0] === '=' ? 1 : 2);
+            paragraph = [];
+            continue;
+        }
+
+        if (THEMATIC_BREAK_PATTERN.test(line) || TABLE_DELIMITER_PATTERN.test(line) || LINK_DEFINITION_PATTERN.test(line)) {
+            flush();
+            continue;
+        }
+
+        const heading = line.match(ATX_HEADING_PATTERN);
+        if (heading) {
+            flush();
+            add('heading', stripInline(heading[2] || ''), heading[1].length);
+            inList = false;
+            continue;
+        }
+
+        const listItem = line.match(LIST_ITEM_PATTERN);
+        if (listItem) {
+            flush();
+            inList = true;
+            paragraph.push(listItem[1] || '');
+            continue;
+        }
+
+        // Table rows are read cell by cell
+        if (/^[ \t]*\|/.test(line)) {
+            flush();
+            const cells = line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => collapseWhitespace(cell)).filter(Boolean);
+            add('paragraph', stripInline(cells.join(', ')));
+            continue;
+        }
+
+        if (!/^[ \t]/.test(line)) inList = inList && paragraph.length > 0;
+        paragraph.push(line.trim());
+    }
+    flush();
+
+    return { title, blocks };
+};
+
+export default {
+    extractMarkdown
+};
@@ -0,0 +1,387 @@
+import { DocumentFormatError, collapseWhitespace } from './structure.js';
+import { LexiconFormatError, parseCsvRows } from '../lexicon.js';
+import { splitSentences } from '../textChunker.js';
+
+/*
+ * Script import
+ *
+ * Turns a script into conversation lines: { speaker, text, direction, pauseAfter }.
+ * Supported formats:
+ *   lines    - "SPEAKER: line" (lines without a speaker continue the previous one)
+ *   fountain - screenplays in Fountain markup (character cues above dialogue)
+ *   json     - [{ speaker, text }] or { title, lines: [...] }
+ *   csv      - speaker,text rows (header optional)
+ * direction holds the parentheticals of a line such as "(whispering)"; they
+ * are not spoken, and pauses such as "(beat)" end the line with a
+ * pauseAfter (seconds).
+ */
+
+export const SCRIPT_FORMATS = ['lines', 'fountain', 'json', 'csv'];
+export const SCRIPT_EXTENSIONS = ['.txt', '.fountain', '.spmd', '.json', '.csv'];
+export const MAX_SCRIPT_SIZE = 2 * 1024 * 1024;
+export const MAX_SCRIPT_LINE_LENGTH = 1000; // Longest conversation segment
+export const MAX_SPEAKER_NAME_LENGTH = 50;
+
+// "NAME: line", "Dr. Smith (V.O.): line"
+const SPEAKER_LINE_PATTERN = /^\s*([\p{L}\p{N}][\p{L}\p{N} .'’-]*?)\s*(\([^)]*\))?\s*:\s*(.*)$/u;
+const PARENTHETICAL_PATTERN = /^\s*(\([^)]*\))\s*/;
+const INLINE_PARENTHETICAL_PATTERN = /\s*\(([^)]*)\)\s*/g;
+
+// Stage directions read as a pause after the line (seconds)
+const PAUSE_DIRECTIONS = { 'beat': 0.5, 'short pause': 0.5, 'pause': 1, 'long pause': 2, 'silence': 2 };
+const MAX_PAUSE_AFTER = 10; // Longest pause between conversation segments
+
+// Fountain elements that look like character cues but are not
+const SCENE_HEADING_PATTERN = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[. ]/i;
+const TRANSITION_PATTERN = /^[^a-z]*TO:$/;
+const CHARACTER_EXTENSION_PATTERN = /\s*(\([^)]*\)\s*)*\^?$/;
+
+const SPEAKER_FIELDS = ['speaker', 'character', 'name', 'voice'];
+const TEXT_FIELDS = ['text', 'line', 'dialogue'];
+
+// Script lines longer than a segment are split at sentence ends (or hard-wrapped)
+const splitLongLine = (text) => {
+    if (text.length <= MAX_SCRIPT_LINE_LENGTH) return [text];
+
+    const parts = [];
+    let current = '';
+    for (const sentence of splitSentences(text)) {
+        if (current && current.length + sentence.length > MAX_SCRIPT_LINE_LENGTH) {
+            parts.push(current.trim());
+            current = '';
+        }
+        current += sentence;
+        while (current.length > MAX_SCRIPT_LINE_LENGTH) {
+            parts.push(current.slice(0, MAX_SCRIPT_LINE_LENGTH).trim());
+            current = current.slice(MAX_SCRIPT_LINE_LENGTH);
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+};
+
+// Seconds of pause a direction such as "(long pause)" stands for (undefined for other directions)
+const getPauseDuration = (direction) => PAUSE_DIRECTIONS[collapseWhitespace(direction.replace(/^\(|\)$/g, '')).toLowerCase()];
+
+// Collect lines, merging whitespace and dropping the ones with nothing to say.
+// Parentheticals in the text are added to the direction; a pause ends the line with pauseAfter.
+const createLineList = () => {
+    const lines = [];
+
+    const addPause = (seconds) => {
+        const previous = lines[lines.length - 1];
+        if (previous) previous.pauseAfter = Math.min(MAX_PAUSE_AFTER, (previous.pauseAfter || 0) + seconds);
+    };
+
+    const addText = (name, text, directions) => {
+        // "Hello (waves) Bob." leaves no space before the punctuation
+        const value = collapseWhitespace(text).replace(/\s+(?=[,.;:!?…])/g, '');
+        if (!/[\p{L}\p{N}]/u.test(value)) return;
+
+        const direction = directions.join(' ') || null;
+        for (const part of splitLongLine(value)) {
+            lines.push({ speaker: name.slice(0, MAX_SPEAKER_NAME_LENGTH), text: part, direction, pauseAfter: null });
+        }
+    };
+
+    return {
+        lines,
+        add: (speaker, text, direction = null) => {
+            const name = collapseWhitespace(speaker || '');
+            if (!name) return;
+
+            // A leading "(pause)" pauses after the previous line instead of directing this one
+            const leadingPause = direction ? getPauseDuration(direction) : undefined;
+            if (leadingPause) addPause(leadingPause);
+            const lineDirections = direction && !leadingPause ? [collapseWhitespace(direction)] : [];
+
+            const source = text || '';
+            let current = { text: '', directions: lineDirections };
+            let last = 0;
+            for (const match of source.matchAll(INLINE_PARENTHETICAL_PATTERN)) {
+                current.text += `${source.slice(last, match.index)} `;
+                last = match.index + match[0].length;
+
+                const pause = getPauseDuration(match[1]);
+                if (pause) {
+                    addText(name, current.text, current.directions);
+                    addPause(pause);
+                    current = { text: '', directions: lineDirections };
+                } else if (match[1].trim()) {
+                    current.directions = [...current.directions, `(${collapseWhitespace(match[1])})`];
+                }
+            }
+            addText(name, current.text + source.slice(last), current.directions);
+        }
+    };
+};
+
+// Leading "(whispering)" of a line becomes its direction
+const splitDirection = (text) => {
+    const match = text.match(PARENTHETICAL_PATTERN);
+    return match ? { direction: match[1], text: text.slice(match[0].length) } : { direction: null, text };
+};
+
+// Names are short; "He said: ..." or "https://..." are not speakers
+const isSpeakerName = (name) => name.length <= MAX_SPEAKER_NAME_LENGTH && name.split(' ').length <= 4 && !/^https?$/i.test(name);
+
+// Cue names are written in capitals or come back; "Note:" or "Chapter 1:" used once is prose
+const isCueName = (name, counts) => (/\p{Lu}/u.test(name) && name === name.toUpperCase()) || counts.get(name.toLowerCase()) > 1;
+
+// "SPEAKER: line" scripts
+const parseSpeakerLines = (source) => {
+    const { lines, add } = createLineList();
+    let current = null;
+    let skippedLines = 0;
+
+    const sourceLines = source.split('\n');
+    const matches = sourceLines.map(line => line.match(SPEAKER_LINE_PATTERN)).map(match => match && isSpeakerName(match[1]) ? match : null);
+    const counts = new Map();
+    for (const match of matches.filter(Boolean)) {
+        const key = match[1].toLowerCase();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const flush = () => {
+        if (current) add(current.speaker, current.text, current.direction);
+        current = null;
+    };
+
+    for (const [i, line] of sourceLines.entries()) {
+        const match = matches[i];
+        if (match && isCueName(match[1], counts)) {
+            flush();
+            const { direction, text } = splitDirection(match[3]);
+            current = { speaker: match[1], text, direction };
+        } else if (!line.trim()) {
+            flush();
+        } else if (current) {
+            current.text += ` ${line}`;
+        } else {
+            skippedLines++;
+        }
+    }
+    flush();
+
+    return { title: null, lines, skippedLines };
+};
+
+// Fountain: strip boneyard /* */, notes [[ ]] and emphasis markers
+const cleanFountain = (source) => source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\[\[[\s\S]*?\]\]/g, '')
+    .replace(/\\([*_])/g, '$1')
+    .replace(/(\*{1,3}|_)(?=\S)([^\n]*?\S)\1/g, '$2');
+
+// Title page: "Key: value" lines before the first blank line
+const parseTitlePage = (lines) => {
+    if (!/^\s*title\s*:/i.test(lines[0] || '')) return { title: null, start: 0 };
+
+    const end = lines.findIndex(line => !line.trim());
+    const titleLine = lines.slice(0, end === -1 ? lines.length : end).findIndex(line => /^\s*title\s*:/i.test(line));
+    let title = lines[titleLine].replace(/^\s*title\s*:/i, '').trim();
+    for (let i = titleLine + 1; !title && i < end && /^(\s{3,}|\t)/.test(lines[i]); i++) {
+        title = lines[i].trim(); // Indented value on the next line
+    }
+    return { title: title || null, start: end === -1 ? lines.length : end };
+};
+
+// Character cue: an all-caps line (or one forced with "@") that is not a scene heading or transition
+const getCharacterName = (line) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('@')) return trimmed.slice(1).replace(CHARACTER_EXTENSION_PATTERN, '').trim() || null;
+    if (/^[!.>~=#]/.test(trimmed)) return null; // Forced action, scene heading, transition, lyrics, section
+
+    const name = trimmed.replace(CHARACTER_EXTENSION_PATTERN, '').trim();
+    if (!/\p{Lu}/u.test(name) || name !== name.toUpperCase()) return null;
+    if (SCENE_HEADING_PATTERN.test(name) || TRANSITION_PATTERN.test(trimmed)) return null;
+    return name;
+};
+
+// Fountain screenplays: dialogue is the block below a character cue, up to the next blank line
+const parseFountain = (source) => {
+    const { lines, add } = createLineList();
+    const sourceLines = cleanFountain(source).split('\n');
+    const { title, start } = parseTitlePage(sourceLines);
+    let skippedLines = 0;
+
+    for (let i = start; i < sourceLines.length; i++) {
+        const line = sourceLines[i];
+        const speaker = (i === 0 || !sourceLines[i - 1].trim()) && line.trim() ? getCharacterName(line) : null;
+        const dialogueFollows = speaker && sourceLines[i + 1]?.trim();
+
+        if (!dialogueFollows) {
+            if (line.trim()) skippedLines++;
+            continue;
+        }
+
+        // Parentheticals inside the dialogue start a new line with their own direction
+        let current = { text: '', direction: null };
+        for (i++; i < sourceLines.length && sourceLines[i].trim(); i++) {
+            const dialogueLine = sourceLines[i].trim();
+            if (/^\(.*\)$/.test(dialogueLine)) {
+                add(speaker, current.text, current.direction);
+                current = { text: '', direction: dialogueLine };
+            } else {
+                current.text += ` ${dialogueLine}`;
+            }
+        }
+        add(speaker, current.text, current.direction);
+    }
+
+    return { title, lines, skippedLines };
+};
+
+// First field of an object that holds a value
+const pickField = (object, fields) => {
+    const key = Object.keys(object).find(name => fields.includes(name.toLowerCase()));
+    return key === undefined ? undefined : object[key];
+};
+
+// JSON: [{ speaker, text }], { title, lines }, or [[speaker, text]]
+const parseJsonScript = (source) => {
+    let data;
+    try {
+        data = JSON.parse(source);
+    } catch (error) {
+        throw new DocumentFormatError(`Invalid JSON script: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : (data?.lines || data?.segments || data?.conversationSegments);
+    if (!Array.isArray(items)) {
+        throw new DocumentFormatError('JSON scripts must be an array of { speaker, text } lines or { title, lines }');
+    }
+
+    const { lines, add } = createLineList();
+    let skippedLines = 0;
+    for (const item of items) {
+        const [speaker, text, direction] = Array.isArray(item)
+            ? item
+            : item && typeof item === 'object'
+                ? [pickField(item, SPEAKER_FIELDS), pickField(item, TEXT_FIELDS), item.direction]
+                : [];
+
+        const before = lines.length;
+        if (typeof speaker === 'string' && typeof text === 'string') {
+            const split = direction ? { direction, text } : splitDirection(text);
+            add(speaker, split.text, typeof split.direction === 'string' ? split.direction : null);
+        }
+        if (lines.length === before) skippedLines++;
+    }
+
+    return { title: typeof data?.title === 'string' ? data.title.trim() || null : null, lines, skippedLines };
+};
+
+// A CSV header row names a speaker and a text column ("speaker,text")
+const isCsvHeader = (cells = []) => {
+    const header = cells.map(cell => cell.trim().toLowerCase());
+    return header.some(cell => SPEAKER_FIELDS.includes(cell)) && header.some(cell => TEXT_FIELDS.includes(cell));
+};
+
+// CSV: speaker,text[,direction] rows, with an optional header naming the columns
+const parseCsvScript = (source) => {
+    let rows;
+    try {
+        rows = parseCsvRows(source);
+    } catch (error) {
+        if (error instanceof LexiconFormatError) throw new DocumentFormatError(error.message);
+        throw error;
+    }
+
+    const header = rows[0]?.map(cell => cell.trim().toLowerCase()) || [];
+    const hasHeader = isCsvHeader(header);
+    const speakerColumn = hasHeader ? header.findIndex(cell => SPEAKER_FIELDS.includes(cell)) : 0;
+    const textColumn = hasHeader ? header.findIndex(cell => TEXT_FIELDS.includes(cell)) : 1;
+    const directionColumn = hasHeader ? header.indexOf('direction') : 2;
+
+    const { lines, add } = createLineList();
+    let skippedLines = 0;
+    for (const cells of rows.slice(hasHeader ? 1 : 0)) {
+        const before = lines.length;
+        const split = cells[directionColumn]?.trim()
+            ? { direction: cells[directionColumn], text: cells[textColumn] }
+            : splitDirection(cells[textColumn] || '');
+        add(cells[speakerColumn], split.text, split.direction);
+        if (lines.length === before) skippedLines++;
+    }
+
+    return { title: null, lines, skippedLines };
+};
+
+// Fountain is assumed when character cues outnumber "SPEAKER:" lines
+const detectPlainScriptFormat = (source) => {
+    const fountainLines = parseFountain(source).lines.length;
+    const speakerLines = parseSpeakerLines(source).lines.length;
+    return fountainLines > speakerLines ? 'fountain' : 'lines';
+};
+
+/**
+ * Detect the format of a script from its file name and content.
+ */
+export const detectScriptFormat = (source, filename = '') => {
+    const extension = filename.toLowerCase().match(/\.([a-z]+)$/)?.[1];
+    if (extension === 'fountain' || extension === 'spmd') return 'fountain';
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (/^\s*[[{]/.test(source)) return 'json';
+
+    // Pasted CSV is recognized by its header row
+    const firstLine = source.split('\n').find(line => line.trim()) || '';
+    if (firstLine.includes(',') && isCsvHeader(firstLine.split(',').map(cell => cell.replace(/^\s*"|"\s*$/g, '')))) return 'csv';
+    return detectPlainScriptFormat(source);
+};
+
+/**
+ * Parse a script into conversation lines.
+ * format: one of SCRIPT_FORMATS or 'auto'.
+ * Returns { title, format, lines: [{ speaker, text, direction }], speakers: [{ name, lineCount }], skippedLines }
+ * (speakers in order of appearance; skippedLines counts text that was not dialogue).
+ * Throws DocumentFormatError when nothing can be read.
+ */
+export const parseScript = (source, { format = 'auto', filename = '' } = {}) => {
+    const text = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const resolvedFormat = format === 'auto' ? detectScriptFormat(text, filename) : format;
+    if (!SCRIPT_FORMATS.includes(resolvedFormat)) {
+        throw new DocumentFormatError(`Unsupported script format (supported: ${SCRIPT_FORMATS.join(', ')})`);
+    }
+
+    const { title, lines, skippedLines } = {
+        lines: parseSpeakerLines,
+        fountain: parseFountain,
+        json: parseJsonScript,
+        csv: parseCsvScript
+    }[resolvedFormat](text);
+
+    if (lines.length === 0) {
+        throw new DocumentFormatError(`No dialogue found (expected ${resolvedFormat === 'fountain' ? 'character cues above dialogue' : resolvedFormat === 'lines' ? '"SPEAKER: line" lines' : 'speaker and text values'})`);
+    }
+
+    // "ALICE" and "Alice" are one speaker, named as first written
+    const names = new Map();
+    const counts = new Map();
+    const speakerLines = lines.map(line => {
+        const key = line.speaker.toLowerCase();
+        if (!names.has(key)) names.set(key, line.speaker);
+        const speaker = names.get(key);
+        counts.set(speaker, (counts.get(speaker) || 0) + 1);
+        return { ...line, speaker };
+    });
+
+    return {
+        title,
+        format: resolvedFormat,
+        lines: speakerLines,
+        speakers: [...counts.entries()].map(([name, lineCount]) => ({ name, lineCount })),
+        skippedLines
+    };
+};
+
+export default {
+    SCRIPT_FORMATS,
+    SCRIPT_EXTENSIONS,
+    MAX_SCRIPT_SIZE,
+    MAX_SCRIPT_LINE_LENGTH,
+    MAX_SPEAKER_NAME_LENGTH,
+    detectScriptFormat,
+    parseScript
+};
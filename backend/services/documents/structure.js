@@ -0,0 +1,54 @@
+import { escapeXml } from '../ssml.js';
+
+/*
+ * Document structure
+ *
+ * Every importer turns a file into a list of blocks:
+ * { type: 'heading', level: 1-6, text } | { type: 'paragraph', text }
+ * Blocks hold readable text only (no markup), with whitespace collapsed.
+ */
+
+// Pause after a heading when the document is read as SSML
+const HEADING_BREAK = '750ms';
+
+// Error for files that cannot be read as the format they claim to be
+export class DocumentFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DocumentFormatError';
+    }
+}
+
+export const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Collect blocks, dropping the ones without any letters or digits
+export const createBlockList = () => {
+    const blocks = [];
+    return {
+        blocks,
+        add: (type, text, level = null) => {
+            const value = collapseWhitespace(text);
+            if (!/[\p{L}\p{N}]/u.test(value)) return;
+            blocks.push(type === 'heading' ? { type, level, text: value } : { type, text: value });
+        }
+    };
+};
+
+// Plain text for the editor: one block per paragraph
+export const blocksToText = (blocks) => blocks.map(block => block.text).join('\n\n');
+
+// SSML for synthesis: every block is a <p>, headings are followed by a pause
+export const blocksToSSML = (blocks) => {
+    const body = blocks.map(block => (block.type === 'heading'
+        ? `<p>${escapeXml(block.text)}</p><break time="${HEADING_BREAK}"/>`
+        : `<p>${escapeXml(block.text)}</p>`));
+    return `<speak>${body.join('\n')}</speak>`;
+};
+
+export default {
+    DocumentFormatError,
+    collapseWhitespace,
+    createBlockList,
+    blocksToText,
+    blocksToSSML
+};
@@ -0,0 +1,100 @@
+import zlib from 'zlib';
+import { DocumentFormatError } from './structure.js';
+
+// ZIP record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Find the end of central directory record (it is followed by an optional comment)
+const findEndRecord = (buffer) => {
+    const lowest = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - END_RECORD_SIZE; offset >= lowest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    return -1;
+};
+
+/**
+ * Read the file list of a ZIP archive.
+ * Returns a Map of path -> { method, compressedSize, size, offset }.
+ * ZIP64 and encrypted archives are not supported.
+ */
+export const readZipEntries = (buffer) => {
+    const endOffset = buffer.length >= END_RECORD_SIZE ? findEndRecord(buffer) : -1;
+    if (endOffset === -1) {
+        throw new DocumentFormatError('Not a ZIP archive: end of central directory not found');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    if (offset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+        throw new DocumentFormatError('ZIP64 archives are not supported');
+    }
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new DocumentFormatError('Corrupt ZIP archive: invalid central directory');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, {
+            encrypted: Boolean(flags & 0x01),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            offset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+};
+
+/**
+ * Extract one file from a ZIP archive.
+ * maxSize caps the uncompressed size (guards against zip bombs).
+ */
+export const readZipFile = (buffer, entry, { maxSize = 50 * 1024 * 1024 } = {}) => {
+    if (entry.encrypted) {
+        throw new DocumentFormatError('Encrypted ZIP entries are not supported');
+    }
+    if (entry.offset + 30 > buffer.length || buffer.readUInt32LE(entry.offset) !== LOCAL_FILE_HEADER) {
+        throw new DocumentFormatError('Corrupt ZIP archive: invalid local file header');
+    }
+    if (entry.size > maxSize) {
+        throw new DocumentFormatError(`ZIP entry is too large (${entry.size} bytes)`);
+    }
+
+    // Sizes are taken from the central directory (local headers may defer them to a data descriptor)
+    const dataStart = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+    const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === STORED) return data;
+    if (entry.method === DEFLATED) {
+        try {
+            return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+        } catch (error) {
+            throw new DocumentFormatError(`Corrupt ZIP entry: ${error.message}`);
+        }
+    }
+    throw new DocumentFormatError(`Unsupported ZIP compression method ${entry.method}`);
+};
+
+export default {
+    readZipEntries,
+    readZipFile
+};
@@ -0,0 +1,318 @@
+import { tokenizeSSML, decodeEntities, escapeXml } from './ssml.js';
+
+/*
+ * Pronunciation lexicon
+ *
+ * Each entry maps a word to an alias (read as other text) or to a phoneme
+ * string. Before synthesis every whole-word occurrence is rewritten: aliases
+ * in plain text are substituted directly, everything else becomes SSML
+ * <sub alias> / <phoneme ph> elements. Lexicons are imported and exported as
+ * W3C PLS documents or CSV files.
+ */
+
+export const LEXICON_TYPES = ['alias', 'phoneme'];
+export const PHONETIC_ALPHABETS = ['ipa', 'x-sampa'];
+export const MAX_WORD_LENGTH = 100;
+export const MAX_VALUE_LENGTH = 500;
+export const MAX_LEXICON_ENTRIES = 5000; // Per user
+
+const PLS_NAMESPACE = 'http://www.w3.org/2005/01/pronunciation-lexicon';
+const CSV_COLUMNS = ['word', 'type', 'value', 'alphabet'];
+
+// SSML elements whose content must not be rewritten again
+const ATOMIC_ELEMENTS = new Set(['say-as', 'sub', 'phoneme']);
+
+// Error for lexicon files that cannot be read at all
+export class LexiconFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LexiconFormatError';
+    }
+}
+
+/**
+ * Check an entry before it is stored or imported.
+ * Returns the normalized entry, or throws an Error describing the problem.
+ */
+export const normalizeEntry = ({ word, type, value, alphabet } = {}) => {
+    const entry = {
+        word: String(word ?? '').trim(),
+        type: String(type ?? '').trim().toLowerCase(),
+        value: String(value ?? '').trim(),
+        alphabet: alphabet ? String(alphabet).trim().toLowerCase() : null
+    };
+
+    if (!entry.word || entry.word.length > MAX_WORD_LENGTH) {
+        throw new Error(`Word must be between 1 and ${MAX_WORD_LENGTH} characters`);
+    }
+    if (!LEXICON_TYPES.includes(entry.type)) {
+        throw new Error(`Type must be one of: ${LEXICON_TYPES.join(', ')}`);
+    }
+    if (!entry.value || entry.value.length > MAX_VALUE_LENGTH) {
+        throw new Error(`${entry.type === 'alias' ? 'Alias' : 'Phoneme'} must be between 1 and ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    if (entry.type === 'phoneme') {
+        entry.alphabet = entry.alphabet || 'ipa';
+        if (!PHONETIC_ALPHABETS.includes(entry.alphabet)) {
+            throw new Error(`Alphabet must be one of: ${PHONETIC_ALPHABETS.join(', ')}`);
+        }
+    } else {
+        entry.alphabet = null;
+    }
+
+    return entry;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word matcher for every entry (longest words first, so "New York City" wins over "New York")
+const buildMatcher = (entries) => {
+    const words = [...new Set(entries.map(entry => entry.word))].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+
+    // Matching ignores case; an entry with the exact spelling wins over other casings
+    const byWord = new Map(entries.map(entry => [entry.word, entry]));
+    const byLowerCase = new Map();
+    for (const entry of entries) {
+        if (!byLowerCase.has(entry.word.toLowerCase())) byLowerCase.set(entry.word.toLowerCase(), entry);
+    }
+    const lookup = (match) => byWord.get(match) || byLowerCase.get(match.toLowerCase());
+
+    return { pattern, lookup };
+};
+
+// SSML element that makes the engine read a word as the entry says
+const toSSMLElement = (entry, written) => (entry.type === 'alias'
+    ? `<sub alias="${escapeXml(entry.value)}">${escapeXml(written)}</sub>`
+    : `<phoneme alphabet="${entry.alphabet || 'ipa'}" ph="${escapeXml(entry.value)}">${escapeXml(written)}</phoneme>`);
+
+// Rewrite decoded text as SSML (unmatched text is escaped)
+const rewriteAsSSML = (text, { pattern, lookup }) => {
+    let result = '';
+    let last = 0;
+    let count = 0;
+
+    for (const match of text.matchAll(pattern)) {
+        result += escapeXml(text.slice(last, match.index)) + toSSMLElement(lookup(match[0]), match[0]);
+        last = match.index + match[0].length;
+        count++;
+    }
+
+    return { ssml: result + escapeXml(text.slice(last)), count };
+};
+
+/**
+ * Apply lexicon entries to plain text or SSML.
+ * Returns { text, inputType, replacements }. Plain text stays plain text when
+ * only aliases matched (unless forceSSML is set, e.g. so subtitles keep the
+ * written words); a phoneme match turns it into an SSML document.
+ * Text already inside <say-as>, <sub> or <phoneme> is left alone.
+ */
+export const applyLexicon = (input, entries, { inputType = 'text', forceSSML = false } = {}) => {
+    if (!input || !entries?.length) {
+        return { text: input, inputType, replacements: 0 };
+    }
+
+    const matcher = buildMatcher(entries);
+
+    if (inputType !== 'ssml') {
+        const matches = [...input.matchAll(matcher.pattern)].map(match => matcher.lookup(match[0]));
+        if (matches.length === 0) {
+            return { text: input, inputType, replacements: 0 };
+        }
+
+        if (!forceSSML && matches.every(entry => entry.type === 'alias')) {
+            const text = input.replace(matcher.pattern, match => matcher.lookup(match).value);
+            return { text, inputType, replacements: matches.length };
+        }
+
+        const { ssml, count } = rewriteAsSSML(input, matcher);
+        return { text: `<speak>${ssml}</speak>`, inputType: 'ssml', replacements: count };
+    }
+
+    let replacements = 0;
+    let atomicDepth = 0;
+    const ssml = tokenizeSSML(input).map(token => {
+        if (token.type === 'text') {
+            if (atomicDepth > 0) return token.raw;
+
+            const { ssml: rewritten, count } = rewriteAsSSML(decodeEntities(token.raw), matcher);
+            replacements += count;
+            return count > 0 ? rewritten : token.raw;
+        }
+
+        if (ATOMIC_ELEMENTS.has(token.name) && !token.selfClosing) {
+            atomicDepth += token.type === 'open' ? 1 : -1;
+        }
+        return token.raw;
+    }).join('');
+
+    // Keep a leading XML declaration (the tokenizer skips it)
+    const declaration = input.match(/^\s*<\?xml[^?]*\?>/)?.[0] || '';
+    return {
+        text: replacements > 0 ? declaration + ssml : input,
+        inputType,
+        replacements
+    };
+};
+
+// Read every entry of a list, collecting the ones that are invalid
+const collectEntries = (rawEntries) => {
+    const entries = [];
+    const errors = [];
+
+    rawEntries.forEach(({ position, ...raw }) => {
+        try {
+            entries.push(normalizeEntry(raw));
+        } catch (error) {
+            errors.push({ position, word: raw.word || null, message: error.message });
+        }
+    });
+
+    return { entries, errors };
+};
+
+/**
+ * Parse a PLS (Pronunciation Lexicon Specification) document.
+ * Every <grapheme> of a <lexeme> becomes an entry with the lexeme's first
+ * <alias> or <phoneme>. Returns { entries, errors }.
+ */
+export const parsePLS = (source) => {
+    const root = source.match(/<lexicon\b([^>]*)>/);
+    if (!root) {
+        throw new LexiconFormatError('Not a PLS document: <lexicon> element not found');
+    }
+
+    const defaultAlphabet = root[1].match(/\balphabet\s*=\s*["']([^"']*)["']/)?.[1] || 'ipa';
+    const text = (value) => decodeEntities(value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim();
+
+    const rawEntries = [];
+    const lexemes = [...source.matchAll(/<lexeme\b[^>]*>([\s\S]*?)<\/lexeme>/g)];
+    lexemes.forEach((lexeme, index) => {
+        const body = lexeme[1];
+        const graphemes = [...body.matchAll(/<grapheme\b[^>]*>([\s\S]*?)<\/grapheme>/g)].map(match => text(match[1]));
+        const alias = body.match(/<alias\b[^>]*>([\s\S]*?)<\/alias>/);
+        const phoneme = body.match(/<phoneme\b([^>]*)>([\s\S]*?)<\/phoneme>/);
+
+        const pronunciation = alias
+            ? { type: 'alias', value: text(alias[1]) }
+            : {
+                type: phoneme ? 'phoneme' : null,
+                value: phoneme ? text(phoneme[2]) : null,
+                alphabet: phoneme?.[1].match(/\balphabet\s*=\s*["']([^"']*)["']/)?.[1] || defaultAlphabet
+            };
+
+        if (graphemes.length === 0) {
+            graphemes.push('');
+        }
+        for (const word of graphemes) {
+            rawEntries.push({ position: index + 1, word, ...pronunciation });
+        }
+    });
+
+    return collectEntries(rawEntries);
+};
+
+// Export entries as a PLS document
+export const toPLS = (entries, { languageCode = 'en-US' } = {}) => {
+    const lexemes = entries.map(entry => {
+        const pronunciation = entry.type === 'alias'
+            ? `<alias>${escapeXml(entry.value)}</alias>`
+            : `<phoneme${entry.alphabet && entry.alphabet !== 'ipa' ? ` alphabet="${entry.alphabet}"` : ''}>${escapeXml(entry.value)}</phoneme>`;
+        return `  <lexeme>\n    <grapheme>${escapeXml(entry.word)}</grapheme>\n    ${pronunciation}\n  </lexeme>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<lexicon version="1.0" xmlns="${PLS_NAMESPACE}" alphabet="ipa" xml:lang="${escapeXml(languageCode)}">`,
+        ...lexemes,
+        '</lexicon>',
+        ''
+    ].join('\n');
+};
+
+// Split CSV into rows of cells (RFC 4180 quoting, any line ending)
+export const parseCsvRows = (source) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            rows.push([...row, cell]);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new LexiconFormatError('Unterminated quoted value in CSV');
+    }
+    if (cell || row.length > 0) {
+        rows.push([...row, cell]);
+    }
+
+    // Skip blank lines
+    return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+/**
+ * Parse a CSV lexicon with the columns word,type,value[,alphabet].
+ * A header row is optional. Returns { entries, errors }.
+ */
+export const parseCSV = (source) => {
+    const rows = parseCsvRows(source.replace(/^\uFEFF/, ''));
+    const hasHeader = rows[0]?.[0]?.trim().toLowerCase() === 'word';
+
+    const rawEntries = rows.slice(hasHeader ? 1 : 0).map((cells, index) => ({
+        position: index + (hasHeader ? 2 : 1), // Row number, counting the header
+        word: cells[0],
+        type: cells[1],
+        value: cells[2],
+        alphabet: cells[3]
+    }));
+
+    return collectEntries(rawEntries);
+};
+
+// Export entries as CSV (with a header row)
+export const toCSV = (entries) => {
+    const quote = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => quote(String(entry[column] ?? ''))).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+export default {
+    LEXICON_TYPES,
+    PHONETIC_ALPHABETS,
+    MAX_LEXICON_ENTRIES,
+    LexiconFormatError,
+    normalizeEntry,
+    applyLexicon,
+    parsePLS,
+    toPLS,
+    parseCsvRows,
+    parseCSV,
+    toCSV
+};
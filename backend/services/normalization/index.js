@@ -0,0 +1,125 @@
+import { tokenizeSSML, decodeEntities, escapeXml } from '../ssml.js';
+import { RULE_DEFINITIONS } from './rules.js';
+import { getRuleSet, NORMALIZATION_LANGUAGES } from './languages.js';
+
+/*
+ * Text normalization
+ *
+ * Rewrites tokens providers tend to read badly (URLs, dates, version numbers,
+ * currency amounts, 1.5M-style numbers) before synthesis. Expansions replace
+ * the token in plain text, which stays plain text (dates are written out);
+ * in SSML they become <sub alias> so the written form is kept, and dates are
+ * wrapped in <say-as interpret-as="date">.
+ */
+
+export const NORMALIZATION_RULES = [...new Set(RULE_DEFINITIONS.map(rule => rule.id))];
+
+export { NORMALIZATION_LANGUAGES };
+
+// SSML elements whose content is already read as intended
+const ATOMIC_ELEMENTS = new Set(['say-as', 'sub', 'phoneme']);
+
+// Rules that run for a request: the language's rule set minus the ones switched off
+const getEnabledRules = (ruleSet, overrides = {}) => RULE_DEFINITIONS.filter(rule => (
+    ruleSet.rules.includes(rule.id) && overrides[rule.id] !== false
+));
+
+// Split text into plain pieces and replacements ({ text } | { rule, original, spoken | ssml })
+const segmentText = (text, rules, ruleSet) => {
+    let segments = [{ text }];
+
+    for (const rule of rules) {
+        const pattern = rule.pattern(ruleSet);
+        segments = segments.flatMap(segment => {
+            if (segment.text === undefined) return [segment];
+
+            const pieces = [];
+            let last = 0;
+            for (const match of segment.text.matchAll(pattern)) {
+                const replacement = rule.replace(match, ruleSet);
+                if (!replacement) continue;
+
+                pieces.push({ text: segment.text.slice(last, match.index) });
+                pieces.push({ rule: rule.id, original: match[0], ...replacement });
+                last = match.index + match[0].length;
+            }
+            pieces.push({ text: segment.text.slice(last) });
+            return pieces.filter(piece => piece.text !== '');
+        });
+    }
+
+    return segments;
+};
+
+const renderPlain = (segments) => segments.map(segment => segment.text ?? segment.spoken).join('');
+
+const renderSSML = (segments) => segments.map(segment => {
+    if (segment.text !== undefined) return escapeXml(segment.text);
+    if (segment.ssml) return segment.ssml;
+    return `<sub alias="${escapeXml(segment.spoken)}">${escapeXml(segment.original)}</sub>`;
+}).join('');
+
+// Replacements made, as plain words or as the SSML markup that was used
+const describeChanges = (segments, { markup }) => segments
+    .filter(segment => segment.rule)
+    .map(({ rule, original, spoken, ssml }) => ({ rule, original, replacement: markup ? ssml ?? spoken : spoken }));
+
+/**
+ * Normalize plain text or SSML for a language.
+ * options.rules switches single rules off ({ urls: false }); options.forceSSML
+ * keeps expansions as <sub> elements even for plain text (so subtitles show
+ * the written form). Returns { text, inputType, changes: [{ rule, original, replacement }] }.
+ */
+export const normalizeText = (input, { languageCode = 'en-US', inputType = 'text', rules: overrides = {}, forceSSML = false } = {}) => {
+    const ruleSet = getRuleSet(languageCode);
+    const rules = ruleSet ? getEnabledRules(ruleSet, overrides) : [];
+    if (!input || rules.length === 0) {
+        return { text: input, inputType, changes: [] };
+    }
+
+    if (inputType !== 'ssml') {
+        const segments = segmentText(input, rules, ruleSet);
+        const changes = describeChanges(segments, { markup: forceSSML });
+        if (changes.length === 0) {
+            return { text: input, inputType, changes };
+        }
+
+        // Markup would be billed as characters, so plain text stays plain text
+        if (!forceSSML) {
+            return { text: renderPlain(segments), inputType, changes };
+        }
+        return { text: `<speak>${renderSSML(segments)}</speak>`, inputType: 'ssml', changes };
+    }
+
+    const changes = [];
+    let atomicDepth = 0;
+    const ssml = tokenizeSSML(input).map(token => {
+        if (token.type === 'text') {
+            if (atomicDepth > 0) return token.raw;
+
+            const segments = segmentText(decodeEntities(token.raw), rules, ruleSet);
+            const tokenChanges = describeChanges(segments, { markup: true });
+            changes.push(...tokenChanges);
+            return tokenChanges.length > 0 ? renderSSML(segments) : token.raw;
+        }
+
+        if (ATOMIC_ELEMENTS.has(token.name) && !token.selfClosing) {
+            atomicDepth += token.type === 'open' ? 1 : -1;
+        }
+        return token.raw;
+    }).join('');
+
+    // Keep a leading XML declaration (the tokenizer skips it)
+    const declaration = input.match(/^\s*<\?xml[^?]*\?>/)?.[0] || '';
+    return {
+        text: changes.length > 0 ? declaration + ssml : input,
+        inputType,
+        changes
+    };
+};
+
+export default {
+    NORMALIZATION_RULES,
+    NORMALIZATION_LANGUAGES,
+    normalizeText
+};
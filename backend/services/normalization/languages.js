@@ -0,0 +1,87 @@
+/*
+ * Normalization rule sets per language
+ *
+ * A rule set lists the rules that run for the language and the words they
+ * speak. Regional variants (en-GB) override fields of their base language.
+ * Languages without a rule set are sent to the provider unchanged.
+ */
+
+const LANGUAGE_RULE_SETS = {
+    en: {
+        rules: ['urls', 'dates', 'versions', 'currency', 'numbers'],
+        dateOrder: 'mdy',
+        decimalSeparator: '.',
+        words: { version: 'version', point: 'point', dot: 'dot', slash: 'slash', and: 'and' },
+        // [singular, plural]
+        magnitudes: { k: ['thousand', 'thousand'], M: ['million', 'million'], B: ['billion', 'billion'], T: ['trillion', 'trillion'] },
+        magnitudeJoiner: ' ', // Between "million" and the currency
+        currencies: { '$': ['dollar', 'dollars'], '€': ['euro', 'euros'], '£': ['pound', 'pounds'], '¥': ['yen', 'yen'] },
+        subunits: { '$': ['cent', 'cents'], '€': ['cent', 'cents'], '£': ['penny', 'pence'] }
+    },
+    de: {
+        rules: ['urls', 'dates', 'versions', 'currency', 'numbers'],
+        dateOrder: 'dmy',
+        decimalSeparator: ',',
+        words: { version: 'Version', point: 'Punkt', dot: 'Punkt', slash: 'Schrägstrich', and: 'und' },
+        magnitudes: { k: ['tausend', 'tausend'], M: ['Million', 'Millionen'], B: ['Milliarde', 'Milliarden'], T: ['Billion', 'Billionen'] },
+        magnitudeJoiner: ' ',
+        currencies: { '$': ['Dollar', 'Dollar'], '€': ['Euro', 'Euro'], '£': ['Pfund', 'Pfund'], '¥': ['Yen', 'Yen'] },
+        subunits: { '$': ['Cent', 'Cent'], '€': ['Cent', 'Cent'], '£': ['Penny', 'Pence'] }
+    },
+    fr: {
+        rules: ['urls', 'dates', 'versions', 'currency', 'numbers'],
+        dateOrder: 'dmy',
+        decimalSeparator: ',',
+        words: { version: 'version', point: 'point', dot: 'point', slash: 'slash', and: 'et' },
+        magnitudes: { k: ['mille', 'mille'], M: ['million', 'millions'], B: ['milliard', 'milliards'], T: ['billion', 'billions'] },
+        magnitudeJoiner: ' de ', // "2 millions de dollars" ("mille dollars" has no "de")
+        magnitudeJoinerBeforeVowel: " d'", // "2 millions d'euros"
+        currencies: { '$': ['dollar', 'dollars'], '€': ['euro', 'euros'], '£': ['livre', 'livres'], '¥': ['yen', 'yens'] },
+        subunits: { '$': ['cent', 'cents'], '€': ['centime', 'centimes'], '£': ['penny', 'pence'] }
+    },
+    es: {
+        rules: ['urls', 'dates', 'versions', 'currency', 'numbers'],
+        dateOrder: 'dmy',
+        decimalSeparator: ',',
+        words: { version: 'versión', point: 'punto', dot: 'punto', slash: 'barra', and: 'con' },
+        magnitudes: { k: ['mil', 'mil'], M: ['millón', 'millones'], B: ['mil millones', 'mil millones'], T: ['billón', 'billones'] },
+        magnitudeJoiner: ' de ',
+        currencies: { '$': ['dólar', 'dólares'], '€': ['euro', 'euros'], '£': ['libra', 'libras'], '¥': ['yen', 'yenes'] },
+        subunits: { '$': ['centavo', 'centavos'], '€': ['céntimo', 'céntimos'], '£': ['penique', 'peniques'] }
+    },
+    ja: {
+        // Japanese voices read amounts and version numbers well on their own
+        rules: ['urls', 'dates'],
+        dateOrder: 'ymd',
+        decimalSeparator: '.',
+        words: { dot: 'ドット', slash: 'スラッシュ' }
+    }
+};
+
+// Regional differences from the base language
+const REGIONAL_OVERRIDES = {
+    'en-GB': { dateOrder: 'dmy' },
+    'en-AU': { dateOrder: 'dmy' },
+    'en-IN': { dateOrder: 'dmy' }
+};
+
+/**
+ * Rule set for a language code ("en-GB" -> en with British dates), with the
+ * code as locale for written-out dates. Returns null when the language has no rule set.
+ */
+export const getRuleSet = (languageCode = 'en-US') => {
+    const [language, region] = String(languageCode).split('-');
+    const base = LANGUAGE_RULE_SETS[language.toLowerCase()];
+    if (!base) return null;
+
+    const regional = region ? REGIONAL_OVERRIDES[`${language.toLowerCase()}-${region.toUpperCase()}`] : null;
+    return { ...base, ...regional, locale: String(languageCode) };
+};
+
+// Languages with a rule set (for documentation and validation messages)
+export const NORMALIZATION_LANGUAGES = Object.keys(LANGUAGE_RULE_SETS);
+
+export default {
+    getRuleSet,
+    NORMALIZATION_LANGUAGES
+};
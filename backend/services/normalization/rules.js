@@ -0,0 +1,211 @@
+/*
+ * Normalization rules
+ *
+ * Each rule finds one kind of token in plain text and returns how it should
+ * be read: { spoken } to expand it into words, plus { ssml } when SSML input
+ * should wrap it in a <say-as> element instead. Returning null leaves the
+ * match alone. Rules run in the
+ * order below; text a rule has replaced is not seen by later rules.
+ */
+
+// Letters, digits and underscore on either side mean the match is part of a longer word
+const WORD_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const WORD_AFTER = '(?![\\p{L}\\p{N}_])';
+
+// Amount with optional thousands grouping and decimals: 1,500.25 / 1.500,25 / 1 500 / 1.5
+const AMOUNT = '\\d{1,3}(?:[,.\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?';
+
+// Magnitude suffixes: $20k, 1.5M, 3bn
+const SUFFIX = 'k|K|m|M|mn|bn|B|T|tn';
+const SUFFIX_MAGNITUDES = { k: 'k', K: 'k', m: 'M', M: 'M', mn: 'M', bn: 'B', B: 'B', T: 'T', tn: 'T' };
+
+const CURRENCY_SYMBOLS = '[$€£¥]';
+
+const pick = ([singular, plural], isOne) => (isOne ? singular : plural);
+
+// "1,500.25" -> { integer: '1500', fraction: '25' }. A separator followed by exactly
+// three digits at the end groups thousands, any other last separator starts decimals.
+const parseAmount = (raw) => {
+    const groups = raw.split(/[,.\u00a0\u202f ]/);
+    const last = groups[groups.length - 1];
+
+    return groups.length > 1 && last.length !== 3
+        ? { integer: groups.slice(0, -1).join(''), fraction: last }
+        : { integer: groups.join(''), fraction: '' };
+};
+
+const formatAmount = ({ integer, fraction }, ruleSet) => (
+    fraction ? `${integer}${ruleSet.decimalSeparator}${fraction}` : integer
+);
+
+const isOne = ({ integer, fraction }) => Number(integer) === 1 && !Number(fraction || 0);
+
+// Magnitude word after a number ("million"), any form of the language
+const magnitudeWords = (ruleSet) => Object.values(ruleSet.magnitudes)
+    .flat()
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+
+const findMagnitude = (word, ruleSet) => Object.keys(ruleSet.magnitudes)
+    .find(key => ruleSet.magnitudes[key].some(form => form.toLowerCase() === word.toLowerCase()));
+
+// "$1.5M" -> "1.5 million dollars", "€12.50" -> "12 euros and 50 cents"
+const speakMoney = (symbol, rawAmount, magnitude, ruleSet) => {
+    const currency = ruleSet.currencies[symbol];
+    if (!currency) return null;
+
+    const amount = parseAmount(rawAmount);
+    const spokenAmount = formatAmount(amount, ruleSet);
+
+    if (magnitude) {
+        const beforeVowel = /^[aeiouéh]/i.test(currency[1]) && ruleSet.magnitudeJoinerBeforeVowel;
+        const joiner = magnitude === 'k' ? ' ' : beforeVowel || ruleSet.magnitudeJoiner;
+        return `${spokenAmount} ${pick(ruleSet.magnitudes[magnitude], isOne(amount))}${joiner}${currency[1]}`;
+    }
+
+    const subunit = ruleSet.subunits[symbol];
+    if (amount.fraction.length === 2 && subunit) {
+        const whole = `${amount.integer} ${pick(currency, Number(amount.integer) === 1)}`;
+        const cents = Number(amount.fraction);
+        return cents === 0 ? whole : `${whole} ${ruleSet.words.and} ${cents} ${pick(subunit, cents === 1)}`;
+    }
+
+    return `${spokenAmount} ${pick(currency, isOne(amount))}`;
+};
+
+const isValidDate = (year, month, day) => {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCFullYear() === Number(year) && date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+};
+
+const sayAsDate = (text, format, detail = null) => (
+    `<say-as interpret-as="date" format="${format}"${detail ? ` detail="${detail}"` : ''}>${text}</say-as>`
+);
+
+// Date written out the way the language does: "October 19, 2026", "19. Oktober 2026"
+const speakDate = (year, month, day, ruleSet) => new Intl.DateTimeFormat(ruleSet.locale, { dateStyle: 'long', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))));
+
+// Date rule result: written out for plain text, <say-as> in SSML
+const readDate = (match, [year, month, day], format, ruleSet, detail = null) => (isValidDate(year, month, day)
+    ? { spoken: speakDate(year, month, day, ruleSet), ssml: sayAsDate(match[0], format, detail) }
+    : null);
+
+const speakVersion = (numbers, ruleSet, prefix = '') => {
+    const spoken = numbers.split('.').join(` ${ruleSet.words.point} `);
+    return prefix ? `${prefix} ${spoken}` : spoken;
+};
+
+// Long URLs are read as their host, plus the path when it is short
+const MAX_SPOKEN_PATH_SEGMENTS = 2;
+const MAX_SPOKEN_SEGMENT_LENGTH = 20;
+
+const speakUrl = (url, ruleSet) => {
+    let parsed;
+    try {
+        parsed = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`);
+    } catch {
+        return null;
+    }
+
+    const host = parsed.hostname.replace(/^www\./, '');
+    const segments = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    const speakPath = segments.length <= MAX_SPOKEN_PATH_SEGMENTS
+        && segments.every(segment => segment.length <= MAX_SPOKEN_SEGMENT_LENGTH);
+
+    const spokenHost = host.split('.').join(` ${ruleSet.words.dot} `);
+    const spokenPath = speakPath
+        ? segments.map(segment => ` ${ruleSet.words.slash} ${segment.replace(/[-_]+/g, ' ')}`).join('')
+        : '';
+    return `${spokenHost}${spokenPath}`;
+};
+
+/**
+ * Rule definitions: { id, pattern(ruleSet) -> RegExp (global), replace(match, ruleSet) }
+ * Several definitions may share an id (they are switched on and off together).
+ */
+export const RULE_DEFINITIONS = [
+    {
+        id: 'urls',
+        // Trailing punctuation belongs to the sentence, not the URL
+        pattern: () => new RegExp(`${WORD_BEFORE}(?:https?:\\/\\/|www\\.)[^\\s<>"']*[^\\s<>"'.,;:!?)\\]}]`, 'giu'),
+        replace: (match, ruleSet) => {
+            const spoken = speakUrl(match[0], ruleSet);
+            return spoken ? { spoken } : null;
+        }
+    },
+    {
+        id: 'dates',
+        // ISO 8601: 2026-10-19
+        pattern: () => /(?<![\d-])(\d{4})-(\d{2})-(\d{2})(?![\d-])/g,
+        replace: (match, ruleSet) => readDate(match, [match[1], match[2], match[3]], 'yyyymmdd', ruleSet, 1)
+    },
+    {
+        id: 'dates',
+        // Numeric dates in the language's order: 10/19/2026 (mdy), 19.10.2026 (dmy), 2026/10/19 (ymd)
+        pattern: (ruleSet) => (ruleSet.dateOrder === 'ymd'
+            ? /(?<![\d./-])(\d{4})([/.])(\d{1,2})\2(\d{1,2})(?![\d./-])/g
+            : /(?<![\d./-])(\d{1,2})([/.])(\d{1,2})\2(\d{4})(?![\d./-])/g),
+        replace: (match, ruleSet) => {
+            const [, first, , second, third] = match;
+            const date = {
+                ymd: [first, second, third],
+                mdy: [third, first, second],
+                dmy: [third, second, first]
+            }[ruleSet.dateOrder];
+            return readDate(match, date, ruleSet.dateOrder, ruleSet);
+        }
+    },
+    {
+        id: 'versions',
+        // v2.3.1, V10.0 ("Version v2.3.1" does not say the word twice)
+        pattern: () => new RegExp(`${WORD_BEFORE}[vV](\\d+(?:\\.\\d+){1,3})(?![\\p{L}\\p{N}_]|\\.\\d)`, 'gu'),
+        replace: (match, ruleSet) => {
+            const previousWord = match.input.slice(0, match.index).match(/(\p{L}+)\s+$/u)?.[1];
+            const saysVersion = previousWord?.toLowerCase() === ruleSet.words.version.toLowerCase();
+            return { spoken: speakVersion(match[1], ruleSet, saysVersion ? '' : ruleSet.words.version) };
+        }
+    },
+    {
+        id: 'versions',
+        // Bare three-part numbers: 2.3.1 (four parts would be an IP address)
+        pattern: () => new RegExp(`(?<![\\p{L}\\p{N}_.])(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})(?![\\p{L}\\p{N}_]|\\.\\d)`, 'gu'),
+        replace: (match, ruleSet) => ({ spoken: speakVersion(match[1], ruleSet) })
+    },
+    {
+        id: 'currency',
+        // Symbol first: $1.5M, $1.5 million, £12.50
+        pattern: (ruleSet) => new RegExp(
+            `(${CURRENCY_SYMBOLS})\\s?(${AMOUNT})(?:\\s?(${SUFFIX})${WORD_AFTER}|\\s+(${magnitudeWords(ruleSet)})${WORD_AFTER})?`,
+            'gu'
+        ),
+        replace: (match, ruleSet) => {
+            const magnitude = match[3] ? SUFFIX_MAGNITUDES[match[3]] : match[4] && findMagnitude(match[4], ruleSet);
+            const spoken = speakMoney(match[1], match[2], magnitude, ruleSet);
+            return spoken ? { spoken } : null;
+        }
+    },
+    {
+        id: 'currency',
+        // Symbol last: 12,50 €, 20k €
+        pattern: () => new RegExp(`${WORD_BEFORE}(${AMOUNT})(?:\\s?(${SUFFIX}))?\\s?(${CURRENCY_SYMBOLS})`, 'gu'),
+        replace: (match, ruleSet) => {
+            const spoken = speakMoney(match[3], match[1], match[2] && SUFFIX_MAGNITUDES[match[2]], ruleSet);
+            return spoken ? { spoken } : null;
+        }
+    },
+    {
+        id: 'numbers',
+        // 1.5M users, 20k, 3bn (an uppercase K is left alone: "4K video"; "$20k" is the currency rule's)
+        pattern: () => new RegExp(`(?<![\\p{L}\\p{N}_$€£¥])(\\d+(?:[.,]\\d+)?)(k|M|mn|bn|B)${WORD_AFTER}`, 'gu'),
+        replace: (match, ruleSet) => {
+            const amount = parseAmount(match[1]);
+            const magnitude = ruleSet.magnitudes[SUFFIX_MAGNITUDES[match[2]]];
+            return { spoken: `${formatAmount(amount, ruleSet)} ${pick(magnitude, isOne(amount))}` };
+        }
+    }
+];
+
+export default {
+    RULE_DEFINITIONS
+};
@@ -0,0 +1,128 @@
+// Google Cloud TTS client class (loaded lazily so the SDK is optional in development)
+let TextToSpeechClient = null;
+
+// Google Cloud TTS client (initialized once credentials are validated)
+let ttsClient = null;
+
+// v1beta1 client, only needed for requests with mark timepoints
+let betaClient = null;
+
+// Pricing per character (Google Cloud TTS pricing)
+const PRICING = {
+    costPerCharacterUSD: {
+        standard: 0.000004, // $4 per 1M characters for Standard voices
+        neural2: 0.000016, // $16 per 1M characters for Neural2 voices
+        polyglot: 0.000016, // $16 per 1M characters for Polyglot voices
+        'chirp3-hd': 0.00003, // $30 per 1M characters for Chirp 3: HD voices
+        studio: 0.00016 // $160 per 1M characters for Studio voices
+    },
+    freeQuotaPerMonth: 1000000 // 1M characters free per month
+};
+
+// Determine the voice tier from a Google voice ID ("de-DE-Neural2-B" -> "neural2",
+// "en-US-Chirp3-HD-Charon" -> "chirp3-hd"). Tiers without a price bill at the standard rate.
+const getVoiceTier = (voiceName = '') => {
+    const parts = voiceName.split('-');
+    if (parts.length < 4) return 'standard';
+    return parts.slice(2, -1).join('-').toLowerCase();
+};
+
+// Initialize Google Cloud TTS client from environment credentials
+const initialize = async () => {
+    try {
+        if (!process.env.GOOGLE_CLOUD_PROJECT_ID || !process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
+            return false;
+        }
+
+        const { TextToSpeechClient: TtsClient, v1beta1 } = await import('@google-cloud/text-to-speech');
+        TextToSpeechClient = TtsClient;
+
+        let clientConfig = {
+            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+            quotaProjectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+        };
+
+        try {
+            const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
+
+            const requiredFields = ['type', 'project_id', 'private_key', 'client_email'];
+            for (const field of requiredFields) {
+                if (!credentials[field]) {
+                    throw new Error(`Missing required field in credentials: ${field}`);
+                }
+            }
+
+            clientConfig.credentials = credentials;
+        } catch (credError) {
+            console.error('Error parsing credentials JSON:', credError.message);
+            return false;
+        }
+
+        ttsClient = new TextToSpeechClient(clientConfig);
+        betaClient = new v1beta1.TextToSpeechClient(clientConfig);
+
+        const [result] = await ttsClient.listVoices({ languageCode: 'en-US' });
+
+        if (result.voices && result.voices.length > 0) {
+            console.log(`TTS initialized with ${result.voices.length} voices`);
+            return true;
+        } else {
+            ttsClient = null;
+            betaClient = null;
+            return false;
+        }
+
+    } catch (error) {
+        console.error('TTS initialization failed:', error.message);
+        ttsClient = null;
+        betaClient = null;
+        return false;
+    }
+};
+
+// Synthesize a single request (must fit within limits.maxInputBytes)
+const synthesize = async (request) => {
+    if (!ttsClient) {
+        throw new Error('Google Cloud TTS client is not initialized');
+    }
+
+    // Mark timepoints are only returned by the v1beta1 API
+    if (request.enableTimePointing) {
+        const [response] = await betaClient.synthesizeSpeech(request);
+        return {
+            audioContent: response.audioContent,
+            timepoints: (response.timepoints || []).map(({ markName, timeSeconds }) => ({ markName, timeSeconds }))
+        };
+    }
+
+    const [response] = await ttsClient.synthesizeSpeech(request);
+    return {
+        audioContent: response.audioContent
+    };
+};
+
+// List voices available to the project, optionally filtered by language
+const listVoices = async (languageCode) => {
+    if (!ttsClient) {
+        throw new Error('Google Cloud TTS client is not initialized');
+    }
+
+    const [result] = await ttsClient.listVoices(languageCode ? { languageCode } : {});
+    return result.voices || [];
+};
+
+export const googleProvider = {
+    name: 'google',
+    label: 'Google Cloud TTS',
+    limits: {
+        maxInputBytes: 5000
+    },
+    pricing: PRICING,
+    initialize,
+    isReady: () => ttsClient !== null,
+    synthesize,
+    listVoices,
+    getVoiceTier
+};
+
+export default googleProvider;
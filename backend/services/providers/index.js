@@ -0,0 +1,79 @@
+import { googleProvider } from './googleProvider.js';
+import { mockProvider } from './mockProvider.js';
+
+/*
+ * TTS provider registry
+ *
+ * Every engine is a plain object implementing:
+ *   name, label                   - identifier used by TTS_PROVIDER and a display name
+ *   limits.maxInputBytes          - largest input a single synthesize() call accepts
+ *   pricing                       - { costPerCharacterUSD: { [tier]: number }, freeQuotaPerMonth }
+ *   initialize()                  - async, resolves true when the engine is usable
+ *   isReady()                     - true once initialize() succeeded
+ *   synthesize(request)           - async, Google-style request -> { audioContent, duration?, timepoints? }
+ *                                   (timepoints: [{ markName, timeSeconds }] when enableTimePointing is set)
+ *   listVoices(languageCode?)     - async, Google-style voice list
+ *   getVoiceTier(voiceName)       - pricing tier key for a voice
+ */
+
+const REQUIRED_MEMBERS = ['name', 'limits', 'pricing', 'initialize', 'isReady', 'synthesize', 'listVoices', 'getVoiceTier'];
+
+const providers = new Map();
+let activeProvider = null;
+
+// Register a provider so it can be selected through TTS_PROVIDER
+export const registerProvider = (provider) => {
+    const missing = REQUIRED_MEMBERS.filter(member => provider[member] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`TTS provider "${provider.name || 'unknown'}" is missing: ${missing.join(', ')}`);
+    }
+    providers.set(provider.name, provider);
+};
+
+registerProvider(googleProvider);
+registerProvider(mockProvider);
+
+// Select the active provider from config. TTS_PROVIDER names an engine;
+// "auto" (default) tries Google first and falls back to the mock engine.
+export const initializeProviders = async () => {
+    const requested = (process.env.TTS_PROVIDER || 'auto').toLowerCase();
+    const candidates = requested === 'auto' ? ['google', 'mock'] : [requested];
+
+    for (const name of candidates) {
+        const provider = providers.get(name);
+        if (!provider) {
+            console.error(`Unknown TTS provider "${name}"`);
+            continue;
+        }
+
+        if (await provider.initialize()) {
+            activeProvider = provider;
+            console.log(`TTS provider: ${provider.label}`);
+            return activeProvider;
+        }
+    }
+
+    console.warn('No configured TTS provider is available, using mock engine');
+    activeProvider = mockProvider;
+    return activeProvider;
+};
+
+// Get the provider used for synthesis (mock until initializeProviders() runs)
+export const getActiveProvider = () => activeProvider || mockProvider;
+
+// Get a registered provider by name
+export const getProvider = (name) => providers.get(name) || null;
+
+export const listProviders = () => [...providers.values()].map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    ready: provider.isReady()
+}));
+
+export default {
+    registerProvider,
+    initializeProviders,
+    getActiveProvider,
+    getProvider,
+    listProviders
+};
@@ -0,0 +1,121 @@
+import { googleProvider } from './googleProvider.js';
+import { getSSMLText, tokenizeSSML, decodeEntities } from '../ssml.js';
+
+// Voices reported by the mock engine (a multilingual subset of the Google catalog)
+const MOCK_VOICES = [
+    ['en-US', 'Standard-C', 'FEMALE'], ['en-US', 'Standard-B', 'MALE'],
+    ['en-US', 'Neural2-F', 'FEMALE'], ['en-US', 'Neural2-D', 'MALE'],
+    ['en-GB', 'Standard-A', 'FEMALE'], ['en-GB', 'Standard-B', 'MALE'], ['en-GB', 'Neural2-A', 'FEMALE'],
+    ['de-DE', 'Standard-A', 'FEMALE'], ['de-DE', 'Standard-B', 'MALE'], ['de-DE', 'Neural2-B', 'MALE'],
+    ['fr-FR', 'Standard-A', 'FEMALE'], ['fr-FR', 'Standard-B', 'MALE'], ['fr-FR', 'Neural2-A', 'FEMALE'],
+    ['es-ES', 'Standard-A', 'FEMALE'], ['es-ES', 'Standard-B', 'MALE'],
+    ['ja-JP', 'Standard-A', 'FEMALE'], ['ja-JP', 'Standard-C', 'MALE']
+].map(([languageCode, variant, ssmlGender]) => ({
+    name: `${languageCode}-${variant}`,
+    languageCodes: [languageCode],
+    ssmlGender,
+    naturalSampleRateHertz: 24000
+}));
+
+// Estimate mark timepoints by spreading the spoken characters evenly over the audio
+const estimateTimepoints = (ssml, duration) => {
+    const marks = [];
+    let spokenCharacters = 0;
+
+    for (const token of tokenizeSSML(ssml)) {
+        if (token.type === 'text') {
+            spokenCharacters += decodeEntities(token.raw).replace(/\s+/g, ' ').length;
+        } else if (token.type === 'open' && token.name === 'mark') {
+            marks.push({ markName: token.attributes.name, position: spokenCharacters });
+        }
+    }
+
+    return marks.map(({ markName, position }) => ({
+        markName,
+        timeSeconds: spokenCharacters > 0 ? (position / spokenCharacters) * duration : 0
+    }));
+};
+
+// Mock TTS generation for development (replace with real Google Cloud TTS)
+const synthesize = async (request) => {
+    const text = request.input.ssml ? getSSMLText(request.input.ssml) : (request.input.text || '');
+    const characterCount = text.length;
+
+    // Simulate processing time
+    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+
+    // Create a simple WAV file with a short beep sound (440Hz tone)
+    const sampleRate = request.audioConfig?.sampleRateHertz || 22050;
+    const duration = Math.max(1, Math.ceil(characterCount / 100)); // Duration based on text length
+    const numSamples = sampleRate * duration;
+    const frequency = 440; // A4 note
+
+    // Generate audio samples (simple sine wave)
+    const samples = [];
+    for (let i = 0; i < numSamples; i++) {
+        const t = i / sampleRate;
+        const amplitude = Math.sin(2 * Math.PI * frequency * t) * 0.3; // Low volume
+        const sample = Math.round(amplitude * 32767); // Convert to 16-bit
+        samples.push(sample & 0xFF); // Low byte
+        samples.push((sample >> 8) & 0xFF); // High byte
+    }
+
+    // Create WAV file header
+    const dataSize = samples.length;
+    const fileSize = 36 + dataSize;
+
+    const wavHeader = Buffer.from([
+        // RIFF chunk
+        0x52, 0x49, 0x46, 0x46, // "RIFF"
+        fileSize & 0xFF, (fileSize >> 8) & 0xFF, (fileSize >> 16) & 0xFF, (fileSize >> 24) & 0xFF, // File size
+        0x57, 0x41, 0x56, 0x45, // "WAVE"
+
+        // fmt chunk
+        0x66, 0x6D, 0x74, 0x20, // "fmt "
+        0x10, 0x00, 0x00, 0x00, // Chunk size (16)
+        0x01, 0x00, // Audio format (1 = PCM)
+        0x01, 0x00, // Number of channels (1 = mono)
+        sampleRate & 0xFF, (sampleRate >> 8) & 0xFF, (sampleRate >> 16) & 0xFF, (sampleRate >> 24) & 0xFF, // Sample rate
+        (sampleRate * 2) & 0xFF, ((sampleRate * 2) >> 8) & 0xFF, ((sampleRate * 2) >> 16) & 0xFF, ((sampleRate * 2) >> 24) & 0xFF, // Byte rate
+        0x02, 0x00, // Block align
+        0x10, 0x00, // Bits per sample (16)
+
+        // data chunk
+        0x64, 0x61, 0x74, 0x61, // "data"
+        dataSize & 0xFF, (dataSize >> 8) & 0xFF, (dataSize >> 16) & 0xFF, (dataSize >> 24) & 0xFF // Data size
+    ]);
+
+    // Combine header and audio data
+    const mockAudioData = Buffer.concat([wavHeader, Buffer.from(samples)]);
+
+    return {
+        audioContent: mockAudioData,
+        duration,
+        ...(request.enableTimePointing && request.input.ssml && {
+            timepoints: estimateTimepoints(request.input.ssml, duration)
+        })
+    };
+};
+
+// List mock voices, optionally filtered by language
+const listVoices = async (languageCode) => {
+    if (!languageCode) return MOCK_VOICES;
+    return MOCK_VOICES.filter(voice => voice.languageCodes.some(code => code.startsWith(languageCode)));
+};
+
+export const mockProvider = {
+    name: 'mock',
+    label: 'Mock TTS',
+    limits: {
+        maxInputBytes: 5000 // Same as Google so long texts exercise the chunked path
+    },
+    // Mirrors Google pricing so cost estimates stay meaningful in development
+    pricing: googleProvider.pricing,
+    initialize: async () => true,
+    isReady: () => true,
+    synthesize,
+    listVoices,
+    getVoiceTier: googleProvider.getVoiceTier
+};
+
+export default mockProvider;
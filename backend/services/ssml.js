@@ -0,0 +1,277 @@
+/*
+ * SSML parsing and validation
+ *
+ * A small tokenizer for the SSML subset Google Cloud TTS accepts. It is not a
+ * general XML parser: comments, CDATA, doctype and processing instructions
+ * (other than a leading <?xml ?> declaration) are rejected.
+ */
+
+// Supported tags with their allowed and required attributes
+const SSML_TAGS = {
+    'speak': { attributes: ['version', 'xmlns', 'xml:lang'], required: [] },
+    'p': { attributes: [], required: [] },
+    's': { attributes: [], required: [] },
+    'break': { attributes: ['time', 'strength'], required: [], empty: true },
+    'emphasis': { attributes: ['level'], required: [] },
+    'say-as': { attributes: ['interpret-as', 'format', 'detail', 'language'], required: ['interpret-as'] },
+    'prosody': { attributes: ['rate', 'pitch', 'volume'], required: [] },
+    'sub': { attributes: ['alias'], required: ['alias'] },
+    'phoneme': { attributes: ['alphabet', 'ph'], required: ['ph'] },
+    'mark': { attributes: ['name'], required: ['name'], empty: true },
+    'lang': { attributes: ['xml:lang'], required: ['xml:lang'] }
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const TAG_PATTERN = /^<(\/?)([A-Za-z][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/;
+const ATTRIBUTE_PATTERN = /([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITY_PATTERN = /&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g;
+
+// Error with the offending tag and its position in the document
+export class SSMLError extends Error {
+    constructor(message, { tag = null, index = 0, source = '' } = {}) {
+        const { line, column } = getPosition(source, index);
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'SSMLError';
+        this.tag = tag;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// Convert a string offset into 1-based line/column
+const getPosition = (source, index) => {
+    const before = source.slice(0, index).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+// Decode XML entities in a text node or attribute value
+export const decodeEntities = (value) => value.replace(ENTITY_PATTERN, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return NAMED_ENTITIES[entity] ?? match;
+});
+
+// Escape plain text so it can be embedded in SSML
+export const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Split SSML into text and tag tokens.
+ * Tokens: { type: 'text', raw, index } | { type: 'open' | 'close', name, attributes, selfClosing, raw, index }
+ * Throws SSMLError on markup that is not well-formed at the token level.
+ */
+export const tokenizeSSML = (source) => {
+    const tokens = [];
+    let index = 0;
+
+    // Allow a leading XML declaration
+    const declaration = source.match(/^\s*<\?xml[^?]*\?>/);
+    if (declaration) {
+        index = declaration[0].length;
+    }
+
+    while (index < source.length) {
+        const nextTag = source.indexOf('<', index);
+
+        if (nextTag !== index) {
+            const end = nextTag === -1 ? source.length : nextTag;
+            const raw = source.slice(index, end);
+
+            // Bare ampersands and unknown entities are not well-formed
+            const ampersand = raw.search(/&(?!(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);)/);
+            if (ampersand !== -1) {
+                throw new SSMLError('Unescaped "&" in text (use &amp;)', { index: index + ampersand, source });
+            }
+            if (raw.includes('>')) {
+                throw new SSMLError('Unexpected ">" in text (use &gt;)', { index: index + raw.indexOf('>'), source });
+            }
+
+            tokens.push({ type: 'text', raw, index });
+            index = end;
+            continue;
+        }
+
+        const rest = source.slice(index);
+        if (rest.startsWith('<!--') || rest.startsWith('<![CDATA[') || rest.startsWith('<!') || rest.startsWith('<?')) {
+            throw new SSMLError('Comments, CDATA and processing instructions are not supported in SSML', { index, source });
+        }
+
+        const match = rest.match(TAG_PATTERN);
+        if (!match) {
+            const snippet = rest.slice(0, 30).split(/[>\n]/)[0];
+            throw new SSMLError(`Malformed tag "${snippet}${rest.length > snippet.length ? '...' : ''}"`, { index, source });
+        }
+
+        const [raw, closing, name, attributeSource, selfClosing] = match;
+        if (closing && (attributeSource.trim() || selfClosing)) {
+            throw new SSMLError(`Closing tag </${name}> cannot have attributes`, { tag: name, index, source });
+        }
+
+        const attributes = {};
+        for (const [, key, doubleQuoted, singleQuoted] of attributeSource.matchAll(ATTRIBUTE_PATTERN)) {
+            if (key in attributes) {
+                throw new SSMLError(`Duplicate attribute "${key}" on <${name}>`, { tag: name, index, source });
+            }
+            attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted);
+        }
+
+        tokens.push({
+            type: closing ? 'close' : 'open',
+            name,
+            attributes,
+            selfClosing: Boolean(selfClosing),
+            raw,
+            index
+        });
+        index += raw.length;
+    }
+
+    return tokens;
+};
+
+/**
+ * Validate an SSML document against the supported subset.
+ * Returns { valid, errors } where each error has message, tag, line and column.
+ */
+export const validateSSML = (source, { maxBytes = Number.POSITIVE_INFINITY } = {}) => {
+    const errors = [];
+    const fail = (error) => {
+        errors.push({ message: error.message, tag: error.tag ?? null, line: error.line, column: error.column });
+        return { valid: false, errors };
+    };
+
+    if (typeof source !== 'string' || !source.trim()) {
+        return fail(new SSMLError('SSML input is empty', { source: '' }));
+    }
+
+    const byteLength = Buffer.byteLength(source, 'utf8');
+    if (byteLength > maxBytes) {
+        return fail(new SSMLError(`SSML input is ${byteLength} bytes, exceeding the ${maxBytes} byte limit`, { source }));
+    }
+
+    let tokens;
+    try {
+        tokens = tokenizeSSML(source);
+    } catch (error) {
+        return fail(error);
+    }
+
+    const stack = [];
+    let rootClosed = false;
+
+    for (const token of tokens) {
+        if (token.type === 'text') {
+            if (token.raw.trim() && (stack.length === 0)) {
+                return fail(new SSMLError('Text must be inside the <speak> element', { index: token.index, source }));
+            }
+            continue;
+        }
+
+        const definition = SSML_TAGS[token.name];
+        if (!definition) {
+            return fail(new SSMLError(`Unsupported SSML tag <${token.name}>`, { tag: token.name, index: token.index, source }));
+        }
+
+        if (token.type === 'close') {
+            const open = stack.pop();
+            if (!open) {
+                return fail(new SSMLError(`Unexpected closing tag </${token.name}>`, { tag: token.name, index: token.index, source }));
+            }
+            if (open.name !== token.name) {
+                return fail(new SSMLError(`Closing tag </${token.name}> does not match <${open.name}>`, { tag: token.name, index: token.index, source }));
+            }
+            if (stack.length === 0) rootClosed = true;
+            continue;
+        }
+
+        // Opening (or self-closing) tag
+        if (rootClosed) {
+            return fail(new SSMLError(`Content after </speak> is not allowed (found <${token.name}>)`, { tag: token.name, index: token.index, source }));
+        }
+        if (stack.length === 0 && token.name !== 'speak') {
+            return fail(new SSMLError(`SSML must start with <speak>, found <${token.name}>`, { tag: token.name, index: token.index, source }));
+        }
+        if (stack.length > 0 && token.name === 'speak') {
+            return fail(new SSMLError('<speak> cannot be nested', { tag: token.name, index: token.index, source }));
+        }
+
+        for (const attribute of Object.keys(token.attributes)) {
+            if (!definition.attributes.includes(attribute)) {
+                return fail(new SSMLError(`Attribute "${attribute}" is not allowed on <${token.name}>`, { tag: token.name, index: token.index, source }));
+            }
+        }
+        for (const attribute of definition.required) {
+            if (!token.attributes[attribute]) {
+                return fail(new SSMLError(`<${token.name}> requires the "${attribute}" attribute`, { tag: token.name, index: token.index, source }));
+            }
+        }
+
+        if (token.selfClosing) {
+            if (stack.length === 0) rootClosed = true;
+            continue;
+        }
+
+        if (definition.empty) {
+            return fail(new SSMLError(`<${token.name}> must be self-closing (<${token.name}/>)`, { tag: token.name, index: token.index, source }));
+        }
+        stack.push(token);
+    }
+
+    if (stack.length > 0) {
+        const open = stack[stack.length - 1];
+        return fail(new SSMLError(`Tag <${open.name}> is never closed`, { tag: open.name, index: open.index, source }));
+    }
+    if (!rootClosed) {
+        return fail(new SSMLError('SSML must be wrapped in a <speak> element', { source }));
+    }
+
+    return { valid: true, errors };
+};
+
+// Extract the spoken text of an SSML document (tags removed, entities decoded)
+export const getSSMLText = (source) => {
+    try {
+        return tokenizeSSML(source)
+            .filter(token => token.type === 'text')
+            .map(token => decodeEntities(token.raw))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    } catch {
+        return source.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+};
+
+/**
+ * Count billable characters. Plain text bills every character; SSML bills
+ * the full markup except <mark> tags, matching Google Cloud TTS billing.
+ */
+export const countBillableCharacters = (input, inputType = 'text') => {
+    if (inputType !== 'ssml') {
+        return input.length;
+    }
+
+    try {
+        return tokenizeSSML(input).reduce((count, token) => {
+            if (token.name === 'mark') return count;
+            return count + token.raw.length;
+        }, 0);
+    } catch {
+        return input.length;
+    }
+};
+
+export default {
+    SSMLError,
+    tokenizeSSML,
+    validateSSML,
+    getSSMLText,
+    countBillableCharacters,
+    decodeEntities,
+    escapeXml
+};
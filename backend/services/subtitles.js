@@ -0,0 +1,85 @@
+import { endsSentenceBefore } from './textChunker.js';
+
+/*
+ * SRT and WebVTT subtitles from timed entries ({ text, start, end } in seconds)
+ *
+ * Sentence timepoints become one cue per sentence. Word timepoints are grouped
+ * into caption lines that end at sentence boundaries or when a line gets too
+ * long to read comfortably.
+ */
+
+const MAX_CUE_CHARACTERS = 42;
+const MAX_CUE_SECONDS = 6;
+
+// Group word entries into caption-sized cues
+const groupWords = (words) => {
+    const cues = [];
+    let current = null;
+
+    for (const word of words) {
+        if (current) {
+            const text = `${current.text} ${word.text}`;
+            const tooLong = text.length > MAX_CUE_CHARACTERS || word.end - current.start > MAX_CUE_SECONDS;
+            if (!tooLong && !endsSentenceBefore(current.text, word.text)) {
+                current = { ...current, text, end: word.end };
+                continue;
+            }
+            cues.push(current);
+        }
+        current = { text: word.text, start: word.start, end: word.end };
+    }
+    if (current) cues.push(current);
+
+    return cues;
+};
+
+/**
+ * Build subtitle cues from timed entries.
+ * granularity: 'word' groups words into lines, 'sentence' keeps one cue per entry
+ */
+export const buildCues = (entries, granularity = 'word') => {
+    const timed = entries.filter(entry => entry.end > entry.start);
+    return granularity === 'word' ? groupWords(timed) : timed;
+};
+
+// 3725.5 -> "01:02:05,500" (SRT) or "01:02:05.500" (WebVTT)
+const formatTimestamp = (seconds, separator) => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+// Cue text must not contain blank lines (they end a cue in both formats)
+const cleanCueText = (text) => text.replace(/\s*\n\s*/g, ' ').trim();
+
+export const toSrt = (cues) => cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    cleanCueText(cue.text)
+].join('\n')).join('\n\n') + '\n';
+
+export const toVtt = (cues) => {
+    // "-->" is not allowed in WebVTT cue text, "&" and "<" must be escaped
+    const escape = (text) => cleanCueText(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/-->/g, '--&gt;');
+
+    const body = cues.map(cue => [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        escape(cue.text)
+    ].join('\n')).join('\n\n');
+
+    return `WEBVTT\n\n${body}\n`;
+};
+
+export default {
+    buildCues,
+    toSrt,
+    toVtt
+};
@@ -0,0 +1,209 @@
+/*
+ * Provider synthesis with retries and bounded concurrency
+ *
+ * Chunks (or conversation segments) are synthesized by a small worker pool,
+ * transient provider errors are retried with exponential backoff and jitter,
+ * and results come back in input order. Failures are collected per chunk and
+ * reported together instead of falling back to another engine.
+ */
+
+// Read at call time so values from .env (loaded after imports) apply
+const getSynthesisConfig = () => ({
+    concurrency: parseInt(process.env.TTS_CHUNK_CONCURRENCY, 10) || 4,
+    maxRetries: parseInt(process.env.TTS_MAX_RETRIES, 10) || 3,
+    baseDelayMs: parseInt(process.env.TTS_RETRY_BASE_DELAY_MS, 10) || 500,
+    maxDelayMs: 8000
+});
+
+// gRPC status codes worth retrying: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_GRPC_CODES = new Set([4, 8, 10, 13, 14]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND']);
+
+// Error listing every chunk that could not be synthesized
+export class SynthesisError extends Error {
+    constructor(message, failures = []) {
+        super(message);
+        this.name = 'SynthesisError';
+        this.failures = failures; // [{ index, attempts, message, code, retryable }]
+    }
+}
+
+// Check whether a provider error is transient
+export const isRetryableError = (error) => {
+    if (typeof error.code === 'number') return RETRYABLE_GRPC_CODES.has(error.code);
+    if (typeof error.code === 'string') return RETRYABLE_NETWORK_CODES.has(error.code);
+
+    const status = error.status || error.statusCode || error.response?.status;
+    if (status) return status === 429 || status >= 500;
+
+    return /timeout|temporar|unavailable|rate limit/i.test(error.message || '');
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full-jitter exponential backoff: random delay up to base * 2^attempt (capped)
+const getBackoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+};
+
+/**
+ * Synthesize one request, retrying transient errors.
+ * Resolves to { response, attempts }; rejects with the last error (error.attempts set).
+ */
+export const synthesizeWithRetry = async (provider, request, options = {}) => {
+    const config = { ...getSynthesisConfig(), ...options };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await provider.synthesize(request);
+            return { response, attempts: attempt + 1 };
+        } catch (error) {
+            const retryable = isRetryableError(error);
+            if (!retryable || attempt >= config.maxRetries) {
+                error.attempts = attempt + 1;
+                error.retryable = retryable;
+                throw error;
+            }
+
+            const delay = getBackoffDelay(attempt, config);
+            console.warn(`${provider.label} request failed (${error.message}), retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Run an async task for every item with at most `concurrency` in flight.
+ * Returns settled results in input order: { status: 'fulfilled', value } | { status: 'rejected', reason }
+ */
+export const mapWithConcurrency = async (items, concurrency, task) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await task(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+};
+
+// Error thrown when synthesis stops because its AbortSignal fired
+const createAbortError = () => {
+    const error = new Error('Synthesis was cancelled');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Synthesize a list of provider requests concurrently.
+ * Returns the responses in input order, or throws SynthesisError listing
+ * every failed chunk.
+ *
+ * Optional hooks let callers persist chunks (background jobs):
+ *   loadChunk(index)            - async, previously stored response ({ audioContent, timepoints? }) or null
+ *   saveChunk(index, response)  - async, called after a chunk is synthesized
+ *   onChunkComplete(index)      - called once per chunk that was synthesized
+ *   signal                      - AbortSignal; pending chunks are skipped and an AbortError is thrown
+ */
+export const synthesizeAll = async (provider, requests, options = {}) => {
+    const config = { ...getSynthesisConfig(), ...options };
+    const { loadChunk, saveChunk, onChunkComplete, signal } = config;
+
+    const results = await mapWithConcurrency(requests, config.concurrency, async (request, index) => {
+        const stored = await loadChunk?.(index);
+        if (stored) {
+            return stored;
+        }
+
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+
+        const { response } = await synthesizeWithRetry(provider, request, config);
+        await saveChunk?.(index, response);
+        await onChunkComplete?.(index);
+        return response;
+    });
+
+    if (signal?.aborted) {
+        throw createAbortError();
+    }
+
+    const failures = results
+        .map((result, index) => ({ result, index }))
+        .filter(({ result }) => result.status === 'rejected')
+        .map(({ result, index }) => ({
+            index,
+            attempts: result.reason.attempts || 1,
+            message: result.reason.message,
+            code: result.reason.code ?? null,
+            retryable: Boolean(result.reason.retryable)
+        }));
+
+    if (failures.length > 0) {
+        throw new SynthesisError(
+            `${failures.length} of ${requests.length} chunk(s) failed to synthesize: ${failures[0].message}`,
+            failures
+        );
+    }
+
+    return results.map(result => result.value);
+};
+
+/**
+ * Synthesize requests concurrently but yield responses strictly in order, as
+ * soon as each one (and every one before it) is ready. At most `concurrency`
+ * requests run ahead of the consumer. A failed chunk ends the stream with a
+ * SynthesisError for that chunk.
+ */
+export async function* streamSynthesis(provider, requests, options = {}) {
+    const config = { ...getSynthesisConfig(), ...options };
+    const pending = [];
+    let nextToStart = 0;
+
+    const startUpTo = (limit) => {
+        while (nextToStart < Math.min(limit, requests.length)) {
+            const promise = synthesizeWithRetry(provider, requests[nextToStart], config);
+            promise.catch(() => {}); // Handled when the chunk is awaited
+            pending.push(promise);
+            nextToStart++;
+        }
+    };
+
+    for (let index = 0; index < requests.length; index++) {
+        if (config.signal?.aborted) return;
+        startUpTo(index + config.concurrency);
+
+        try {
+            const { response } = await pending[index];
+            pending[index] = null; // Release the audio once it has been consumed
+            yield response;
+        } catch (error) {
+            throw new SynthesisError(`Chunk ${index + 1} of ${requests.length} failed to synthesize`, [{
+                index,
+                attempts: error.attempts || 1,
+                message: error.message,
+                code: error.code ?? null,
+                retryable: Boolean(error.retryable)
+            }]);
+        }
+    }
+}
+
+export default {
+    SynthesisError,
+    isRetryableError,
+    synthesizeWithRetry,
+    mapWithConcurrency,
+    synthesizeAll,
+    streamSynthesis
+};
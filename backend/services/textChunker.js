@@ -0,0 +1,312 @@
+import { tokenizeSSML } from './ssml.js';
+
+/*
+ * Sentence-aware text chunker
+ *
+ * Splits long input into chunks that each fit a provider's byte limit.
+ * Chunks break on sentence boundaries (keeping the original punctuation),
+ * prefer paragraph breaks, and fall back to clause, word and finally
+ * character boundaries for sentences that are too long on their own.
+ * SSML is split between elements or sentences only; every chunk is a
+ * complete <speak> document with the open elements re-opened and closed.
+ */
+
+// Words followed by "." that do not end a sentence (compared lowercase, without the dot)
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'rev', 'gen', 'col', 'capt', 'lt', 'sgt', 'gov', 'sen', 'rep',
+    'vs', 'no', 'nos', 'fig', 'figs', 'vol', 'vols', 'ch', 'sec', 'p', 'pp', 'ed', 'eds', 'approx', 'dept', 'est', 'inc', 'ltd', 'co', 'corp',
+    'e.g', 'i.e', 'cf', 'al', 'a.m', 'p.m',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+// Terminal punctuation, optional closing quotes/brackets and the whitespace after it.
+// CJK full stops end a sentence without trailing whitespace.
+const SENTENCE_END_PATTERN = /([.!?…]+)(["'”’»)\]]*)(\s+|$)|([。！？]+)(["'”’」』）)]*)(\s*)/gu;
+const SENTENCE_TERMINATED_PATTERN = /(?:[.!?…]+["'”’»)\]]*\s+|[。！？]+["'”’」』）)]*\s*)$/u;
+const PARAGRAPH_BREAK_PATTERN = /\n[ \t]*\n\s*/g;
+
+// SSML elements whose content is read as one unit and must never be split
+const ATOMIC_ELEMENTS = new Set(['say-as', 'sub', 'phoneme']);
+
+const byteLength = (value) => Buffer.byteLength(value, 'utf8');
+
+// Decide whether a terminator match is a real sentence boundary
+const isSentenceBoundary = (text, match) => {
+    const [, terminator, , whitespace] = match;
+    const end = match.index + match[0].length;
+
+    // CJK terminators and end of text always end a sentence
+    if (!terminator || end >= text.length) return true;
+
+    // Lowercase continuation ('"Why?" she asked', 'etc. and so on')
+    if (/^\p{Ll}/u.test(text.slice(end))) return false;
+
+    if (terminator === '.' && whitespace) {
+        const word = (text.slice(0, match.index).match(/(\S+)$/)?.[1] || '')
+            .replace(/^["'“‘«([]+/, '')
+            .toLowerCase();
+
+        if (ABBREVIATIONS.has(word)) return false;
+
+        // Initials ("J. K. Rowling") and dotted abbreviations ("U.S.") before a name
+        if (/^\p{L}$/u.test(word) || /^(?:\p{L}\.)+\p{L}$/u.test(word)) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Split text into sentences. Each sentence keeps its punctuation and the
+ * whitespace that follows it, so joining the result restores the input.
+ */
+export const splitSentences = (text) => {
+    const sentences = [];
+    let start = 0;
+
+    for (const match of text.matchAll(SENTENCE_END_PATTERN)) {
+        if (match[0].length === 0) continue;
+        if (!isSentenceBoundary(text, match)) continue;
+
+        const end = match.index + match[0].length;
+        sentences.push(text.slice(start, end));
+        start = end;
+    }
+
+    if (start < text.length) {
+        sentences.push(text.slice(start));
+    }
+    return sentences.filter(sentence => sentence.length > 0);
+};
+
+// Check whether text ends with terminal punctuation followed by whitespace
+export const endsSentence = (text) => SENTENCE_TERMINATED_PATTERN.test(text);
+
+/**
+ * Check whether a sentence ends between text and the text that follows it
+ * (e.g. "Dr." followed by "Smith" does not end one)
+ */
+export const endsSentenceBefore = (text, next) => {
+    const head = text.trimEnd();
+    let length = 0;
+    for (const sentence of splitSentences(`${head} ${next}`)) {
+        length += sentence.length;
+        if (length >= head.length) return length === head.length + 1;
+    }
+    return false;
+};
+
+/**
+ * Split text into paragraphs (blank-line separated). Each paragraph keeps the
+ * whitespace that follows it.
+ */
+export const splitParagraphs = (text) => {
+    const paragraphs = [];
+    let start = 0;
+
+    for (const match of text.matchAll(PARAGRAPH_BREAK_PATTERN)) {
+        const end = match.index + match[0].length;
+        paragraphs.push(text.slice(start, end));
+        start = end;
+    }
+
+    if (start < text.length) {
+        paragraphs.push(text.slice(start));
+    }
+    return paragraphs.filter(paragraph => paragraph.length > 0);
+};
+
+// Split a single piece that is too long: clauses, then words, then characters
+const FALLBACK_SPLITTERS = [
+    /(?<=[,;:—–])(?=\s)/u,
+    /(?<=\s)(?=\S)/u
+];
+
+const splitToFit = (text, maxBytes, level = 0) => {
+    if (byteLength(text) <= maxBytes) return [text];
+
+    if (level >= FALLBACK_SPLITTERS.length) {
+        // Split on code points, never inside an XML entity
+        const pieces = [];
+        let current = '';
+        for (const [unit] of text.matchAll(/&[^;\s]{1,10};|[\s\S]/gu)) {
+            if (current && byteLength(current + unit) > maxBytes) {
+                pieces.push(current);
+                current = '';
+            }
+            current += unit;
+        }
+        if (current) pieces.push(current);
+        return pieces;
+    }
+
+    const parts = text.split(FALLBACK_SPLITTERS[level]).flatMap(part => splitToFit(part, maxBytes, level + 1));
+    return packPieces(parts, maxBytes);
+};
+
+// Greedily join consecutive pieces while the result fits
+const packPieces = (pieces, maxBytes) => {
+    const packed = [];
+    let current = '';
+
+    for (const piece of pieces) {
+        if (current && byteLength(current + piece) > maxBytes) {
+            packed.push(current);
+            current = '';
+        }
+        current += piece;
+    }
+    if (current) packed.push(current);
+    return packed;
+};
+
+// Plain text: pack sentences, starting a new chunk at a paragraph once the current one is half full
+const chunkPlainText = (text, maxBytes) => {
+    const chunks = [];
+    let current = '';
+
+    const flush = () => {
+        if (current.trim()) chunks.push(current.trim());
+        current = '';
+    };
+
+    for (const paragraph of splitParagraphs(text)) {
+        if (byteLength(current.trim()) >= maxBytes / 2) {
+            flush();
+        }
+
+        for (const sentence of splitSentences(paragraph)) {
+            for (const piece of splitToFit(sentence, maxBytes)) {
+                if (current.trim() && byteLength((current + piece).trim()) > maxBytes) {
+                    flush();
+                }
+                current += piece;
+            }
+        }
+    }
+    flush();
+
+    return chunks;
+};
+
+// Tags that re-open / close the given element stack
+const openTags = (stack) => stack.map(element => element.raw).join('');
+const closeTags = (stack) => [...stack].reverse().map(element => `</${element.name}>`).join('');
+
+// SSML: split the root's content into units at safe boundaries, then pack the units
+const chunkSSML = (source, maxBytes) => {
+    const tokens = tokenizeSSML(source);
+    const rootIndex = tokens.findIndex(token => token.type === 'open' && token.name === 'speak');
+    const rootCloseIndex = tokens.map(token => token.type === 'close' && token.name === 'speak').lastIndexOf(true);
+    if (rootIndex === -1 || rootCloseIndex === -1) {
+        throw new Error('SSML must be wrapped in a <speak> element');
+    }
+
+    const root = tokens[rootIndex];
+    const rootOverhead = byteLength(root.raw) + byteLength('</speak>');
+
+    // Units: { raw, stackBefore, stackAfter } where the stacks exclude <speak>
+    const units = [];
+    const stack = [];
+    let unit = { raw: '', stackBefore: [] };
+
+    const endUnit = () => {
+        if (unit.raw) {
+            units.push({ ...unit, stackAfter: [...stack] });
+        }
+        unit = { raw: '', stackBefore: [...stack] };
+    };
+
+    const insideAtomic = () => stack.some(element => ATOMIC_ELEMENTS.has(element.name));
+
+    for (const token of tokens.slice(rootIndex + 1, rootCloseIndex)) {
+        if (token.type === 'text') {
+            if (insideAtomic()) {
+                unit.raw += token.raw;
+                continue;
+            }
+
+            // Sentences inside the text are safe split points; oversized ones are split further.
+            // The last sentence may continue after the next tag, so it stays in the open unit
+            // unless it visibly ends (text split by <mark> tags has one word per token).
+            const budget = Math.max(1, maxBytes - rootOverhead - byteLength(openTags(stack) + closeTags(stack)));
+            const sentences = splitSentences(token.raw);
+            sentences.forEach((sentence, index) => {
+                if (unit.raw && byteLength(unit.raw + sentence) > budget) endUnit();
+
+                splitToFit(sentence, budget).forEach((piece, pieceIndex) => {
+                    if (pieceIndex > 0) endUnit();
+                    unit.raw += piece;
+                });
+                if (index < sentences.length - 1 || endsSentence(sentence)) endUnit();
+            });
+            continue;
+        }
+
+        unit.raw += token.raw;
+
+        if (token.type === 'open' && !token.selfClosing) {
+            stack.push({ name: token.name, raw: token.raw });
+        } else if (token.type === 'close') {
+            stack.pop();
+        }
+
+        // Ends of paragraphs/sentences and pauses are natural split points
+        const isSafeBoundary = !insideAtomic() && (
+            (token.type === 'close' && ['p', 's'].includes(token.name)) ||
+            (token.type === 'open' && token.name === 'break')
+        );
+        if (isSafeBoundary) endUnit();
+    }
+    endUnit();
+
+    // Pack units into complete documents
+    const chunks = [];
+    let current = null;
+
+    const render = (chunk) => `${root.raw}${openTags(chunk.stackBefore)}${chunk.raw}${closeTags(chunk.stackAfter)}</speak>`;
+
+    for (const next of units) {
+        if (current) {
+            const candidate = { ...current, raw: current.raw + next.raw, stackAfter: next.stackAfter };
+            if (byteLength(render(candidate)) <= maxBytes) {
+                current = candidate;
+                continue;
+            }
+            chunks.push(render(current));
+        }
+
+        current = { ...next };
+        if (byteLength(render(current)) > maxBytes) {
+            throw new Error(`SSML contains an element that cannot be split to fit ${maxBytes} bytes`);
+        }
+    }
+    if (current) chunks.push(render(current));
+
+    return chunks;
+};
+
+/**
+ * Split input into chunks of at most maxBytes (UTF-8) each.
+ * inputType 'ssml' returns complete <speak> documents.
+ */
+export const chunkText = (input, { maxBytes, inputType = 'text' } = {}) => {
+    if (!Number.isFinite(maxBytes) || maxBytes < 1) {
+        throw new Error('chunkText requires a positive maxBytes');
+    }
+
+    if (inputType === 'ssml') {
+        return byteLength(input) <= maxBytes ? [input] : chunkSSML(input, maxBytes);
+    }
+
+    const text = input.trim();
+    if (!text) return [];
+    return byteLength(text) <= maxBytes ? [text] : chunkPlainText(text, maxBytes);
+};
+
+export default {
+    splitSentences,
+    endsSentence,
+    endsSentenceBefore,
+    splitParagraphs,
+    chunkText
+};
@@ -0,0 +1,191 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSentences, splitParagraphs, endsSentence, endsSentenceBefore, chunkText } from './textChunker.js';
+
+const MAX_BYTES = 5000;
+
+const byteLength = (value) => Buffer.byteLength(value, 'utf8');
+
+// Whitespace between chunks is trimmed, so compare texts with collapsed whitespace
+const collapse = (value) => value.replace(/\s+/g, ' ').trim();
+
+// Text content of an SSML document (tags removed)
+const ssmlText = (value) => value.replace(/<[^>]+>/g, '');
+
+const assertWithinLimit = (chunks, maxBytes = MAX_BYTES) => {
+    for (const chunk of chunks) {
+        assert.ok(byteLength(chunk) <= maxBytes, `chunk of ${byteLength(chunk)} bytes exceeds ${maxBytes}`);
+    }
+};
+
+describe('splitSentences', () => {
+    test('keeps punctuation and whitespace so joining restores the input', () => {
+        const text = 'First sentence. Second one?  Third!\nFourth... "Fifth." Sixth';
+        const sentences = splitSentences(text);
+
+        assert.deepEqual(sentences, ['First sentence. ', 'Second one?  ', 'Third!\n', 'Fourth... ', '"Fifth." ', 'Sixth']);
+        assert.equal(sentences.join(''), text);
+    });
+
+    test('does not split after abbreviations', () => {
+        assert.deepEqual(
+            splitSentences('Dr. Smith met Mr. Jones at 5 p.m. on Main St. today. They talked.'),
+            ['Dr. Smith met Mr. Jones at 5 p.m. on Main St. today. ', 'They talked.']
+        );
+        assert.deepEqual(
+            splitSentences('Bring fruit, e.g. Apples or pears. Thanks.'),
+            ['Bring fruit, e.g. Apples or pears. ', 'Thanks.']
+        );
+    });
+
+    test('does not split after initials or dotted abbreviations', () => {
+        assert.deepEqual(
+            splitSentences('J. K. Rowling wrote it. The U.S. Army agreed.'),
+            ['J. K. Rowling wrote it. ', 'The U.S. Army agreed.']
+        );
+    });
+
+    test('does not split before a lowercase continuation', () => {
+        assert.deepEqual(splitSentences('"Why?" she asked. Nobody knew.'), ['"Why?" she asked. ', 'Nobody knew.']);
+    });
+
+    test('splits CJK sentences without whitespace', () => {
+        assert.deepEqual(splitSentences('今日は晴れです。明日は雨！本当？'), ['今日は晴れです。', '明日は雨！', '本当？']);
+        assert.deepEqual(splitSentences('他说：“好。”然后走了。'), ['他说：“好。”', '然后走了。']);
+    });
+});
+
+describe('splitParagraphs', () => {
+    test('splits on blank lines and keeps the separators', () => {
+        const text = 'One.\nStill one.\n\nTwo.\n  \nThree.';
+        const paragraphs = splitParagraphs(text);
+
+        assert.deepEqual(paragraphs, ['One.\nStill one.\n\n', 'Two.\n  \n', 'Three.']);
+        assert.equal(paragraphs.join(''), text);
+    });
+});
+
+describe('endsSentence', () => {
+    test('requires terminal punctuation followed by whitespace', () => {
+        assert.equal(endsSentence('Done. '), true);
+        assert.equal(endsSentence('Done.'), false);
+        assert.equal(endsSentence('Not done '), false);
+        assert.equal(endsSentence('完了。'), true);
+    });
+});
+
+describe('endsSentenceBefore', () => {
+    test('uses the abbreviation and continuation rules of splitSentences', () => {
+        assert.equal(endsSentenceBefore('It was done.', 'Then'), true);
+        assert.equal(endsSentenceBefore('Ask Dr.', 'Smith'), false);
+        assert.equal(endsSentenceBefore('Bring fruit, e.g.', 'Apples'), false);
+        assert.equal(endsSentenceBefore('"Why?"', 'she'), false);
+        assert.equal(endsSentenceBefore('Not done', 'Yet'), false);
+        assert.equal(endsSentenceBefore('今日は晴れです。', '明日'), true);
+    });
+});
+
+describe('chunkText (plain text)', () => {
+    test('returns short input as one trimmed chunk and empty input as none', () => {
+        assert.deepEqual(chunkText('  Hello there.  ', { maxBytes: MAX_BYTES }), ['Hello there.']);
+        assert.deepEqual(chunkText(' \n ', { maxBytes: MAX_BYTES }), []);
+    });
+
+    test('keeps chunks within 5000 bytes and preserves the text', () => {
+        const paragraph = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} talks about Dr. Who and the U.S. Navy.`).join(' ');
+        const text = Array.from({ length: 12 }, () => paragraph).join('\n\n');
+        const chunks = chunkText(text, { maxBytes: MAX_BYTES });
+
+        assert.ok(chunks.length > 1);
+        assertWithinLimit(chunks);
+        assert.equal(collapse(chunks.join(' ')), collapse(text));
+    });
+
+    test('breaks chunks on sentence boundaries, never after an abbreviation', () => {
+        const text = Array.from({ length: 200 }, (_, i) => `Mr. Smith called Dr. Jones ${i} times.`).join(' ');
+        const chunks = chunkText(text, { maxBytes: MAX_BYTES });
+
+        assert.ok(chunks.length > 1);
+        for (const chunk of chunks) {
+            assert.match(chunk, /^Mr\. Smith/);
+            assert.match(chunk, /times\.$/);
+        }
+    });
+
+    test('counts bytes, not characters, for CJK text', () => {
+        // 3 bytes per character in UTF-8: 2000 characters are 6000 bytes
+        const text = '这是一个很长的句子。'.repeat(200);
+        const chunks = chunkText(text, { maxBytes: MAX_BYTES });
+
+        assert.ok(chunks.length > 1);
+        assertWithinLimit(chunks);
+        assert.equal(chunks.join(''), text);
+        for (const chunk of chunks) {
+            assert.match(chunk, /。$/);
+        }
+    });
+
+    test('splits a sentence that is too long on its own without losing text', () => {
+        const text = `${'word, '.repeat(1500)}end.`;
+        const chunks = chunkText(text, { maxBytes: MAX_BYTES });
+
+        assert.ok(chunks.length > 1);
+        assertWithinLimit(chunks);
+        assert.equal(collapse(chunks.join(' ')), collapse(text));
+    });
+
+    test('rejects a missing or invalid maxBytes', () => {
+        assert.throws(() => chunkText('Hello.'), /positive maxBytes/);
+        assert.throws(() => chunkText('Hello.', { maxBytes: 0 }), /positive maxBytes/);
+    });
+});
+
+describe('chunkText (SSML)', () => {
+    test('returns a short document unchanged', () => {
+        const ssml = '<speak><p>Hello <emphasis>there</emphasis>.</p></speak>';
+        assert.deepEqual(chunkText(ssml, { maxBytes: MAX_BYTES, inputType: 'ssml' }), [ssml]);
+    });
+
+    test('re-wraps every chunk in <speak> and re-opens the open elements', () => {
+        const sentences = Array.from({ length: 150 }, (_, i) => `This is sentence ${i} of the prosody block.`).join(' ');
+        const ssml = `<speak version="1.0"><prosody rate="slow">${sentences}</prosody></speak>`;
+        const chunks = chunkText(ssml, { maxBytes: MAX_BYTES, inputType: 'ssml' });
+
+        assert.ok(chunks.length > 1);
+        assertWithinLimit(chunks);
+        for (const chunk of chunks) {
+            assert.match(chunk, /^<speak version="1.0"><prosody rate="slow">/);
+            assert.match(chunk, /<\/prosody><\/speak>$/);
+        }
+        assert.equal(collapse(chunks.map(ssmlText).join(' ')), collapse(ssmlText(ssml)));
+    });
+
+    test('splits between paragraphs and keeps atomic elements whole', () => {
+        const paragraph = `<p>Call <say-as interpret-as="telephone">555-0100</say-as> now. ${'Filler text here. '.repeat(20)}</p>`;
+        const ssml = `<speak>${paragraph.repeat(30)}</speak>`;
+        const chunks = chunkText(ssml, { maxBytes: MAX_BYTES, inputType: 'ssml' });
+
+        assert.ok(chunks.length > 1);
+        assertWithinLimit(chunks);
+        for (const chunk of chunks) {
+            assert.match(chunk, /^<speak><p>/);
+            assert.match(chunk, /<\/p><\/speak>$/);
+            assert.equal(chunk.split('<say-as').length, chunk.split('</say-as>').length);
+        }
+    });
+
+    test('throws for an atomic <say-as> larger than the limit', () => {
+        const ssml = `<speak>Intro. <say-as interpret-as="characters">${'A'.repeat(6000)}</say-as></speak>`;
+        assert.throws(
+            () => chunkText(ssml, { maxBytes: MAX_BYTES, inputType: 'ssml' }),
+            /cannot be split to fit 5000 bytes/
+        );
+    });
+
+    test('requires a <speak> root', () => {
+        assert.throws(
+            () => chunkText(`<p>${'Text. '.repeat(1000)}</p>`, { maxBytes: MAX_BYTES, inputType: 'ssml' }),
+            /wrapped in a <speak> element/
+        );
+    });
+});
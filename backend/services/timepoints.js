@@ -0,0 +1,144 @@
+import { tokenizeSSML, decodeEntities, escapeXml } from './ssml.js';
+import { splitSentences, endsSentence } from './textChunker.js';
+
+/*
+ * Word and sentence timepoints
+ *
+ * Before synthesis a <mark> is inserted in front of every word or sentence.
+ * Providers report when each mark is reached (Google returns SSML_MARK
+ * timepoints, the mock engine estimates them), and the marks are turned into
+ * timed entries: [{ text, start, end }] with times in seconds.
+ */
+
+export const TIMEPOINT_GRANULARITIES = ['word', 'sentence'];
+
+// Prefix that keeps our marks apart from <mark> tags written by the user
+const MARK_PREFIX = 'tp-';
+
+// SSML elements whose content is read as one unit (marks go in front of them)
+const ATOMIC_ELEMENTS = new Set(['say-as', 'sub', 'phoneme']);
+
+const markTag = (index) => `<mark name="${MARK_PREFIX}${index}"/>`;
+
+// Insert a mark before every word or sentence start of a text fragment.
+// escape converts plain text to SSML (SSML text nodes are already escaped).
+const markText = (text, granularity, state, escape = (value) => value) => {
+    if (granularity === 'word') {
+        // Text glued to a preceding <say-as>/<sub>/<phoneme> ("tomato</phoneme>.") belongs to that word
+        const glued = state.afterAtomic ? text.match(/^\S*/)[0] : '';
+        state.afterAtomic = false;
+        return escape(glued) + text.slice(glued.length).replace(/\S+/g, word => `${markTag(state.count++)}${escape(word)}`);
+    }
+
+    return splitSentences(text).map(sentence => {
+        let marked = escape(sentence);
+        if (state.atSentenceStart && sentence.trim()) {
+            const leading = sentence.match(/^\s*/)[0];
+            marked = `${leading}${markTag(state.count++)}${escape(sentence.slice(leading.length))}`;
+            state.atSentenceStart = false;
+        }
+        if (endsSentence(sentence)) state.atSentenceStart = true;
+        return marked;
+    }).join('');
+};
+
+// Spoken text that follows each of our marks, up to the next one
+const collectMarkTexts = (ssml) => {
+    const marks = [];
+    for (const token of tokenizeSSML(ssml)) {
+        if (token.type === 'open' && token.name === 'mark' && token.attributes.name?.startsWith(MARK_PREFIX)) {
+            marks.push({ name: token.attributes.name, text: '' });
+        } else if (token.type === 'text' && marks.length > 0) {
+            marks[marks.length - 1].text += decodeEntities(token.raw);
+        }
+    }
+
+    return marks
+        .map(mark => ({ ...mark, text: mark.text.replace(/\s+/g, ' ').trim() }))
+        .filter(mark => mark.text);
+};
+
+/**
+ * Insert timepoint marks into plain text or SSML.
+ * Returns { ssml, marks: [{ name, text }] }; the SSML replaces the input for synthesis.
+ */
+export const insertMarks = (input, { inputType = 'text', granularity = 'word' } = {}) => {
+    const state = { count: 0, atSentenceStart: true, afterAtomic: false };
+
+    if (inputType !== 'ssml') {
+        const ssml = `<speak>${markText(input.trim(), granularity, state, escapeXml)}</speak>`;
+        return { ssml, marks: collectMarkTexts(ssml) };
+    }
+
+    let atomicDepth = 0;
+    const ssml = tokenizeSSML(input).map(token => {
+        if (token.type === 'text') {
+            return atomicDepth > 0 ? token.raw : markText(token.raw, granularity, state);
+        }
+
+        if (ATOMIC_ELEMENTS.has(token.name) && !token.selfClosing) {
+            if (token.type === 'close') {
+                atomicDepth--;
+                state.afterAtomic = atomicDepth === 0;
+                return token.raw;
+            }
+
+            // "<say-as>2024</say-as>" is one word (and may start a sentence)
+            const needsMark = atomicDepth === 0 && (granularity === 'word' || state.atSentenceStart);
+            atomicDepth++;
+            if (needsMark) {
+                state.atSentenceStart = false;
+                return `${markTag(state.count++)}${token.raw}`;
+            }
+            return token.raw;
+        }
+
+        state.afterAtomic = false;
+
+        // Paragraph and sentence elements end sentences
+        if (token.type === 'close' && ['p', 's'].includes(token.name)) {
+            state.atSentenceStart = true;
+        }
+        return token.raw;
+    }).join('');
+
+    // Keep a leading XML declaration
+    const declaration = input.match(/^\s*<\?xml[^?]*\?>/)?.[0] || '';
+    return { ssml: declaration + ssml, marks: collectMarkTexts(ssml) };
+};
+
+// Provider request option that asks for mark timepoints
+export const TIMEPOINT_REQUEST_OPTIONS = { enableTimePointing: ['SSML_MARK'] };
+
+/**
+ * Combine the timepoints of every chunk into timed entries.
+ * chunkTimepoints: per chunk [{ markName, timeSeconds }] relative to the chunk
+ * chunkOffsets:    start of each chunk in the assembled audio (seconds)
+ * Marks the provider did not report are left out.
+ */
+export const resolveTimepoints = (marks, chunkTimepoints, chunkOffsets, totalDuration) => {
+    const times = new Map();
+    chunkTimepoints.forEach((timepoints, chunkIndex) => {
+        for (const { markName, timeSeconds } of timepoints || []) {
+            times.set(markName, (Number(timeSeconds) || 0) + (chunkOffsets[chunkIndex] || 0));
+        }
+    });
+
+    const timed = marks
+        .filter(mark => times.has(mark.name))
+        .map(mark => ({ text: mark.text, start: times.get(mark.name) }));
+
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    return timed.map((entry, index) => ({
+        text: entry.text,
+        start: round(entry.start),
+        end: round(Math.max(entry.start, index < timed.length - 1 ? timed[index + 1].start : totalDuration))
+    }));
+};
+
+export default {
+    TIMEPOINT_GRANULARITIES,
+    TIMEPOINT_REQUEST_OPTIONS,
+    insertMarks,
+    resolveTimepoints
+};
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { generateTTS, generateAudiobook } from './ttsService.js';
+import { ttsJobModel, audioHistoryModel } from '../db/database.js';
+
+/*
+ * Background TTS jobs
+ *
+ * Jobs are stored in the tts_jobs table and processed by an in-process queue.
+ * Every synthesized chunk is written to jobs/<id>/ so a job interrupted by a
+ * restart resumes from the chunks it already has instead of starting over.
+ */
+
+const JOBS_DIRECTORY = path.join(process.cwd(), 'jobs');
+
+// Read at call time so values from .env (loaded after imports) apply
+const getMaxConcurrentJobs = () => parseInt(process.env.TTS_MAX_CONCURRENT_JOBS, 10) || 1;
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const queue = []; // Job ids waiting to run
+const running = new Map(); // Job id -> AbortController
+
+const getJobDirectory = (jobId) => path.join(JOBS_DIRECTORY, jobId);
+const getChunkPath = (jobId, index) => path.join(getJobDirectory(jobId), `chunk-${String(index).padStart(4, '0')}.audio`);
+
+const removeJobDirectory = (jobId) => {
+    fs.rmSync(getJobDirectory(jobId), { recursive: true, force: true });
+};
+
+// Public representation of a job row
+export const formatJob = (job) => ({
+    id: job.id,
+    status: job.status,
+    progress: job.chunk_count ? Math.round((job.completed_chunks / job.chunk_count) * 100) : (job.status === 'completed' ? 100 : 0),
+    chunkCount: job.chunk_count,
+    completedChunks: job.completed_chunks,
+    audioUrl: job.audio_url,
+    result: job.result_data,
+    error: job.error,
+    failedChunks: job.failed_chunks,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+});
+
+// Synthesize a job, reusing chunks stored by an earlier (interrupted) run
+const runJob = async (jobId) => {
+    const job = await ttsJobModel.findById(jobId);
+    if (!job || FINAL_STATUSES.includes(job.status)) return;
+
+    const abortController = new AbortController();
+    running.set(jobId, abortController);
+    fs.mkdirSync(getJobDirectory(jobId), { recursive: true });
+
+    try {
+        // Cancelled since it was read
+        if (!await ttsJobModel.update(jobId, { status: 'processing' }, { expectedStatus: job.status })) {
+            removeJobDirectory(jobId);
+            return;
+        }
+
+        const request = job.request_data;
+        const generate = request.type === 'audiobook' ? generateAudiobook : generateTTS;
+        const result = await generate(request, {
+            signal: abortController.signal,
+            onStart: async ({ chunkCount }) => {
+                const storedChunks = fs.readdirSync(getJobDirectory(jobId)).filter(file => file.endsWith('.audio')).length;
+                await ttsJobModel.update(jobId, { chunkCount, completedChunks: Math.min(storedChunks, chunkCount) });
+            },
+            loadChunk: async (index) => {
+                const chunkPath = getChunkPath(jobId, index);
+                if (!fs.existsSync(chunkPath)) return null;
+
+                const timepointsPath = `${chunkPath}.timepoints.json`;
+                return {
+                    audioContent: fs.readFileSync(chunkPath),
+                    ...(fs.existsSync(timepointsPath) && { timepoints: JSON.parse(fs.readFileSync(timepointsPath, 'utf8')) })
+                };
+            },
+            saveChunk: async (index, response) => {
+                if (abortController.signal.aborted) return; // Directory is removed on cancel
+                const chunkPath = getChunkPath(jobId, index);
+
+                // Timepoints go first: the audio file is what marks a chunk as done
+                if (response.timepoints) {
+                    fs.writeFileSync(`${chunkPath}.timepoints.json`, JSON.stringify(response.timepoints));
+                }
+
+                // Write then rename so a crash never leaves a partial chunk behind
+                fs.writeFileSync(`${chunkPath}.tmp`, response.audioContent);
+                fs.renameSync(`${chunkPath}.tmp`, chunkPath);
+            },
+            onChunkComplete: () => ttsJobModel.incrementCompletedChunks(jobId)
+        });
+
+        // A cancel that arrived after the last chunk wins over the result
+        const completed = await ttsJobModel.update(jobId, {
+            status: 'completed',
+            audioUrl: result.audioUrl,
+            resultData: result
+        }, { expectedStatus: 'processing' });
+        if (!completed) {
+            removeJobDirectory(jobId);
+            return;
+        }
+
+        if (job.user_id) {
+            try {
+                // Audiobooks are listed under their title
+                const historyText = request.type === 'audiobook' ? request.title : request.text;
+                await audioHistoryModel.createFromResult(job.user_id, historyText, result, request.audioConfig?.speakingRate, request.title || null);
+            } catch (historyError) {
+                console.error('Failed to save audio history for job:', historyError);
+            }
+        }
+        removeJobDirectory(jobId);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            removeJobDirectory(jobId);
+            return; // Status was set by cancelJob()
+        }
+
+        console.error(`TTS job ${jobId} failed:`, error.message);
+        await ttsJobModel.update(jobId, {
+            status: 'failed',
+            error: error.message,
+            failedChunks: error.failures || null
+        }, { expectedStatus: 'processing' });
+        removeJobDirectory(jobId);
+    } finally {
+        running.delete(jobId);
+        processQueue();
+    }
+};
+
+// Start queued jobs while there is capacity
+const processQueue = () => {
+    while (running.size < getMaxConcurrentJobs() && queue.length > 0) {
+        const jobId = queue.shift();
+        runJob(jobId).catch(error => {
+            console.error(`TTS job ${jobId} crashed:`, error);
+        });
+    }
+};
+
+const enqueue = (jobId) => {
+    if (!queue.includes(jobId) && !running.has(jobId)) {
+        queue.push(jobId);
+        processQueue();
+    }
+};
+
+/**
+ * Create a job for a standard TTS request and queue it.
+ * request: the generateTTS() request (text, languageCode, voiceName, audioConfig, inputType, characterCount),
+ * or a generateAudiobook() request with type: 'audiobook'
+ */
+export const createJob = async (request, userId = null) => {
+    const id = uuidv4();
+    await ttsJobModel.create({ id, userId, requestData: { ...request, userId: userId || 'anonymous' } });
+    enqueue(id);
+    return ttsJobModel.findById(id);
+};
+
+export const getJob = (jobId) => ttsJobModel.findById(jobId);
+
+export const listJobs = (userId, limit, offset) => ttsJobModel.findByUserId(userId, limit, offset);
+
+/**
+ * Cancel a queued or running job.
+ * Returns the updated job, or null when the job already finished.
+ */
+export const cancelJob = async (jobId) => {
+    // The status only changes from the one that was read: a job that started meanwhile
+    // is read again, one that finished stays finished
+    let cancelled = false;
+    while (!cancelled) {
+        const job = await ttsJobModel.findById(jobId);
+        if (!job || FINAL_STATUSES.includes(job.status)) return null;
+        cancelled = await ttsJobModel.update(jobId, { status: 'cancelled' }, { expectedStatus: job.status });
+    }
+
+    const queuedIndex = queue.indexOf(jobId);
+    if (queuedIndex !== -1) {
+        queue.splice(queuedIndex, 1);
+        removeJobDirectory(jobId);
+    }
+    running.get(jobId)?.abort();
+
+    return ttsJobModel.findById(jobId);
+};
+
+// Re-queue jobs that were queued or processing when the server stopped
+export const resumeJobs = async () => {
+    const unfinished = await ttsJobModel.findUnfinished();
+    const unfinishedIds = new Set(unfinished.map(job => job.id));
+
+    // Chunks left behind by jobs that finished or were cancelled during shutdown
+    if (fs.existsSync(JOBS_DIRECTORY)) {
+        fs.readdirSync(JOBS_DIRECTORY)
+            .filter(jobId => !unfinishedIds.has(jobId))
+            .forEach(removeJobDirectory);
+    }
+
+    if (unfinished.length > 0) {
+        console.log(`Resuming ${unfinished.length} TTS job(s)`);
+    }
+    unfinished.forEach(job => enqueue(job.id));
+};
+
+export default {
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    resumeJobs,
+    formatJob
+};
@@ -1,52 +1,101 @@
 import fs from 'fs';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-
-// Google Cloud TTS client will be initialized later
-let TextToSpeechClient = null;
-
-// Google Cloud TTS client (will be initialized when credentials are added)
-let ttsClient = null;
+import { getActiveProvider, initializeProviders } from './providers/index.js';
+import { countBillableCharacters, getSSMLText } from './ssml.js';
+import { chunkText } from './textChunker.js';
+import { synthesizeAll, streamSynthesis, SynthesisError } from './synthesis.js';
+import { VOICE_ALIASES, resolveVoice, initializeVoiceCatalog } from './voiceCatalog.js';
+import { assembleAudio, decodeAudio } from './audio/pipeline.js';
+import { resolveProcessingOptions } from './audio/processing.js';
+import { DEFAULT_BACKGROUND } from './audio/mixing.js';
+import { loadAssets, AssetNotFoundError } from './audioAssets.js';
+import { createMp3Encoder } from './audio/mp3.js';
+import { createSilence, concatenatePcm } from './audio/pcm.js';
+import { createId3Tag, getId3TagLength, updateId3Tag } from './audio/id3.js';
+import { getAudioDuration, getAudioFileDuration } from './audio/duration.js';
+import { insertMarks, resolveTimepoints, TIMEPOINT_REQUEST_OPTIONS } from './timepoints.js';
+import { buildCues, toSrt, toVtt } from './subtitles.js';
+import { applyLexicon } from './lexicon.js';
+import { normalizeText } from './normalization/index.js';
+import { lexiconModel } from '../db/database.js';
+import { normalizeEncoding, getExtension, DEFAULT_SAMPLE_RATE } from './audio/formats.js';
 
 // TTS Usage tracking (in-memory for now, could be moved to database)
 const usageCache = new Map();
 
-// Configuration
+// Configuration (pricing and input limits come from the active provider)
 const TTS_CONFIG = {
-    // Pricing per character (Google Cloud TTS pricing)
-    standardCostPerCharacterUSD: 0.000004, // $4 per 1M characters for Standard voices
-    neural2CostPerCharacterUSD: 0.000016, // $16 per 1M characters for Neural2 voices
-    freeQuotaPerMonth: 1000000, // 1M characters free per month
     cacheDirectory: path.join(process.cwd(), 'public', 'tts-cache'),
     maxCacheSizeMB: 1000, // 1GB cache limit
     cacheExpiryHours: 168 // 7 days
 };
 
-// Check if voice is Neural2
-const isNeural2Voice = (voiceName) => {
-    return voiceName.includes('Neural2') || 
-           voiceName === 'neural-female' || 
-           voiceName === 'neural-male';
-};
-
-// Calculate cost in USD based on voice type and character count
-const calculateCostUSD = (characterCount, voiceName) => {
-    const isNeural = isNeural2Voice(voiceName);
-    const costPerCharacter = isNeural 
-        ? TTS_CONFIG.neural2CostPerCharacterUSD 
-        : TTS_CONFIG.standardCostPerCharacterUSD;
+// Calculate cost in USD based on voice tier and character count
+const calculateCostUSD = (characterCount, voiceName, provider = getActiveProvider()) => {
+    const tier = provider.getVoiceTier(VOICE_ALIASES[voiceName] || voiceName);
+    const costPerCharacter = provider.pricing.costPerCharacterUSD[tier] 
+        ?? provider.pricing.costPerCharacterUSD.standard;
     
     const costUSD = characterCount * costPerCharacter;
     return Math.round(costUSD * 100) / 100; // Round to 2 decimal places
 };
 
-// Generate cache key for TTS request
-const generateCacheKey = (text, voiceName, audioConfig) => {
-    const content = JSON.stringify({ text, voiceName, audioConfig });
-    return crypto.createHash('sha256').update(content).digest('hex');
+// Generate cache key for TTS request (plain text keys stay unchanged for existing cache files)
+const generateCacheKey = (text, voiceName, audioConfig, inputType = 'text', timepoints = null) => {
+    const key = { text, voiceName, audioConfig };
+    if (inputType !== 'text') key.inputType = inputType;
+    if (timepoints) key.timepoints = timepoints;
+    return crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex');
+};
+
+// ID3 metadata of generated MP3 files
+const DEFAULT_ALBUM = 'Cloud Text-to-Speech';
+const MAX_DERIVED_TITLE_LENGTH = 60;
+const MAX_COMMENT_LENGTH = 5000;
+
+// Title/album a request sets for its MP3 file. They are not part of the cache key: cached
+// audio keeps the default tags and the request gets a tagged copy, so renaming never re-synthesizes
+const getRequestedTags = ({ title, album }, audioEncoding) => (
+    audioEncoding === 'MP3' && (title || album) ? { ...(title && { title }), ...(album && { album }) } : null
+);
+
+// Name of a tagged copy of cached audio (cache lookups never match it)
+const getTaggedFilename = (hashPart, extension) => `tagged-${hashPart}-${Date.now()}.${extension}`;
+
+// Cached audio file with the requested tags (a tagged copy, or the file itself without tags)
+const applyRequestedTags = async (audioFilename, tags, taggedFilename) => {
+    if (!tags) return audioFilename;
+    const copy = await retagAudioFile(audioFilename, tags, taggedFilename);
+    return copy ? copy.audioFilename : audioFilename;
 };
 
+/**
+ * ID3 metadata for a generated file: the title (or the start of the text when
+ * there is none), the voice as artist, the album (project), the current year
+ * and the spoken source text as comment.
+ */
+const getAudioMetadata = ({ title = null, album = null, artist, text = '', inputType = 'text' }) => {
+    const spokenText = inputType === 'ssml' ? getSSMLText(text) : text.trim();
+    const firstWords = spokenText.replace(/\s+/g, ' ');
+    return {
+        title: title || (firstWords.length > MAX_DERIVED_TITLE_LENGTH
+            ? `${firstWords.slice(0, MAX_DERIVED_TITLE_LENGTH).replace(/\s+\S*$/, '')}…`
+            : firstWords) || null,
+        artist,
+        album: album || DEFAULT_ALBUM,
+        year: new Date().getFullYear(),
+        comment: spokenText.length > MAX_COMMENT_LENGTH ? `${spokenText.slice(0, MAX_COMMENT_LENGTH)}…` : spokenText || null
+    };
+};
+
+// Put an ID3 tag in front of MP3 data (other formats are returned unchanged)
+const tagAudio = (audioContent, audioEncoding, metadata) => (
+    audioEncoding === 'MP3' ? Buffer.concat([createId3Tag(metadata), audioContent]) : audioContent
+);
+
 // Ensure cache directory exists
 const ensureCacheDirectory = () => {
     if (!fs.existsSync(TTS_CONFIG.cacheDirectory)) {
@@ -74,273 +123,300 @@ const cleanCache = () => {
     }
 };
 
-// Initialize Google Cloud TTS client
-const initializeTTSClient = async () => {
-    try {
-        if (!process.env.GOOGLE_CLOUD_PROJECT_ID || !process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-            return false;
-        }
-        
-        const { TextToSpeechClient: TtsClient } = await import('@google-cloud/text-to-speech');
-        TextToSpeechClient = TtsClient;
-        
-        let clientConfig = {
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-            quotaProjectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-        };
+// Map Google voice IDs to simplified names for cache filenames
+const getSimplifiedVoiceName = (voiceName) => {
+    const alias = Object.keys(VOICE_ALIASES).find(key => key === voiceName || VOICE_ALIASES[key] === voiceName);
+    return alias || voiceName.toLowerCase().replace(/[^a-z0-9-]/g, '');
+};
 
-        try {
-            const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-            
-            const requiredFields = ['type', 'project_id', 'private_key', 'client_email'];
-            for (const field of requiredFields) {
-                if (!credentials[field]) {
-                    throw new Error(`Missing required field in credentials: ${field}`);
-                }
-            }
-            
-            clientConfig.credentials = credentials;
-        } catch (credError) {
-            console.error('Error parsing credentials JSON:', credError.message);
-            return false;
-        }
-        
-        ttsClient = new TextToSpeechClient(clientConfig);
-        
-        const [result] = await ttsClient.listVoices({ languageCode: 'en-US' });
-        
-        if (result.voices && result.voices.length > 0) {
-            console.log(`TTS initialized with ${result.voices.length} voices`);
-            return true;
-        } else {
-            return false;
-        }
-        
-    } catch (error) {
-        console.error('TTS initialization failed:', error.message);
-        return false;
-    }
+// Public URL of a cached audio file
+const getCacheUrl = (filename) => `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache/${filename}`;
+
+// Subtitle and timepoint files saved next to an audio file
+const getSidecarFilenames = (audioFilename) => {
+    const base = audioFilename.replace(/\.[^.]+$/, '');
+    return { srt: `${base}.srt`, vtt: `${base}.vtt`, timepoints: `${base}.timepoints.json` };
 };
 
-// Mock TTS generation for development (replace with real Google Cloud TTS)
-const generateMockTTS = async (request) => {
-    const { text, voiceName, audioConfig } = request;
-    const characterCount = text.length;
-    
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-    
-    // Create a simple WAV file with a short beep sound (440Hz tone)
-    const sampleRate = 22050;
-    const duration = Math.max(1, Math.ceil(characterCount / 100)); // Duration based on text length
-    const numSamples = sampleRate * duration;
-    const frequency = 440; // A4 note
-    
-    // Generate audio samples (simple sine wave)
-    const samples = [];
-    for (let i = 0; i < numSamples; i++) {
-        const t = i / sampleRate;
-        const amplitude = Math.sin(2 * Math.PI * frequency * t) * 0.3; // Low volume
-        const sample = Math.round(amplitude * 32767); // Convert to 16-bit
-        samples.push(sample & 0xFF); // Low byte
-        samples.push((sample >> 8) & 0xFF); // High byte
+// Links to the sidecar files of an audio file, or null if it has none
+const getSubtitleLinks = (audioFilename, granularity) => {
+    const files = getSidecarFilenames(audioFilename);
+    if (!fs.existsSync(path.join(TTS_CONFIG.cacheDirectory, files.timepoints))) {
+        return null;
     }
-    
-    // Create WAV file header
-    const dataSize = samples.length;
-    const fileSize = 36 + dataSize;
-    
-    const wavHeader = Buffer.from([
-        // RIFF chunk
-        0x52, 0x49, 0x46, 0x46, // "RIFF"
-        fileSize & 0xFF, (fileSize >> 8) & 0xFF, (fileSize >> 16) & 0xFF, (fileSize >> 24) & 0xFF, // File size
-        0x57, 0x41, 0x56, 0x45, // "WAVE"
-        
-        // fmt chunk
-        0x66, 0x6D, 0x74, 0x20, // "fmt "
-        0x10, 0x00, 0x00, 0x00, // Chunk size (16)
-        0x01, 0x00, // Audio format (1 = PCM)
-        0x01, 0x00, // Number of channels (1 = mono)
-        sampleRate & 0xFF, (sampleRate >> 8) & 0xFF, (sampleRate >> 16) & 0xFF, (sampleRate >> 24) & 0xFF, // Sample rate
-        (sampleRate * 2) & 0xFF, ((sampleRate * 2) >> 8) & 0xFF, ((sampleRate * 2) >> 16) & 0xFF, ((sampleRate * 2) >> 24) & 0xFF, // Byte rate
-        0x02, 0x00, // Block align
-        0x10, 0x00, // Bits per sample (16)
-        
-        // data chunk
-        0x64, 0x61, 0x74, 0x61, // "data"
-        dataSize & 0xFF, (dataSize >> 8) & 0xFF, (dataSize >> 16) & 0xFF, (dataSize >> 24) & 0xFF // Data size
-    ]);
-    
-    // Combine header and audio data
-    const mockAudioData = Buffer.concat([wavHeader, Buffer.from(samples)]);
-    
-    
     return {
-        audioContent: mockAudioData,
-        characterCount,
-        voiceUsed: voiceName,
-        duration: duration
+        granularity,
+        srtUrl: getCacheUrl(files.srt),
+        vttUrl: getCacheUrl(files.vtt),
+        timepointsUrl: getCacheUrl(files.timepoints)
     };
 };
 
-// Map simplified voice names to Google Cloud TTS voice IDs
-const VOICE_MAP = {
-    'female': 'en-US-Standard-C',
-    'male': 'en-US-Standard-B',
-    'neural-female': 'en-US-Neural2-F',
-    'neural-male': 'en-US-Neural2-D',
-    // Legacy support for old voice names
-    'en-US-Standard-C': 'en-US-Standard-C',
-    'en-US-Standard-B': 'en-US-Standard-B',
-    'en-US-Neural2-F': 'en-US-Neural2-F',
-    'en-US-Neural2-D': 'en-US-Neural2-D'
+// Write SRT, WebVTT and timepoint JSON files next to an audio file
+const saveSubtitles = (audioFilename, granularity, timepoints, duration) => {
+    const files = getSidecarFilenames(audioFilename);
+    const cues = buildCues(timepoints, granularity);
+
+    fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, files.srt), toSrt(cues));
+    fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, files.vtt), toVtt(cues));
+    fs.writeFileSync(
+        path.join(TTS_CONFIG.cacheDirectory, files.timepoints),
+        JSON.stringify({ granularity, duration, timepoints })
+    );
+
+    return getSubtitleLinks(audioFilename, granularity);
 };
 
-// Map Google voice IDs to simplified names for cache filenames
-const getSimplifiedVoiceName = (voiceName) => {
-    if (voiceName === 'female' || voiceName === 'male' || voiceName === 'neural-female' || voiceName === 'neural-male') return voiceName;
-    if (voiceName === 'en-US-Standard-C') return 'female';
-    if (voiceName === 'en-US-Standard-B') return 'male';
-    if (voiceName === 'en-US-Neural2-F') return 'neural-female';
-    if (voiceName === 'en-US-Neural2-D') return 'neural-male';
-    return 'female'; // Default to female voice
+// Pronunciation lexicon of a user (anonymous requests have none)
+const getUserLexicon = async (userId) => (
+    userId && userId !== 'anonymous' ? lexiconModel.findByUserId(userId) : []
+);
+
+/**
+ * Rewrite an input before synthesis: the user's lexicon first (so its entries
+ * win), then text normalization for the voice's language.
+ * normalization: false to skip it, or { [rule]: false } to switch rules off.
+ * forceSSML keeps replaced words visible as <sub> text (used for subtitles).
+ */
+const rewriteInput = (text, { inputType = 'text', lexicon = [], languageCode, normalization, forceSSML = false }) => {
+    const lexiconResult = applyLexicon(text, lexicon, { inputType, forceSSML });
+    const normalized = normalization === false
+        ? { text: lexiconResult.text, inputType: lexiconResult.inputType, changes: [] }
+        : normalizeText(lexiconResult.text, {
+            languageCode,
+            inputType: lexiconResult.inputType,
+            rules: normalization && typeof normalization === 'object' ? normalization : {},
+            forceSSML
+        });
+
+    return {
+        text: normalized.text,
+        inputType: normalized.inputType,
+        lexiconReplacements: lexiconResult.replacements,
+        normalizationChanges: normalized.changes
+    };
+};
+
+// Rewrite the input of a standard request with the user's lexicon and text normalization
+const rewriteRequestInput = async (request) => {
+    const rewritten = rewriteInput(request.text, {
+        inputType: request.inputType,
+        lexicon: await getUserLexicon(request.userId),
+        languageCode: resolveVoice(request.voiceName, request.languageCode).languageCode,
+        normalization: request.normalization,
+        forceSSML: Boolean(request.timepoints)
+    });
+
+    // The provider bills the rewritten input
+    return {
+        ...rewritten,
+        characterCount: rewritten.text === request.text
+            ? request.characterCount ?? countBillableCharacters(request.text || '', rewritten.inputType)
+            : countBillableCharacters(rewritten.text, rewritten.inputType)
+    };
+};
+
+const applyInputRewrites = async (request) => {
+    const { text, inputType, characterCount } = await rewriteRequestInput(request);
+    return { ...request, text, inputType, characterCount };
 };
 
-// Generate TTS audio using Google Cloud TTS
-export const generateTTS = async (request) => {
+/**
+ * Preview what would be sent to the provider for a standard request
+ * (lexicon and normalization applied, nothing synthesized).
+ */
+export const previewTTSInput = async (request) => rewriteRequestInput(request);
+
+// Provider request for one input
+const buildProviderRequest = ({ text, inputType, voiceName, languageCode, audioConfig, sampleRateHertz }) => ({
+    input: inputType === 'ssml' ? { ssml: text } : { text },
+    voice: {
+        languageCode,
+        name: voiceName
+    },
+    audioConfig: {
+        // Providers return PCM so chunks can be merged losslessly before encoding
+        audioEncoding: 'LINEAR16',
+        speakingRate: audioConfig.speakingRate || 1.0,
+        pitch: audioConfig.pitch || 0.0,
+        volumeGainDb: audioConfig.volumeGainDb || 0.0,
+        sampleRateHertz
+    }
+});
+
+// Resolve voice, output format, cache file and provider request for a standard TTS request
+const prepareTTSRequest = (request) => {
     const {
         text,
         languageCode = 'en-US',
         voiceName: requestedVoice = 'female',
         audioConfig = {},
+        inputType = 'text', // 'text' or 'ssml'
         userId = 'anonymous', // Make userId optional for standalone use
-        characterCount = text?.length || 0
+        characterCount = countBillableCharacters(text || '', inputType),
+        timepoints = null, // 'word' or 'sentence' to collect timepoints and write subtitles
+        title = null, // ID3 title and album of MP3 files
+        album = null,
+        postProcessing: processingOptions = null // Loudness, silence trimming, fades and limiter
     } = request;
     
-    // Map simplified voice name to Google Cloud TTS voice ID
-    const voiceName = VOICE_MAP[requestedVoice] || VOICE_MAP['female'];
+    // Map simplified voice name to a catalog voice for the requested language
+    const { name: voiceName, languageCode: voiceLanguageCode } = resolveVoice(requestedVoice, languageCode);
+    
+    // Output container and sample rate of the generated file
+    const audioEncoding = normalizeEncoding(audioConfig.audioEncoding);
+    const sampleRateHertz = audioConfig.sampleRateHertz || DEFAULT_SAMPLE_RATE;
+    const postProcessing = resolveProcessingOptions(processingOptions);
+
+    ensureCacheDirectory();
+    
+    // Generate simplified filename for standalone TTS (unprocessed audio keeps its old key)
+    const cacheKey = generateCacheKey(
+        text,
+        voiceName,
+        postProcessing ? { ...audioConfig, postProcessing } : audioConfig,
+        inputType,
+        timepoints
+    );
+    const voicePart = getSimplifiedVoiceName(voiceName);
+    const hashPart = cacheKey.substring(0, 12);
+    const timestamp = Date.now();
+    
+    const filename = `tts-${voicePart}-${hashPart}-${timestamp}.${getExtension(audioEncoding)}`;
+    const tags = getRequestedTags({ title, album }, audioEncoding);
+    
+    // Check if cached version exists (check by content hash only)
+    const existingFiles = fs.readdirSync(TTS_CONFIG.cacheDirectory);
+    const existingFile = existingFiles.find(file => 
+        file.includes(hashPart) && file.includes(voicePart) && file.endsWith(`.${getExtension(audioEncoding)}`)
+    );
+
+    // Timepoints need a <mark> before every word or sentence, so the input is synthesized as SSML
+    const { ssml: markedText = null, marks = [] } = timepoints ? insertMarks(text, { inputType, granularity: timepoints }) : {};
+    const synthesisText = markedText || text;
+    const synthesisInputType = markedText ? 'ssml' : inputType;
+
+    // Prepare TTS request
+    const ttsRequest = {
+        ...buildProviderRequest({
+            text: synthesisText,
+            inputType: synthesisInputType,
+            voiceName,
+            languageCode: voiceLanguageCode,
+            audioConfig,
+            sampleRateHertz
+        }),
+        ...(timepoints && TIMEPOINT_REQUEST_OPTIONS)
+    };
+
+    return {
+        text,
+        inputType,
+        synthesisText,
+        synthesisInputType,
+        timepoints,
+        marks,
+        userId,
+        characterCount,
+        voiceName,
+        audioEncoding,
+        sampleRateHertz,
+        postProcessing,
+        filename,
+        cacheFilePath: path.join(TTS_CONFIG.cacheDirectory, filename),
+        existingFile,
+        tags,
+        taggedFilename: tags ? getTaggedFilename(hashPart, getExtension(audioEncoding)) : null,
+        ttsRequest
+    };
+};
+
+// Result returned for a request whose audio is already cached
+const getCachedResult = async ({ existingFile, tags, taggedFilename, characterCount, voiceName, audioEncoding, sampleRateHertz, timepoints }) => ({
+    audioUrl: getCacheUrl(await applyRequestedTags(existingFile, tags, taggedFilename)),
+    characterCount,
+    estimatedCostUSD: 0, // No cost for cached content
+    voiceUsed: voiceName,
+    audioEncoding,
+    sampleRateHertz,
+    cacheHit: true,
+    duration: getAudioFileDuration(path.join(TTS_CONFIG.cacheDirectory, existingFile)),
+    ...(timepoints && { subtitles: getSubtitleLinks(existingFile, timepoints) })
+});
 
+// Provider requests for the input, split into chunks when it exceeds the provider limit
+const getChunkRequests = (provider, { synthesisText, synthesisInputType, ttsRequest }) => {
+    if (Buffer.byteLength(synthesisText, 'utf8') <= provider.limits.maxInputBytes) {
+        return [ttsRequest];
+    }
+
+    // Split on sentence boundaries (SSML chunks stay complete documents)
+    return chunkText(synthesisText, { maxBytes: provider.limits.maxInputBytes, inputType: synthesisInputType }).map(chunk => ({
+        ...ttsRequest,
+        input: synthesisInputType === 'ssml' ? { ssml: chunk } : { text: chunk }
+    }));
+};
+
+/**
+ * Generate TTS audio using the active TTS provider.
+ * The user's pronunciation lexicon and text normalization are applied to the input first.
+ * options: synthesizeAll hooks (signal, loadChunk, saveChunk, onChunkComplete)
+ * plus onStart({ chunkCount }) once the input has been split.
+ */
+export const generateTTS = async (request, options = {}) => {
     try {
-        ensureCacheDirectory();
+        const prepared = prepareTTSRequest(await applyInputRewrites(request));
+        const {
+            userId, characterCount, voiceName, audioEncoding, sampleRateHertz, postProcessing,
+            filename, cacheFilePath, existingFile, tags, taggedFilename, timepoints, marks
+        } = prepared;
         
-        // Generate simplified filename for standalone TTS
-        const cacheKey = generateCacheKey(text, voiceName, audioConfig);
-        const voicePart = getSimplifiedVoiceName(voiceName);
-        const hashPart = cacheKey.substring(0, 12);
-        const timestamp = Date.now();
+        if (existingFile) {
+            return await getCachedResult(prepared);
+        }
+
+        const provider = getActiveProvider();
+        const chunkRequests = getChunkRequests(provider, prepared);
+        await options.onStart?.({ chunkCount: chunkRequests.length });
         
-        const filename = `tts-${voicePart}-${hashPart}-${timestamp}.wav`;
-        const cacheFilePath = path.join(TTS_CONFIG.cacheDirectory, filename);
+        // Synthesize chunks concurrently (with retries); responses come back in chunk order
+        const responses = await synthesizeAll(provider, chunkRequests, options);
         
-        // Check if cached version exists (check by content hash only)
-        const existingFiles = fs.readdirSync(TTS_CONFIG.cacheDirectory);
-        const existingFile = existingFiles.find(file => 
-            file.includes(hashPart) && file.includes(voicePart)
+        // Decode, concatenate, post-process and re-encode the chunks into a single file
+        const combinedAudio = await assembleAudio(
+            responses.map(response => ({ audioContent: response.audioContent })),
+            { sampleRate: sampleRateHertz, audioEncoding, postProcessing }
         );
         
-        if (existingFile) {
-            const cacheResult = {
-                audioUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache/${existingFile}`,
-                characterCount,
-                estimatedCostUSD: 0, // No cost for cached content
-                voiceUsed: voiceName,
-                cacheHit: true,
-                duration: Math.ceil(characterCount / 10)
-            };
-            return cacheResult;
-        }
-
-        // Prepare TTS request
-        const ttsRequest = {
-            input: { text },
-            voice: {
-                languageCode,
-                name: voiceName
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                speakingRate: audioConfig.speakingRate || 1.0,
-                pitch: audioConfig.pitch || 0.0,
-                volumeGainDb: audioConfig.volumeGainDb || 0.0,
-                sampleRateHertz: 24000
-            }
+        const isChunked = chunkRequests.length > 1;
+        const ttsResponse = {
+            audioContent: combinedAudio.audioContent,
+            characterCount,
+            voiceUsed: voiceName,
+            duration: getAudioDuration(combinedAudio.audioContent),
+            ...(isChunked && { isChunked, chunkCount: chunkRequests.length })
         };
 
-        let ttsResponse;
-        
-        if (ttsClient) {
-            // Use real Google Cloud TTS
-            const textBytes = Buffer.byteLength(text, 'utf8');
-            
-            try {
-                if (textBytes > 5000) {
-                    // Text exceeds limit, chunk into smaller pieces
-                    const chunks = [];
-                    const maxChunkSize = 4500; // Leave some buffer
-                    
-                    // Split by sentences to maintain natural speech flow
-                    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-                    let currentChunk = '';
-                    
-                    for (const sentence of sentences) {
-                        const potentialChunk = currentChunk + sentence + '.';
-                        if (Buffer.byteLength(potentialChunk, 'utf8') > maxChunkSize && currentChunk) {
-                            chunks.push(currentChunk.trim());
-                            currentChunk = sentence + '.';
-                        } else {
-                            currentChunk = potentialChunk;
-                        }
-                    }
-                    if (currentChunk.trim()) {
-                        chunks.push(currentChunk.trim());
-                    }
-                    
-                    // Generate TTS for each chunk
-                    const audioChunks = [];
-                    for (let i = 0; i < chunks.length; i++) {
-                        const chunkRequest = {
-                            ...ttsRequest,
-                            input: { text: chunks[i] }
-                        };
-                        
-                        const [response] = await ttsClient.synthesizeSpeech(chunkRequest);
-                        audioChunks.push(response.audioContent);
-                    }
-                    
-                    // Combine audio chunks (simple concatenation for MP3)
-                    const combinedAudio = Buffer.concat(audioChunks);
-                    
-                    ttsResponse = {
-                        audioContent: combinedAudio,
-                        characterCount,
-                        voiceUsed: voiceName,
-                        duration: Math.ceil(characterCount / 10),
-                        isChunked: true,
-                        chunkCount: chunks.length
-                    };
-                } else {
-                    // Text is within limit, proceed normally
-                    const [response] = await ttsClient.synthesizeSpeech(ttsRequest);
-                    
-                    ttsResponse = {
-                        audioContent: response.audioContent,
-                        characterCount,
-                        voiceUsed: voiceName,
-                        duration: Math.ceil(characterCount / 10)
-                    };
-                }
-                
-            } catch (googleError) {
-                console.error('Google Cloud TTS API error:', googleError.message);
-                ttsResponse = await generateMockTTS({ text, voiceName, audioConfig });
-            }
-        } else {
-            // Use mock TTS for development
-            ttsResponse = await generateMockTTS({ text, voiceName, audioConfig });
-        }
+        // Save audio to cache, tagged with the source text (before lexicon and normalization rewrites)
+        fs.writeFileSync(cacheFilePath, tagAudio(ttsResponse.audioContent, audioEncoding, getAudioMetadata({
+            ...request,
+            title: null,
+            album: null,
+            artist: voiceName
+        })));
+        const audioFilename = await applyRequestedTags(filename, tags, taggedFilename);
 
-        // Save audio to cache
-        fs.writeFileSync(cacheFilePath, ttsResponse.audioContent);
+        // Chunk timepoints are relative to their chunk, offsets place them in the combined audio
+        let subtitles = null;
+        if (timepoints) {
+            const timedEntries = resolveTimepoints(
+                marks,
+                responses.map(response => response.timepoints),
+                combinedAudio.offsets,
+                ttsResponse.duration
+            );
+            subtitles = saveSubtitles(filename, timepoints, timedEntries, ttsResponse.duration);
+        }
         
         // Track usage (only if userId provided)
         if (userId && userId !== 'anonymous') {
@@ -356,22 +432,109 @@ export const generateTTS = async (request) => {
         }
 
         const result = {
-            audioUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache/${filename}`,
+            audioUrl: getCacheUrl(audioFilename),
             characterCount: ttsResponse.characterCount,
             estimatedCostUSD,
             voiceUsed: ttsResponse.voiceUsed,
             duration: ttsResponse.duration,
-            cacheHit: false
+            audioEncoding,
+            sampleRateHertz,
+            cacheHit: false,
+            ...(subtitles && { subtitles })
         };
         
         return result;
 
     } catch (error) {
         console.error('TTS service error:', error.message);
+        if (error instanceof SynthesisError || error.name === 'AbortError') {
+            throw error; // Keeps the per-chunk failures (or cancellation) for the caller
+        }
         throw new Error(`TTS generation failed: ${error.message}`);
     }
 };
 
+/**
+ * Stream TTS audio as MP3 while chunks are synthesized.
+ * handlers.onStart({ audioUrl, cacheHit, chunkCount }) runs before any audio,
+ * handlers.onAudio(buffer) receives MP3 data in playback order.
+ * The complete file is cached like generateTTS and the same result is returned.
+ * Stops early (without caching) when handlers.signal is aborted.
+ */
+export const streamTTS = async (request, { onStart, onAudio, signal } = {}) => {
+    try {
+        // Streams are always MP3 so browsers can play them through MediaSource.
+        // Post-processing needs the complete audio, so streams are never processed
+        const prepared = prepareTTSRequest({
+            ...await applyInputRewrites(request),
+            audioConfig: { ...request.audioConfig, audioEncoding: 'MP3' },
+            postProcessing: null
+        });
+        const {
+            userId, characterCount, voiceName, audioEncoding, sampleRateHertz,
+            filename, cacheFilePath, existingFile, tags, taggedFilename
+        } = prepared;
+
+        if (existingFile) {
+            const cached = await getCachedResult(prepared);
+            await onStart?.({ audioUrl: cached.audioUrl, cacheHit: true, chunkCount: 1 });
+            await onAudio?.(fs.readFileSync(path.join(TTS_CONFIG.cacheDirectory, existingFile)));
+            return cached;
+        }
+
+        const provider = getActiveProvider();
+        const chunkRequests = getChunkRequests(provider, prepared);
+        // The URL is announced up front; the file (or its tagged copy) is written when the stream ends
+        await onStart?.({ audioUrl: getCacheUrl(taggedFilename || filename), cacheHit: false, chunkCount: chunkRequests.length });
+
+        // One encoder for the whole stream keeps chunk boundaries gapless
+        const encoder = createMp3Encoder(sampleRateHertz);
+        const parts = [];
+
+        for await (const response of streamSynthesis(provider, chunkRequests, { signal })) {
+            const pcm = await decodeAudio(response.audioContent);
+            const audio = encoder.encode(pcm);
+            parts.push(audio);
+            await onAudio?.(audio);
+        }
+
+        if (signal?.aborted) {
+            return null;
+        }
+
+        const tail = encoder.flush();
+        parts.push(tail);
+        await onAudio?.(tail);
+
+        // Save the complete stream so it can be replayed and downloaded (the tag is not streamed)
+        const audioContent = Buffer.concat(parts);
+        fs.writeFileSync(cacheFilePath, tagAudio(audioContent, audioEncoding, getAudioMetadata({ ...request, title: null, album: null, artist: voiceName })));
+        const audioFilename = await applyRequestedTags(filename, tags, taggedFilename);
+
+        if (userId && userId !== 'anonymous') {
+            trackTTSUsage(userId, characterCount, voiceName);
+        }
+
+        return {
+            audioUrl: getCacheUrl(audioFilename),
+            characterCount,
+            estimatedCostUSD: calculateCostUSD(characterCount, voiceName),
+            voiceUsed: voiceName,
+            duration: getAudioDuration(audioContent),
+            audioEncoding,
+            sampleRateHertz,
+            cacheHit: false,
+            chunkCount: chunkRequests.length
+        };
+    } catch (error) {
+        console.error('TTS streaming error:', error.message);
+        if (error instanceof SynthesisError) {
+            throw error;
+        }
+        throw new Error(`TTS streaming failed: ${error.message}`);
+    }
+};
+
 // Track TTS usage for a user
 const trackTTSUsage = (userId, characterCount, voiceName) => {
     const today = new Date().toISOString().split('T')[0];
@@ -435,7 +598,8 @@ export const getTTSUsage = async (userId = 'anonymous', period = 'month') => {
             }
         }
         
-        const remainingQuota = Math.max(0, TTS_CONFIG.freeQuotaPerMonth - totalCharacters);
+        const { freeQuotaPerMonth } = getActiveProvider().pricing;
+        const remainingQuota = Math.max(0, freeQuotaPerMonth - totalCharacters);
         
         return {
             totalCharacters,
@@ -453,12 +617,16 @@ export const getTTSUsage = async (userId = 'anonymous', period = 'month') => {
 
 // Get TTS pricing information
 export const getTTSPricing = async () => {
+    const provider = getActiveProvider();
+    const { costPerCharacterUSD, freeQuotaPerMonth } = provider.pricing;
+    
     return {
-        standardCostPerCharacterUSD: TTS_CONFIG.standardCostPerCharacterUSD,
-        neural2CostPerCharacterUSD: TTS_CONFIG.neural2CostPerCharacterUSD,
+        provider: provider.name,
+        standardCostPerCharacterUSD: costPerCharacterUSD.standard,
+        neural2CostPerCharacterUSD: costPerCharacterUSD.neural2,
         standardCostPer1000CharactersUSD: calculateCostUSD(1000, 'female'),
         neural2CostPer1000CharactersUSD: calculateCostUSD(1000, 'neural-female'),
-        freeQuotaPerMonth: TTS_CONFIG.freeQuotaPerMonth,
+        freeQuotaPerMonth,
         supportedVoices: [
             { 
                 value: 'female', 
@@ -491,9 +659,15 @@ export const getTTSPricing = async () => {
     };
 };
 
+// Get input limits of the active provider (used by request validation)
+export const getTTSLimits = () => {
+    return { ...getActiveProvider().limits };
+};
+
 // Initialize TTS service function
 export const initializeTTSService = async () => {
-    await initializeTTSClient();
+    await initializeProviders();
+    await initializeVoiceCatalog();
     ensureCacheDirectory();
     
     // Clean cache on startup
@@ -503,116 +677,221 @@ export const initializeTTSService = async () => {
     setInterval(cleanCache, 6 * 60 * 60 * 1000);
 };
 
-// Generate conversation TTS with proper speaker separation
+// Sound-effect segments play an uploaded asset instead of speaking text
+const isSoundSegment = (segment) => segment.type === 'sound';
+
+// Segment start/end times saved next to a conversation file
+const getTimelineFilename = (audioFilename) => audioFilename.replace(/\.[^.]+$/, '.timeline.json');
+
+// Conversation segments with the start and end of their audio (when known)
+const readTimeline = (audioFilename, conversationSegments) => {
+    const timelinePath = path.join(TTS_CONFIG.cacheDirectory, getTimelineFilename(audioFilename));
+    if (!fs.existsSync(timelinePath)) return conversationSegments; // Rendered before timelines were saved
+
+    const timeline = JSON.parse(fs.readFileSync(timelinePath, 'utf8'));
+    return conversationSegments.map((segment, i) => ({ ...segment, ...timeline[i] }));
+};
+
+// Synthesized conversation lines are cached by their provider request, so editing one
+// line of a conversation only re-synthesizes (and bills) that line
+const getSegmentCachePath = (provider, providerRequest) => {
+    const key = crypto.createHash('sha256').update(JSON.stringify({ provider: provider.name, request: providerRequest })).digest('hex');
+    return path.join(TTS_CONFIG.cacheDirectory, `segment-${key.substring(0, 24)}.wav`);
+};
+
+/**
+ * Generate conversation TTS with proper speaker separation.
+ * conversationSegments: [{ text, voiceName, languageCode, speakingRate, pitch, volumeGainDb }]
+ * lines, or { type: 'sound', assetId, volumeDb } sound effects placed between them.
+ * Any segment can set pauseAfter (seconds) to override speakerPauseDuration.
+ * background: { assetId, ...mixBackground() options } music bed under the conversation.
+ * Assets are the user's uploads (see audioAssets.js).
+ * Lines are cached one by one: only lines without a cached rendering are synthesized and
+ * billed, and the result's segments list reports the cache hit and cost of every line.
+ * The returned conversationSegments carry start and end (seconds) of every segment.
+ */
 export const generateConversationTTS = async (request) => {
     const {
-        conversationSegments, // Array of {text, voiceName}
+        conversationSegments,
         userId = 'anonymous',
-        speakerPauseDuration = 0.5 // seconds of pause between speakers
+        title = null, // ID3 title and album of MP3 files
+        album = null,
+        speakerPauseDuration = 0.5, // seconds of pause between speakers (unless a segment sets pauseAfter)
+        audioConfig = {},
+        normalization, // false, or { [rule]: false } to switch normalization rules off
+        postProcessing: processingOptions = null,
+        background: backgroundOptions = null
     } = request;
+    
+    const audioEncoding = normalizeEncoding(audioConfig.audioEncoding);
+    const sampleRateHertz = audioConfig.sampleRateHertz || DEFAULT_SAMPLE_RATE;
+    const postProcessing = resolveProcessingOptions(processingOptions);
+    const background = backgroundOptions ? { ...DEFAULT_BACKGROUND, ...backgroundOptions } : null;
 
     try {
         ensureCacheDirectory();
+
+        // Music and sound effects must belong to the user
+        const assets = await loadAssets(userId, [
+            ...conversationSegments.filter(isSoundSegment).map(segment => segment.assetId),
+            ...(background ? [background.assetId] : [])
+        ]);
+
+        // Rewrite every line with the user's pronunciation lexicon and text normalization
+        const lexicon = await getUserLexicon(userId);
+        const synthesisSegments = conversationSegments.map(segment => {
+            if (isSoundSegment(segment)) return segment;
+            const { text, inputType } = rewriteInput(segment.text, {
+                lexicon,
+                languageCode: resolveVoice(segment.voiceName, segment.languageCode).languageCode,
+                normalization
+            });
+            return { ...segment, text, inputType };
+        });
+        const inputRewritten = synthesisSegments.some((segment, i) => segment.text !== conversationSegments[i].text);
+        
+        const speechSegments = synthesisSegments.filter(segment => !isSoundSegment(segment));
         
-        // Generate cache key for the entire conversation
-        const conversationString = JSON.stringify(conversationSegments);
-        const cacheKey = generateCacheKey(conversationString, 'conversation', {});
+        // Generate cache key for the entire conversation (unchanged segments keep their old key)
+        const conversationString = JSON.stringify(inputRewritten ? synthesisSegments : conversationSegments);
+        const cacheKey = generateCacheKey(
+            conversationString,
+            'conversation',
+            {
+                audioEncoding,
+                sampleRateHertz,
+                ...(postProcessing && { postProcessing }),
+                ...(background && { background })
+            },
+            'text'
+        );
         const hashPart = cacheKey.substring(0, 12);
         const timestamp = Date.now();
         
-        const filename = `conversation-${hashPart}-${timestamp}.wav`;
+        const filename = `conversation-${hashPart}-${timestamp}.${getExtension(audioEncoding)}`;
         const cacheFilePath = path.join(TTS_CONFIG.cacheDirectory, filename);
+        const tags = getRequestedTags({ title, album }, audioEncoding);
+        const taggedFilename = tags ? getTaggedFilename(hashPart, getExtension(audioEncoding)) : null;
         
         // Check if cached version exists
         const existingFiles = fs.readdirSync(TTS_CONFIG.cacheDirectory);
         const existingFile = existingFiles.find(file => 
-            file.includes(hashPart) && file.includes('conversation')
+            file.includes(hashPart) && file.includes('conversation') && !file.endsWith('.json')
         );
         
+        // Conversation positions of the spoken lines
+        const speechIndexes = synthesisSegments.flatMap((segment, index) => (isSoundSegment(segment) ? [] : [index]));
+
         if (existingFile) {
-            const totalCharacters = conversationSegments.reduce((sum, segment) => sum + segment.text.length, 0);
+            const totalCharacters = speechSegments.reduce((sum, segment) => sum + countBillableCharacters(segment.text, segment.inputType), 0);
             return {
-                audioUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache/${existingFile}`,
+                audioUrl: getCacheUrl(await applyRequestedTags(existingFile, tags, taggedFilename)),
                 totalCharacterCount: totalCharacters,
+                billedCharacterCount: 0,
                 estimatedCostUSD: 0, // No cost for cached content
+                audioEncoding,
+                sampleRateHertz,
                 cacheHit: true,
-                duration: Math.ceil(totalCharacters / 10),
-                conversationSegments
+                segments: speechSegments.map((segment, i) => ({
+                    index: speechIndexes[i],
+                    cacheHit: true,
+                    characterCount: countBillableCharacters(segment.text, segment.inputType),
+                    estimatedCostUSD: 0
+                })),
+                duration: getAudioFileDuration(path.join(TTS_CONFIG.cacheDirectory, existingFile)),
+                conversationSegments: readTimeline(existingFile, conversationSegments)
             };
         }
 
-        // Generate TTS for each segment
-        const audioBuffers = [];
-        let totalCharacters = 0;
-        let totalCost = 0;
-        let totalDuration = 0;
-
-        for (let i = 0; i < conversationSegments.length; i++) {
-            const segment = conversationSegments[i];
-            const voiceName = VOICE_MAP[segment.voiceName] || VOICE_MAP['female'];
-            
-            // Generate TTS for this segment
-            const segmentRequest = {
-                input: { text: segment.text },
-                voice: {
-                    languageCode: 'en-US',
-                    name: voiceName
-                },
-                audioConfig: {
-                    audioEncoding: 'MP3',
-                    speakingRate: 1.0,
-                    pitch: 0.0,
-                    volumeGainDb: 0.0,
-                    sampleRateHertz: 24000
-                }
-            };
+        // Build one provider request per spoken line
+        const provider = getActiveProvider();
 
-            let segmentResponse;
-            
-            if (ttsClient) {
-                try {
-                    const [response] = await ttsClient.synthesizeSpeech(segmentRequest);
-                    segmentResponse = response.audioContent;
-                } catch (googleError) {
-                    console.error('Google Cloud TTS API error for segment:', googleError.message);
-                    const mockResponse = await generateMockTTS({ 
-                        text: segment.text, 
-                        voiceName, 
-                        audioConfig: {} 
-                    });
-                    segmentResponse = mockResponse.audioContent;
-                }
-            } else {
-                const mockResponse = await generateMockTTS({ 
-                    text: segment.text, 
-                    voiceName, 
-                    audioConfig: {} 
-                });
-                segmentResponse = mockResponse.audioContent;
-            }
+        const segmentRequests = speechSegments.map(segment => {
+            const { name: voiceName, languageCode: voiceLanguageCode } = resolveVoice(segment.voiceName, segment.languageCode);
 
-            audioBuffers.push(segmentResponse);
-            
-            // Add pause between speakers (except after last segment)
-            if (i < conversationSegments.length - 1) {
-                const pauseBuffer = generateSilenceBuffer(speakerPauseDuration);
-                audioBuffers.push(pauseBuffer);
-            }
+            return buildProviderRequest({
+                text: segment.text,
+                inputType: segment.inputType,
+                voiceName,
+                languageCode: voiceLanguageCode,
+                audioConfig: segment, // speakingRate, pitch and volumeGainDb of the line
+                sampleRateHertz
+            });
+        });
 
-            totalCharacters += segment.text.length;
-            totalCost += calculateCostUSD(segment.text.length, voiceName);
-            totalDuration += Math.ceil(segment.text.length / 10);
+        // Synthesize the lines that are not cached yet, concurrently (failure indexes are
+        // mapped back to conversation segments)
+        const segmentPaths = segmentRequests.map(segmentRequest => getSegmentCachePath(provider, segmentRequest));
+        const cachedSegments = new Set();
+        let responses;
+        try {
+            responses = await synthesizeAll(provider, segmentRequests, {
+                loadChunk: (i) => {
+                    if (!fs.existsSync(segmentPaths[i])) return null;
+                    cachedSegments.add(i);
+                    return { audioContent: fs.readFileSync(segmentPaths[i]) };
+                },
+                saveChunk: (i, response) => fs.writeFileSync(segmentPaths[i], response.audioContent)
+            });
+        } catch (error) {
+            if (!(error instanceof SynthesisError)) throw error;
+            throw new SynthesisError(error.message, error.failures.map(failure => ({ ...failure, index: speechIndexes[failure.index] })));
         }
 
-        // Combine all audio buffers
-        const combinedAudio = Buffer.concat(audioBuffers);
+        // Only synthesized lines are billed
+        const segments = speechSegments.map((segment, i) => {
+            const characterCount = countBillableCharacters(segment.text, segment.inputType);
+            const cacheHit = cachedSegments.has(i);
+            return {
+                index: speechIndexes[i],
+                cacheHit,
+                characterCount,
+                estimatedCostUSD: cacheHit ? 0 : calculateCostUSD(characterCount, segmentRequests[i].voice.name, provider)
+            };
+        });
+        const totalCharacters = segments.reduce((sum, segment) => sum + segment.characterCount, 0);
+        const billedCharacters = segments.reduce((sum, segment) => sum + (segment.cacheHit ? 0 : segment.characterCount), 0);
+        const totalCost = segments.reduce((sum, segment) => sum + segment.estimatedCostUSD, 0);
+
+        // Lines and sound effects in order, with the speaker pauses between them
+        let responseIndex = 0;
+        const audioParts = synthesisSegments.flatMap((segment, i) => {
+            const part = isSoundSegment(segment)
+                ? { audioContent: assets.get(Number(segment.assetId)).audioContent, gainDb: segment.volumeDb || 0, level: false }
+                : { audioContent: responses[responseIndex++].audioContent };
+            return i < synthesisSegments.length - 1 ? [part, { silenceSeconds: segment.pauseAfter ?? speakerPauseDuration }] : [part];
+        });
+
+        // Decode segments, insert silence, mix the music bed and encode a single file. With
+        // loudness normalization every speaker is levelled first, so voices match
+        const combinedAudio = await assembleAudio(audioParts, {
+            sampleRate: sampleRateHertz,
+            audioEncoding,
+            background: background && {
+                ...background,
+                pcm: await decodeAudio(assets.get(Number(background.assetId)).audioContent)
+            },
+            postProcessing,
+            levelParts: true
+        });
         
-        // Save combined audio to cache
-        fs.writeFileSync(cacheFilePath, combinedAudio);
+        // Every segment is followed by a pause part, so segment i is audio part 2i
+        const timeline = conversationSegments.map((segment, i) => ({
+            start: Math.round(combinedAudio.offsets[i * 2] * 1000) / 1000,
+            end: Math.round(combinedAudio.ends[i * 2] * 1000) / 1000
+        }));
+        fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, getTimelineFilename(filename)), JSON.stringify(timeline));
+
+        // Save combined audio to cache (every voice is listed as an artist)
+        fs.writeFileSync(cacheFilePath, tagAudio(combinedAudio.audioContent, audioEncoding, getAudioMetadata({
+            artist: [...new Set(segmentRequests.map(segmentRequest => segmentRequest.voice.name))].join('/'),
+            text: conversationSegments.filter(segment => !isSoundSegment(segment)).map(segment => segment.text).join('\n')
+        })));
+        const audioFilename = await applyRequestedTags(filename, tags, taggedFilename);
         
         // Track usage
-        if (userId && userId !== 'anonymous') {
-            trackTTSUsage(userId, totalCharacters, 'conversation');
+        if (userId && userId !== 'anonymous' && billedCharacters > 0) {
+            trackTTSUsage(userId, billedCharacters, 'conversation');
         }
         
         // Clean old cache files periodically
@@ -621,57 +900,305 @@ export const generateConversationTTS = async (request) => {
         }
 
         return {
-            audioUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache/${filename}`,
+            audioUrl: getCacheUrl(audioFilename),
             totalCharacterCount: totalCharacters,
+            billedCharacterCount: billedCharacters,
             estimatedCostUSD: totalCost,
-            duration: totalDuration + (conversationSegments.length - 1) * speakerPauseDuration,
+            duration: getAudioDuration(combinedAudio.audioContent),
+            audioEncoding,
+            sampleRateHertz,
             cacheHit: false,
-            conversationSegments
+            segments,
+            conversationSegments: conversationSegments.map((segment, i) => ({ ...segment, ...timeline[i] }))
         };
 
     } catch (error) {
         console.error('Conversation TTS service error:', error.message);
+        if (error instanceof SynthesisError || error instanceof AssetNotFoundError) {
+            throw error; // Failure indexes refer to conversation segments
+        }
         throw new Error(`Conversation TTS generation failed: ${error.message}`);
     }
 };
 
-// Generate a silence buffer for pause between speakers
-const generateSilenceBuffer = (durationSeconds) => {
-    // Generate silence for MP3 - just return a small MP3 silence buffer
-    // For simplicity, we'll create a minimal MP3 header with silence
-    const silenceDuration = Math.max(0.1, durationSeconds); // Minimum 0.1 seconds
-    const sampleRate = 24000;
-    const numSamples = Math.floor(sampleRate * silenceDuration);
-    
-    // Create silent samples (zeros)
-    const silentSamples = Buffer.alloc(numSamples * 2); // 16-bit samples
-    
-    // Create simple WAV header for silence
-    const dataSize = silentSamples.length;
-    const fileSize = 36 + dataSize;
-    
-    const wavHeader = Buffer.from([
-        // RIFF chunk
-        0x52, 0x49, 0x46, 0x46, // "RIFF"
-        fileSize & 0xFF, (fileSize >> 8) & 0xFF, (fileSize >> 16) & 0xFF, (fileSize >> 24) & 0xFF,
-        0x57, 0x41, 0x56, 0x45, // "WAVE"
-        
-        // fmt chunk
-        0x66, 0x6D, 0x74, 0x20, // "fmt "
-        0x10, 0x00, 0x00, 0x00, // Chunk size (16)
-        0x01, 0x00, // Audio format (1 = PCM)
-        0x01, 0x00, // Number of channels (1 = mono)
-        sampleRate & 0xFF, (sampleRate >> 8) & 0xFF, (sampleRate >> 16) & 0xFF, (sampleRate >> 24) & 0xFF,
-        (sampleRate * 2) & 0xFF, ((sampleRate * 2) >> 8) & 0xFF, ((sampleRate * 2) >> 16) & 0xFF, ((sampleRate * 2) >> 24) & 0xFF,
-        0x02, 0x00, // Block align
-        0x10, 0x00, // Bits per sample (16)
-        
-        // data chunk
-        0x64, 0x61, 0x74, 0x61, // "data"
-        dataSize & 0xFF, (dataSize >> 8) & 0xFF, (dataSize >> 16) & 0xFF, (dataSize >> 24) & 0xFF
-    ]);
-    
-    return Buffer.concat([wavHeader, silentSamples]);
+// Chapter list saved next to a combined audiobook file
+const getChaptersFilename = (audioFilename) => audioFilename.replace(/\.[^.]+$/, '.chapters.json');
+
+// Audiobook result from the saved chapter list (file names become URLs)
+const formatAudiobookResult = (audioFilename, book) => ({
+    audioUrl: getCacheUrl(audioFilename),
+    chaptersUrl: getCacheUrl(getChaptersFilename(audioFilename)),
+    title: book.title,
+    characterCount: book.characterCount,
+    voiceUsed: book.voiceUsed,
+    duration: book.duration,
+    audioEncoding: 'MP3',
+    sampleRateHertz: book.sampleRateHertz,
+    chapterAudioEncoding: book.chapterAudioEncoding,
+    chapterCount: book.chapters.length,
+    chapters: book.chapters.map(({ filename, ...chapter }) => ({ ...chapter, audioUrl: getCacheUrl(filename) }))
+});
+
+/**
+ * Copy a cached audiobook under another title and album: the combined file, its
+ * chapter files (MP3 only) and the chapter list are written as targetFilename.
+ * Returns { audioFilename, book } of the copy.
+ */
+const retagAudiobook = async (audioFilename, book, { title, album }, targetFilename) => {
+    const baseName = targetFilename.replace(/\.[^.]+$/, '');
+    const copy = await retagAudioFile(audioFilename, { title, album: album || title }, targetFilename);
+    if (!copy) return { audioFilename, book };
+
+    const chapters = [];
+    for (const chapter of book.chapters) {
+        const chapterCopy = await retagAudioFile(
+            chapter.filename,
+            { album: album || title },
+            `${baseName}-ch${String(chapter.index).padStart(3, '0')}${path.extname(chapter.filename)}`
+        );
+        chapters.push({ ...chapter, filename: chapterCopy ? chapterCopy.audioFilename : chapter.filename });
+    }
+
+    const taggedBook = { ...book, title, album, chapters };
+    fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, getChaptersFilename(copy.audioFilename)), JSON.stringify(taggedBook));
+    return { audioFilename: copy.audioFilename, book: taggedBook };
+};
+
+/**
+ * Generate an audiobook: one audio file per chapter plus a combined MP3 whose
+ * ID3 tag has a CHAP frame for every chapter and a CTOC table of contents.
+ * request: { title, chapters: [{ title, text, inputType }], languageCode, voiceName,
+ *            audioConfig, userId, normalization, postProcessing, chapterPause (seconds between chapters) }
+ * Chapters are synthesized one after another so only one chapter is held in
+ * memory. options are the generateTTS hooks; chunk indexes count across the book.
+ */
+export const generateAudiobook = async (request, options = {}) => {
+    const {
+        title = 'Audiobook',
+        album = null, // Defaults to the book title
+        chapters,
+        languageCode = 'en-US',
+        voiceName: requestedVoice = 'female',
+        audioConfig = {},
+        userId = 'anonymous',
+        normalization,
+        postProcessing: processingOptions = null, // Applied to every chapter
+        chapterPause = 2
+    } = request;
+
+    const { name: voiceName, languageCode: voiceLanguageCode } = resolveVoice(requestedVoice, languageCode);
+    const audioEncoding = normalizeEncoding(audioConfig.audioEncoding);
+    const sampleRateHertz = audioConfig.sampleRateHertz || DEFAULT_SAMPLE_RATE;
+    const postProcessing = resolveProcessingOptions(processingOptions);
+
+    const writtenFiles = [];
+    try {
+        ensureCacheDirectory();
+
+        // Rewrite every chapter with the user's pronunciation lexicon and text normalization
+        const lexicon = await getUserLexicon(userId);
+        const bookChapters = chapters.map(chapter => {
+            const { text, inputType } = rewriteInput(chapter.text, {
+                inputType: chapter.inputType,
+                lexicon,
+                languageCode: voiceLanguageCode,
+                normalization
+            });
+            return { title: chapter.title, text, inputType, characterCount: countBillableCharacters(text, inputType) };
+        });
+        const characterCount = bookChapters.reduce((sum, chapter) => sum + chapter.characterCount, 0);
+
+        // The book title and album are tags only: a cached book is retagged instead of synthesized again
+        const cacheKey = generateCacheKey(
+            JSON.stringify({ chapters: bookChapters.map(({ title: chapterTitle, text }) => ({ title: chapterTitle, text })) }),
+            voiceName,
+            { ...audioConfig, chapterPause, ...(postProcessing && { postProcessing }) },
+            'audiobook'
+        );
+        const hashPart = cacheKey.substring(0, 12);
+        const baseName = `audiobook-${hashPart}-${Date.now()}`;
+        const filename = `${baseName}.mp3`;
+        const cacheFilePath = path.join(TTS_CONFIG.cacheDirectory, filename);
+
+        // The chapter list is written last, so it marks a complete audiobook
+        const existingChapters = fs.readdirSync(TTS_CONFIG.cacheDirectory).find(file =>
+            file.startsWith(`audiobook-${hashPart}-`) && file.endsWith('.chapters.json')
+        );
+        if (existingChapters) {
+            const existingFile = existingChapters.replace(/\.chapters\.json$/, '.mp3');
+            const book = JSON.parse(fs.readFileSync(path.join(TTS_CONFIG.cacheDirectory, existingChapters), 'utf8'));
+            const tagged = book.title === title && (book.album ?? null) === album
+                ? { audioFilename: existingFile, book }
+                : await retagAudiobook(existingFile, book, { title, album }, getTaggedFilename(hashPart, 'mp3'));
+            return {
+                ...formatAudiobookResult(tagged.audioFilename, tagged.book),
+                estimatedCostUSD: 0, // No cost for cached content
+                cacheHit: true
+            };
+        }
+
+        // Split every chapter up front so progress covers the whole book
+        const provider = getActiveProvider();
+        const chapterRequests = bookChapters.map(chapter => getChunkRequests(provider, {
+            synthesisText: chapter.text,
+            synthesisInputType: chapter.inputType,
+            ttsRequest: buildProviderRequest({
+                text: chapter.text,
+                inputType: chapter.inputType,
+                voiceName,
+                languageCode: voiceLanguageCode,
+                audioConfig,
+                sampleRateHertz
+            })
+        }));
+        const chunkCount = chapterRequests.reduce((sum, requests) => sum + requests.length, 0);
+        await options.onStart?.({ chunkCount });
+
+        // The combined MP3 is encoded chapter by chapter into a temporary file,
+        // since the ID3 tag in front of it needs every chapter's times
+        const combinedEncoder = createMp3Encoder(sampleRateHertz);
+        const audioDataPath = `${cacheFilePath}.part`;
+        fs.writeFileSync(audioDataPath, Buffer.alloc(0));
+        writtenFiles.push(audioDataPath);
+
+        const savedChapters = [];
+        let position = 0;
+        let chunkOffset = 0;
+
+        for (const [index, chapter] of bookChapters.entries()) {
+            const offset = chunkOffset;
+            let responses;
+            try {
+                responses = await synthesizeAll(provider, chapterRequests[index], {
+                    signal: options.signal,
+                    loadChunk: options.loadChunk && ((i) => options.loadChunk(offset + i)),
+                    saveChunk: options.saveChunk && ((i, response) => options.saveChunk(offset + i, response)),
+                    onChunkComplete: options.onChunkComplete && ((i) => options.onChunkComplete(offset + i))
+                });
+            } catch (error) {
+                if (!(error instanceof SynthesisError)) throw error;
+                // Report chunk indexes of the whole book, with the chapter they belong to
+                throw new SynthesisError(
+                    `Chapter ${index + 1} (${chapter.title}): ${error.message}`,
+                    error.failures.map(failure => ({ ...failure, index: offset + failure.index, chapter: index + 1 }))
+                );
+            }
+            chunkOffset += chapterRequests[index].length;
+
+            const chapterAudio = await assembleAudio(
+                responses.map(response => ({ audioContent: response.audioContent })),
+                { sampleRate: sampleRateHertz, audioEncoding, postProcessing }
+            );
+            const chapterFilename = `${baseName}-ch${String(index + 1).padStart(3, '0')}.${getExtension(audioEncoding)}`;
+            // Chapter files are the tracks of the book's album
+            fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, chapterFilename), tagAudio(chapterAudio.audioContent, audioEncoding, {
+                title: chapter.title,
+                artist: voiceName,
+                album: album || title,
+                year: new Date().getFullYear(),
+                track: `${index + 1}/${bookChapters.length}`
+            }));
+            writtenFiles.push(path.join(TTS_CONFIG.cacheDirectory, chapterFilename));
+
+            // A chapter's pause before the next one counts towards the chapter
+            const pcm = index < bookChapters.length - 1
+                ? concatenatePcm([chapterAudio.pcm, createSilence(chapterPause, sampleRateHertz)], sampleRateHertz)
+                : chapterAudio.pcm;
+            fs.appendFileSync(audioDataPath, combinedEncoder.encode(pcm));
+
+            const start = position;
+            position += pcm.samples.length / sampleRateHertz;
+            savedChapters.push({
+                index: index + 1,
+                title: chapter.title,
+                start: Math.round(start * 1000) / 1000,
+                end: Math.round(position * 1000) / 1000,
+                duration: chapterAudio.duration,
+                characterCount: chapter.characterCount,
+                filename: chapterFilename
+            });
+        }
+        fs.appendFileSync(audioDataPath, combinedEncoder.flush());
+
+        // ID3 tag with the chapter table of contents, followed by the audio
+        fs.writeFileSync(cacheFilePath, createId3Tag({
+            ...getAudioMetadata({ title, album: album || title, artist: voiceName }),
+            chapters: savedChapters.map(chapter => ({ title: chapter.title, startMs: chapter.start * 1000, endMs: chapter.end * 1000 }))
+        }));
+        writtenFiles.push(cacheFilePath);
+        await pipeline(fs.createReadStream(audioDataPath), fs.createWriteStream(cacheFilePath, { flags: 'a' }));
+        fs.unlinkSync(audioDataPath);
+
+        const book = {
+            title,
+            album,
+            characterCount,
+            voiceUsed: voiceName,
+            duration: position,
+            sampleRateHertz,
+            chapterAudioEncoding: audioEncoding,
+            chapters: savedChapters
+        };
+        fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, getChaptersFilename(filename)), JSON.stringify(book));
+
+        if (userId && userId !== 'anonymous') {
+            trackTTSUsage(userId, characterCount, voiceName);
+        }
+
+        if (Math.random() < 0.1) {
+            cleanCache();
+        }
+
+        return {
+            ...formatAudiobookResult(filename, book),
+            estimatedCostUSD: calculateCostUSD(characterCount, voiceName, provider),
+            cacheHit: false
+        };
+
+    } catch (error) {
+        // Leave no partial audiobook behind
+        writtenFiles.forEach(file => fs.rmSync(file, { force: true }));
+
+        console.error('Audiobook TTS service error:', error.message);
+        if (error instanceof SynthesisError || error.name === 'AbortError') {
+            throw error;
+        }
+        throw new Error(`Audiobook generation failed: ${error.message}`);
+    }
+};
+
+/**
+ * Copy a cached MP3 with some ID3 fields replaced ({ title, album, ... }, see
+ * updateId3Tag); chapters and the other fields are kept. Cached files can be
+ * shared by several history entries, so the original stays as it is.
+ * options.removeSource deletes the original (an earlier copy that nothing else uses).
+ * Returns { audioFilename, audioUrl } of the copy, or null for missing and non-MP3 files.
+ */
+export const retagAudioFile = async (audioFilename, metadata, targetFilename, { removeSource = false } = {}) => {
+    const sourcePath = path.join(TTS_CONFIG.cacheDirectory, path.basename(audioFilename));
+    if (path.extname(sourcePath).toLowerCase() !== '.mp3' || !fs.existsSync(sourcePath)) {
+        return null;
+    }
+
+    // Only the tag is read; the audio after it is streamed into the copy
+    const file = await fs.promises.open(sourcePath, 'r');
+    let tag;
+    try {
+        const { buffer: header } = await file.read(Buffer.alloc(10), 0, 10, 0);
+        tag = Buffer.alloc(getId3TagLength(header));
+        await file.read(tag, 0, tag.length, 0);
+    } finally {
+        await file.close();
+    }
+
+    const targetPath = path.join(TTS_CONFIG.cacheDirectory, path.basename(targetFilename));
+    fs.writeFileSync(targetPath, updateId3Tag(tag, metadata));
+    await pipeline(fs.createReadStream(sourcePath, { start: tag.length }), fs.createWriteStream(targetPath, { flags: 'a' }));
+    if (removeSource) {
+        fs.unlinkSync(sourcePath);
+    }
+
+    return { audioFilename: path.basename(targetPath), audioUrl: getCacheUrl(path.basename(targetPath)) };
 };
 
 // Don't auto-initialize on import - server will call initializeTTSService() after env vars are loaded
@@ -681,7 +1208,12 @@ const generateSilenceBuffer = (durationSeconds) => {
 
 export default {
     generateTTS,
+    streamTTS,
+    previewTTSInput,
     generateConversationTTS,
+    generateAudiobook,
+    retagAudioFile,
     getTTSUsage,
-    getTTSPricing
+    getTTSPricing,
+    getTTSLimits
 };
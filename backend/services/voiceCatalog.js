@@ -0,0 +1,254 @@
+import { getActiveProvider } from './providers/index.js';
+
+/*
+ * Voice catalog
+ *
+ * Voices are loaded from the active provider's listVoices(), kept in memory
+ * and refreshed on a schedule. Catalog entries have the shape:
+ *   { name, languageCodes, gender, tier, naturalSampleRateHertz }
+ * gender is 'FEMALE' | 'MALE' | 'NEUTRAL', tier is the provider pricing tier.
+ */
+
+// Refresh interval (VOICE_CATALOG_REFRESH_HOURS, default once a day); read at startup so .env applies
+const getRefreshIntervalMs = () => (parseFloat(process.env.VOICE_CATALOG_REFRESH_HOURS) || 24) * 60 * 60 * 1000;
+
+// Simplified voice names accepted for en-US (kept so existing clients and cache keys still work)
+export const VOICE_ALIASES = {
+    'female': 'en-US-Standard-C',
+    'male': 'en-US-Standard-B',
+    'neural-female': 'en-US-Neural2-F',
+    'neural-male': 'en-US-Neural2-D'
+};
+
+// Gender and tier an alias stands for when used with another language
+const ALIAS_TRAITS = {
+    'female': { gender: 'FEMALE', tier: 'standard' },
+    'male': { gender: 'MALE', tier: 'standard' },
+    'neural-female': { gender: 'FEMALE', tier: 'neural2' },
+    'neural-male': { gender: 'MALE', tier: 'neural2' }
+};
+
+const DEFAULT_LANGUAGE = 'en-US';
+
+const catalog = {
+    voices: [],
+    provider: null,
+    lastUpdated: null
+};
+
+let refreshTimer = null;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Human readable name for a BCP-47 code ("de-DE" -> "German (Germany)")
+const getLanguageName = (languageCode) => {
+    try {
+        return languageNames.of(languageCode) || languageCode;
+    } catch {
+        return languageCode;
+    }
+};
+
+// Google-style voice -> catalog entry
+const normalizeVoice = (voice, provider) => ({
+    name: voice.name,
+    languageCodes: voice.languageCodes || [],
+    gender: voice.ssmlGender || 'NEUTRAL',
+    tier: provider.getVoiceTier(voice.name),
+    naturalSampleRateHertz: voice.naturalSampleRateHertz || null
+});
+
+// Load the full catalog from the active provider (the previous catalog is kept on failure)
+export const refreshVoiceCatalog = async () => {
+    const provider = getActiveProvider();
+
+    try {
+        const voices = await provider.listVoices();
+        if (!voices || voices.length === 0) {
+            throw new Error('Provider returned no voices');
+        }
+
+        catalog.voices = voices
+            .map(voice => normalizeVoice(voice, provider))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        catalog.provider = provider.name;
+        catalog.lastUpdated = new Date().toISOString();
+
+        console.log(`Voice catalog loaded: ${catalog.voices.length} voices in ${getLanguages().length} languages`);
+    } catch (error) {
+        console.error('Voice catalog refresh failed:', error.message);
+    }
+
+    return catalog.voices;
+};
+
+// Load the catalog now and keep refreshing it in the background
+export const initializeVoiceCatalog = async () => {
+    await refreshVoiceCatalog();
+
+    if (!refreshTimer) {
+        refreshTimer = setInterval(refreshVoiceCatalog, getRefreshIntervalMs());
+        refreshTimer.unref();
+    }
+};
+
+// Check whether a voice speaks a language ("en" matches "en-US", "en-GB", ...)
+const matchesLanguage = (voice, languageCode) => {
+    const requested = languageCode.toLowerCase();
+    return voice.languageCodes.some(code => {
+        const normalized = code.toLowerCase();
+        return normalized === requested || normalized.startsWith(`${requested}-`);
+    });
+};
+
+/**
+ * List catalog voices, optionally filtered by language, gender and tier.
+ */
+export const getVoices = ({ languageCode, gender, tier } = {}) => {
+    return catalog.voices.filter(voice =>
+        (!languageCode || matchesLanguage(voice, languageCode)) &&
+        (!gender || voice.gender === gender.toUpperCase()) &&
+        (!tier || voice.tier === tier.toLowerCase())
+    );
+};
+
+// Languages in the catalog with their voice counts
+export const getLanguages = () => {
+    const counts = new Map();
+    for (const voice of catalog.voices) {
+        for (const code of voice.languageCodes) {
+            counts.set(code, (counts.get(code) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .map(([code, voiceCount]) => ({ code, name: getLanguageName(code), voiceCount }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Catalog metadata for API responses
+export const getCatalogInfo = () => ({
+    provider: catalog.provider,
+    lastUpdated: catalog.lastUpdated,
+    totalVoices: catalog.voices.length
+});
+
+export const findVoice = (voiceName) => {
+    return catalog.voices.find(voice => voice.name === voiceName) || null;
+};
+
+// Before the catalog loads only the built-in en-US voices are known
+export const isSupportedLanguage = (languageCode) => {
+    if (catalog.voices.length === 0) {
+        return ['en-US', 'en'].includes(languageCode);
+    }
+    return getVoices({ languageCode }).length > 0;
+};
+
+// Accept aliases and any catalog voice (aliases only need the language to have a voice)
+export const isKnownVoice = (voiceName) => {
+    if (VOICE_ALIASES[voiceName]) return true;
+    if (catalog.voices.length === 0) {
+        return Object.values(VOICE_ALIASES).includes(voiceName);
+    }
+    return findVoice(voiceName) !== null;
+};
+
+// Check a voice can speak the requested language
+export const voiceSupportsLanguage = (voiceName, languageCode) => {
+    if (!languageCode || VOICE_ALIASES[voiceName]) return true;
+    const voice = findVoice(voiceName);
+    return voice ? matchesLanguage(voice, languageCode) : true;
+};
+
+/**
+ * Resolve a requested voice (alias or provider voice name) for a language.
+ * Returns { name, languageCode } ready for a provider request.
+ */
+export const resolveVoice = (requestedVoice = 'female', languageCode = DEFAULT_LANGUAGE) => {
+    const voice = findVoice(requestedVoice);
+    if (voice) {
+        const languageCodeForVoice = voice.languageCodes.find(code => code.toLowerCase() === languageCode.toLowerCase())
+            || voice.languageCodes[0]
+            || languageCode;
+        return { name: voice.name, languageCode: languageCodeForVoice };
+    }
+
+    const alias = VOICE_ALIASES[requestedVoice] ? requestedVoice : 'female';
+    const englishVoice = VOICE_ALIASES[alias];
+
+    // Aliases keep their fixed en-US voices
+    if (matchesLanguage({ languageCodes: [DEFAULT_LANGUAGE] }, languageCode) || catalog.voices.length === 0) {
+        return { name: englishVoice, languageCode: DEFAULT_LANGUAGE };
+    }
+
+    // Other languages: closest voice by gender and tier
+    const { gender, tier } = ALIAS_TRAITS[alias];
+    const match = getVoices({ languageCode, gender, tier })[0]
+        || getVoices({ languageCode, gender })[0]
+        || getVoices({ languageCode })[0];
+
+    if (!match) {
+        return { name: englishVoice, languageCode: DEFAULT_LANGUAGE };
+    }
+    return {
+        name: match.name,
+        languageCode: match.languageCodes.find(code => matchesLanguage({ languageCodes: [code] }, languageCode)) || match.languageCodes[0]
+    };
+};
+
+/**
+ * Give every speaker without a voice one of the language's voices.
+ * roster: { [speaker]: { voiceName, ... } } presets that are kept as they are.
+ * New voices alternate between female and male and avoid the roster's voices
+ * until every voice of the language is taken. Returns the completed roster.
+ */
+export const assignVoices = (speakers, roster = {}, languageCode = DEFAULT_LANGUAGE) => {
+    // Standard voices first: they are the cheapest
+    const byTier = (a, b) => (a.tier !== 'standard') - (b.tier !== 'standard');
+    const byGender = (gender) => getVoices({ languageCode, gender }).sort(byTier).map(voice => voice.name);
+    const [female, male] = [byGender('FEMALE'), byGender('MALE')];
+    const candidates = [];
+    for (let i = 0; i < Math.max(female.length, male.length); i++) {
+        candidates.push(...[female[i], male[i]].filter(Boolean));
+    }
+    candidates.push(...getVoices({ languageCode }).sort(byTier).map(voice => voice.name).filter(name => !candidates.includes(name)));
+    if (candidates.length === 0) {
+        candidates.push('female', 'male', 'neural-female', 'neural-male'); // Catalog not loaded yet
+    }
+
+    const completed = { ...roster };
+    const used = new Set(Object.values(roster).flatMap(preset => [preset.voiceName, resolveVoice(preset.voiceName, languageCode).name]));
+    let next = 0;
+    for (const speaker of speakers) {
+        if (completed[speaker]) continue;
+
+        // Names match case-insensitively ("ALICE" in a screenplay, "Alice" in the roster)
+        const known = Object.keys(roster).find(name => name.toLowerCase() === speaker.toLowerCase());
+        if (known) {
+            completed[speaker] = roster[known];
+            continue;
+        }
+
+        const unused = candidates.find(name => !used.has(name));
+        const voiceName = unused || candidates[next++ % candidates.length];
+        used.add(voiceName);
+        completed[speaker] = { voiceName };
+    }
+    return completed;
+};
+
+export default {
+    VOICE_ALIASES,
+    refreshVoiceCatalog,
+    initializeVoiceCatalog,
+    getVoices,
+    getLanguages,
+    getCatalogInfo,
+    findVoice,
+    isSupportedLanguage,
+    isKnownVoice,
+    voiceSupportsLanguage,
+    resolveVoice,
+    assignVoices
+};
@@ -0,0 +1,101 @@
+import { voicePresetModel } from '../db/database.js';
+
+/*
+ * Voice presets
+ *
+ * Voices a user saved under a name: voice, language, speaking rate, pitch and
+ * volume gain. Standard requests and conversation segments pick one with
+ * presetId; values the request sets itself win over the preset. The user's
+ * default preset is used for requests that name no voice at all.
+ */
+
+export const MAX_PRESETS_PER_USER = 50;
+export const MAX_PRESET_NAME_LENGTH = 50;
+
+// Error for preset ids that do not exist or belong to another user
+export class PresetNotFoundError extends Error {
+    constructor(presetIds) {
+        super(`Voice preset${presetIds.length === 1 ? '' : 's'} not found: ${presetIds.join(', ')}`);
+        this.name = 'PresetNotFoundError';
+        this.presetIds = presetIds;
+    }
+}
+
+// Public representation of a preset row
+export const formatPreset = (preset) => ({
+    id: preset.id,
+    name: preset.name,
+    voiceName: preset.voice_name,
+    languageCode: preset.language_code,
+    speakingRate: preset.speaking_rate,
+    pitch: preset.pitch,
+    volumeGainDb: preset.volume_gain_db,
+    isDefault: Boolean(preset.is_default),
+    createdAt: preset.created_at,
+    updatedAt: preset.updated_at
+});
+
+// Preset of the user, or null when it does not exist or belongs to someone else
+export const findUserPreset = async (userId, presetId) => {
+    const preset = await voicePresetModel.findById(presetId);
+    return preset && preset.user_id === userId ? preset : null;
+};
+
+// Default preset of the user (null for anonymous users and users without one)
+export const getDefaultPreset = async (userId) => {
+    if (!userId || userId === 'anonymous') return null;
+    return await voicePresetModel.findDefault(userId) || null;
+};
+
+/**
+ * Load several presets of one user (presetIds are integers, the routes validate them).
+ * Returns Map<presetId, preset>; throws PresetNotFoundError listing missing ids.
+ */
+export const loadPresets = async (userId, presetIds) => {
+    const uniqueIds = [...new Set(presetIds)];
+    const loaded = new Map();
+    const missing = [];
+
+    for (const presetId of uniqueIds) {
+        const preset = userId && userId !== 'anonymous'
+            ? await findUserPreset(userId, presetId)
+            : null;
+        if (!preset) {
+            missing.push(presetId);
+            continue;
+        }
+        loaded.set(presetId, preset);
+    }
+
+    if (missing.length > 0) {
+        throw new PresetNotFoundError(missing);
+    }
+    return loaded;
+};
+
+/**
+ * Voice fields { voiceName, languageCode, speakingRate, pitch, volumeGainDb } of a request
+ * completed from a preset. Voice and language come as a pair: a request naming its own voice
+ * keeps its own language. Rate, pitch and gain are taken where the request leaves them out.
+ */
+export const applyPreset = (preset, fields) => {
+    const ownVoice = fields.voiceName !== undefined;
+    return {
+        voiceName: ownVoice ? fields.voiceName : preset.voice_name,
+        languageCode: ownVoice ? fields.languageCode : fields.languageCode ?? preset.language_code,
+        speakingRate: fields.speakingRate ?? preset.speaking_rate,
+        pitch: fields.pitch ?? preset.pitch,
+        volumeGainDb: fields.volumeGainDb ?? preset.volume_gain_db
+    };
+};
+
+export default {
+    MAX_PRESETS_PER_USER,
+    MAX_PRESET_NAME_LENGTH,
+    PresetNotFoundError,
+    formatPreset,
+    findUserPreset,
+    getDefaultPreset,
+    loadPresets,
+    applyPreset
+};
@@ -4,6 +4,58 @@ import { useAuth } from './contexts/AuthContext';
 import Auth from './components/Auth';
 import Profile from './components/Profile';
 import ApiDocs from './components/ApiDocs';
+import SyncedTranscript from './components/SyncedTranscript';
+import AudiobookPanel from './components/AudiobookPanel';
+import SoundPanel from './components/SoundPanel';
+import ScriptImport from './components/ScriptImport';
+import SpeakerTimeline from './components/SpeakerTimeline';
+import VoicePresetPicker from './components/VoicePresetPicker';
+
+// Progressive playback needs MediaSource with MP3 support (not available on every browser)
+const canStreamMp3 = typeof window !== 'undefined'
+  && 'MediaSource' in window
+  && window.MediaSource.isTypeSupported('audio/mpeg');
+
+// Normalization rules of the backend, with an example of what each one rewrites
+const NORMALIZATION_RULES = [
+  { id: 'numbers', label: 'Numbers', example: '1.5M' },
+  { id: 'dates', label: 'Dates', example: '2026-10-19' },
+  { id: 'currency', label: 'Currency', example: '$20k' },
+  { id: 'urls', label: 'URLs', example: 'www.example.com' },
+  { id: 'versions', label: 'Versions', example: 'v2.3.1' }
+];
+
+// Loudness targets offered for post-processing (integrated loudness in LUFS)
+const LOUDNESS_TARGETS = [
+  { value: -14, label: '-14 LUFS (music streaming)' },
+  { value: -16, label: '-16 LUFS (podcasts)' },
+  { value: -23, label: '-23 LUFS (broadcast, EBU R128)' }
+];
+
+const NO_POST_PROCESSING = { loudness: false, trimSilence: false, limiter: false, fadeIn: 0, fadeOut: 0 };
+
+// Sound-effect rows of a conversation carry an asset instead of text
+const isSoundSegment = (segment) => segment.type === 'sound';
+const isFilledSegment = (segment) => isSoundSegment(segment) ? Boolean(segment.assetId) : Boolean(segment.text.trim());
+const hasSpokenLine = (segments) => segments.some(seg => !isSoundSegment(seg) && seg.text.trim());
+
+// Segments a conversation request accepts
+const MAX_CONVERSATION_SEGMENTS = 50;
+
+// Voice settings of a conversation line; only changed values are sent
+const DEFAULT_SEGMENT_SETTINGS = { speakingRate: 1.0, pitch: 0, volumeGainDb: 0 };
+const getSegmentSettings = (segment) => Object.fromEntries(
+  Object.entries(DEFAULT_SEGMENT_SETTINGS)
+    .filter(([field, defaultValue]) => segment[field] !== undefined && segment[field] !== defaultValue)
+    .map(([field]) => [field, segment[field]])
+);
+
+// Voice settings a saved voice preset applies besides its voice and language
+const getPresetSettings = (preset) => ({
+  speakingRate: preset.speakingRate,
+  pitch: preset.pitch,
+  volumeGainDb: preset.volumeGainDb
+});
 
 function App() {
   // Auth state
@@ -13,11 +65,26 @@ function App() {
   const [currentPage, setCurrentPage] = useState('tts'); // 'tts', 'profile', or 'api-docs'
 
   // State management
-  const [inputMode, setInputMode] = useState('standard'); // 'standard' or 'conversation'
+  const [inputMode, setInputMode] = useState('standard'); // 'standard', 'conversation' or 'audiobook'
   const [text, setText] = useState('');
   const [audioTitle, setAudioTitle] = useState(''); // Optional title for standard mode
+  const [album, setAlbum] = useState(''); // Optional album (project) written into MP3 tags
   const [voice, setVoice] = useState('female'); // female, male, neural-female, neural-male
-  const [speakingRate, setSpeakingRate] = useState(1.0);
+  const [inputType, setInputType] = useState('text'); // 'text' or 'ssml'
+  const [audioEncoding, setAudioEncoding] = useState('MP3'); // MP3, OGG_OPUS, LINEAR16 or FLAC
+  const [subtitleMode, setSubtitleMode] = useState(''); // '', 'word' or 'sentence'
+  const [subtitles, setSubtitles] = useState(null); // SRT/WebVTT links of the last generation
+  const [normalization, setNormalization] = useState(
+    Object.fromEntries(NORMALIZATION_RULES.map(rule => [rule.id, true]))
+  ); // Rule toggles sent with every request
+  const [normalizationPreview, setNormalizationPreview] = useState(null);
+  const [postProcessing, setPostProcessing] = useState(NO_POST_PROCESSING); // Loudness, trimming, limiter and fades
+  const [importingDocument, setImportingDocument] = useState(false);
+  const [streamPlayback, setStreamPlayback] = useState(canStreamMp3);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [speakingRate, setSpeakingRate] = useState(1.0); // Playback speed
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_SEGMENT_SETTINGS); // Speaking rate, pitch and gain of the synthesized voice
+  const [presets, setPresets] = useState([]); // Saved voice presets of the user
   const [isPlaying, setIsPlaying] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [audioUrl, setAudioUrl] = useState(null);
@@ -29,6 +96,9 @@ function App() {
   const [volume, setVolume] = useState(1.0);
   const [isLooping, setIsLooping] = useState(false);
   const [voices, setVoices] = useState([]);
+  const [languageCode, setLanguageCode] = useState('en-US');
+  const [languages, setLanguages] = useState([]);
+  const [voiceLists, setVoiceLists] = useState({}); // Voices of other languages used by conversation lines
   
   // Conversation mode state
   const [conversationSegments, setConversationSegments] = useState([
@@ -36,14 +106,64 @@ function App() {
     { id: 2, text: '', voiceName: 'male' }
   ]);
   const [conversationTitle, setConversationTitle] = useState('');
+  const [assets, setAssets] = useState([]);
+  const [background, setBackground] = useState(null);
+  const [roster, setRoster] = useState({}); // Speaker name -> voice preset of imported scripts
+  const [conversationRender, setConversationRender] = useState(null); // Timeline, line cache hits and cost of the last render
+  const [editingConversation, setEditingConversation] = useState(null); // { id, version, title } of a history entry being edited
+
+  // Conversation row whose line is playing
+  const speakingSegmentId = conversationRender?.audioUrl === audioUrl
+    ? conversationRender.timeline.find(seg => currentTime >= seg.start && currentTime < seg.end)?.id
+    : undefined;
+
+  // Post-processing is only sent when a stage is switched on
+  const postProcessingEnabled = Object.values(postProcessing).some(Boolean);
 
   // Refs
   const audioRef = useRef(null);
+  const documentInputRef = useRef(null);
 
-  // Fetch available voices on component mount
+  // Fetch the voices of the selected language from the catalog
   useEffect(() => {
-    fetchVoices();
-  }, []);
+    fetchVoices(languageCode);
+  }, [languageCode]);
+
+  // Load the user's music beds and sound effects for conversation mode
+  useEffect(() => {
+    if (inputMode !== 'conversation' || !token) {
+      return;
+    }
+
+    fetch(`${API_BASE_URL}/api/assets`, { headers: { 'Authorization': `Bearer ${token}` } })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) setAssets(data.assets);
+      })
+      .catch(err => console.error('Failed to fetch audio assets:', err));
+  }, [inputMode, token]);
+
+  // Load the user's voice presets; the default preset is the starting voice
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    fetch(`${API_BASE_URL}/api/presets`, { headers: { 'Authorization': `Bearer ${token}` } })
+      .then(response => response.json())
+      .then(data => {
+        if (!data.success) return;
+        setPresets(data.presets);
+
+        const defaultPreset = data.presets.find(preset => preset.isDefault);
+        if (defaultPreset) {
+          setLanguageCode(defaultPreset.languageCode);
+          setVoice(defaultPreset.voiceName);
+          setVoiceSettings(getPresetSettings(defaultPreset));
+        }
+      })
+      .catch(err => console.error('Failed to fetch voice presets:', err));
+  }, [token]);
 
   // Update audio element properties when volume changes
   useEffect(() => {
@@ -75,6 +195,7 @@ function App() {
 
     audio.addEventListener('timeupdate', updateTime);
     audio.addEventListener('loadedmetadata', updateDuration);
+    audio.addEventListener('durationchange', updateDuration); // Streams only know their length once complete
     audio.addEventListener('ended', () => {
       if (!isLooping) {
         setIsPlaying(false);
@@ -87,18 +208,28 @@ function App() {
     return () => {
       audio.removeEventListener('timeupdate', updateTime);
       audio.removeEventListener('loadedmetadata', updateDuration);
+      audio.removeEventListener('durationchange', updateDuration);
     };
   }, [audioUrl]);
 
   const API_BASE_URL = 'http://localhost:5000';
 
   // Fetch available voices
-  const fetchVoices = async () => {
+  const fetchVoices = async (language) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/tts/voices`);
+      const response = await fetch(`${API_BASE_URL}/api/tts/voices?languageCode=${encodeURIComponent(language)}`);
       const data = await response.json();
       if (data.success) {
         setVoices(data.voices);
+        setLanguages(data.languages);
+
+        // Keep selections valid for the new language (lines with their own language keep their voice)
+        const available = data.voices.map(v => v.value);
+        const fallbackVoice = data.recommendedVoice;
+        setVoice(current => available.includes(current) ? current : fallbackVoice);
+        setConversationSegments(segments => segments.map(seg =>
+          isSoundSegment(seg) || seg.languageCode || available.includes(seg.voiceName) ? seg : { ...seg, voiceName: fallbackVoice }
+        ));
       }
     } catch (err) {
       console.error('Failed to fetch voices:', err);
@@ -125,24 +256,31 @@ function App() {
         headers: headers,
         body: JSON.stringify({
           text: text,
-          languageCode: 'en-US',
+          inputType: inputType,
+          languageCode: languageCode,
           voiceName: voice,
+          ...(subtitleMode && { timepoints: subtitleMode }),
+          normalization: normalization,
+          ...(postProcessingEnabled && { postProcessing }),
+          title: audioTitle || null,
+          album: album || null,
           audioConfig: {
-            audioEncoding: 'MP3',
-            speakingRate: speakingRate,
-            pitch: 0.0,
-            volumeGainDb: 0.0
+            audioEncoding: audioEncoding,
+            ...voiceSettings
           }
         })
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'TTS generation failed');
+        // Surface the first validation error (e.g. which SSML tag is invalid)
+        const detail = errorData.errors?.[0]?.msg;
+        throw new Error(detail || errorData.message || 'TTS generation failed');
       }
       
       const data = await response.json();
       setAudioUrl(data.audioUrl);
+      setSubtitles(data.subtitles || null);
       
       return data.audioUrl;
     } catch (err) {
@@ -153,6 +291,168 @@ function App() {
     }
   };
 
+  // Show the text as the provider will receive it (lexicon and normalization applied)
+  const previewNormalization = async () => {
+    if (!text.trim()) {
+      setError('Please enter some text to preview');
+      return;
+    }
+
+    try {
+      setError('');
+      const headers = {
+        'Content-Type': 'application/json',
+      };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+
+      const response = await fetch(`${API_BASE_URL}/api/tts/normalize`, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+          text: text,
+          inputType: inputType,
+          languageCode: languageCode,
+          voiceName: voice,
+          normalization: normalization
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.errors?.[0]?.msg || data.message || 'Normalization preview failed');
+      }
+      setNormalizationPreview(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Open a .txt, .md, .html or .epub file in the editor (as SSML when the input type is SSML)
+  const importDocument = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      setImportingDocument(true);
+      setError('');
+
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch(`${API_BASE_URL}/api/documents/extract`, {
+        method: 'POST',
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        body: formData
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Document import failed');
+      }
+
+      const { document } = data;
+      setText(inputType === 'ssml' ? document.ssml : document.text);
+      setNormalizationPreview(null);
+      if (!audioTitle && document.title) {
+        setAudioTitle(document.title.slice(0, 100));
+      }
+      if (!document.synthesizable) {
+        setError(`"${file.name}" has ${document.characterCount.toLocaleString()} characters; shorten it to 100,000 before generating.`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImportingDocument(false);
+    }
+  };
+
+  const toggleNormalizationRule = (ruleId, enabled) => {
+    setNormalization({ ...normalization, [ruleId]: enabled });
+    setNormalizationPreview(null);
+  };
+
+  // Stream TTS audio into the player through MediaSource (playback starts with the first chunk)
+  const streamTTS = async (text) => {
+    const audio = audioRef.current;
+    try {
+      setLoading(true);
+      setError('');
+
+      const mediaSource = new MediaSource();
+      audio.src = URL.createObjectURL(mediaSource);
+      audio.playbackRate = speakingRate;
+      await new Promise(resolve => mediaSource.addEventListener('sourceopen', resolve, { once: true }));
+
+      const headers = {
+        'Content-Type': 'application/json',
+      };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+
+      const response = await fetch(`${API_BASE_URL}/api/tts/stream`, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({
+          text: text,
+          inputType: inputType,
+          languageCode: languageCode,
+          voiceName: voice,
+          normalization: normalization,
+          title: audioTitle || null,
+          album: album || null,
+          audioConfig: {
+            audioEncoding: 'MP3',
+            ...voiceSettings
+          }
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        const detail = errorData.errors?.[0]?.msg;
+        throw new Error(detail || errorData.message || 'TTS streaming failed');
+      }
+
+      // The final file URL is known up front; downloads are enabled once the stream ends
+      setAudioUrl(response.headers.get('X-Audio-Url'));
+      setIsStreaming(true);
+
+      const sourceBuffer = mediaSource.addSourceBuffer('audio/mpeg');
+      const appendChunk = (chunk) => new Promise((resolve, reject) => {
+        sourceBuffer.addEventListener('updateend', resolve, { once: true });
+        sourceBuffer.addEventListener('error', reject, { once: true });
+        sourceBuffer.appendBuffer(chunk);
+      });
+
+      const reader = response.body.getReader();
+      let started = false;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        await appendChunk(value);
+
+        if (!started) {
+          started = true;
+          setLoading(false);
+          audio.play();
+          setIsPlaying(true);
+        }
+      }
+
+      mediaSource.endOfStream();
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+      setIsStreaming(false);
+    }
+  };
+
   // Generate conversation TTS audio
   const generateConversationTTS = async () => {
     try {
@@ -160,9 +460,9 @@ function App() {
       setError('');
       
       // Filter out empty segments
-      const validSegments = conversationSegments.filter(seg => seg.text.trim());
+      const validSegments = conversationSegments.filter(isFilledSegment);
       
-      if (validSegments.length === 0) {
+      if (!hasSpokenLine(validSegments)) {
         setError('Please enter text for at least one conversation segment');
         setLoading(false);
         return;
@@ -177,26 +477,66 @@ function App() {
         headers['Authorization'] = `Bearer ${token}`;
       }
       
-      const response = await fetch(`${API_BASE_URL}/api/tts/generate-conversation`, {
+      // An opened history entry is regenerated as its next version
+      const endpoint = editingConversation
+        ? `/api/tts/conversations/${editingConversation.id}/regenerate`
+        : '/api/tts/generate-conversation';
+
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
         method: 'POST',
         headers: headers,
         body: JSON.stringify({
           conversationSegments: validSegments.map(seg => ({
-            text: seg.text,
-            voiceName: seg.voiceName
+            ...(isSoundSegment(seg) ? {
+              type: 'sound',
+              assetId: seg.assetId,
+              volumeDb: seg.volumeDb
+            } : {
+              text: seg.text,
+              voiceName: seg.voiceName,
+              ...(seg.speaker && { speaker: seg.speaker }),
+              languageCode: seg.languageCode || languageCode,
+              ...getSegmentSettings(seg)
+            }),
+            ...(seg.pauseAfter !== undefined && { pauseAfter: seg.pauseAfter })
           })),
           title: conversationTitle || null,
-          speakerPauseDuration: 0.5
+          album: album || null,
+          speakerPauseDuration: 0.5,
+          normalization: normalization,
+          // Sent as null when off: a regeneration takes left-out settings from the saved version
+          postProcessing: postProcessingEnabled ? postProcessing : null,
+          background: background || null,
+          audioConfig: {
+            audioEncoding: audioEncoding
+          }
         })
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Conversation TTS generation failed');
+        throw new Error(errorData.errors?.[0]?.msg || errorData.message || 'Conversation TTS generation failed');
       }
       
       const data = await response.json();
       setAudioUrl(data.audioUrl);
+      setConversationRender({
+        audioUrl: data.audioUrl,
+        // Editor rows (with script speakers) placed where the server put them in the audio
+        timeline: validSegments.map((seg, i) => ({
+          ...seg,
+          start: data.conversationSegments[i]?.start,
+          end: data.conversationSegments[i]?.end
+        })),
+        cacheHits: Object.fromEntries(data.segments.map(segment => [validSegments[segment.index].id, segment.cacheHit])),
+        cachedSegmentCount: data.cachedSegmentCount,
+        lineCount: data.segments.length,
+        billedCharacterCount: data.billedCharacterCount,
+        estimatedCostUSD: data.estimatedCostUSD
+      });
+      if (editingConversation && data.conversation) {
+        setEditingConversation({ ...editingConversation, id: data.conversation.id, version: data.conversation.version });
+      }
       
       return data.audioUrl;
     } catch (err) {
@@ -212,10 +552,220 @@ function App() {
     const newId = Math.max(...conversationSegments.map(s => s.id)) + 1;
     setConversationSegments([
       ...conversationSegments,
-      { id: newId, text: '', voiceName: 'female' }
+      { id: newId, text: '', voiceName: voice }
+    ]);
+  };
+
+  const addSoundSegment = (asset) => {
+    if (conversationSegments.length >= MAX_CONVERSATION_SEGMENTS) {
+      setError(`Maximum ${MAX_CONVERSATION_SEGMENTS} segments reached`);
+      return;
+    }
+    const newId = Math.max(...conversationSegments.map(s => s.id)) + 1;
+    setConversationSegments([
+      ...conversationSegments,
+      { id: newId, type: 'sound', assetId: asset.id, volumeDb: 0 }
     ]);
   };
 
+  // Voices of a language used by conversation lines, fetched once
+  const loadVoiceList = async (language) => {
+    if (voiceLists[language]) return voiceLists[language];
+
+    const response = await fetch(`${API_BASE_URL}/api/tts/voices?languageCode=${encodeURIComponent(language)}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message);
+    const list = { voices: data.voices, recommendedVoice: data.recommendedVoice };
+    setVoiceLists(lists => ({ ...lists, [language]: list }));
+    return list;
+  };
+
+  // Give a line its own language (empty: the selected language), keeping its voice when it speaks it
+  const updateSegmentLanguage = async (id, language) => {
+    const segment = conversationSegments.find(seg => seg.id === id);
+    let list = language ? voiceLists[language] : { voices, recommendedVoice: voice };
+
+    if (!list) {
+      try {
+        list = await loadVoiceList(language);
+      } catch (err) {
+        setError(`Failed to load voices: ${err.message}`);
+        return;
+      }
+    }
+
+    const voiceName = list.voices.some(v => v.value === segment.voiceName) ? segment.voiceName : list.recommendedVoice;
+    setConversationSegments(segments => segments.map(seg =>
+      seg.id === id ? { ...seg, languageCode: language || undefined, voiceName } : seg
+    ));
+  };
+
+  // Apply a voice preset to standard mode
+  const applyStandardPreset = (preset) => {
+    setLanguageCode(preset.languageCode);
+    setVoice(preset.voiceName);
+    setVoiceSettings(getPresetSettings(preset));
+  };
+
+  // Apply a voice preset to a conversation line (its language is the line's own unless the conversation speaks it)
+  const applySegmentPreset = async (id, preset) => {
+    const ownLanguage = preset.languageCode !== languageCode;
+    if (ownLanguage) {
+      try {
+        await loadVoiceList(preset.languageCode);
+      } catch (err) {
+        setError(`Failed to load voices: ${err.message}`);
+        return;
+      }
+    }
+
+    setConversationSegments(segments => segments.map(seg => seg.id === id ? {
+      ...seg,
+      voiceName: preset.voiceName,
+      languageCode: ownLanguage ? preset.languageCode : undefined,
+      ...getPresetSettings(preset)
+    } : seg));
+    clearCacheHit(id);
+  };
+
+  // Speed, pitch and volume gain inputs (standard mode and conversation lines)
+  const renderVoiceSettingInputs = (settings, onChange) => (
+    <>
+      <label>
+        ⚡ Speed: {settings.speakingRate ?? 1}x
+        <input
+          type="range"
+          min="0.25"
+          max="4"
+          step="0.05"
+          value={settings.speakingRate ?? 1}
+          onChange={(e) => onChange('speakingRate', parseFloat(e.target.value))}
+          className="range-input"
+        />
+      </label>
+      <label>
+        🎵 Pitch: {settings.pitch ?? 0}
+        <input
+          type="range"
+          min="-20"
+          max="20"
+          step="1"
+          value={settings.pitch ?? 0}
+          onChange={(e) => onChange('pitch', parseFloat(e.target.value))}
+          className="range-input"
+        />
+      </label>
+      <label>
+        🔉 Volume gain: {settings.volumeGainDb ?? 0} dB
+        <input
+          type="range"
+          min="-20"
+          max="16"
+          step="1"
+          value={settings.volumeGainDb ?? 0}
+          onChange={(e) => onChange('volumeGainDb', parseFloat(e.target.value))}
+          className="range-input"
+        />
+      </label>
+    </>
+  );
+
+  // Pause after a segment; empty uses the default pause between speakers
+  const renderPauseAfter = (segment) => (
+    <label className="segment-pause">
+      ⏸️ Pause after (s)
+      <input
+        type="number"
+        min="0"
+        max="10"
+        step="0.1"
+        value={segment.pauseAfter ?? ''}
+        placeholder="0.5"
+        onChange={(e) => updateConversationSegment(segment.id, 'pauseAfter', e.target.value === '' ? undefined : Number(e.target.value))}
+        className="select-input"
+      />
+    </label>
+  );
+
+  // Lines of an imported speaker follow the roster's voice preset
+  const updateRoster = (nextRoster) => {
+    setRoster(nextRoster);
+    setConversationSegments(segments => segments.map(seg =>
+      seg.speaker && nextRoster[seg.speaker] ? { ...seg, ...nextRoster[seg.speaker] } : seg
+    ));
+  };
+
+  // Replace the conversation with the lines of a parsed script
+  const importScript = (script) => {
+    const lines = script.lines.slice(0, MAX_CONVERSATION_SEGMENTS);
+    setConversationSegments(lines.map((line, index) => ({
+      id: index + 1,
+      speaker: line.speaker,
+      text: line.text,
+      ...(line.pauseAfter && { pauseAfter: line.pauseAfter }),
+      ...roster[line.speaker]
+    })));
+    if (script.title && !conversationTitle) {
+      setConversationTitle(script.title);
+    }
+    setError(script.lines.length > lines.length
+      ? `Only the first ${MAX_CONVERSATION_SEGMENTS} of ${script.lines.length} script lines were imported`
+      : '');
+  };
+
+  // Open a saved conversation (a version from history) in the editor with its render settings
+  const openConversation = (item) => {
+    const settings = item.settings || {};
+    const spoken = item.conversation_data.filter(seg => !isSoundSegment(seg));
+    const mainLanguage = spoken[0]?.languageCode || languageCode;
+
+    setConversationSegments(item.conversation_data.map((seg, index) => ({
+      ...seg,
+      id: index + 1,
+      start: undefined,
+      end: undefined,
+      // Lines in the main language follow the language selector again
+      languageCode: seg.languageCode === mainLanguage ? undefined : seg.languageCode
+    })));
+    setRoster(Object.fromEntries(spoken.filter(seg => seg.speaker).map(seg => [seg.speaker, { voiceName: seg.voiceName }])));
+    setLanguageCode(mainLanguage);
+    [...new Set(spoken.map(seg => seg.languageCode).filter(code => code && code !== mainLanguage))]
+      .forEach(code => loadVoiceList(code).catch(err => setError(`Failed to load voices: ${err.message}`)));
+
+    setConversationTitle(item.title || '');
+    setAlbum(settings.album || '');
+    setAudioEncoding(settings.audioConfig?.audioEncoding || 'MP3');
+    if (settings.normalization !== undefined) {
+      setNormalization(Object.fromEntries(NORMALIZATION_RULES.map(rule => [
+        rule.id,
+        typeof settings.normalization === 'object' ? settings.normalization[rule.id] !== false : Boolean(settings.normalization)
+      ])));
+    }
+    setPostProcessing({ ...NO_POST_PROCESSING, ...settings.postProcessing });
+    setBackground(settings.background || null);
+
+    // The saved audio with its timeline (no cache or cost summary: nothing was rendered yet)
+    handleClear();
+    setAudioUrl(item.audio_url);
+    setConversationRender({
+      audioUrl: item.audio_url,
+      timeline: item.conversation_data.map((seg, index) => ({ ...seg, id: index + 1 })),
+      cacheHits: {}
+    });
+    setEditingConversation({ id: item.id, version: item.version || 1, title: item.title });
+    setError('');
+    setInputMode('conversation');
+    setCurrentPage('tts');
+  };
+
+  // Deleted assets also leave the conversation
+  const updateAssets = (nextAssets) => {
+    setAssets(nextAssets);
+    setConversationSegments(segments => segments.filter(seg =>
+      !isSoundSegment(seg) || nextAssets.some(asset => asset.id === seg.assetId)
+    ));
+  };
+
   const removeConversationSegment = (id) => {
     if (conversationSegments.length > 1) {
       setConversationSegments(conversationSegments.filter(seg => seg.id !== id));
@@ -226,6 +776,15 @@ function App() {
     setConversationSegments(conversationSegments.map(seg => 
       seg.id === id ? { ...seg, [field]: value } : seg
     ));
+    clearCacheHit(id);
+  };
+
+  // An edited line no longer matches its last rendering
+  const clearCacheHit = (id) => {
+    setConversationRender(render => render && {
+      ...render,
+      cacheHits: Object.fromEntries(Object.entries(render.cacheHits).filter(([segmentId]) => Number(segmentId) !== id))
+    });
   };
 
   // Play audio
@@ -251,6 +810,16 @@ function App() {
         return;
       }
 
+      // Progressive playback (MP3 only); other formats, subtitles and post-processing need the complete file
+      if (streamPlayback && audioEncoding === 'MP3' && !subtitleMode && !postProcessingEnabled) {
+        try {
+          await streamTTS(text);
+        } catch {
+          // Error already handled in streamTTS
+        }
+        return;
+      }
+
       try {
         const url = await generateTTS(text);
         if (url && audioRef.current) {
@@ -263,8 +832,7 @@ function App() {
         // Error already handled in generateTTS
       }
     } else if (inputMode === 'conversation') {
-      const validSegments = conversationSegments.filter(seg => seg.text.trim());
-      if (validSegments.length === 0) {
+      if (!hasSpokenLine(conversationSegments)) {
         setError('Please enter text for at least one conversation segment');
         return;
       }
@@ -301,6 +869,7 @@ function App() {
     setIsPlaying(false);
     setIsPaused(false);
     setAudioUrl(null);
+    setSubtitles(null);
     setCurrentTime(0);
     setProgress(0);
     setDuration(0);
@@ -319,9 +888,21 @@ function App() {
     }
   };
 
+  // Jump to a point of the loaded audio (timeline clicks), starting playback
+  const seekTo = (time) => {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+    if (audioRef.current.paused) {
+      audioRef.current.play();
+      setIsPlaying(true);
+      setIsPaused(false);
+    }
+  };
+
   // Format time for display
   const formatTime = (time) => {
-    if (!time || isNaN(time)) return '0:00';
+    if (!time || !Number.isFinite(time)) return '0:00';
     const minutes = Math.floor(time / 60);
     const seconds = Math.floor(time % 60);
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
@@ -335,12 +916,19 @@ function App() {
     }
   };
 
-  // Download audio file
+  // File extension of the generated audio (follows the selected output format)
+  const audioExtension = audioUrl ? audioUrl.split('.').pop().toLowerCase() : 'mp3';
+
+  // Download audio file (named after the title when there is one)
   const handleDownload = () => {
     if (audioUrl) {
+      const title = (inputMode === 'conversation' ? conversationTitle : audioTitle)
+        .trim()
+        .replace(/[\\/:*?"<>|]+/g, '')
+        .replace(/\s+/g, ' ');
       const a = document.createElement('a');
       a.href = audioUrl;
-      a.download = `tts-audio-${Date.now()}.mp3`;
+      a.download = `${title || `tts-audio-${Date.now()}`}.${audioExtension}`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
@@ -398,6 +986,12 @@ function App() {
                   >
                     Conversation
                   </button>
+                  <button 
+                    className={`tab-btn ${inputMode === 'audiobook' ? 'active' : ''}`}
+                    onClick={() => setInputMode('audiobook')}
+                  >
+                    Audiobook
+                  </button>
                 </div>
               </div>
 
@@ -412,13 +1006,34 @@ function App() {
                       placeholder="Audio title (optional)"
                       className="audio-title-input"
                     />
+                    <button
+                      type="button"
+                      onClick={() => documentInputRef.current?.click()}
+                      className="btn btn-secondary document-import-btn"
+                      disabled={importingDocument}
+                      title="Import a .txt, .md, .html or .epub file"
+                    >
+                      {importingDocument ? '⏳ Reading...' : '📄 Import document'}
+                    </button>
+                    <input
+                      ref={documentInputRef}
+                      type="file"
+                      accept=".txt,.text,.md,.markdown,.html,.htm,.xhtml,.epub"
+                      onChange={importDocument}
+                      hidden
+                    />
                   </div>
                   
                   <div className="text-input-wrapper">
                     <textarea
                       value={text}
-                      onChange={(e) => setText(e.target.value)}
-                      placeholder="Enter your English text here to convert to speech..."
+                      onChange={(e) => {
+                        setText(e.target.value);
+                        setNormalizationPreview(null);
+                      }}
+                      placeholder={inputType === 'ssml'
+                        ? '<speak>Hello <break time="500ms"/> <emphasis>world</emphasis>!</speak>'
+                        : 'Enter your English text here to convert to speech...'}
                       rows={8}
                       maxLength={100000}
                       className="text-input"
@@ -439,14 +1054,104 @@ function App() {
                           </option>
                         ))}
                       </select>
+                      <VoicePresetPicker
+                        presets={presets}
+                        onPresetsChange={setPresets}
+                        current={{ voiceName: voice, languageCode, ...voiceSettings }}
+                        onApply={applyStandardPreset}
+                      />
+                      <details className="segment-settings">
+                        <summary>⚙️ Voice settings{Object.keys(getSegmentSettings(voiceSettings)).length > 0 && ' •'}</summary>
+                        {renderVoiceSettingInputs(voiceSettings, (field, value) => setVoiceSettings(settings => ({ ...settings, [field]: value })))}
+                      </details>
+                    </div>
+                    {canStreamMp3 && (
+                      <div className="setting-group">
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={streamPlayback}
+                            onChange={(e) => setStreamPlayback(e.target.checked)}
+                          />
+                          {' '}⚡ Start playing while generating (MP3)
+                        </label>
+                      </div>
+                    )}
+                    <div className="setting-group">
+                      <label>📄 Input Type:</label>
+                      <select value={inputType} onChange={(e) => setInputType(e.target.value)} className="select-input">
+                        <option value="text">Plain text</option>
+                        <option value="ssml">SSML</option>
+                      </select>
+                    </div>
+                    <div className="setting-group">
+                      <label>📝 Subtitles & Highlighting:</label>
+                      <select value={subtitleMode} onChange={(e) => setSubtitleMode(e.target.value)} className="select-input">
+                        <option value="">None</option>
+                        <option value="word">Word timing</option>
+                        <option value="sentence">Sentence timing</option>
+                      </select>
+                    </div>
+                    <div className="setting-group">
+                      <label>🔤 Normalize before speaking:</label>
+                      <div className="normalization-rules">
+                        {NORMALIZATION_RULES.map(rule => (
+                          <label key={rule.id} className="normalization-rule" title={`e.g. ${rule.example}`}>
+                            <input
+                              type="checkbox"
+                              checked={normalization[rule.id]}
+                              onChange={(e) => toggleNormalizationRule(rule.id, e.target.checked)}
+                            />
+                            {' '}{rule.label}
+                          </label>
+                        ))}
+                        <button type="button" onClick={previewNormalization} className="btn btn-secondary normalization-preview-btn">
+                          👁️ Preview
+                        </button>
+                      </div>
                     </div>
                   </div>
+
+                  {normalizationPreview && (
+                    <div className="normalization-preview">
+                      <div className="normalization-preview-header">
+                        <strong>Sent to the voice ({normalizationPreview.inputType === 'ssml' ? 'SSML' : 'plain text'})</strong>
+                        <button type="button" onClick={() => setNormalizationPreview(null)} className="normalization-preview-close" title="Close preview">
+                          ✕
+                        </button>
+                      </div>
+                      <pre>{normalizationPreview.text}</pre>
+                      {normalizationPreview.changes.length > 0 ? (
+                        <ul>
+                          {normalizationPreview.changes.map((change, index) => (
+                            <li key={index}>
+                              <code>{change.original}</code> → <code>{change.replacement}</code> <small>({change.rule})</small>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p>Nothing to normalize.</p>
+                      )}
+                    </div>
+                  )}
                 </>
               )}
 
               {/* Conversation Mode */}
               {inputMode === 'conversation' && (
                 <div className="conversation-mode">
+                  {editingConversation && (
+                    <div className="editing-conversation">
+                      <span>
+                        📝 Editing <strong>{editingConversation.title || 'Untitled Conversation'}</strong> (version {editingConversation.version}),
+                        new renders are saved as the next version
+                      </span>
+                      <button type="button" onClick={() => setEditingConversation(null)} className="btn btn-secondary">
+                        Stop editing
+                      </button>
+                    </div>
+                  )}
+
                   <div className="conversation-header">
                     <input
                       type="text"
@@ -457,6 +1162,14 @@ function App() {
                     />
                   </div>
 
+                  <ScriptImport
+                    voices={voices}
+                    languageCode={languageCode}
+                    roster={roster}
+                    onRosterChange={updateRoster}
+                    onImport={importScript}
+                  />
+
                   <div className="conversation-table">
                     <div className="conversation-table-header">
                       <div className="col-text">Text</div>
@@ -464,18 +1177,66 @@ function App() {
                       <div className="col-actions">Actions</div>
                     </div>
 
-                    {conversationSegments.map((segment, index) => (
-                      <div key={segment.id} className="conversation-row">
+                    {conversationSegments.map((segment, index) => isSoundSegment(segment) ? (
+                      <div key={segment.id} className={`conversation-row ${segment.id === speakingSegmentId ? 'speaking' : ''}`}>
+                        <div className="col-text conversation-sound">
+                          <select
+                            value={segment.assetId}
+                            onChange={(e) => updateConversationSegment(segment.id, 'assetId', Number(e.target.value))}
+                            className="select-input"
+                          >
+                            {assets.filter(asset => asset.kind === 'effect' || asset.id === segment.assetId).map(asset => (
+                              <option key={asset.id} value={asset.id}>{asset.name}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="range"
+                            min="-40"
+                            max="12"
+                            step="1"
+                            value={segment.volumeDb}
+                            onChange={(e) => updateConversationSegment(segment.id, 'volumeDb', Number(e.target.value))}
+                            className="range-input"
+                            title="Effect volume"
+                          />
+                          <span className="conversation-sound-volume">{segment.volumeDb > 0 ? '+' : ''}{segment.volumeDb} dB</span>
+                        </div>
+
+                        <div className="col-voice">
+                          <span>🔊 Sound effect</span>
+                          {renderPauseAfter(segment)}
+                        </div>
+
+                        <div className="col-actions">
+                          <button
+                            onClick={() => removeConversationSegment(segment.id)}
+                            className="btn-remove-segment"
+                            title="Remove segment"
+                          >
+                            🗑️
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div key={segment.id} className={`conversation-row ${segment.id === speakingSegmentId ? 'speaking' : ''}`}>
                         <div className="col-text">
+                          {segment.speaker && <span className="segment-speaker">🎭 {segment.speaker}</span>}
                           <textarea
                             value={segment.text}
                             onChange={(e) => updateConversationSegment(segment.id, 'text', e.target.value)}
-                            placeholder={`Speaker ${index + 1} text...`}
+                            placeholder={`${segment.speaker || `Speaker ${index + 1}`} text...`}
                             rows={3}
                             maxLength={1000}
                             className="conversation-text-input"
                           />
-                          <span className="segment-char-count">{segment.text.length} / 1,000</span>
+                          <span className="segment-char-count">
+                            {conversationRender?.cacheHits[segment.id] !== undefined && (
+                              <span className="segment-render-status">
+                                {conversationRender.cacheHits[segment.id] ? '♻️ cached' : '🆕 synthesized'}
+                              </span>
+                            )}
+                            {segment.text.length} / 1,000
+                          </span>
                         </div>
                         
                         <div className="col-voice">
@@ -484,12 +1245,41 @@ function App() {
                             onChange={(e) => updateConversationSegment(segment.id, 'voiceName', e.target.value)}
                             className="conversation-voice-select"
                           >
-                            {voices.map(v => (
+                            {(segment.languageCode ? voiceLists[segment.languageCode]?.voices || [] : voices).map(v => (
                               <option key={v.value} value={v.value}>
                                 {v.label}
                               </option>
                             ))}
                           </select>
+
+                          <VoicePresetPicker
+                            compact
+                            presets={presets}
+                            onPresetsChange={setPresets}
+                            current={{ ...segment, languageCode: segment.languageCode || languageCode }}
+                            onApply={(preset) => applySegmentPreset(segment.id, preset)}
+                          />
+
+                          <details className="segment-settings">
+                            <summary>
+                              ⚙️ Voice settings{(segment.languageCode || Object.keys(getSegmentSettings(segment)).length > 0 || segment.pauseAfter !== undefined) && ' •'}
+                            </summary>
+                            <label>
+                              🌐 Language
+                              <select
+                                value={segment.languageCode || ''}
+                                onChange={(e) => updateSegmentLanguage(segment.id, e.target.value)}
+                                className="conversation-voice-select"
+                              >
+                                <option value="">Same as conversation</option>
+                                {languages.map(lang => (
+                                  <option key={lang.code} value={lang.code}>{lang.name}</option>
+                                ))}
+                              </select>
+                            </label>
+                            {renderVoiceSettingInputs(segment, (field, value) => updateConversationSegment(segment.id, field, value))}
+                            {renderPauseAfter(segment)}
+                          </details>
                         </div>
 
                         <div className="col-actions">
@@ -509,16 +1299,140 @@ function App() {
                   <button
                     onClick={addConversationSegment}
                     className="btn-add-segment"
-                    disabled={conversationSegments.length >= 20}
+                    disabled={conversationSegments.length >= MAX_CONVERSATION_SEGMENTS}
                   >
                     ➕ Add Segment
                   </button>
 
-                  {conversationSegments.length >= 20 && (
-                    <p className="warning-text">Maximum 20 segments reached</p>
+                  {conversationSegments.length >= MAX_CONVERSATION_SEGMENTS && (
+                    <p className="warning-text">Maximum {MAX_CONVERSATION_SEGMENTS} segments reached</p>
                   )}
+
+                  {conversationRender?.lineCount !== undefined && (
+                    <p className="conversation-render-summary">
+                      ♻️ {conversationRender.cachedSegmentCount} of {conversationRender.lineCount} lines reused from cache,{' '}
+                      {conversationRender.billedCharacterCount.toLocaleString()} characters billed (${conversationRender.estimatedCostUSD.toFixed(4)})
+                    </p>
+                  )}
+
+                  <SoundPanel
+                    assets={assets}
+                    onAssetsChange={updateAssets}
+                    background={background}
+                    onBackgroundChange={setBackground}
+                    onAddEffect={addSoundSegment}
+                  />
                 </div>
               )}
+
+              {/* Audiobook Mode */}
+              {inputMode === 'audiobook' && (
+                <AudiobookPanel
+                  voices={voices}
+                  voice={voice}
+                  onVoiceChange={setVoice}
+                  languageCode={languageCode}
+                  audioEncoding={audioEncoding}
+                  normalization={normalization}
+                  postProcessing={postProcessingEnabled ? postProcessing : null}
+                  speakingRate={speakingRate}
+                  album={album}
+                />
+              )}
+
+              {/* Language and Output Format (all modes; audiobook chapters use the output format) */}
+              <div className="settings-grid">
+                <div className="setting-group">
+                  <label>🌐 Language:</label>
+                  <select value={languageCode} onChange={(e) => setLanguageCode(e.target.value)} className="select-input">
+                    {languages.length === 0 && <option value="en-US">English (United States)</option>}
+                    {languages.map(lang => (
+                      <option key={lang.code} value={lang.code}>
+                        {lang.name} ({lang.voiceCount} voices)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="setting-group">
+                  <label>💿 Album / project (MP3 tags):</label>
+                  <input
+                    type="text"
+                    value={album}
+                    onChange={(e) => setAlbum(e.target.value)}
+                    placeholder="Cloud Text-to-Speech"
+                    maxLength={100}
+                    className="select-input"
+                  />
+                </div>
+                <div className="setting-group">
+                  <label>🎧 Output Format:</label>
+                  <select value={audioEncoding} onChange={(e) => setAudioEncoding(e.target.value)} className="select-input">
+                    <option value="MP3">MP3</option>
+                    <option value="OGG_OPUS">Ogg Opus</option>
+                    <option value="LINEAR16">WAV (LINEAR16)</option>
+                    <option value="FLAC">FLAC</option>
+                  </select>
+                </div>
+                <div className="setting-group">
+                  <label>🎚️ Loudness:</label>
+                  <select
+                    value={postProcessing.loudness || ''}
+                    onChange={(e) => setPostProcessing({ ...postProcessing, loudness: e.target.value ? Number(e.target.value) : false })}
+                    className="select-input"
+                  >
+                    <option value="">As generated</option>
+                    {LOUDNESS_TARGETS.map(target => (
+                      <option key={target.value} value={target.value}>{target.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="setting-group">
+                  <label>🎛️ Post-processing:</label>
+                  <div className="normalization-rules">
+                    <label className="normalization-rule" title="Remove silence at the start and end">
+                      <input
+                        type="checkbox"
+                        checked={postProcessing.trimSilence}
+                        onChange={(e) => setPostProcessing({ ...postProcessing, trimSilence: e.target.checked })}
+                      />
+                      {' '}Trim silence
+                    </label>
+                    <label className="normalization-rule" title="Keep peaks below -1 dBFS">
+                      <input
+                        type="checkbox"
+                        checked={postProcessing.limiter}
+                        onChange={(e) => setPostProcessing({ ...postProcessing, limiter: e.target.checked })}
+                      />
+                      {' '}Peak limiter
+                    </label>
+                  </div>
+                </div>
+                <div className="setting-group">
+                  <label>🌅 Fade in / out: {postProcessing.fadeIn}s / {postProcessing.fadeOut}s</label>
+                  <div className="fade-inputs">
+                    <input
+                      type="range"
+                      min="0"
+                      max="5"
+                      step="0.25"
+                      value={postProcessing.fadeIn}
+                      onChange={(e) => setPostProcessing({ ...postProcessing, fadeIn: parseFloat(e.target.value) })}
+                      className="range-input"
+                      title="Fade in"
+                    />
+                    <input
+                      type="range"
+                      min="0"
+                      max="5"
+                      step="0.25"
+                      value={postProcessing.fadeOut}
+                      onChange={(e) => setPostProcessing({ ...postProcessing, fadeOut: parseFloat(e.target.value) })}
+                      className="range-input"
+                      title="Fade out"
+                    />
+                  </div>
+                </div>
+              </div>
             </section>
 
             {/* Error Display */}
@@ -528,123 +1442,146 @@ function App() {
               </div>
             )}
 
-            {/* Controls Section */}
-            <section className="controls-section">
-              <div className="section-header">
-                <h2>🎮 Audio Controls</h2>
-              </div>
-
-              <div className="primary-controls">
-                <button 
-                  onClick={handlePlay} 
-                  disabled={loading || audioUrl || (inputMode === 'standard' && !text.trim()) || (inputMode === 'conversation' && conversationSegments.filter(s => s.text.trim()).length === 0)}
-                  className={`btn btn-primary ${loading ? 'loading' : ''}`}
-                >
-                  {loading ? (
-                    <>Generating...</>
-                  ) : inputMode === 'conversation' ? (
-                    <>🎵 Generate Conversation</>
-                  ) : (
-                    <>🎵 Generate & Play</>
-                  )}
-                </button>
+            {/* Controls Section (audiobooks have their own downloads) */}
+            {inputMode !== 'audiobook' && (
+              <section className="controls-section">
+                <div className="section-header">
+                  <h2>🎮 Audio Controls</h2>
+                </div>
 
-                {audioUrl && (
-                  <>
-                    {isPlaying ? (
-                      <button onClick={handlePause} className="btn btn-secondary">
-                        ⏸️ Pause
-                      </button>
-                    ) : isPaused ? (
-                      <button onClick={handlePlay} className="btn btn-secondary">
-                        ▶️ Resume
-                      </button>
+                <div className="primary-controls">
+                  <button 
+                    onClick={handlePlay} 
+                    disabled={loading || audioUrl || (inputMode === 'standard' && !text.trim()) || (inputMode === 'conversation' && !hasSpokenLine(conversationSegments))}
+                    className={`btn btn-primary ${loading ? 'loading' : ''}`}
+                  >
+                    {loading ? (
+                      <>Generating...</>
+                    ) : inputMode === 'conversation' ? (
+                      <>🎵 Generate Conversation</>
                     ) : (
-                      <button onClick={handlePlay} className="btn btn-secondary">
-                        ▶️ Play
-                      </button>
+                      <>🎵 Generate & Play</>
                     )}
-                    <button onClick={handleClear} className="btn btn-secondary">
-                      🗑️ Clear
-                    </button>
-                    <button onClick={handleDownload} className="btn btn-success">
-                      💾 Download MP3
-                    </button>
-                  </>
-                )}
-              </div>
+                  </button>
 
-              {/* Speed and Volume Controls - Only show when audio exists */}
-              {audioUrl && (
-                <div className="audio-controls">
-                  <div className="audio-controls-grid">
-                    <div className="control-group">
-                      <label>⚡ Speed: {speakingRate}x</label>
-                      <input
-                        type="range"
-                        min="0.25"
-                        max="2.0"
-                        step="0.25"
-                        value={speakingRate}
-                        onChange={(e) => handleSpeedChange(parseFloat(e.target.value))}
-                        className="range-input"
-                      />
-                    </div>
+                  {audioUrl && (
+                    <>
+                      {isPlaying ? (
+                        <button onClick={handlePause} className="btn btn-secondary">
+                          ⏸️ Pause
+                        </button>
+                      ) : isPaused ? (
+                        <button onClick={handlePlay} className="btn btn-secondary">
+                          ▶️ Resume
+                        </button>
+                      ) : (
+                        <button onClick={handlePlay} className="btn btn-secondary">
+                          ▶️ Play
+                        </button>
+                      )}
+                      <button onClick={handleClear} className="btn btn-secondary">
+                        🗑️ Clear
+                      </button>
+                      <button onClick={handleDownload} className="btn btn-success" disabled={isStreaming}>
+                        💾 Download {audioExtension.toUpperCase()}
+                      </button>
+                      {subtitles && (
+                        <>
+                          <a href={subtitles.srtUrl} download className="btn btn-success">📝 SRT</a>
+                          <a href={subtitles.vttUrl} download className="btn btn-success">📝 VTT</a>
+                        </>
+                      )}
+                    </>
+                  )}
+                </div>
 
-                    <div className="control-group">
-                      <label>🔊 Volume: {Math.round(volume * 100)}%</label>
-                      <input
-                        type="range"
-                        min="0"
-                        max="1"
-                        step="0.1"
-                        value={volume}
-                        onChange={(e) => setVolume(parseFloat(e.target.value))}
-                        className="range-input"
-                      />
-                    </div>
+                {/* Speed and Volume Controls - Only show when audio exists */}
+                {audioUrl && (
+                  <div className="audio-controls">
+                    <div className="audio-controls-grid">
+                      <div className="control-group">
+                        <label>⚡ Speed: {speakingRate}x</label>
+                        <input
+                          type="range"
+                          min="0.25"
+                          max="2.0"
+                          step="0.25"
+                          value={speakingRate}
+                          onChange={(e) => handleSpeedChange(parseFloat(e.target.value))}
+                          className="range-input"
+                        />
+                      </div>
 
-                    <div className="control-group control-group-horizontal">
-                      <label>Loop</label>
-                      <div className="toggle-container">
+                      <div className="control-group">
+                        <label>🔊 Volume: {Math.round(volume * 100)}%</label>
                         <input
-                          type="checkbox"
-                          id="loop-toggle"
-                          checked={isLooping}
-                          onChange={(e) => setIsLooping(e.target.checked)}
-                          className="toggle-input"
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.1"
+                          value={volume}
+                          onChange={(e) => setVolume(parseFloat(e.target.value))}
+                          className="range-input"
                         />
-                        <label htmlFor="loop-toggle" className="toggle-label">
-                          <span className="toggle-slider"></span>
-                        </label>
+                      </div>
+
+                      <div className="control-group control-group-horizontal">
+                        <label>Loop</label>
+                        <div className="toggle-container">
+                          <input
+                            type="checkbox"
+                            id="loop-toggle"
+                            checked={isLooping}
+                            onChange={(e) => setIsLooping(e.target.checked)}
+                            className="toggle-input"
+                          />
+                          <label htmlFor="loop-toggle" className="toggle-label">
+                            <span className="toggle-slider"></span>
+                          </label>
+                        </div>
                       </div>
                     </div>
                   </div>
-                </div>
-              )}
+                )}
 
-              {/* Audio Progress Bar */}
-              {audioUrl && (
-                <div className="audio-progress">
-                  <div className="time-display">
-                    <span>{formatTime(currentTime)}</span>
-                    <span>{formatTime(duration)}</span>
-                  </div>
-                  <div className="progress-bar" onClick={handleSeek}>
-                    <div 
-                      className="progress-fill" 
-                      style={{ width: `${progress}%` }}
-                    ></div>
+                {/* Audio Progress Bar */}
+                {audioUrl && (
+                  <div className="audio-progress">
+                    <div className="time-display">
+                      <span>{formatTime(currentTime)}</span>
+                      <span>{formatTime(duration)}</span>
+                    </div>
+                    <div className="progress-bar" onClick={handleSeek}>
+                      <div 
+                        className="progress-fill" 
+                        style={{ width: `${progress}%` }}
+                      ></div>
+                    </div>
                   </div>
-                </div>
-              )}
-            </section>
+                )}
+
+                {/* Speaker timeline of a generated conversation */}
+                {audioUrl && conversationRender?.audioUrl === audioUrl && (
+                  <SpeakerTimeline
+                    segments={conversationRender.timeline}
+                    duration={duration}
+                    currentTime={currentTime}
+                    onSeek={seekTo}
+                  />
+                )}
+
+                {/* Synchronized Transcript */}
+                {audioUrl && subtitles?.timepointsUrl && (
+                  <SyncedTranscript timepointsUrl={subtitles.timepointsUrl} audioRef={audioRef} />
+                )}
+              </section>
+            )}
 
             </div>
           </div>
         </main>
       ) : currentPage === 'profile' ? (
-        <Profile onBack={() => setCurrentPage('tts')} />
+        <Profile onBack={() => setCurrentPage('tts')} onOpenConversation={openConversation} />
       ) : (
         <ApiDocs onBack={() => setCurrentPage('tts')} />
       )}
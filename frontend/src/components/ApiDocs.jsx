@@ -116,11 +116,25 @@ export default function ApiDocs({ onBack }) {
                             <div className="request-body">
                                 <strong>Request Body:</strong>
                                 <pre>{JSON.stringify({
-                                    text: "string (1-100,000 characters)",
-                                    languageCode: "en-US (optional, default: en-US)",
-                                    voiceName: "female | male | neural-female | neural-male (optional, default: female)",
+                                    text: "string (1-100,000 characters, or an SSML document when inputType is ssml)",
+                                    inputType: "text | ssml (optional, default: text)",
+                                    languageCode: "any language in GET /api/tts/voices (optional, default: en-US)",
+                                    voiceName: "catalog voice name (e.g. de-DE-Neural2-B) or female | male | neural-female | neural-male (optional, default: female)",
+                                    presetId: "number (optional, auth required, id of one of your voice presets)",
+                                    timepoints: "word | sentence (optional, writes SRT and WebVTT subtitles)",
+                                    normalization: "true | false | { numbers, dates, currency, urls, versions: boolean } (optional, default: true)",
+                                    title: "string (optional, max 100 characters, ID3 title of MP3 files)",
+                                    album: "string (optional, max 100 characters, ID3 album, default: Cloud Text-to-Speech)",
+                                    postProcessing: {
+                                        trimSilence: "true | threshold in dBFS (-90 to -20, true: -50) (optional)",
+                                        loudness: "true | target in LUFS (-40 to -5, true: -16) (optional)",
+                                        limiter: "true | ceiling in dBFS (-20 to 0, true: -1) (optional)",
+                                        fadeIn: "seconds (0-10, optional)",
+                                        fadeOut: "seconds (0-10, optional)"
+                                    },
                                     audioConfig: {
-                                        audioEncoding: "MP3 (optional)",
+                                        audioEncoding: "MP3 | OGG_OPUS | LINEAR16 | FLAC (optional, default: MP3; WAV is accepted as LINEAR16)",
+                                        sampleRateHertz: "8000 | 11025 | 16000 | 22050 | 24000 | 32000 | 44100 | 48000 (optional, default: 24000)",
                                         speakingRate: "number (0.25-4.0, optional, default: 1.0)",
                                         pitch: "number (-20.0 to 20.0, optional, default: 0.0)",
                                         volumeGainDb: "number (-96.0 to 16.0, optional, default: 0.0)"
@@ -135,16 +149,227 @@ export default function ApiDocs({ onBack }) {
                                 <strong>Response:</strong>
                                 <pre>{JSON.stringify({
                                     success: true,
-                                    audioUrl: "http://localhost:5000/tts-cache/filename.wav",
+                                    audioUrl: "http://localhost:5000/tts-cache/filename.mp3",
                                     characterCount: 100,
                                     estimatedCostUSD: 0.0004,
-                                    duration: 10,
+                                    duration: 9.84,
                                     voiceUsed: "en-US-Standard-C",
+                                    inputType: "text",
+                                    audioEncoding: "MP3",
+                                    sampleRateHertz: 24000,
+                                    subtitles: {
+                                        granularity: "word",
+                                        srtUrl: "http://localhost:5000/tts-cache/filename.srt",
+                                        vttUrl: "http://localhost:5000/tts-cache/filename.vtt",
+                                        timepointsUrl: "http://localhost:5000/tts-cache/filename.timepoints.json"
+                                    },
                                     cacheHit: false
                                 }, null, 2)}</pre>
                             </div>
                             <div className="note">
-                                <strong>Note:</strong> Cost is calculated using the formula: <code>characterCount × 0.000004</code> (Standard voice rate: $4 per 1M characters). For authenticated users, the generation is saved to history regardless of cache status.
+                                <strong>Note:</strong> Cost is calculated using the formula: <code>characterCount × 0.000004</code> (Standard voice rate: $4 per 1M characters). For authenticated users, the generation is saved to history regardless of cache status. <code>duration</code> is the playback length in seconds, read from the generated file.
+                            </div>
+                            <div className="note">
+                                <strong>Voice presets:</strong> <code>presetId</code> fills the voice, language, speaking rate, pitch and volume gain from one of your presets; values sent in the request win (a request naming its own voice keeps its own language). Requests of signed-in users that name no voice use the default preset. A <code>presetId</code> that is not a positive integer returns 400, unknown presets return 404 with <code>error: "PRESET_NOT_FOUND"</code> and a <code>presetId</code> without a token returns 401. The same applies to /api/tts/stream, /api/tts/normalize, /api/tts/jobs and /api/tts/audiobooks; conversation segments take <code>presetId</code> the same way.
+                            </div>
+                            <div className="note">
+                                <strong>Long texts:</strong> Text over the provider limit is split into sentence-aligned chunks that are synthesized in parallel (transient provider errors are retried with exponential backoff). If any chunk still fails, the response is 502 with <code>error: "CHUNK_SYNTHESIS_FAILED"</code> and <code>failedChunks: [{"{"} index, attempts, message, code, retryable {"}"}]</code>.
+                            </div>
+                            <div className="note">
+                                <strong>Output formats:</strong> The file extension and <code>Content-Type</code> follow <code>audioEncoding</code>: <code>.mp3</code> (audio/mpeg), <code>.ogg</code> (audio/ogg), <code>.wav</code> (audio/wav), <code>.flac</code> (audio/flac).
+                            </div>
+                            <div className="note">
+                                <strong>MP3 tags:</strong> Saved MP3 files (generations, streams, jobs, conversations and audiobooks) start with an ID3v2.3 tag: <code>title</code> (or the first words of the text), the voice as artist (every voice of a conversation), <code>album</code>, the year and the spoken text as comment (up to 5,000 characters). <code>title</code> and <code>album</code> are not part of the cache key: cached audio is copied with the new tags instead of being synthesized (and billed) again. Other formats are not tagged. Renaming a history item re-tags its file.
+                            </div>
+                            <div className="note">
+                                <strong>SSML:</strong> With <code>inputType: "ssml"</code> the text must be a single <code>&lt;speak&gt;</code> document using <code>p, s, break, emphasis, say-as, prosody, sub, phoneme, mark, lang</code>. Documents over the provider limit (5,000 bytes for Google) are split between sentences or elements into complete <code>&lt;speak&gt;</code> documents; <code>say-as</code>, <code>sub</code> and <code>phoneme</code> are never split. SSML is billed on the full markup except <code>&lt;mark&gt;</code> tags. Invalid SSML returns 400 with the offending tag and its line/column.
+                            </div>
+                            <div className="note">
+                                <strong>Subtitles:</strong> With <code>timepoints</code> a <code>&lt;mark&gt;</code> is inserted before every word or sentence and the provider's timepoints are saved as <code>.srt</code>, <code>.vtt</code> and <code>.timepoints.json</code> (<code>[{"{"} text, start, end {"}"}]</code> in seconds) next to the audio. <code>subtitles</code> is <code>null</code> without <code>timepoints</code>; history entries link the files as <code>srt_url</code>, <code>vtt_url</code> and <code>timepoints_url</code>. The mock engine estimates timings; <code>/api/tts/stream</code> does not produce subtitles.
+                            </div>
+                            <div className="note">
+                                <strong>Normalization:</strong> Before synthesis, tokens voices tend to misread are rewritten for the request's language: <code>1.5M</code> → "1.5 million", <code>$20k</code> → "20 thousand dollars", <code>v2.3.1</code> → "version 2 point 3 point 1", URLs → their host (and short path), and numeric dates are written out, e.g. "October 19, 2026" (day/month order follows the language, e.g. <code>en-GB</code> is dd/mm/yyyy). Plain text stays plain text; in SSML input the expansions become <code>&lt;sub alias&gt;</code> and dates <code>&lt;say-as interpret-as="date"&gt;</code>. Rule sets exist for en, de, fr, es and ja (dates and URLs only); other languages are left as written. Pass <code>normalization: false</code> to turn it off, or e.g. <code>{"{"} "urls": false {"}"}</code> to skip single rules. Conversations accept the same field.
+                            </div>
+                            <div className="note">
+                                <strong>Post-processing:</strong> Optional stages run on the decoded audio before it is encoded, in this order: leading/trailing silence trimming, loudness normalization to an integrated loudness target (ITU-R BS.1770, gated), a lookahead peak limiter and fades. Stages left out (or <code>false</code>) are skipped. Loudness normalization can push peaks past full scale, so combine it with <code>limiter</code>. In conversations every speaker is brought to the target before the segments are joined, so voices play at the same level. Jobs and audiobooks (per chapter) accept the same field; <code>/api/tts/stream</code> rejects it with 400. The resolved stages are part of the cache key.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/tts/normalize</code>
+                            </div>
+                            <p className="endpoint-desc">Preview the input sent to the voice: the text after the pronunciation lexicon and normalization were applied (nothing is synthesized or billed)</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>Same as /api/tts/generate (audioConfig is ignored)</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    text: "Launch on October 19, 2026 for 20 thousand dollars",
+                                    inputType: "text",
+                                    characterCount: 50,
+                                    lexiconReplacements: 0,
+                                    changes: [
+                                        { rule: "dates", original: "2026-10-19", replacement: "October 19, 2026" },
+                                        { rule: "currency", original: "$20k", replacement: "20 thousand dollars" }
+                                    ]
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> The lexicon is applied for authenticated users only. <code>characterCount</code> is what the request would be billed.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/tts/stream</code>
+                            </div>
+                            <p className="endpoint-desc">Stream MP3 audio while the text is synthesized (progressive playback)</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>Same as /api/tts/generate (audioEncoding is always MP3)</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{`Content-Type: audio/mpeg
+Transfer-Encoding: chunked
+X-Audio-Url: http://localhost:5000/tts-cache/filename.mp3
+X-Cache-Hit: false
+X-Chunk-Count: 3`}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> Audio is sent in order as each chunk finishes, so it can be fed to a <code>MediaSource</code> <code>SourceBuffer('audio/mpeg')</code>. The complete file is saved at <code>X-Audio-Url</code> (and to history for authenticated users) once the stream ends. Errors before the first byte return JSON; a failure mid-stream aborts the connection.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/tts/jobs</code>
+                            </div>
+                            <p className="endpoint-desc">Queue a background synthesis job (for long texts) and return immediately</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>Same as /api/tts/generate</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response (202):</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    job: {
+                                        id: "uuid",
+                                        status: "queued",
+                                        progress: 0,
+                                        chunkCount: null,
+                                        completedChunks: 0,
+                                        audioUrl: null
+                                    },
+                                    statusUrl: "/api/tts/jobs/uuid"
+                                }, null, 2)}</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/tts/jobs/:id</code>
+                            </div>
+                            <p className="endpoint-desc">Get job status, progress and result</p>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    job: {
+                                        id: "uuid",
+                                        status: "queued | processing | completed | failed | cancelled",
+                                        progress: 100,
+                                        chunkCount: 3,
+                                        completedChunks: 3,
+                                        audioUrl: "http://localhost:5000/tts-cache/filename.mp3",
+                                        result: "same fields as /api/tts/generate",
+                                        error: null,
+                                        failedChunks: null,
+                                        completedAt: "timestamp"
+                                    }
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> Jobs are stored in the database and synthesized chunks are kept on disk, so jobs interrupted by a server restart resume where they left off. Jobs created while signed in are only visible to that user. <code>GET /api/tts/jobs</code> (authenticated) lists your jobs; <code>POST /api/tts/jobs/:id/cancel</code> cancels a queued or running job (409 if it already finished).
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/tts/audiobooks</code>
+                            </div>
+                            <p className="endpoint-desc">Split a book into chapters and queue a job that renders one file per chapter plus a chaptered MP3</p>
+                            <div className="request-body">
+                                <strong>Request Body (multipart/form-data with a "file" field, or JSON):</strong>
+                                <pre>{JSON.stringify({
+                                    file: ".epub, .md, .html or .txt (multipart only, max 20 MB)",
+                                    text: "string (instead of a file, up to 1,000,000 characters)",
+                                    format: "md | txt | html (format of text, default: md)",
+                                    title: "string (optional, default: the document title)",
+                                    album: "string (optional, default: the title)",
+                                    chapterSource: "auto | toc | headings | pattern (default: auto)",
+                                    chapterPattern: "regular expression matching chapter starts (for pattern)",
+                                    headingLevel: "1-6 (optional, default: detected)",
+                                    chapterPause: "0-10 seconds between chapters (default: 2)",
+                                    languageCode: "string (default: en-US)",
+                                    voiceName: "string (default: female)",
+                                    audioConfig: "same as /api/tts/generate (format of the chapter files)",
+                                    normalization: "same as /api/tts/generate",
+                                    postProcessing: "same as /api/tts/generate (JSON string in multipart forms), applied to every chapter"
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response (202):</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    job: { id: "uuid", status: "queued" },
+                                    statusUrl: "/api/tts/jobs/uuid",
+                                    audiobook: {
+                                        title: "The Book",
+                                        format: "epub",
+                                        characterCount: 412345,
+                                        chapterCount: 12,
+                                        chapters: [
+                                            { index: 1, title: "Chapter One", characterCount: 30211 }
+                                        ]
+                                    }
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Job result (GET /api/tts/jobs/:id):</strong>
+                                <pre>{JSON.stringify({
+                                    audioUrl: "http://localhost:5000/tts-cache/audiobook-hash-timestamp.mp3",
+                                    chaptersUrl: "http://localhost:5000/tts-cache/audiobook-hash-timestamp.chapters.json",
+                                    title: "The Book",
+                                    duration: 28512.4,
+                                    audioEncoding: "MP3",
+                                    chapterAudioEncoding: "MP3",
+                                    chapterCount: 12,
+                                    chapters: [
+                                        {
+                                            index: 1,
+                                            title: "Chapter One",
+                                            start: 0,
+                                            end: 2101.5,
+                                            duration: 2099.5,
+                                            characterCount: 30211,
+                                            audioUrl: "http://localhost:5000/tts-cache/audiobook-hash-timestamp-ch001.mp3"
+                                        }
+                                    ]
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> With <code>auto</code>, EPUBs are split on their table of contents and other books on headings (the highest level used more than once); a heading with no text before the next heading of its level, such as a book title, starts no chapter. Text before the first chapter becomes an opening chapter named after the book; headings alone are read at the start of the first chapter. Character counts are the billed characters of the chapter SSML after the lexicon and normalization; at most 255 chapters are supported. The combined MP3 carries an ID3v2.3 tag with a <code>CTOC</code> table of contents and a <code>CHAP</code> frame per chapter, so podcast and audiobook players show chapter markers. MP3 chapter files are tagged as tracks of the book: the chapter title, the book title (or <code>album</code>) as album, the voice as artist and the track number (e.g. <code>3/12</code>). <code>start</code>/<code>end</code> are seconds in the combined file (including the pause after a chapter). A <code>toc</code>, <code>headings</code> or <code>pattern</code> source that finds no chapter starts returns 422 (<code>auto</code> falls back to a single chapter).
                             </div>
                         </div>
 
@@ -160,11 +385,38 @@ export default function ApiDocs({ onBack }) {
                                     conversationSegments: [
                                         {
                                             text: "string (1-1,000 characters per segment)",
-                                            voiceName: "female | male | neural-female | neural-male"
+                                            voiceName: "catalog voice name or female | male | neural-female | neural-male",
+                                            presetId: "number (optional, auth required, fills voice and settings from a voice preset)",
+                                            speaker: "string (optional, max 50 characters, script speaker label)",
+                                            languageCode: "string (optional, default: en-US)",
+                                            speakingRate: "number (0.25-4.0, optional, default: 1.0)",
+                                            pitch: "number (-20.0 to 20.0, optional, default: 0.0)",
+                                            volumeGainDb: "number (-96.0 to 16.0, optional, default: 0.0)",
+                                            pauseAfter: "number (0-10 seconds, optional, default: speakerPauseDuration)"
+                                        },
+                                        {
+                                            type: "sound (sound effect between lines, auth required)",
+                                            assetId: "number (id of one of your audio assets)",
+                                            volumeDb: "number (-40 to 12, optional, default: 0)"
                                         }
                                     ],
                                     title: "string (optional, max 100 characters)",
-                                    speakerPauseDuration: "number (0.1-3.0, optional, default: 0.5 seconds)"
+                                    album: "string (optional, max 100 characters, ID3 album)",
+                                    speakerPauseDuration: "number (0.1-3.0, optional, default: 0.5 seconds)",
+                                    postProcessing: "same as /api/tts/generate (loudness also levels every speaker)",
+                                    background: {
+                                        assetId: "number (music bed, auth required)",
+                                        volumeDb: "number (-40 to 6, optional, default: -12)",
+                                        duckingDb: "number (-40 to 0, optional, default: -12, extra gain while someone speaks)",
+                                        placement: "full | intro | outro | intro-outro (optional, default: full)",
+                                        introSeconds: "number (0-30, optional, default: 3, music before the first line)",
+                                        outroSeconds: "number (0-30, optional, default: 3, music after the last line)",
+                                        fadeSeconds: "number (0-10, optional, default: 1)"
+                                    },
+                                    audioConfig: {
+                                        audioEncoding: "MP3 | OGG_OPUS | LINEAR16 | FLAC (optional, default: MP3)",
+                                        sampleRateHertz: "number (optional, default: 24000)"
+                                    }
                                 }, null, 2)}</pre>
                             </div>
                             <div className="headers">
@@ -175,26 +427,71 @@ export default function ApiDocs({ onBack }) {
                                 <strong>Response:</strong>
                                 <pre>{JSON.stringify({
                                     success: true,
-                                    audioUrl: "http://localhost:5000/tts-cache/conversation-filename.wav",
+                                    audioUrl: "http://localhost:5000/tts-cache/conversation-filename.mp3",
                                     totalCharacterCount: 250,
                                     estimatedCostUSD: 0.001,
-                                    duration: 25,
+                                    duration: 25.36,
                                     conversationSegments: [
                                         {
                                             text: "Hello, how are you?",
-                                            voiceName: "female"
+                                            voiceName: "female",
+                                            start: 0,
+                                            end: 1.84
                                         },
                                         {
                                             text: "I'm doing great, thanks!",
-                                            voiceName: "male"
+                                            voiceName: "male",
+                                            start: 2.34,
+                                            end: 4.5
                                         }
                                     ],
                                     speakerCount: 2,
-                                    cacheHit: false
+                                    cacheHit: false,
+                                    billedCharacterCount: 24,
+                                    segments: [
+                                        { index: 0, cacheHit: true, characterCount: 19, estimatedCostUSD: 0 },
+                                        { index: 1, cacheHit: false, characterCount: 24, estimatedCostUSD: 0.0001 }
+                                    ],
+                                    cachedSegmentCount: 1,
+                                    conversation: { id: 7, version: 1, parentId: null }
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> The conversation audio includes automatic pauses (default 0.5 seconds) between speakers to clarify who is talking; any segment (sound effects too) can set its own <code>pauseAfter</code>. Each line is synthesized with its own language, speaking rate, pitch and volume gain. Lines are also cached one by one: after an edit only changed lines are synthesized and billed. <code>segments</code> lists every spoken line by its position in <code>conversationSegments</code>, and <code>estimatedCostUSD</code> / <code>billedCharacterCount</code> cover only the synthesized lines. Every entry of <code>conversationSegments</code> comes back with its <code>start</code> and <code>end</code> in seconds of the final audio (after music lead-in and trimming), and the history keeps them for the speaker timeline. Maximum 50 segments per conversation, total character limit of 10,000 characters. Cost is calculated using the formula: <code>totalCharacterCount × 0.000004</code> (Standard voice rate: $4 per 1M characters). For authenticated users, the conversation is saved to history (<code>conversation</code> is the new entry, null when nothing was saved). Segments may carry a <code>speaker</code> label (max 50 characters), kept in history for the editor.
+                            </div>
+                            <div className="note">
+                                <strong>Music & sound effects:</strong> Sound segments play an uploaded asset in place of a line, with the usual pauses around it; they are not billed and at least one spoken segment is required. The background bed loops under the conversation and is ducked while someone speaks. With <code>intro</code> / <code>outro</code> placement it only plays before the first or after the last line and fades out under the speech. Sound effects and the bed are left out of per-speaker loudness levelling. Unknown asset ids return 404; assets without a token return 401.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/tts/conversations/:id/regenerate</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Regenerate a saved conversation as its next version</p>
+                            <div className="request-body">
+                                <strong>Request Body (all optional, same fields as generate-conversation):</strong>
+                                <pre>{JSON.stringify({
+                                    conversationSegments: [
+                                        { text: "Hello, how are you today?", voiceName: "female" },
+                                        { text: "I'm doing great, thanks!", voiceName: "male" }
+                                    ]
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    audioUrl: "http://localhost:5000/tts-cache/conversation-filename.mp3",
+                                    billedCharacterCount: 25,
+                                    cachedSegmentCount: 1,
+                                    conversation: { id: 8, version: 2, parentId: 7 }
                                 }, null, 2)}</pre>
                             </div>
                             <div className="note">
-                                <strong>Note:</strong> The conversation audio includes automatic pauses (default 0.5 seconds) between speakers to clarify who is talking. Maximum 50 segments per conversation, total character limit of 10,000 characters. Cost is calculated using the formula: <code>totalCharacterCount × 0.000004</code> (Standard voice rate: $4 per 1M characters). For authenticated users, the conversation is saved to history.
+                                <strong>Note:</strong> Fields left out (segments, title, album, pauses, audio config, normalization, post-processing and background) are taken from the saved version, so an empty body re-renders it unchanged. The result is saved as a new version linked to the saved one (<code>parentId</code>); unchanged lines come from the line cache and only the billed characters count towards usage. When the whole conversation comes from cache (e.g. nothing changed) no version is saved and <code>conversation</code> is null.
                             </div>
                         </div>
 
@@ -203,23 +500,41 @@ export default function ApiDocs({ onBack }) {
                                 <span className="method get">GET</span>
                                 <code>/api/tts/voices</code>
                             </div>
-                            <p className="endpoint-desc">Get available voices</p>
+                            <p className="endpoint-desc">Get voices from the provider catalog (refreshed every 24 hours)</p>
+                            <div className="request-body">
+                                <strong>Query Parameters:</strong>
+                                <pre>{JSON.stringify({
+                                    languageCode: "string (optional, e.g. de-DE or de)",
+                                    gender: "female | male | neutral (optional)",
+                                    tier: "standard | neural2 | ... (optional)"
+                                }, null, 2)}</pre>
+                            </div>
                             <div className="response">
                                 <strong>Response:</strong>
                                 <pre>{JSON.stringify({
                                     success: true,
                                     voices: [
                                         {
-                                            value: "female",
-                                            label: "Female (Standard)",
-                                            gender: "FEMALE",
-                                            description: "English female voice (Standard quality)",
-                                            googleVoice: "en-US-Standard-C",
+                                            value: "de-DE-Neural2-B",
+                                            name: "de-DE-Neural2-B",
+                                            label: "Neural2 B (Male)",
+                                            gender: "MALE",
+                                            tier: "neural2",
+                                            languageCodes: ["de-DE"],
+                                            description: "de-DE male voice (neural2)",
                                             sampleRate: 24000
                                         }
                                     ],
-                                    recommendedVoice: "female",
-                                    totalVoices: 4
+                                    languages: [
+                                        { code: "de-DE", name: "German (Germany)", voiceCount: 3 }
+                                    ],
+                                    recommendedVoice: "de-DE-Standard-A",
+                                    totalVoices: 3,
+                                    catalog: {
+                                        provider: "google",
+                                        lastUpdated: "2024-01-01T00:00:00.000Z",
+                                        totalVoices: 380
+                                    }
                                 }, null, 2)}</pre>
                             </div>
                         </div>
@@ -328,7 +643,11 @@ export default function ApiDocs({ onBack }) {
                                             total_character_count: 15,
                                             estimated_cost_usd: 0.00006,
                                             total_duration: 2,
-                                            audio_url: "http://localhost:5000/tts-cache/conversation-filename.wav",
+                                            audio_url: "http://localhost:5000/tts-cache/conversation-filename.mp3",
+                                            version: 2,
+                                            parent_id: 1,
+                                            root_id: 1,
+                                            version_count: 2,
                                             created_at: "2024-01-01T00:00:00.000Z"
                                         }
                                     ],
@@ -336,7 +655,7 @@ export default function ApiDocs({ onBack }) {
                                 }, null, 2)}</pre>
                             </div>
                             <div className="note">
-                                <strong>Note:</strong> History items include a <code>type</code> field indicating "standard" or "conversation". Conversation items include <code>conversation_data</code> array with all segments. Cost values in history items are stored from generation time, but for display purposes, cost is calculated using the formula: <code>characterCount × 0.000004</code> (Standard voice rate: $4 per 1M characters).
+                                <strong>Note:</strong> History items include a <code>type</code> field indicating "standard" or "conversation". Conversation items include <code>conversation_data</code> array with all segments, the render <code>settings</code> and only their latest version (<code>version_count</code> counts all of them). Cost values in history items are stored from generation time, but for display purposes, cost is calculated using the formula: <code>characterCount × 0.000004</code> (Standard voice rate: $4 per 1M characters).
                             </div>
                         </div>
 
@@ -377,6 +696,37 @@ export default function ApiDocs({ onBack }) {
                             <p className="endpoint-desc">Get specific audio history item</p>
                         </div>
 
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method patch">PATCH</span>
+                                <code>/api/history/:id</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Rename a history item (add <code>?type=conversation</code> for conversations)</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>{JSON.stringify({
+                                    title: "string (1-100 characters)"
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    item: {
+                                        id: 1,
+                                        type: "standard",
+                                        title: "New title",
+                                        audio_url: "http://localhost:5000/tts-cache/history-standard-1-timestamp.mp3"
+                                    },
+                                    retagged: true
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> MP3 files get a copy with the new ID3 title (artist, album, comment and chapters are kept) and the item points to it; cached files shared with other generations are not changed. <code>retagged</code> is false for other formats and missing files.
+                            </div>
+                        </div>
+
                         <div className="endpoint">
                             <div className="endpoint-header">
                                 <span className="method delete">DELETE</span>
@@ -385,6 +735,395 @@ export default function ApiDocs({ onBack }) {
                             </div>
                             <p className="endpoint-desc">Delete specific audio history item</p>
                         </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/history/conversations/:id/versions</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Get every version of a saved conversation, oldest first</p>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    versions: [
+                                        { id: 1, type: "conversation", version: 1, parent_id: null, root_id: null, conversation_data: [], settings: {} },
+                                        { id: 2, type: "conversation", version: 2, parent_id: 1, root_id: 1, conversation_data: [], settings: {} }
+                                    ],
+                                    count: 2
+                                }, null, 2)}</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/history/conversations/:id/rollback</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Roll a conversation back to this version</p>
+                            <div className="response">
+                                <strong>Response (201):</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    message: "Restored version 1 as version 3",
+                                    item: { id: 3, type: "conversation", version: 3, parent_id: 1, root_id: 1 }
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> The version's segments, settings and audio are saved as the newest version; nothing is synthesized or billed (the new version counts 0 characters of usage) and later versions are kept.
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="api-section">
+                        <h2>🗣️ Pronunciation Lexicon Endpoints</h2>
+                        <p className="section-note">🔒 All lexicon endpoints require authentication. Entries are applied to the signed-in user's generations, streams, jobs and conversations.</p>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/lexicon</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Get the user's lexicon entries</p>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    entries: [
+                                        { id: 1, word: "Nginx", type: "alias", value: "engine x", alphabet: null },
+                                        { id: 2, word: "tomato", type: "phoneme", value: "təˈmɑːtoʊ", alphabet: "ipa" }
+                                    ],
+                                    count: 2
+                                }, null, 2)}</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/lexicon</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Add an entry (<code>PUT /api/lexicon/:id</code> updates one with the same body)</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>{JSON.stringify({
+                                    word: "Nginx (max 100 characters)",
+                                    type: "alias | phoneme",
+                                    value: "engine x (alias text or phoneme string, max 500 characters)",
+                                    alphabet: "ipa | x-sampa (optional, phoneme only, default: ipa)"
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Matching:</strong> Whole words are matched case-insensitively (an entry with the exact spelling wins). Aliases in plain text are substituted directly; phonemes turn the input into SSML with <code>&lt;phoneme&gt;</code> elements, and SSML input gets <code>&lt;sub&gt;</code> / <code>&lt;phoneme&gt;</code> elements. Text inside existing <code>say-as</code>, <code>sub</code> and <code>phoneme</code> elements is left alone. The rewritten input is what gets billed and cached. A word that is already in the lexicon returns 409.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method delete">DELETE</span>
+                                <code>/api/lexicon/:id</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Delete an entry</p>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/lexicon/export</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Download the lexicon as a W3C PLS document or a CSV file</p>
+                            <div className="query-params">
+                                <strong>Query Parameters:</strong>
+                                <pre>?format=pls | csv (optional, default: pls)
+?languageCode=en-US (optional, xml:lang of the PLS document)</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/lexicon/import</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Import entries from a PLS or CSV file</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>{JSON.stringify({
+                                    content: "word,type,value,alphabet\nNginx,alias,engine x,",
+                                    format: "pls | csv (optional, detected from the content)",
+                                    mode: "merge | replace (optional, default: merge)"
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> CSV columns are <code>word,type,value,alphabet</code> (header optional). In PLS files every <code>&lt;grapheme&gt;</code> becomes an entry with the lexeme's <code>&lt;alias&gt;</code> or <code>&lt;phoneme&gt;</code>. Merge overwrites words that already exist; replace clears the lexicon first. Invalid rows are skipped and listed in <code>errors</code>.
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="api-section">
+                        <h2>📄 Document Import Endpoints</h2>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/documents/extract</code>
+                            </div>
+                            <p className="endpoint-desc">Extract readable text from an uploaded .txt, .md, .html or .epub file</p>
+                            <div className="request-body">
+                                <strong>Request Body (multipart/form-data):</strong>
+                                <pre>file: the document (max 20 MB)</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    document: {
+                                        filename: "book.epub",
+                                        title: "The Book",
+                                        format: "epub",
+                                        blocks: [
+                                            { type: "heading", level: 1, text: "Chapter One" },
+                                            { type: "paragraph", text: "It was a dark night." }
+                                        ],
+                                        toc: [
+                                            { title: "Chapter One", blockIndex: 0 }
+                                        ],
+                                        text: "Chapter One\n\nIt was a dark night.",
+                                        ssml: "<speak><p>Chapter One</p><break time=\"750ms\"/>\n<p>It was a dark night.</p></speak>",
+                                        characterCount: 33,
+                                        synthesizable: true
+                                    }
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> Headings and paragraphs are kept as <code>blocks</code>; code blocks, scripts, navigation, footnotes, images and markup are dropped. EPUBs are read in spine order; <code>toc</code> maps their table of contents onto blocks (null for other formats). <code>text</code> is meant for the editor; <code>ssml</code> can be sent as is to <code>/api/tts/generate</code> or <code>/api/tts/jobs</code> with <code>inputType: "ssml"</code> (pauses after headings, billed on the markup). <code>synthesizable</code> is false when the text is over the 100,000 character request limit. Unsupported file types return 415, unreadable files 422.
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="api-section">
+                        <h2>📜 Script Import Endpoints</h2>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/documents/script</code>
+                            </div>
+                            <p className="endpoint-desc">Parse a dialogue script into conversation lines and assign voices to its speakers</p>
+                            <div className="request-body">
+                                <strong>Request Body (JSON, or multipart/form-data with the script in "file"):</strong>
+                                <pre>{JSON.stringify({
+                                    content: "ALICE: Welcome to the show. (pause)\nBOB: (laughing) Thanks for having me.",
+                                    format: "auto | lines | fountain | json | csv (optional, default: auto)",
+                                    languageCode: "string (optional, default: en-US, language of assigned voices)",
+                                    roster: {
+                                        ALICE: { voiceName: "en-US-Neural2-F" },
+                                        CAROL: { presetId: "number (auth required, id of one of your voice presets)" }
+                                    }
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    script: {
+                                        filename: null,
+                                        title: null,
+                                        format: "lines",
+                                        lines: [
+                                            { speaker: "ALICE", text: "Welcome to the show.", direction: null, pauseAfter: 1 },
+                                            { speaker: "BOB", text: "Thanks for having me.", direction: "(laughing)", pauseAfter: null }
+                                        ],
+                                        speakers: [
+                                            { name: "ALICE", lineCount: 1 },
+                                            { name: "BOB", lineCount: 1 }
+                                        ],
+                                        skippedLines: 0
+                                    },
+                                    roster: {
+                                        ALICE: { voiceName: "en-US-Neural2-F" },
+                                        BOB: { voiceName: "en-US-Standard-B" }
+                                    },
+                                    assignedSpeakers: ["BOB"]
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Formats:</strong> <code>lines</code> reads <code>SPEAKER: line</code> (following lines without a speaker continue the line); a prefix counts as a speaker when it is written in capitals or used on more than one line, so labels such as <code>Note:</code> stay text. <code>fountain</code> reads character cues above dialogue and skips scene headings, action and transitions; the title page sets <code>title</code>. <code>json</code> accepts <code>[&#123; speaker, text &#125;]</code>, <code>[[speaker, text]]</code> or <code>&#123; title, lines &#125;</code>; <code>csv</code> reads <code>speaker,text[,direction]</code> rows (pasted CSV is detected by a header row such as <code>speaker,text</code>). Parentheticals are never spoken: they become the line's <code>direction</code>, and pauses such as <code>(beat)</code>, <code>(pause)</code> or <code>(long pause)</code> end the line with <code>pauseAfter</code> seconds. Lines over 1,000 characters are split at sentence ends, and speaker names match case-insensitively. Speakers missing from the roster get unused voices of the language, alternating female and male. Roster entries with a <code>presetId</code> are filled from the preset (401 without a token, 404 for unknown presets). Files: .txt, .fountain, .spmd, .json, .csv (max 2 MB). A script without dialogue returns 422.
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="api-section">
+                        <h2>🎵 Audio Asset Endpoints</h2>
+                        <p className="section-note">🔒 All asset endpoints require authentication. Assets are music beds and sound effects for conversations.</p>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/assets</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Get the user's audio assets</p>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    assets: [
+                                        {
+                                            id: 1,
+                                            name: "Theme",
+                                            kind: "music",
+                                            mimeType: "audio/mpeg",
+                                            size: 482133,
+                                            duration: 30.04,
+                                            audioUrl: "/api/assets/1/audio",
+                                            createdAt: "2024-01-01T00:00:00.000Z",
+                                            updatedAt: "2024-01-01T00:00:00.000Z"
+                                        }
+                                    ],
+                                    count: 1
+                                }, null, 2)}</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/assets</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Upload a music bed or sound effect</p>
+                            <div className="request-body">
+                                <strong>Request Body (multipart/form-data):</strong>
+                                <pre>{`file: .mp3 or .wav (max 20 MB, max 10 minutes)
+name: string (optional, max 100 characters, default: the file name)
+kind: music | effect (optional, default: music)`}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> Files are decoded on upload; unsupported types return 415 and files that cannot be decoded 422. Each user can store up to 100 assets.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/assets/:id/audio</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Download an asset's audio file</p>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method patch">PATCH</span>
+                                <code>/api/assets/:id</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Rename an asset or change its kind</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>{JSON.stringify({
+                                    name: "string (optional, max 100 characters)",
+                                    kind: "music | effect (optional)"
+                                }, null, 2)}</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method delete">DELETE</span>
+                                <code>/api/assets/:id</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Delete an asset and its file</p>
+                        </div>
+                    </section>
+
+                    <section className="api-section">
+                        <h2>🎚️ Voice Preset Endpoints</h2>
+                        <p className="section-note">🔒 All voice preset endpoints require authentication. Presets are used with <code>presetId</code> on every synthesis endpoint (generate, stream, jobs, audiobooks) and on conversation segments.</p>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method get">GET</span>
+                                <code>/api/presets</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Get your voice presets</p>
+                            <div className="response">
+                                <strong>Response:</strong>
+                                <pre>{JSON.stringify({
+                                    success: true,
+                                    presets: [
+                                        {
+                                            id: 1,
+                                            name: "Narrator",
+                                            voiceName: "male",
+                                            languageCode: "en-US",
+                                            speakingRate: 0.9,
+                                            pitch: -2,
+                                            volumeGainDb: 0,
+                                            isDefault: true,
+                                            createdAt: "2024-01-01 00:00:00",
+                                            updatedAt: "2024-01-01 00:00:00"
+                                        }
+                                    ],
+                                    count: 1,
+                                    defaultPresetId: 1
+                                }, null, 2)}</pre>
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method post">POST</span>
+                                <code>/api/presets</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Save a voice preset</p>
+                            <div className="request-body">
+                                <strong>Request Body:</strong>
+                                <pre>{JSON.stringify({
+                                    name: "string (1-50 characters, unique per user)",
+                                    voiceName: "catalog voice name or female | male | neural-female | neural-male",
+                                    languageCode: "any language in GET /api/tts/voices (the voice must speak it)",
+                                    speakingRate: "number (0.25-4.0, optional, default: 1.0)",
+                                    pitch: "number (-20.0 to 20.0, optional, default: 0.0)",
+                                    volumeGainDb: "number (-96.0 to 16.0, optional, default: 0.0)",
+                                    isDefault: "boolean (optional, default: false)"
+                                }, null, 2)}</pre>
+                            </div>
+                            <div className="note">
+                                <strong>Note:</strong> Returns 201 with the <code>preset</code>. A name you already use returns 409; at most 50 presets per user.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method patch">PATCH</span>
+                                <code>/api/presets/:id</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Update a voice preset (any field of POST)</p>
+                            <div className="note">
+                                <strong>Note:</strong> <code>isDefault: true</code> makes the preset your default (the previous default is cleared), <code>false</code> leaves you without one.
+                            </div>
+                        </div>
+
+                        <div className="endpoint">
+                            <div className="endpoint-header">
+                                <span className="method delete">DELETE</span>
+                                <code>/api/presets/:id</code>
+                                <span className="auth-badge">🔒 Auth Required</span>
+                            </div>
+                            <p className="endpoint-desc">Delete a voice preset</p>
+                        </div>
                     </section>
 
                     <section className="api-section">
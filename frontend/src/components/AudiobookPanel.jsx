@@ -0,0 +1,265 @@
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './AudiobookPanel.css';
+
+const API_BASE_URL = 'http://localhost:5000';
+
+const POLL_INTERVAL_MS = 2000;
+
+const CHAPTER_SOURCES = [
+    { value: 'auto', label: 'Automatic (table of contents, then headings)' },
+    { value: 'toc', label: 'EPUB table of contents' },
+    { value: 'headings', label: 'Headings' },
+    { value: 'pattern', label: 'Custom pattern' }
+];
+
+// Book lengths need hours as well
+const formatDuration = (seconds) => {
+    const total = Math.round(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60).toString().padStart(hours ? 2 : 1, '0');
+    const rest = (total % 60).toString().padStart(2, '0');
+    return hours ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Audiobook mode: splits a document into chapters and renders them as a background job
+export default function AudiobookPanel({ voices, voice, onVoiceChange, languageCode, audioEncoding, normalization, postProcessing, speakingRate, album }) {
+    const { token } = useAuth();
+    const [file, setFile] = useState(null);
+    const [chapterSource, setChapterSource] = useState('auto');
+    const [chapterPattern, setChapterPattern] = useState('^chapter\\s+\\w+');
+    const [headingLevel, setHeadingLevel] = useState('');
+    const [chapterPause, setChapterPause] = useState(2);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [audiobook, setAudiobook] = useState(null); // Detected chapters of the submitted book
+    const [job, setJob] = useState(null);
+
+    const fileInputRef = useRef(null);
+
+    const authHeaders = token ? { 'Authorization': `Bearer ${token}` } : {};
+    const jobId = job?.id;
+    const isRunning = Boolean(job) && (job.status === 'queued' || job.status === 'processing');
+
+    // Poll the job until it finishes
+    useEffect(() => {
+        if (!isRunning) return undefined;
+
+        const timer = setInterval(async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/tts/jobs/${jobId}`, {
+                    headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    setJob(data.job);
+                    if (data.job.status === 'failed') {
+                        setError(data.job.error || 'Audiobook generation failed');
+                    }
+                }
+            } catch (err) {
+                console.error('Failed to fetch audiobook job:', err);
+            }
+        }, POLL_INTERVAL_MS);
+
+        return () => clearInterval(timer);
+    }, [jobId, isRunning, token]);
+
+    const handleFileChange = (e) => {
+        setFile(e.target.files[0] || null);
+        setAudiobook(null);
+        setJob(null);
+        setError('');
+    };
+
+    const createAudiobook = async () => {
+        if (!file) return;
+
+        try {
+            setSubmitting(true);
+            setError('');
+            setAudiobook(null);
+            setJob(null);
+
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('chapterSource', chapterSource);
+            if (chapterSource === 'pattern') formData.append('chapterPattern', chapterPattern);
+            if (headingLevel && chapterSource !== 'pattern') formData.append('headingLevel', headingLevel);
+            formData.append('chapterPause', chapterPause);
+            formData.append('languageCode', languageCode);
+            formData.append('voiceName', voice);
+            formData.append('audioConfig', JSON.stringify({ audioEncoding, speakingRate }));
+            formData.append('normalization', JSON.stringify(normalization));
+            if (postProcessing) formData.append('postProcessing', JSON.stringify(postProcessing));
+            if (album) formData.append('album', album);
+
+            const response = await fetch(`${API_BASE_URL}/api/tts/audiobooks`, {
+                method: 'POST',
+                headers: authHeaders,
+                body: formData
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to create audiobook');
+            }
+
+            setAudiobook(data.audiobook);
+            setJob(data.job);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const cancelAudiobook = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/tts/jobs/${job.id}/cancel`, {
+                method: 'POST',
+                headers: authHeaders
+            });
+            const data = await response.json();
+            if (response.ok) {
+                setJob(data.job);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const result = job?.status === 'completed' ? job.result : null;
+    const chapters = result ? result.chapters : audiobook?.chapters || [];
+
+    return (
+        <div className="audiobook-mode">
+            <div className="audiobook-file">
+                <button type="button" onClick={() => fileInputRef.current?.click()} className="btn btn-secondary" disabled={isRunning}>
+                    📚 Choose book
+                </button>
+                <span className="audiobook-filename">{file ? file.name : 'A .epub, .md, .html or .txt file'}</span>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".txt,.text,.md,.markdown,.html,.htm,.xhtml,.epub"
+                    onChange={handleFileChange}
+                    hidden
+                />
+            </div>
+
+            <div className="settings-grid">
+                <div className="setting-group">
+                    <label>🎭 Voice:</label>
+                    <select value={voice} onChange={(e) => onVoiceChange(e.target.value)} className="select-input">
+                        {voices.map(v => (
+                            <option key={v.value} value={v.value}>
+                                {v.label} - {v.description}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <div className="setting-group">
+                    <label>📑 Chapters from:</label>
+                    <select value={chapterSource} onChange={(e) => setChapterSource(e.target.value)} className="select-input">
+                        {CHAPTER_SOURCES.map(source => (
+                            <option key={source.value} value={source.value}>{source.label}</option>
+                        ))}
+                    </select>
+                </div>
+                {chapterSource === 'pattern' ? (
+                    <div className="setting-group">
+                        <label>🔍 Chapter pattern (regular expression):</label>
+                        <input
+                            type="text"
+                            value={chapterPattern}
+                            onChange={(e) => setChapterPattern(e.target.value)}
+                            className="select-input"
+                            maxLength={200}
+                        />
+                    </div>
+                ) : (
+                    <div className="setting-group">
+                        <label>#️⃣ Heading level:</label>
+                        <select value={headingLevel} onChange={(e) => setHeadingLevel(e.target.value)} className="select-input">
+                            <option value="">Detect</option>
+                            {[1, 2, 3, 4, 5, 6].map(level => (
+                                <option key={level} value={level}>{'#'.repeat(level)} (h{level})</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                <div className="setting-group">
+                    <label>⏸️ Pause between chapters: {chapterPause}s</label>
+                    <input
+                        type="range"
+                        min="0"
+                        max="10"
+                        step="0.5"
+                        value={chapterPause}
+                        onChange={(e) => setChapterPause(parseFloat(e.target.value))}
+                        className="range-input"
+                    />
+                </div>
+            </div>
+
+            <div className="audiobook-actions">
+                <button onClick={createAudiobook} disabled={!file || submitting || isRunning} className={`btn btn-primary ${submitting ? 'loading' : ''}`}>
+                    {submitting ? 'Reading book...' : '🎧 Create audiobook'}
+                </button>
+                {isRunning && (
+                    <button onClick={cancelAudiobook} className="btn btn-secondary">
+                        ✖️ Cancel
+                    </button>
+                )}
+                {result && (
+                    <>
+                        <a href={result.audioUrl} download className="btn btn-success">💾 Download audiobook (MP3)</a>
+                        <a href={result.chaptersUrl} download className="btn btn-success">📑 Chapter list</a>
+                    </>
+                )}
+            </div>
+
+            {error && <div className="error-message">❌ {error}</div>}
+
+            {isRunning && (
+                <div className="audiobook-progress">
+                    <div className="progress-bar">
+                        <div className="progress-fill" style={{ width: `${job.progress}%` }}></div>
+                    </div>
+                    <span>
+                        {job.status === 'queued' ? 'Queued' : `${job.completedChunks} / ${job.chunkCount ?? '?'} chunks`}
+                    </span>
+                </div>
+            )}
+
+            {chapters.length > 0 && (
+                <div className="audiobook-chapters">
+                    <h3>
+                        {result?.title || audiobook?.title} · {chapters.length} chapter{chapters.length === 1 ? '' : 's'}
+                        {result && ` · ${formatDuration(result.duration)}`}
+                    </h3>
+                    <ol>
+                        {chapters.map(chapter => (
+                            <li key={chapter.index}>
+                                <span className="audiobook-chapter-title">{chapter.title}</span>
+                                {result ? (
+                                    <>
+                                        <span className="audiobook-chapter-meta">
+                                            {formatDuration(chapter.start)} · {formatDuration(chapter.duration)}
+                                        </span>
+                                        <a href={chapter.audioUrl} download className="audiobook-chapter-link">💾</a>
+                                    </>
+                                ) : (
+                                    <span className="audiobook-chapter-meta">
+                                        {chapter.characterCount.toLocaleString()} characters
+                                    </span>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+        </div>
+    );
+}
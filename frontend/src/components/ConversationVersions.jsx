@@ -0,0 +1,172 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './ConversationVersions.css';
+
+const API_BASE_URL = 'http://localhost:5000';
+
+// What a segment renders, without its timing (start/end differ whenever an earlier line changes)
+const segmentKey = (segment) => JSON.stringify({ ...segment, start: undefined, end: undefined });
+
+const describeSegment = (segment) => {
+    if (segment.type === 'sound') return '🔊 Sound effect';
+    const speaker = segment.speaker ? `${segment.speaker} (${segment.voiceName})` : segment.voiceName;
+    return `${speaker}: ${segment.text}`;
+};
+
+// Line diff of two versions (longest common subsequence): [{ status: 'same' | 'removed' | 'added', segment }]
+const diffSegments = (before, after) => {
+    const a = before.map(segmentKey);
+    const b = after.map(segmentKey);
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            diff.push({ status: 'same', segment: after[j] });
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            diff.push({ status: 'removed', segment: before[i] });
+            i++;
+        } else {
+            diff.push({ status: 'added', segment: after[j] });
+            j++;
+        }
+    }
+    return diff;
+};
+
+const DIFF_MARKERS = { same: ' ', removed: '−', added: '+' };
+
+// Versions of a saved conversation: listen to them, compare one with the current version,
+// roll back to it or open it in the editor
+export default function ConversationVersions({ item, onOpen, onRollback }) {
+    const { token } = useAuth();
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [compareId, setCompareId] = useState(null);
+    const [rollingBack, setRollingBack] = useState(false);
+
+    const fetchVersions = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/history/conversations/${item.id}/versions`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            setVersions(data.versions);
+        } catch (err) {
+            setError(err.message || 'Failed to load versions');
+        } finally {
+            setLoading(false);
+        }
+    }, [item.id, token]);
+
+    useEffect(() => {
+        fetchVersions();
+    }, [fetchVersions]);
+
+    const handleRollback = async (version) => {
+        if (!window.confirm(`Restore version ${version.version}? It is saved as a new version, later versions are kept.`)) {
+            return;
+        }
+
+        try {
+            setRollingBack(true);
+            const response = await fetch(`${API_BASE_URL}/api/history/conversations/${version.id}/rollback`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            onRollback(data.item);
+        } catch (err) {
+            setError(err.message || 'Failed to roll back');
+        } finally {
+            setRollingBack(false);
+        }
+    };
+
+    const versionNumber = (id) => versions.find(version => version.id === id)?.version;
+    const compared = versions.find(version => version.id === compareId);
+    const diff = compared ? diffSegments(compared.conversation_data, item.conversation_data) : [];
+    const countOf = (status) => diff.filter(entry => entry.status === status).length;
+
+    return (
+        <div className="conversation-versions">
+            <h4>🕘 Versions</h4>
+
+            {error && <div className="error-message">❌ {error}</div>}
+
+            {loading ? (
+                <p className="versions-note">Loading versions...</p>
+            ) : (
+                <ul className="versions-list">
+                    {[...versions].reverse().map(version => {
+                        const current = version.id === item.id;
+                        return (
+                            <li key={version.id} className={`version-row ${current ? 'current' : ''}`}>
+                                <div className="version-info">
+                                    <strong>v{version.version}</strong>
+                                    {current && <span className="version-current">current</span>}
+                                    <span>{new Date(version.created_at).toLocaleString()}</span>
+                                    <span>{version.conversation_data.length} segments, {version.total_character_count} chars billed</span>
+                                    {version.parent_id && versionNumber(version.parent_id) && (
+                                        <span>from v{versionNumber(version.parent_id)}</span>
+                                    )}
+                                </div>
+                                <audio controls preload="none" src={version.audio_url} className="version-audio" />
+                                {!current && (
+                                    <div className="version-actions">
+                                        <button
+                                            type="button"
+                                            onClick={() => setCompareId(compareId === version.id ? null : version.id)}
+                                            className={`btn btn-secondary ${compareId === version.id ? 'active' : ''}`}
+                                        >
+                                            🔍 Compare
+                                        </button>
+                                        <button type="button" onClick={() => handleRollback(version)} className="btn btn-secondary" disabled={rollingBack}>
+                                            ↩️ Roll back
+                                        </button>
+                                        <button type="button" onClick={() => onOpen(version)} className="btn btn-secondary">
+                                            📝 Open in editor
+                                        </button>
+                                    </div>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {compared && (
+                <div className="versions-compare">
+                    <p className="versions-note">
+                        v{compared.version} → v{item.version} (current): {countOf('removed')} segments removed, {countOf('added')} added
+                        {countOf('same') === diff.length && JSON.stringify(compared.settings) !== JSON.stringify(item.settings) && ' (render settings differ)'}
+                    </p>
+                    <ul className="versions-diff">
+                        {diff.map((entry, index) => (
+                            <li key={index} className={`diff-${entry.status}`}>
+                                <span className="diff-marker">{DIFF_MARKERS[entry.status]}</span>
+                                {describeSegment(entry.segment)}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,310 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './LexiconEditor.css';
+
+const API_BASE_URL = 'http://localhost:5000';
+
+const EMPTY_FORM = { word: '', type: 'alias', value: '', alphabet: 'ipa' };
+
+// Pronunciation lexicon editor: entries are applied to every generation of the signed-in user
+export default function LexiconEditor() {
+    const { token } = useAuth();
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [replaceOnImport, setReplaceOnImport] = useState(false);
+
+    const fileInputRef = useRef(null);
+
+    const fetchEntries = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/lexicon`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                setEntries(data.entries);
+            }
+        } catch (err) {
+            console.error('Failed to fetch lexicon:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [fetchEntries]);
+
+    const showResult = (data) => {
+        const details = data.errors?.length
+            ? `: ${data.errors.map(e => e.position ? `#${e.position} ${e.msg || e.message}` : (e.msg || e.message)).join('; ')}`
+            : '';
+        if (data.success) {
+            setError('');
+            setMessage(`${data.message}${data.skipped ? ` (${data.skipped} skipped${details})` : ''}`);
+        } else {
+            setMessage('');
+            setError(`${data.message}${details}`);
+        }
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/lexicon${editingId ? `/${editingId}` : ''}`, {
+                method: editingId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    ...form,
+                    alphabet: form.type === 'phoneme' ? form.alphabet : null
+                })
+            });
+            const data = await response.json();
+            showResult(data);
+
+            if (data.success) {
+                resetForm();
+                fetchEntries();
+            }
+        } catch (err) {
+            console.error('Failed to save lexicon entry:', err);
+            setError('Failed to save lexicon entry');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleEdit = (entry) => {
+        setEditingId(entry.id);
+        setForm({
+            word: entry.word,
+            type: entry.type,
+            value: entry.value,
+            alphabet: entry.alphabet || 'ipa'
+        });
+        setError('');
+        setMessage('');
+    };
+
+    const handleDelete = async (entry) => {
+        if (!confirm(`Remove "${entry.word}" from your lexicon?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/lexicon/${entry.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                setEntries(entries.filter(item => item.id !== entry.id));
+                if (editingId === entry.id) resetForm();
+            }
+        } catch (err) {
+            console.error('Failed to delete lexicon entry:', err);
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        if (replaceOnImport && !confirm('Replace your whole lexicon with the entries of this file?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/lexicon/import`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({
+                    content: await file.text(),
+                    format: file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'pls',
+                    mode: replaceOnImport ? 'replace' : 'merge'
+                })
+            });
+            const data = await response.json();
+            showResult(data);
+
+            if (data.success) {
+                setEntries(data.entries);
+            }
+        } catch (err) {
+            console.error('Failed to import lexicon:', err);
+            setError('Failed to import lexicon');
+        }
+    };
+
+    // Exports need the auth header, so the file is fetched and saved through a blob URL
+    const handleExport = async (format) => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/lexicon/export?format=${format}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            if (!response.ok) throw new Error(`Export failed with status ${response.status}`);
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `lexicon.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Failed to export lexicon:', err);
+            setError('Failed to export lexicon');
+        }
+    };
+
+    return (
+        <div className="lexicon-section">
+            <div className="lexicon-header">
+                <div>
+                    <h3>🗣️ Pronunciation Lexicon</h3>
+                    <p className="lexicon-description">
+                        Words in your lexicon are read as the alias or phoneme you set, in every generation and conversation.
+                    </p>
+                </div>
+                <div className="lexicon-file-actions">
+                    <button type="button" className="download-btn" onClick={() => fileInputRef.current?.click()}>
+                        📥 Import
+                    </button>
+                    <button type="button" className="download-btn" onClick={() => handleExport('pls')} disabled={entries.length === 0}>
+                        📤 PLS
+                    </button>
+                    <button type="button" className="download-btn" onClick={() => handleExport('csv')} disabled={entries.length === 0}>
+                        📤 CSV
+                    </button>
+                    <label className="lexicon-replace-toggle">
+                        <input
+                            type="checkbox"
+                            checked={replaceOnImport}
+                            onChange={(e) => setReplaceOnImport(e.target.checked)}
+                        />
+                        Replace on import
+                    </label>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".pls,.xml,.csv,.txt"
+                        onChange={handleImport}
+                        hidden
+                    />
+                </div>
+            </div>
+
+            <form className="lexicon-form" onSubmit={handleSubmit}>
+                <input
+                    type="text"
+                    placeholder="Word (e.g. Nginx)"
+                    value={form.word}
+                    onChange={(e) => setForm({ ...form, word: e.target.value })}
+                    maxLength={100}
+                    required
+                />
+                <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                    <option value="alias">Say as</option>
+                    <option value="phoneme">Phoneme</option>
+                </select>
+                <input
+                    type="text"
+                    placeholder={form.type === 'alias' ? 'Alias (e.g. engine x)' : 'Pronunciation (e.g. ˈɛndʒɪn ɛks)'}
+                    value={form.value}
+                    onChange={(e) => setForm({ ...form, value: e.target.value })}
+                    maxLength={500}
+                    required
+                />
+                {form.type === 'phoneme' && (
+                    <select value={form.alphabet} onChange={(e) => setForm({ ...form, alphabet: e.target.value })}>
+                        <option value="ipa">IPA</option>
+                        <option value="x-sampa">X-SAMPA</option>
+                    </select>
+                )}
+                <button type="submit" className="play-btn" disabled={saving}>
+                    {editingId ? '💾 Save' : '➕ Add'}
+                </button>
+                {editingId && (
+                    <button type="button" className="download-btn" onClick={resetForm}>
+                        Cancel
+                    </button>
+                )}
+            </form>
+
+            {error && <div className="lexicon-error">{error}</div>}
+            {message && <div className="lexicon-message">{message}</div>}
+
+            {loading ? (
+                <div className="loading-state">
+                    <div className="spinner"></div>
+                    <p>Loading lexicon...</p>
+                </div>
+            ) : entries.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-icon">🗣️</div>
+                    <h3>Your lexicon is empty</h3>
+                    <p>Add brand names and jargon that get mispronounced, or import a PLS or CSV file.</p>
+                </div>
+            ) : (
+                <table className="lexicon-table">
+                    <thead>
+                        <tr>
+                            <th>Word</th>
+                            <th>Read as</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map((entry) => (
+                            <tr key={entry.id} className={editingId === entry.id ? 'editing' : ''}>
+                                <td className="lexicon-word">{entry.word}</td>
+                                <td>
+                                    {entry.type === 'alias' ? (
+                                        entry.value
+                                    ) : (
+                                        <span className="lexicon-phoneme">
+                                            /{entry.value}/ <small>{entry.alphabet?.toUpperCase()}</small>
+                                        </span>
+                                    )}
+                                </td>
+                                <td className="lexicon-row-actions">
+                                    <button type="button" className="delete-btn" onClick={() => handleEdit(entry)} title="Edit">
+                                        ✏️
+                                    </button>
+                                    <button type="button" className="delete-btn" onClick={() => handleDelete(entry)} title="Delete">
+                                        🗑️
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
@@ -1,15 +1,26 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import SyncedTranscript from './SyncedTranscript';
+import LexiconEditor from './LexiconEditor';
+import SpeakerTimeline from './SpeakerTimeline';
+import ConversationVersions from './ConversationVersions';
 import './Profile.css';
 
-export default function Profile({ onBack }) {
+// Segments of a conversation history item (with start/end once rendered with a timeline)
+const getConversationSegments = (item) => {
+    if (!item.conversation_data) return [];
+    return Array.isArray(item.conversation_data) ? item.conversation_data : JSON.parse(item.conversation_data);
+};
+
+export default function Profile({ onBack, onOpenConversation }) {
     const { user, token, logout } = useAuth();
     const [history, setHistory] = useState([]);
     const [stats, setStats] = useState(null);
     const [usage, setUsage] = useState(null);
     const [pricing, setPricing] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [activeTab, setActiveTab] = useState('history'); // 'history', 'stats', or 'usage'
+    const [activeTab, setActiveTab] = useState('history'); // 'history', 'stats', 'usage' or 'lexicon'
+    const [versionsItemId, setVersionsItemId] = useState(null); // Conversation whose versions are shown
 
     // Audio player state
     const [currentAudioUrl, setCurrentAudioUrl] = useState(null);
@@ -134,6 +145,45 @@ export default function Profile({ onBack }) {
         }
     };
 
+    // Rename an item; MP3 files are re-tagged with the new title
+    const handleRename = async (item) => {
+        const currentTitle = item.title || '';
+        const title = prompt('New title (also written into the MP3 tags):', currentTitle);
+        if (title === null || !title.trim() || title.trim() === currentTitle) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/history/${item.id}${item.type === 'conversation' ? '?type=conversation' : ''}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ title: title.trim() })
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                setHistory(history.map(entry => (
+                    entry.id === item.id && entry.type === item.type ? { ...entry, ...data.item } : entry
+                )));
+            }
+        } catch (error) {
+            console.error('Failed to rename history item:', error);
+        }
+    };
+
+    // A rolled back version is the conversation's newest one and takes the place of the current entry
+    const handleRollback = (item, restored) => {
+        setHistory(history.map(entry => (
+            entry.type === 'conversation' && entry.id === item.id
+                ? { ...restored, version_count: item.version_count + 1 }
+                : entry
+        )));
+        setVersionsItemId(restored.id);
+    };
+
     const handleLogout = async () => {
         await logout();
         onBack();
@@ -205,6 +255,15 @@ export default function Profile({ onBack }) {
         }
     };
 
+    // Play a conversation from one of its lines
+    const playFrom = (item, time) => {
+        handlePlayAudio(item.audio_url, item.id);
+        if (audioRef.current) {
+            audioRef.current.currentTime = time;
+            setCurrentTime(time);
+        }
+    };
+
     const handlePauseAudio = () => {
         if (audioRef.current) {
             audioRef.current.pause();
@@ -329,6 +388,12 @@ export default function Profile({ onBack }) {
                     >
                         💰 Usage & Pricing
                     </button>
+                    <button
+                        className={activeTab === 'lexicon' ? 'active' : ''}
+                        onClick={() => setActiveTab('lexicon')}
+                    >
+                        🗣️ Pronunciation
+                    </button>
                 </div>
 
                 <div className="profile-content">
@@ -428,6 +493,8 @@ export default function Profile({ onBack }) {
                         </div>
                     )}
 
+                    {activeTab === 'lexicon' && <LexiconEditor />}
+
                     {activeTab === 'history' && (
                         <div className="history-section">
                             {loading ? (
@@ -448,7 +515,10 @@ export default function Profile({ onBack }) {
                                             <div className="history-item-header">
                                                 <div className="history-header-left">
                                                     {item.type === 'conversation' ? (
-                                                        <span className="conversation-badge">💬 Conversation</span>
+                                                        <>
+                                                            <span className="conversation-badge">💬 Conversation</span>
+                                                            {item.version > 1 && <span className="version-badge">v{item.version}</span>}
+                                                        </>
                                                     ) : (
                                                         <span className="standard-badge">🎤 Standard</span>
                                                     )}
@@ -456,13 +526,42 @@ export default function Profile({ onBack }) {
                                                         🕒 {formatDate(item.created_at)}
                                                     </span>
                                                 </div>
-                                                <button
-                                                    onClick={() => handleDelete(item.id)}
-                                                    className="delete-btn"
-                                                    title="Delete from history"
-                                                >
-                                                    🗑️
-                                                </button>
+                                                <div className="history-header-actions">
+                                                    {item.type === 'conversation' && (
+                                                        <>
+                                                            <button
+                                                                onClick={() => onOpenConversation(item)}
+                                                                className="delete-btn rename-btn"
+                                                                title="Open in editor"
+                                                            >
+                                                                📝
+                                                            </button>
+                                                            {item.version_count > 1 && (
+                                                                <button
+                                                                    onClick={() => setVersionsItemId(versionsItemId === item.id ? null : item.id)}
+                                                                    className="delete-btn rename-btn"
+                                                                    title={`${item.version_count} versions`}
+                                                                >
+                                                                    🕘
+                                                                </button>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handleRename(item)}
+                                                        className="delete-btn rename-btn"
+                                                        title="Rename"
+                                                    >
+                                                        ✏️
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDelete(item.id)}
+                                                        className="delete-btn"
+                                                        title="Delete from history"
+                                                    >
+                                                        🗑️
+                                                    </button>
+                                                </div>
                                             </div>
 
                                             {item.type === 'conversation' ? (
@@ -472,23 +571,40 @@ export default function Profile({ onBack }) {
                                                         <strong>{item.title || 'Untitled Conversation'}</strong>
                                                     </div>
                                                     <div className="conversation-segments">
-                                                        {item.conversation_data && (Array.isArray(item.conversation_data) ? item.conversation_data : JSON.parse(item.conversation_data)).map((segment, idx) => (
-                                                            <div key={idx} className="conversation-segment">
-                                                                <div className="segment-voice-label">
-                                                                    🎭 {segment.voiceName}
+                                                        {getConversationSegments(item).map((segment, idx) => {
+                                                            // Lines with a start time jump there; the one playing is highlighted
+                                                            const timed = segment.start !== undefined;
+                                                            const speaking = timed && currentAudioId === item.id && currentTime >= segment.start && currentTime < segment.end;
+                                                            const segmentProps = {
+                                                                className: `conversation-segment ${timed ? 'timed' : ''} ${speaking ? 'speaking' : ''}`,
+                                                                ...(timed && { onClick: () => playFrom(item, segment.start), title: 'Play from this line' })
+                                                            };
+                                                            const startLabel = timed && <span className="segment-start">{formatTime(segment.start)}</span>;
+
+                                                            return segment.type === 'sound' ? (
+                                                                <div key={idx} {...segmentProps}>
+                                                                    <div className="segment-voice-label">
+                                                                        {startLabel} 🔊 Sound effect
+                                                                    </div>
                                                                 </div>
-                                                                <div className="segment-text">
-                                                                    {segment.text.length > 150
-                                                                        ? segment.text.substring(0, 150) + '...'
-                                                                        : segment.text}
+                                                            ) : (
+                                                                <div key={idx} {...segmentProps}>
+                                                                    <div className="segment-voice-label">
+                                                                        {startLabel} 🎭 {segment.voiceName}
+                                                                    </div>
+                                                                    <div className="segment-text">
+                                                                        {segment.text.length > 150
+                                                                            ? segment.text.substring(0, 150) + '...'
+                                                                            : segment.text}
+                                                                    </div>
                                                                 </div>
-                                                            </div>
-                                                        ))}
+                                                            );
+                                                        })}
                                                     </div>
                                                     <div className="history-meta">
                                                         {(() => {
-                                                            const segments = item.conversation_data ? (Array.isArray(item.conversation_data) ? item.conversation_data : JSON.parse(item.conversation_data)) : [];
-                                                            const uniqueVoices = [...new Set(segments.map(s => s.voiceName))];
+                                                            const segments = getConversationSegments(item);
+                                                            const uniqueVoices = [...new Set(segments.filter(s => s.type !== 'sound').map(s => s.voiceName))];
                                                             const voicesDisplay = uniqueVoices.length === 1 
                                                                 ? uniqueVoices[0] 
                                                                 : uniqueVoices.length > 0 
@@ -506,10 +622,23 @@ export default function Profile({ onBack }) {
                                                             );
                                                         })()}
                                                     </div>
+                                                    {versionsItemId === item.id && (
+                                                        <ConversationVersions
+                                                            key={item.id}
+                                                            item={item}
+                                                            onOpen={onOpenConversation}
+                                                            onRollback={(restored) => handleRollback(item, restored)}
+                                                        />
+                                                    )}
                                                 </>
                                             ) : (
                                                 /* Standard History Item */
                                                 <>
+                                                    {item.title && (
+                                                        <div className="history-title">
+                                                            <strong>{item.title}</strong>
+                                                        </div>
+                                                    )}
                                                     <div className="history-text">
                                                         {item.text.length > 200
                                                             ? item.text.substring(0, 200) + '...'
@@ -551,6 +680,12 @@ export default function Profile({ onBack }) {
                                                         >
                                                             💾 Download
                                                         </a>
+                                                        {item.srt_url && (
+                                                            <a href={item.srt_url} download className="btn btn-success">📝 SRT</a>
+                                                        )}
+                                                        {item.vtt_url && (
+                                                            <a href={item.vtt_url} download className="btn btn-success">📝 VTT</a>
+                                                        )}
                                                     </div>
 
                                                     {/* Speed and Volume Controls */}
@@ -613,6 +748,21 @@ export default function Profile({ onBack }) {
                                                             ></div>
                                                         </div>
                                                     </div>
+
+                                                    {/* Speaker timeline of a conversation */}
+                                                    {item.type === 'conversation' && (
+                                                        <SpeakerTimeline
+                                                            segments={getConversationSegments(item)}
+                                                            duration={duration}
+                                                            currentTime={currentTime}
+                                                            onSeek={(time) => playFrom(item, time)}
+                                                        />
+                                                    )}
+
+                                                    {/* Synchronized Transcript */}
+                                                    {item.timepoints_url && (
+                                                        <SyncedTranscript timepointsUrl={item.timepoints_url} audioRef={audioRef} />
+                                                    )}
                                                 </div>
                                             ) : (
                                                 <div className="history-actions">
@@ -629,6 +779,12 @@ export default function Profile({ onBack }) {
                                                     >
                                                         💾 Download
                                                     </a>
+                                                    {item.srt_url && (
+                                                        <a href={item.srt_url} download className="download-btn">📝 SRT</a>
+                                                    )}
+                                                    {item.vtt_url && (
+                                                        <a href={item.vtt_url} download className="download-btn">📝 VTT</a>
+                                                    )}
                                                 </div>
                                             )}
                                         </div>
@@ -0,0 +1,159 @@
+import { useState, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './ScriptImport.css';
+
+const API_BASE_URL = 'http://localhost:5000';
+
+const SCRIPT_FORMATS = [
+    { value: 'auto', label: 'Detect' },
+    { value: 'lines', label: 'SPEAKER: line' },
+    { value: 'fountain', label: 'Fountain screenplay' },
+    { value: 'json', label: 'JSON' },
+    { value: 'csv', label: 'CSV (speaker,text)' }
+];
+
+const PLACEHOLDER = `ALICE: Welcome to the show.
+BOB: (laughing) Thanks for having me.`;
+
+// Conversation mode: turns a pasted or uploaded script into segments, with a roster mapping speakers to voices
+export default function ScriptImport({ voices, languageCode, roster, onRosterChange, onImport }) {
+    const { token } = useAuth();
+    const [content, setContent] = useState('');
+    const [format, setFormat] = useState('auto');
+    const [parsing, setParsing] = useState(false);
+    const [error, setError] = useState('');
+    const [script, setScript] = useState(null); // Parsed lines and speakers
+    const [assignedSpeakers, setAssignedSpeakers] = useState([]);
+
+    const fileInputRef = useRef(null);
+
+    const parseScript = async (file = null) => {
+        try {
+            setParsing(true);
+            setError('');
+
+            const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+            let body;
+            if (file) {
+                body = new FormData();
+                body.append('file', file);
+                body.append('format', format);
+                body.append('languageCode', languageCode);
+                body.append('roster', JSON.stringify(roster));
+            } else {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify({ content, format, languageCode, roster });
+            }
+
+            const response = await fetch(`${API_BASE_URL}/api/documents/script`, { method: 'POST', headers, body });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to read script');
+            }
+
+            setScript(data.script);
+            setAssignedSpeakers(data.assignedSpeakers);
+            onRosterChange(data.roster);
+        } catch (err) {
+            setError(err.message);
+            setScript(null);
+        } finally {
+            setParsing(false);
+        }
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) parseScript(file);
+    };
+
+    const updateSpeakerVoice = (speaker, voiceName) => {
+        onRosterChange({ ...roster, [speaker]: { ...roster[speaker], voiceName } });
+        setAssignedSpeakers(speakers => speakers.filter(name => name !== speaker));
+    };
+
+    return (
+        <details className="script-import">
+            <summary>📜 Import a script</summary>
+
+            <textarea
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                placeholder={PLACEHOLDER}
+                rows={6}
+                className="conversation-text-input"
+            />
+
+            <div className="script-import-actions">
+                <select value={format} onChange={(e) => setFormat(e.target.value)} className="select-input">
+                    {SCRIPT_FORMATS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <button type="button" onClick={() => parseScript()} className="btn btn-secondary" disabled={parsing || !content.trim()}>
+                    {parsing ? '⏳ Reading...' : '🔍 Read script'}
+                </button>
+                <button type="button" onClick={() => fileInputRef.current?.click()} className="btn btn-secondary" disabled={parsing}>
+                    📂 Open file
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".txt,.fountain,.spmd,.json,.csv"
+                    onChange={handleFileChange}
+                    hidden
+                />
+            </div>
+
+            {error && <div className="error-message">❌ {error}</div>}
+
+            {script && (
+                <div className="script-roster">
+                    <p className="script-summary">
+                        {script.title ? `"${script.title}": ` : ''}
+                        {script.lines.length} lines from {script.speakers.length} speakers ({script.format})
+                        {script.skippedLines > 0 && `, ${script.skippedLines} lines without dialogue skipped`}
+                    </p>
+
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Speaker</th>
+                                <th>Lines</th>
+                                <th>Voice</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {script.speakers.map(speaker => (
+                                <tr key={speaker.name}>
+                                    <td>{speaker.name}</td>
+                                    <td>{speaker.lineCount}</td>
+                                    <td>
+                                        <select
+                                            value={roster[speaker.name]?.voiceName || ''}
+                                            onChange={(e) => updateSpeakerVoice(speaker.name, e.target.value)}
+                                            className="conversation-voice-select"
+                                        >
+                                            {!voices.some(v => v.value === roster[speaker.name]?.voiceName) && (
+                                                <option value={roster[speaker.name]?.voiceName || ''}>{roster[speaker.name]?.voiceName}</option>
+                                            )}
+                                            {voices.map(v => (
+                                                <option key={v.value} value={v.value}>{v.label}</option>
+                                            ))}
+                                        </select>
+                                        {assignedSpeakers.includes(speaker.name) && <span className="script-auto-voice">auto</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <button type="button" onClick={() => onImport(script)} className="btn btn-primary">
+                        📥 Replace conversation with {script.lines.length} lines
+                    </button>
+                </div>
+            )}
+        </details>
+    );
+}
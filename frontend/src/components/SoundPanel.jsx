@@ -0,0 +1,248 @@
+import { useState, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './SoundPanel.css';
+
+const API_BASE_URL = 'http://localhost:5000';
+
+const PLACEMENTS = [
+    { value: 'full', label: 'Under the whole conversation' },
+    { value: 'intro', label: 'Intro only' },
+    { value: 'outro', label: 'Outro only' },
+    { value: 'intro-outro', label: 'Intro and outro' }
+];
+
+const DEFAULT_BACKGROUND = { volumeDb: -12, duckingDb: -12, placement: 'full', introSeconds: 3, outroSeconds: 3 };
+
+const formatSeconds = (seconds) => `${Math.round(seconds * 10) / 10}s`;
+
+// Music beds and sound effects of a conversation: the user's uploads and the background settings
+export default function SoundPanel({ assets, onAssetsChange, background, onBackgroundChange, onAddEffect }) {
+    const { token, isAuthenticated } = useAuth();
+    const [kind, setKind] = useState('music');
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+    const [previewId, setPreviewId] = useState(null);
+
+    const fileInputRef = useRef(null);
+    const previewRef = useRef(null);
+
+    const music = assets.filter(asset => asset.kind === 'music');
+    const effects = assets.filter(asset => asset.kind === 'effect');
+
+    if (!isAuthenticated) {
+        return (
+            <div className="sound-panel">
+                <p className="sound-panel-hint">🎵 Log in to add background music and sound effects.</p>
+            </div>
+        );
+    }
+
+    const uploadAsset = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            setUploading(true);
+            setError('');
+
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('kind', kind);
+
+            const response = await fetch(`${API_BASE_URL}/api/assets`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` },
+                body: formData
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.errors?.[0]?.msg || data.message || 'Upload failed');
+            }
+
+            onAssetsChange([...assets, data.asset]);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const deleteAsset = async (asset) => {
+        if (!window.confirm(`Delete "${asset.name}"?`)) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/assets/${asset.id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || 'Delete failed');
+            }
+
+            onAssetsChange(assets.filter(item => item.id !== asset.id));
+            if (background?.assetId === asset.id) onBackgroundChange(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Asset files need the auth header, so they are fetched and played from a blob
+    const togglePreview = async (asset) => {
+        previewRef.current?.pause();
+        if (previewId === asset.id) {
+            setPreviewId(null);
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}${asset.audioUrl}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) throw new Error('Could not load the audio file');
+
+            const url = URL.createObjectURL(await response.blob());
+            const audio = new Audio(url);
+            audio.onended = () => {
+                setPreviewId(null);
+                URL.revokeObjectURL(url);
+            };
+            previewRef.current = audio;
+            setPreviewId(asset.id);
+            await audio.play();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const updateBackground = (field, value) => onBackgroundChange({ ...background, [field]: value });
+
+    return (
+        <div className="sound-panel">
+            <div className="sound-panel-header">
+                <h3>🎵 Music & sound effects</h3>
+                <div className="sound-panel-upload">
+                    <select value={kind} onChange={(e) => setKind(e.target.value)} className="select-input">
+                        <option value="music">Music bed</option>
+                        <option value="effect">Sound effect</option>
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current?.click()}
+                        className="btn btn-secondary"
+                        disabled={uploading}
+                    >
+                        {uploading ? '⏳ Uploading...' : '⬆️ Upload .mp3 / .wav'}
+                    </button>
+                    <input ref={fileInputRef} type="file" accept=".mp3,.wav,audio/mpeg,audio/wav" onChange={uploadAsset} hidden />
+                </div>
+            </div>
+
+            {error && <div className="error-message">❌ {error}</div>}
+
+            {assets.length > 0 && (
+                <ul className="sound-asset-list">
+                    {assets.map(asset => (
+                        <li key={asset.id}>
+                            <span className="sound-asset-kind">{asset.kind === 'music' ? '🎼' : '🔔'}</span>
+                            <span className="sound-asset-name">{asset.name}</span>
+                            <span className="sound-asset-duration">{formatSeconds(asset.duration)}</span>
+                            <button type="button" onClick={() => togglePreview(asset)} title="Preview">
+                                {previewId === asset.id ? '⏹️' : '▶️'}
+                            </button>
+                            {asset.kind === 'effect' && (
+                                <button type="button" onClick={() => onAddEffect(asset)} title="Add to the conversation">➕</button>
+                            )}
+                            <button type="button" onClick={() => deleteAsset(asset)} title="Delete">🗑️</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="settings-grid">
+                <div className="setting-group">
+                    <label>🎼 Background music:</label>
+                    <select
+                        value={background?.assetId || ''}
+                        onChange={(e) => onBackgroundChange(e.target.value ? { ...DEFAULT_BACKGROUND, ...background, assetId: Number(e.target.value) } : null)}
+                        className="select-input"
+                    >
+                        <option value="">None</option>
+                        {music.map(asset => (
+                            <option key={asset.id} value={asset.id}>{asset.name}</option>
+                        ))}
+                    </select>
+                </div>
+                {background && (
+                    <>
+                        <div className="setting-group">
+                            <label>📍 Placement:</label>
+                            <select value={background.placement} onChange={(e) => updateBackground('placement', e.target.value)} className="select-input">
+                                {PLACEMENTS.map(placement => (
+                                    <option key={placement.value} value={placement.value}>{placement.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="setting-group">
+                            <label>🔉 Music volume: {background.volumeDb} dB</label>
+                            <input
+                                type="range"
+                                min="-40"
+                                max="0"
+                                step="1"
+                                value={background.volumeDb}
+                                onChange={(e) => updateBackground('volumeDb', Number(e.target.value))}
+                                className="range-input"
+                            />
+                        </div>
+                        <div className="setting-group">
+                            <label>🦆 Ducking under speech: {background.duckingDb} dB</label>
+                            <input
+                                type="range"
+                                min="-40"
+                                max="0"
+                                step="1"
+                                value={background.duckingDb}
+                                onChange={(e) => updateBackground('duckingDb', Number(e.target.value))}
+                                className="range-input"
+                            />
+                        </div>
+                        {background.placement !== 'outro' && (
+                            <div className="setting-group">
+                                <label>⏮️ Music before the first line: {background.introSeconds}s</label>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="15"
+                                    step="0.5"
+                                    value={background.introSeconds}
+                                    onChange={(e) => updateBackground('introSeconds', Number(e.target.value))}
+                                    className="range-input"
+                                />
+                            </div>
+                        )}
+                        {background.placement !== 'intro' && (
+                            <div className="setting-group">
+                                <label>⏭️ Music after the last line: {background.outroSeconds}s</label>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="15"
+                                    step="0.5"
+                                    value={background.outroSeconds}
+                                    onChange={(e) => updateBackground('outroSeconds', Number(e.target.value))}
+                                    className="range-input"
+                                />
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {effects.length === 0 && (
+                <p className="sound-panel-hint">Upload a sound effect to place it between lines.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,72 @@
+import './SpeakerTimeline.css';
+
+const SPEAKER_COLORS = ['#667eea', '#e67e22', '#20c997', '#e83e8c', '#17a2b8', '#6f42c1', '#fd7e14', '#28a745'];
+const SOUND_COLOR = '#adb5bd';
+
+const formatTime = (seconds) => {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+};
+
+// Name a segment is grouped under: the script speaker, else its voice
+const getSpeaker = (segment) => segment.type === 'sound' ? '🔊 Sound effect' : segment.speaker || segment.voiceName;
+
+// Lines of a conversation on a time axis; clicking a line jumps to it, the one being played is highlighted
+export default function SpeakerTimeline({ segments, duration, currentTime, onSeek }) {
+    const timed = segments.filter(segment => segment.start !== undefined && segment.end !== undefined);
+    if (timed.length === 0) return null;
+
+    const total = duration || Math.max(...timed.map(segment => segment.end));
+    const speakers = [...new Set(timed.map(getSpeaker))];
+    const colorOf = (segment) => segment.type === 'sound'
+        ? SOUND_COLOR
+        : SPEAKER_COLORS[speakers.filter(name => !name.startsWith('🔊')).indexOf(getSpeaker(segment)) % SPEAKER_COLORS.length];
+    const active = timed.find(segment => currentTime >= segment.start && currentTime < segment.end);
+
+    return (
+        <div className="speaker-timeline">
+            <div className="speaker-timeline-track">
+                {timed.map((segment, index) => (
+                    <button
+                        key={index}
+                        type="button"
+                        className={`speaker-timeline-segment ${segment === active ? 'active' : ''}`}
+                        style={{
+                            left: `${(segment.start / total) * 100}%`,
+                            width: `${Math.max(((segment.end - segment.start) / total) * 100, 0.5)}%`,
+                            background: colorOf(segment)
+                        }}
+                        onClick={() => onSeek(segment.start)}
+                        title={`${formatTime(segment.start)} ${getSpeaker(segment)}${segment.text ? `: ${segment.text}` : ''}`}
+                    />
+                ))}
+                {total > 0 && (
+                    <div className="speaker-timeline-cursor" style={{ left: `${Math.min(currentTime / total, 1) * 100}%` }} />
+                )}
+            </div>
+
+            <div className="speaker-timeline-legend">
+                {speakers.map(name => {
+                    const first = timed.find(segment => getSpeaker(segment) === name);
+                    return (
+                        <button
+                            key={name}
+                            type="button"
+                            className={`speaker-timeline-speaker ${active && getSpeaker(active) === name ? 'speaking' : ''}`}
+                            onClick={() => onSeek(first.start)}
+                        >
+                            <span className="speaker-timeline-swatch" style={{ background: colorOf(first) }} />
+                            {name}
+                        </button>
+                    );
+                })}
+            </div>
+
+            {active?.text && (
+                <p className="speaker-timeline-line">
+                    <strong>{getSpeaker(active)}:</strong> {active.text}
+                </p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,203 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import './SyncedTranscript.css';
+
+// Last word of a sentence (terminal punctuation, optionally followed by closing quotes/brackets)
+const SENTENCE_END = /[.!?…。！？]["'”’»)\]」』）]*$/;
+
+// Group word timings into sentences; sentence timings are used as they are
+const toSentences = ({ granularity, timepoints = [] }) => {
+    if (granularity !== 'word') {
+        return timepoints.map(entry => ({ ...entry, words: null }));
+    }
+
+    const sentences = [];
+    let current = null;
+    for (const word of timepoints) {
+        if (!current) {
+            current = { text: '', start: word.start, end: word.end, words: [] };
+        }
+        current.words.push(word);
+        current.text = current.text ? `${current.text} ${word.text}` : word.text;
+        current.end = word.end;
+
+        if (SENTENCE_END.test(word.text)) {
+            sentences.push(current);
+            current = null;
+        }
+    }
+    if (current) sentences.push(current);
+
+    return sentences;
+};
+
+// Index of the last entry that has started at the given time (-1 before the first)
+const findActiveIndex = (entries, time) => {
+    let active = -1;
+    for (let i = 0; i < entries.length && entries[i].start <= time; i++) {
+        active = i;
+    }
+    return active;
+};
+
+/**
+ * Transcript that follows an <audio> element: the sentence (and word, with
+ * word timing) being spoken is highlighted and clicking a sentence seeks to it.
+ * timepointsUrl points at the .timepoints.json file saved with the audio.
+ */
+export default function SyncedTranscript({ timepointsUrl, audioRef }) {
+    const [timing, setTiming] = useState(null);
+    const [error, setError] = useState('');
+    const [active, setActive] = useState({ sentence: -1, word: -1 });
+
+    const containerRef = useRef(null);
+    const activeSentenceRef = useRef(null);
+
+    const sentences = useMemo(() => (timing ? toSentences(timing) : []), [timing]);
+
+    // Load the timing data of the current audio
+    useEffect(() => {
+        setTiming(null);
+        setError('');
+        setActive({ sentence: -1, word: -1 });
+        if (!timepointsUrl) return;
+
+        let cancelled = false;
+        fetch(timepointsUrl)
+            .then(response => {
+                if (!response.ok) throw new Error('Timing data not found');
+                return response.json();
+            })
+            .then(data => {
+                if (!cancelled) setTiming(data);
+            })
+            .catch(() => {
+                if (!cancelled) setError('Timing data for this audio is no longer available.');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [timepointsUrl]);
+
+    // Follow playback (every animation frame while playing, on seek while paused)
+    useEffect(() => {
+        const audio = audioRef.current;
+        if (!audio || sentences.length === 0) return;
+
+        let frame = null;
+
+        const update = () => {
+            const time = audio.currentTime;
+            const sentence = findActiveIndex(sentences, time);
+            const words = sentences[sentence]?.words;
+            const word = words ? findActiveIndex(words, time) : -1;
+
+            // Only re-render when the highlighted sentence or word changes
+            setActive(previous => (
+                previous.sentence === sentence && previous.word === word ? previous : { sentence, word }
+            ));
+        };
+
+        const tick = () => {
+            update();
+            frame = requestAnimationFrame(tick);
+        };
+        const start = () => {
+            cancelAnimationFrame(frame);
+            frame = requestAnimationFrame(tick);
+        };
+        const stop = () => {
+            cancelAnimationFrame(frame);
+            update();
+        };
+
+        audio.addEventListener('play', start);
+        audio.addEventListener('pause', stop);
+        audio.addEventListener('ended', stop);
+        audio.addEventListener('seeked', update);
+        audio.addEventListener('emptied', update);
+
+        if (audio.paused) {
+            update();
+        } else {
+            start();
+        }
+
+        return () => {
+            cancelAnimationFrame(frame);
+            audio.removeEventListener('play', start);
+            audio.removeEventListener('pause', stop);
+            audio.removeEventListener('ended', stop);
+            audio.removeEventListener('seeked', update);
+            audio.removeEventListener('emptied', update);
+        };
+    }, [audioRef, sentences]);
+
+    // Keep the highlighted sentence visible inside the transcript box (without scrolling the page)
+    useEffect(() => {
+        const container = containerRef.current;
+        const element = activeSentenceRef.current;
+        if (!container || !element) return;
+
+        const top = element.offsetTop;
+        const bottom = top + element.offsetHeight;
+        if (top < container.scrollTop || bottom > container.scrollTop + container.clientHeight) {
+            container.scrollTo({ top: Math.max(0, top - container.clientHeight / 3), behavior: 'smooth' });
+        }
+    }, [active.sentence]);
+
+    const seekTo = (time) => {
+        const audio = audioRef.current;
+        if (audio) {
+            audio.currentTime = time;
+        }
+    };
+
+    if (!timepointsUrl) return null;
+
+    if (error) {
+        return <div className="synced-transcript synced-transcript-empty">{error}</div>;
+    }
+
+    if (!timing) {
+        return <div className="synced-transcript synced-transcript-empty">Loading transcript...</div>;
+    }
+
+    return (
+        <div className="synced-transcript">
+            <div className="synced-transcript-header">
+                <span>📖 Transcript</span>
+                <span className="synced-transcript-hint">Click a sentence to jump to it</span>
+            </div>
+            <div className="synced-transcript-text" ref={containerRef}>
+                {sentences.map((sentence, index) => (
+                    <span
+                        key={index}
+                        ref={index === active.sentence ? activeSentenceRef : null}
+                        className={`transcript-sentence ${index === active.sentence ? 'active' : ''}`}
+                        role="button"
+                        tabIndex={0}
+                        onClick={() => seekTo(sentence.start)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' || e.key === ' ') {
+                                e.preventDefault();
+                                seekTo(sentence.start);
+                            }
+                        }}
+                    >
+                        {sentence.words
+                            ? sentence.words.map((word, wordIndex) => (
+                                <span
+                                    key={wordIndex}
+                                    className={`transcript-word ${index === active.sentence && wordIndex === active.word ? 'active' : ''}`}
+                                >
+                                    {word.text}{' '}
+                                </span>
+                            ))
+                            : `${sentence.text} `}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './VoicePresetPicker.css';
+
+const API_BASE_URL = 'http://localhost:5000';
+
+// Preset fields compared with the current voice settings (rate, pitch and gain default like the backend)
+const matchesPreset = (preset, current) => preset.voiceName === current.voiceName
+    && preset.languageCode === current.languageCode
+    && preset.speakingRate === (current.speakingRate ?? 1)
+    && preset.pitch === (current.pitch ?? 0)
+    && preset.volumeGainDb === (current.volumeGainDb ?? 0);
+
+// Saved voice presets of the signed-in user: pick one to apply it, or save the current voice
+// ({ voiceName, languageCode, speakingRate, pitch, volumeGainDb }). compact only offers picking and saving.
+export default function VoicePresetPicker({ presets, onPresetsChange, current, onApply, compact = false }) {
+    const { token } = useAuth();
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    if (!token) return null;
+
+    // The preset the current settings come from (none once a value was changed)
+    const selected = presets.find(preset => matchesPreset(preset, current));
+
+    const request = async (path, options) => {
+        try {
+            setBusy(true);
+            setError('');
+            const response = await fetch(`${API_BASE_URL}/api/presets${path}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.errors?.[0]?.msg || data.message || 'Voice preset request failed');
+            }
+            return data;
+        } catch (err) {
+            setError(err.message);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = async () => {
+        const name = prompt('Save the current voice as preset:', '');
+        if (name === null || !name.trim()) return;
+
+        const data = await request('', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: name.trim(),
+                voiceName: current.voiceName,
+                languageCode: current.languageCode,
+                speakingRate: current.speakingRate ?? 1,
+                pitch: current.pitch ?? 0,
+                volumeGainDb: current.volumeGainDb ?? 0
+            })
+        });
+        if (data) {
+            onPresetsChange([...presets, data.preset].sort((a, b) => a.name.localeCompare(b.name)));
+        }
+    };
+
+    const toggleDefault = async () => {
+        const data = await request(`/${selected.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ isDefault: !selected.isDefault })
+        });
+        if (data) {
+            onPresetsChange(presets.map(preset => ({
+                ...preset,
+                isDefault: preset.id === selected.id ? data.preset.isDefault : preset.isDefault && !data.preset.isDefault
+            })));
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the voice preset "${selected.name}"?`)) return;
+
+        const data = await request(`/${selected.id}`, { method: 'DELETE' });
+        if (data) {
+            onPresetsChange(presets.filter(preset => preset.id !== selected.id));
+        }
+    };
+
+    return (
+        <div className={`voice-preset-picker ${compact ? 'compact' : ''}`}>
+            <div className="voice-preset-row">
+                <select
+                    value={selected?.id ?? ''}
+                    onChange={(e) => onApply(presets.find(preset => preset.id === Number(e.target.value)))}
+                    className={compact ? 'conversation-voice-select' : 'select-input'}
+                    disabled={presets.length === 0}
+                >
+                    <option value="" disabled>{presets.length === 0 ? 'No saved presets' : '🎚️ Apply a preset...'}</option>
+                    {presets.map(preset => (
+                        <option key={preset.id} value={preset.id}>
+                            {preset.isDefault ? '★ ' : ''}{preset.name}
+                        </option>
+                    ))}
+                </select>
+                <button type="button" onClick={handleSave} className="voice-preset-btn" disabled={busy} title="Save the current voice as preset">
+                    💾
+                </button>
+                {!compact && selected && (
+                    <>
+                        <button
+                            type="button"
+                            onClick={toggleDefault}
+                            className={`voice-preset-btn ${selected.isDefault ? 'active' : ''}`}
+                            disabled={busy}
+                            title={selected.isDefault ? 'Stop using as default' : 'Use as default voice'}
+                        >
+                            ★
+                        </button>
+                        <button type="button" onClick={handleDelete} className="voice-preset-btn" disabled={busy} title="Delete preset">
+                            🗑️
+                        </button>
+                    </>
+                )}
+            </div>
+            {error && <div className="voice-preset-error">❌ {error}</div>}
+        </div>
+    );
+}